@@ -0,0 +1,311 @@
+/**
+ * Batch validation manifests and the roll-up report.
+ *
+ * A manifest lists the mapping/input pairs of a multi-object load. As JSON it
+ * is an array of entries, or { options, entries } where options apply to every
+ * entry:
+ *
+ *   [{ "name": "Account", "input": "Account.csv", "mapping": "Account_mapping.csv",
+ *      "delimiter": ",", "options": { "record-rules": "Account_rules.csv", "min-success-rate": 99 } }]
+ *
+ * As CSV it has the columns Name, Input File, Mapping File, Delimiter, Output
+ * File and Options, with options written `name=value` and separated by
+ * semicolons (a bare name sets a flag), e.g. `split; min-success-rate=99`.
+ * Option names are the command line's, without the leading dashes. File paths
+ * are relative to the manifest.
+ *
+ * When the inputs arrive as a zip archive, the Input File of each entry is a
+ * file name pattern instead (e.g. `Account*.csv`), and every file of the
+ * archive is validated with the first entry whose pattern matches it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const XLSX = require('xlsx');
+const { openTextStream } = require('./textEncoding');
+const { listZipEntries, matchesNamePattern, stripCompressionExtension } = require('./compressedInput');
+
+// Options holding paths that are resolved relative to the manifest
+const PATH_OPTIONS = ['record-rules', 'issues-file', 'clean-file', 'rejects-file', 'fixed-file', 'change-log', 'snapshot'];
+
+const MANIFEST_COLUMNS = {
+  name: 'Name',
+  input: 'Input File',
+  mapping: 'Mapping File',
+  delimiter: 'Delimiter',
+  output: 'Output File',
+  options: 'Options'
+};
+
+/**
+ * Parse the Options column of a CSV manifest
+ * @param {string} text - e.g. "split; record-rules=rules.csv"
+ * @returns {Object} Option name -> value (true for flags)
+ */
+function parseOptionList(text) {
+  const options = {};
+  String(text || '').split(';').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const equalsIndex = entry.indexOf('=');
+    const name = (equalsIndex === -1 ? entry : entry.slice(0, equalsIndex)).trim().replace(/^--/, '');
+    options[name] = equalsIndex === -1 ? true : entry.slice(equalsIndex + 1).trim();
+  });
+  return options;
+}
+
+/**
+ * Read the rows of a CSV manifest as JSON-style entries
+ * @param {string} filePath - Manifest path
+ * @returns {Promise<Array>} Entries
+ */
+function readCsvManifest(filePath) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    openTextStream(filePath)
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+      .on('data', (row) => {
+        const entry = {};
+        Object.entries(MANIFEST_COLUMNS).forEach(([key, column]) => {
+          if (row[column] !== undefined && row[column] !== '') {
+            entry[key] = row[column];
+          }
+        });
+        entry.options = parseOptionList(row[MANIFEST_COLUMNS.options]);
+        entries.push(entry);
+      })
+      .on('end', () => resolve(entries))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Turn a manifest entry into a validation run
+ * @param {Object} entry - Raw entry
+ * @param {number} index - 1-based entry number, for messages
+ * @param {Object} defaults - Options applying to every entry
+ * @param {string} baseDir - Directory of the manifest
+ * @param {boolean} patterns - The input is a file name pattern for archive files, not a path
+ */
+function normalizeEntry(entry, index, defaults, baseDir, patterns) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`Manifest entry ${index} is not an object`);
+  }
+  const input = entry.input || entry.inputFile;
+  const mapping = entry.mapping || entry.mappingFile;
+  if (!input) {
+    throw new Error(`Manifest entry ${index} has no input file`);
+  }
+  if (!mapping) {
+    throw new Error(`Manifest entry ${index} has no mapping file`);
+  }
+
+  const options = {};
+  Object.entries({ ...defaults, ...(entry.options || {}) }).forEach(([name, value]) => {
+    if (value === false || value === null || value === undefined) return;
+    options[name] = value === true ? true : String(value);
+  });
+  PATH_OPTIONS.forEach(name => {
+    if (typeof options[name] === 'string') {
+      options[name] = path.resolve(baseDir, options[name]);
+    }
+  });
+
+  return {
+    // The name is also the entry's report folder
+    name: String(entry.name || path.parse(input).name).replace(/[^\w.-]+/g, '_'),
+    inputFile: patterns ? input : path.resolve(baseDir, input),
+    mappingFile: path.resolve(baseDir, mapping),
+    delimiter: entry.delimiter || null,
+    outputFile: entry.output || entry.outputFile || null,
+    options
+  };
+}
+
+/**
+ * Make run names unique, as they become report folder names
+ * @param {Array} runs - Runs with a name; renamed in place
+ */
+function makeNamesUnique(runs) {
+  const seen = new Map();
+  runs.forEach(run => {
+    const count = (seen.get(run.name.toLowerCase()) || 0) + 1;
+    seen.set(run.name.toLowerCase(), count);
+    if (count > 1) {
+      run.name = `${run.name}_${count}`;
+    }
+  });
+  return runs;
+}
+
+/**
+ * Read a batch manifest
+ * @param {string} filePath - .json or .csv manifest
+ * @param {Object} options - { patterns: input files are file name patterns (see matchArchiveEntries) }
+ * @returns {Promise<Array>} [{ name, inputFile, mappingFile, delimiter, outputFile, options }]; names are unique
+ */
+async function readManifest(filePath, options = {}) {
+  const baseDir = path.dirname(path.resolve(filePath));
+  let entries;
+  let defaults = {};
+
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read manifest '${filePath}': ${error.message}`);
+    }
+    entries = Array.isArray(manifest) ? manifest : manifest && manifest.entries;
+    defaults = (!Array.isArray(manifest) && manifest && manifest.options) || {};
+    if (!Array.isArray(entries)) {
+      throw new Error(`Manifest '${filePath}' must be an array of entries or an object with an "entries" array`);
+    }
+  } else {
+    entries = await readCsvManifest(filePath);
+  }
+
+  if (entries.length === 0) {
+    throw new Error(`Manifest '${filePath}' has no entries`);
+  }
+
+  return makeNamesUnique(entries.map((entry, index) => normalizeEntry(entry, index + 1, defaults, baseDir, Boolean(options.patterns))));
+}
+
+/**
+ * Pair the files of a zip archive with manifest entries by file name pattern
+ * @param {Array} entries - From readManifest with patterns
+ * @param {string} archiveFile - Zip archive
+ * @returns {Array} One run per archive file, in archive order: the matching
+ *   entry with { name, archiveFile, archiveEntry }, or { name, archiveFile,
+ *   archiveEntry, unmatched: true }; then { ...entry, archiveFile, missing: true }
+ *   for each entry that matched no file
+ */
+function matchArchiveEntries(entries, archiveFile) {
+  const matched = new Set();
+  const runs = listZipEntries(archiveFile).map(archiveEntry => {
+    // Each file gets its own report folder, named after the file
+    const name = path.parse(stripCompressionExtension(archiveEntry.name.split('/').pop())).name.replace(/[^\w.-]+/g, '_');
+    const entry = entries.find(candidate => matchesNamePattern(candidate.inputFile, archiveEntry.name));
+    if (!entry) {
+      return { name, archiveFile, archiveEntry, unmatched: true };
+    }
+    matched.add(entry);
+    return { ...entry, name, archiveFile, archiveEntry };
+  });
+  entries.filter(entry => !matched.has(entry)).forEach(entry => {
+    runs.push({ ...entry, archiveFile, missing: true });
+  });
+  return makeNamesUnique(runs);
+}
+
+/**
+ * Describe the header check of a run for the roll-up
+ * @param {Object|null} header - Header validation result
+ */
+function describeHeaderResult(header) {
+  if (!header) return 'Not checked';
+  if (header.isValid) {
+    return header.extraHeaders.length > 0 ? `Passed (${header.extraHeaders.length} extra columns ignored)` : 'Passed';
+  }
+  const problems = [
+    [header.missingHeaders.length, 'missing'],
+    [header.extraHeaders.length, 'extra'],
+    [header.duplicateHeaders.length, 'duplicate'],
+    [header.orderMismatches.length, 'out of order']
+  ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+  return `Failed: ${problems.join(', ')}`;
+}
+
+/**
+ * One roll-up row per batch entry, plus a total row
+ * @param {Array} results - [{ entry, status, exitCode, stats, headerValidation, gateResult, reportFiles, error }]
+ */
+function getRollupRows(results) {
+  const rows = results.map(result => {
+    const stats = result.stats || {};
+    const failedGates = result.gateResult ? result.gateResult.gates.filter(gate => !gate.passed) : [];
+    const entry = result.entry;
+    return {
+      'Entry': entry.name,
+      'Input File': entry.archiveEntry ? `${entry.archiveFile}: ${entry.archiveEntry.name}` : entry.inputFile,
+      'Mapping File': entry.mappingFile || '',
+      'Status': result.status,
+      'Header Result': describeHeaderResult(result.headerValidation),
+      'Total Records': stats.totalRecords || 0,
+      'Valid Records': stats.validRecords || 0,
+      'Invalid Records': stats.invalidRecords || 0,
+      'Errors': stats.totalErrors || 0,
+      'Warnings': stats.totalWarnings || 0,
+      'Duplicate Key Groups': stats.duplicateGroups || 0,
+      'Success Rate': stats.totalRecords ? `${stats.successRate.toFixed(2)}%` : '',
+      'Details': result.error || failedGates.map(gate => `${gate.description} (actual: ${gate.actual})`).join('; '),
+      'Reports': (result.reportFiles || []).join(', ')
+    };
+  });
+
+  const sum = (column) => rows.reduce((total, row) => total + row[column], 0);
+  const totalRecords = sum('Total Records');
+  const failed = results.filter(result => result.exitCode !== 0).length;
+  rows.push({
+    'Entry': 'All Entries',
+    'Input File': '',
+    'Mapping File': '',
+    'Status': failed === 0 ? 'Passed' : `${failed} of ${results.length} failed`,
+    'Header Result': `${results.filter(result => result.headerValidation && result.headerValidation.isValid).length} of ${results.length} passed`,
+    'Total Records': totalRecords,
+    'Valid Records': sum('Valid Records'),
+    'Invalid Records': sum('Invalid Records'),
+    'Errors': sum('Errors'),
+    'Warnings': sum('Warnings'),
+    'Duplicate Key Groups': sum('Duplicate Key Groups'),
+    'Success Rate': totalRecords ? `${((sum('Valid Records') / totalRecords) * 100).toFixed(2)}%` : '',
+    'Details': '',
+    'Reports': ''
+  });
+  return rows;
+}
+
+/**
+ * Write the roll-up report of a batch run
+ * @param {Array} results - Batch results (see getRollupRows)
+ * @param {string} outputFilePath - .xlsx workbook, or .json
+ */
+function writeRollupReport(results, outputFilePath) {
+  const rows = getRollupRows(results);
+
+  if (path.extname(outputFilePath).toLowerCase() === '.json') {
+    fs.writeFileSync(outputFilePath, JSON.stringify({ generatedAt: new Date().toISOString(), entries: rows }, null, 2));
+    return;
+  }
+
+  const workbook = XLSX.utils.book_new();
+  const sheet = XLSX.utils.json_to_sheet(rows);
+  sheet['!cols'] = [
+    { width: 20 }, // Entry
+    { width: 35 }, // Input File
+    { width: 35 }, // Mapping File
+    { width: 16 }, // Status
+    { width: 28 }, // Header Result
+    { width: 13 }, // Total Records
+    { width: 13 }, // Valid Records
+    { width: 15 }, // Invalid Records
+    { width: 10 }, // Errors
+    { width: 10 }, // Warnings
+    { width: 20 }, // Duplicate Key Groups
+    { width: 12 }, // Success Rate
+    { width: 50 }, // Details
+    { width: 50 }  // Reports
+  ];
+  XLSX.utils.book_append_sheet(workbook, sheet, '📦 Batch Summary');
+  XLSX.writeFile(workbook, outputFilePath);
+}
+
+module.exports = {
+  MANIFEST_COLUMNS,
+  parseOptionList,
+  readManifest,
+  matchArchiveEntries,
+  describeHeaderResult,
+  getRollupRows,
+  writeRollupReport
+};
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const { parseOptionList, readManifest, describeHeaderResult, writeRollupReport } = require('./batchManifest');
+
+function tempFolder(t) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-validator-batch-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  return folder;
+}
+
+test('a JSON manifest applies shared options, lets entries override them and resolves paths', async (t) => {
+  const folder = tempFolder(t);
+  const manifestFile = path.join(folder, 'manifest.json');
+  fs.writeFileSync(manifestFile, JSON.stringify({
+    options: { 'min-success-rate': 99, stream: true, 'record-rules': 'rules/shared.csv' },
+    entries: [
+      { input: 'in/Account.csv', mapping: 'maps/Account.csv', options: { 'min-success-rate': 95, stream: false } },
+      { name: 'Account', input: 'in/Account 2.csv', mapping: 'maps/Account.csv', delimiter: '|', output: 'acct.json' },
+      { name: 'Contact & Co', inputFile: 'in/Contact.csv', mappingFile: 'maps/Contact.csv' }
+    ]
+  }));
+
+  const entries = await readManifest(manifestFile);
+  assert.deepStrictEqual(entries.map(entry => entry.name), ['Account', 'Account_2', 'Contact_Co']);
+  assert.deepStrictEqual(entries[0], {
+    name: 'Account',
+    inputFile: path.join(folder, 'in', 'Account.csv'),
+    mappingFile: path.join(folder, 'maps', 'Account.csv'),
+    delimiter: null,
+    outputFile: null,
+    options: { 'min-success-rate': '95', 'record-rules': path.join(folder, 'rules', 'shared.csv') }
+  });
+  assert.deepStrictEqual([entries[1].delimiter, entries[1].outputFile, entries[1].options.stream], ['|', 'acct.json', true]);
+});
+
+test('a CSV manifest reads options as name=value pairs and bare flags', async (t) => {
+  const folder = tempFolder(t);
+  const manifestFile = path.join(folder, 'manifest.csv');
+  fs.writeFileSync(manifestFile, [
+    'Name,Input File,Mapping File,Delimiter,Output File,Options',
+    'Account,Account.csv,Account_mapping.csv,,,split; min-success-rate=99; --clean-file=out/clean.csv',
+    ',Contact.txt,Contact_mapping.csv,|,contact.json,',
+    ''
+  ].join('\n'));
+
+  const entries = await readManifest(manifestFile);
+  assert.deepStrictEqual(entries[0].options, { split: true, 'min-success-rate': '99', 'clean-file': path.join(folder, 'out', 'clean.csv') });
+  assert.deepStrictEqual(
+    [entries[1].name, entries[1].delimiter, entries[1].outputFile, entries[1].options],
+    ['Contact', '|', 'contact.json', {}]
+  );
+  assert.deepStrictEqual(parseOptionList(' a=1 ;; b '), { a: '1', b: true });
+});
+
+test('malformed manifests are rejected with the entry at fault', async (t) => {
+  const folder = tempFolder(t);
+  const write = (content) => {
+    const manifestFile = path.join(folder, 'manifest.json');
+    fs.writeFileSync(manifestFile, content);
+    return manifestFile;
+  };
+  await assert.rejects(readManifest(write('{"entries": {}}')), /must be an array of entries/);
+  await assert.rejects(readManifest(write('[]')), /has no entries/);
+  await assert.rejects(readManifest(write('[{"mapping": "m.csv"}]')), /entry 1 has no input file/);
+  await assert.rejects(readManifest(write('[{"input": "a.csv", "mapping": "m.csv"}, {"input": "b.csv"}]')), /entry 2 has no mapping file/);
+  await assert.rejects(readManifest(write('[{')), /Cannot read manifest/);
+});
+
+test('header results are summarised for the roll-up', () => {
+  const header = { isValid: false, missingHeaders: ['A'], extraHeaders: ['X', 'Y'], duplicateHeaders: [], orderMismatches: [] };
+  assert.strictEqual(describeHeaderResult(header), 'Failed: 1 missing, 2 extra');
+  assert.strictEqual(describeHeaderResult({ ...header, isValid: true }), 'Passed (2 extra columns ignored)');
+  assert.strictEqual(describeHeaderResult(null), 'Not checked');
+});
+
+const RESULTS = [
+  {
+    entry: { name: 'Account', inputFile: 'Account.csv', mappingFile: 'Account_mapping.csv' },
+    status: 'Passed',
+    exitCode: 0,
+    stats: { totalRecords: 10, validRecords: 10, invalidRecords: 0, totalErrors: 0, totalWarnings: 1, duplicateGroups: 0, successRate: 100 },
+    headerValidation: { isValid: true, extraHeaders: [] },
+    gateResult: { gates: [{ passed: true, description: 'Invalid records at most 0', actual: 0 }] },
+    reportFiles: ['artifacts/Account/validation_report.xlsx']
+  },
+  {
+    entry: { name: 'Contact', inputFile: 'Contact.csv', mappingFile: 'Contact_mapping.csv' },
+    status: 'Failed',
+    exitCode: 1,
+    stats: { totalRecords: 5, validRecords: 3, invalidRecords: 2, totalErrors: 4, totalWarnings: 0, duplicateGroups: 1, successRate: 60 },
+    headerValidation: { isValid: true, extraHeaders: [] },
+    gateResult: { gates: [{ passed: false, description: 'Invalid records at most 0', actual: 2 }] },
+    reportFiles: []
+  },
+  {
+    entry: { name: 'Lead', inputFile: 'Lead.csv', mappingFile: 'Lead_mapping.csv' },
+    status: 'Error',
+    exitCode: 3,
+    error: "Mapping file 'Lead_mapping.csv' not found"
+  }
+];
+
+test('the roll-up report has a row per entry and a total row', (t) => {
+  const folder = tempFolder(t);
+  writeRollupReport(RESULTS, path.join(folder, 'summary.json'));
+  const { entries } = JSON.parse(fs.readFileSync(path.join(folder, 'summary.json'), 'utf8'));
+  assert.deepStrictEqual(entries.map(row => [row.Entry, row.Status, row['Header Result'], row['Total Records'], row['Invalid Records'], row['Success Rate'], row.Details]), [
+    ['Account', 'Passed', 'Passed', 10, 0, '100.00%', ''],
+    ['Contact', 'Failed', 'Passed', 5, 2, '60.00%', 'Invalid records at most 0 (actual: 2)'],
+    ['Lead', 'Error', 'Not checked', 0, 0, '', "Mapping file 'Lead_mapping.csv' not found"],
+    ['All Entries', '2 of 3 failed', '2 of 3 passed', 15, 2, '86.67%', '']
+  ]);
+
+  writeRollupReport(RESULTS, path.join(folder, 'summary.xlsx'));
+  const rows = XLSX.utils.sheet_to_json(XLSX.readFile(path.join(folder, 'summary.xlsx')).Sheets['📦 Batch Summary']);
+  assert.deepStrictEqual(rows.map(row => [row.Entry, row['Duplicate Key Groups'], row.Reports || '']), [
+    ['Account', 0, 'artifacts/Account/validation_report.xlsx'],
+    ['Contact', 1, ''],
+    ['Lead', 0, ''],
+    ['All Entries', 1, '']
+  ]);
+});
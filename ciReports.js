@@ -0,0 +1,74 @@
+/**
+ * Formatting helpers for CI report formats (JUnit XML).
+ *
+ * The validator gathers test cases and issues; these functions only turn
+ * them into the text CI servers expect.
+ */
+
+/**
+ * Escape text for use in XML attributes and element content
+ * @param {*} value - Value to escape
+ */
+function escapeXml(value) {
+  return String(value)
+    // Characters XML 1.0 cannot represent at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Render JUnit XML from test suites
+ * @param {string} name - Name of the <testsuites> element
+ * @param {Array} suites - [{ name, properties, testcases: [{ name, classname, failure: { message, type, details } | null, systemOut }] }]
+ * @returns {string} XML document
+ */
+function renderJunitXml(name, suites) {
+  const countFailures = (testcases) => testcases.filter(testcase => testcase.failure).length;
+  const totalTests = suites.reduce((sum, suite) => sum + suite.testcases.length, 0);
+  const totalFailures = suites.reduce((sum, suite) => sum + countFailures(suite.testcases), 0);
+
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  lines.push(`<testsuites name="${escapeXml(name)}" tests="${totalTests}" failures="${totalFailures}" errors="0">`);
+  suites.forEach(suite => {
+    lines.push(`  <testsuite name="${escapeXml(suite.name)}" tests="${suite.testcases.length}" failures="${countFailures(suite.testcases)}" errors="0" skipped="0">`);
+
+    const properties = Object.entries(suite.properties || {});
+    if (properties.length > 0) {
+      lines.push('    <properties>');
+      properties.forEach(([key, value]) => {
+        lines.push(`      <property name="${escapeXml(key)}" value="${escapeXml(value)}"/>`);
+      });
+      lines.push('    </properties>');
+    }
+
+    suite.testcases.forEach(testcase => {
+      const open = `    <testcase name="${escapeXml(testcase.name)}" classname="${escapeXml(testcase.classname)}"`;
+      if (!testcase.failure && !testcase.systemOut) {
+        lines.push(`${open}/>`);
+        return;
+      }
+      lines.push(`${open}>`);
+      if (testcase.failure) {
+        lines.push(`      <failure message="${escapeXml(testcase.failure.message)}" type="${escapeXml(testcase.failure.type)}">${escapeXml(testcase.failure.details || '')}</failure>`);
+      }
+      if (testcase.systemOut) {
+        lines.push(`      <system-out>${escapeXml(testcase.systemOut)}</system-out>`);
+      }
+      lines.push('    </testcase>');
+    });
+
+    lines.push('  </testsuite>');
+  });
+  lines.push('</testsuites>');
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  escapeXml,
+  renderJunitXml
+};
@@ -0,0 +1,232 @@
+const { parseWithFormat } = require('./dateFormats');
+const { validateRecordId, isValidEmail, isValidUrl } = require('./salesforceTypes');
+
+// The values a boolean field accepts, so an inferred Checkbox column validates as one
+const BOOLEAN_VALUES = new Set(['true', 'false', 'yes', 'no']);
+
+// Formats recognised as dates when profiling; a declared Format is tried first
+const DATE_FORMATS = ['yyyy-MM-dd', 'yyyy/MM/dd', 'dd.MM.yyyy'];
+const TIMESTAMP_FORMATS = ["yyyy-MM-dd'T'HH:mm[:ss][.SSS][X]", 'yyyy-MM-dd HH:mm[:ss][.SSS][X]'];
+const TIME_FORMATS = ['HH:mm[:ss][.SSS]'];
+
+// Candidate types, most specific first; a column's inferred type is the first one every value satisfies
+const TYPE_CHECKS = ['boolean', 'integer', 'decimal', 'date', 'timestamp', 'time', 'id', 'email', 'url'];
+
+/**
+ * Parse a value against a list of formats
+ * @returns {Object|null} Parsed components, or null when no format matches
+ */
+function parseAny(value, formats) {
+  for (const format of formats) {
+    const parsed = parseWithFormat(value, format);
+    if (parsed.isValid) return parsed.components;
+  }
+  return null;
+}
+
+/**
+ * Sortable key for parsed date/time components
+ */
+function componentsKey(components) {
+  const pad = (number, width = 2) => String(number !== undefined ? number : 0).padStart(width, '0');
+  return `${pad(components.year, 4)}${pad(components.month)}${pad(components.day)}${pad(components.hour)}${pad(components.minute)}${pad(components.second)}${pad(components.millisecond, 3)}`;
+}
+
+/**
+ * Per-column statistics gathered one row at a time.
+ *
+ * Memory is bounded: distinct values are tracked up to maxDistinctValues per
+ * column, after which the distinct count is reported as a lower bound and the
+ * top values come from the values seen so far.
+ */
+class ColumnProfiler {
+  constructor(options = {}) {
+    this.maxDistinctValues = options.maxDistinctValues || 10000;
+    this.topValueCount = options.topValueCount || 5;
+    this.dateFormats = options.dateFormats || {}; // Column -> declared Format
+    this.columns = new Map();
+    this.totalRecords = 0;
+  }
+
+  /**
+   * Create the running statistics for a column
+   * @param {string} name - Column name
+   */
+  createColumn(name) {
+    return {
+      name,
+      position: this.columns.size + 1,
+      filled: 0,
+      values: new Map(),
+      distinctCapped: false,
+      minLength: null,
+      maxLength: null,
+      numericCount: 0,
+      min: null,
+      max: null,
+      sum: 0,
+      maxIntegerDigits: 0,
+      maxScale: 0,
+      minScale: null, // Fewest decimal places among values that have a decimal point
+      minDate: null,
+      maxDate: null,
+      candidates: new Set(TYPE_CHECKS)
+    };
+  }
+
+  /**
+   * Register columns up front, so columns that stay empty (or a file without
+   * rows) still appear in header order
+   * @param {Array} names - Column names
+   */
+  addColumns(names) {
+    names.forEach(name => {
+      if (!this.columns.has(name)) {
+        this.columns.set(name, this.createColumn(name));
+      }
+    });
+  }
+
+  /**
+   * Add one parsed row
+   * @param {Object} record - Row keyed by column name
+   */
+  add(record) {
+    this.totalRecords++;
+    const names = Object.keys(record);
+    this.addColumns(names);
+    names.forEach(name => this.addValue(this.columns.get(name), record[name]));
+  }
+
+  /**
+   * Add one value to a column's statistics
+   * @param {Object} column - Column statistics
+   * @param {*} rawValue - Cell value
+   */
+  addValue(column, rawValue) {
+    const value = rawValue === undefined || rawValue === null ? '' : String(rawValue);
+    const text = value.trim();
+    if (text === '') return;
+
+    column.filled++;
+    if (column.values.has(text)) {
+      column.values.set(text, column.values.get(text) + 1);
+    } else if (column.values.size < this.maxDistinctValues) {
+      column.values.set(text, 1);
+    } else {
+      column.distinctCapped = true;
+    }
+
+    column.minLength = column.minLength === null ? value.length : Math.min(column.minLength, value.length);
+    column.maxLength = column.maxLength === null ? value.length : Math.max(column.maxLength, value.length);
+
+    // Numbers
+    const numberMatch = /^[+-]?(\d*)(?:\.(\d*))?$/.exec(text);
+    if (numberMatch && (numberMatch[1] || numberMatch[2])) {
+      const number = Number(text);
+      column.numericCount++;
+      column.min = column.min === null ? number : Math.min(column.min, number);
+      column.max = column.max === null ? number : Math.max(column.max, number);
+      column.sum += number;
+      column.maxIntegerDigits = Math.max(column.maxIntegerDigits, numberMatch[1].replace(/^0+(?=\d)/, '').length);
+      column.maxScale = Math.max(column.maxScale, (numberMatch[2] || '').length);
+      if (numberMatch[2] !== undefined) {
+        column.minScale = column.minScale === null ? numberMatch[2].length : Math.min(column.minScale, numberMatch[2].length);
+      }
+    }
+
+    // Dates: the declared format, else the formats the profiler recognises
+    const declaredFormat = this.dateFormats[column.name];
+    const date = (declaredFormat && parseAny(text, [declaredFormat])) || parseAny(text, [...DATE_FORMATS, ...TIMESTAMP_FORMATS]);
+    if (date) {
+      const key = componentsKey(date);
+      if (!column.minDate || key < column.minDate.key) column.minDate = { key, value: text };
+      if (!column.maxDate || key > column.maxDate.key) column.maxDate = { key, value: text };
+    }
+
+    // Drop candidate types this value rules out
+    const { candidates } = column;
+    if (candidates.has('boolean') && !BOOLEAN_VALUES.has(text.toLowerCase())) candidates.delete('boolean');
+    if (/^[+-]?0\d/.test(text)) {
+      // Leading zeros are significant (postcodes, account numbers); a number type would drop them
+      candidates.delete('integer');
+      candidates.delete('decimal');
+    }
+    if (candidates.has('integer') && !/^[+-]?\d+$/.test(text)) candidates.delete('integer');
+    if (candidates.has('decimal') && !(numberMatch && (numberMatch[1] || numberMatch[2]))) candidates.delete('decimal');
+    if (candidates.has('date') && !(date && date.hour === undefined)) candidates.delete('date');
+    if (candidates.has('timestamp') && !(date && date.hour !== undefined)) candidates.delete('timestamp');
+    if (candidates.has('time') && !parseAny(text, TIME_FORMATS)) candidates.delete('time');
+    if (candidates.has('id') && !(validateRecordId(text).isValid && /\d/.test(text))) candidates.delete('id');
+    if (candidates.has('email') && !isValidEmail(text)) candidates.delete('email');
+    if (candidates.has('url') && !(isValidUrl(text) && /[a-z]/i.test(text) && text.includes('.'))) candidates.delete('url');
+  }
+
+  /**
+   * Work out a Salesforce type for a column from the candidates left
+   * @param {Object} column - Column statistics
+   * @returns {string} Type in the mapping's Target Data Type notation
+   */
+  inferType(column) {
+    if (column.filled === 0) return 'Text(255)';
+
+    const precision = Math.max(column.maxIntegerDigits + column.maxScale, 1);
+    const type = TYPE_CHECKS
+      .filter(candidate => precision <= 18 || (candidate !== 'integer' && candidate !== 'decimal'))
+      .find(candidate => column.candidates.has(candidate));
+    switch (type) {
+      case 'boolean': return 'Checkbox';
+      case 'integer': return `Number(${precision},0)`;
+      case 'decimal': return `Number(${precision},${column.maxScale})`;
+      case 'date': return 'Date';
+      case 'timestamp': return 'Date/Time';
+      case 'time': return 'Time';
+      case 'id': return 'Id';
+      case 'email': return 'Email';
+      case 'url': return 'URL';
+      default:
+        if (column.maxLength > 255) return `LongTextArea(${Math.min(Math.max(column.maxLength, 32768), 131072)})`;
+        if (!column.distinctCapped && column.values.size <= 20 && column.filled >= column.values.size * 3) return 'Picklist';
+        return `Text(${column.maxLength})`;
+    }
+  }
+
+  /**
+   * Summarise every column
+   * @returns {Array} One profile per column, in the order columns were first seen
+   */
+  getProfiles() {
+    return Array.from(this.columns.values()).map(column => {
+      const topValues = Array.from(column.values.entries())
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, this.topValueCount)
+        .map(([value, count]) => ({ value, count }));
+      const isNumeric = column.filled > 0 && column.numericCount === column.filled;
+
+      return {
+        position: column.position,
+        column: column.name,
+        inferredType: this.inferType(column),
+        records: this.totalRecords,
+        filled: column.filled,
+        empty: this.totalRecords - column.filled,
+        fillRate: this.totalRecords > 0 ? (column.filled / this.totalRecords) * 100 : 0,
+        distinctValues: column.values.size,
+        distinctCapped: column.distinctCapped,
+        topValues,
+        minLength: column.minLength,
+        maxLength: column.maxLength,
+        min: isNumeric ? column.min : null,
+        max: isNumeric ? column.max : null,
+        mean: isNumeric ? column.sum / column.numericCount : null,
+        precision: isNumeric ? column.maxIntegerDigits + column.maxScale : null,
+        scale: isNumeric ? column.maxScale : null,
+        minScale: isNumeric ? column.minScale : null,
+        minDate: column.minDate ? column.minDate.value : null,
+        maxDate: column.maxDate ? column.maxDate.value : null
+      };
+    });
+  }
+}
+
+module.exports = ColumnProfiler;
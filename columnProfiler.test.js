@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const CSVValidator = require('./csvValidator');
+const ColumnProfiler = require('./columnProfiler');
+
+test.mock.method(console, 'log', () => {});
+
+function profileColumns(columns, options = {}) {
+  const profiler = new ColumnProfiler(options);
+  const names = Object.keys(columns);
+  profiler.addColumns(names);
+  const rows = Math.max(...names.map(name => columns[name].length));
+  for (let i = 0; i < rows; i++) {
+    const record = {};
+    names.forEach(name => {
+      record[name] = columns[name][i];
+    });
+    profiler.add(record);
+  }
+  return Object.fromEntries(profiler.getProfiles().map(profile => [profile.column, profile]));
+}
+
+test('types are inferred from the most specific candidate every value satisfies', () => {
+  const profiles = profileColumns({
+    Active: ['Yes', 'no', 'TRUE'],
+    Count: ['1', '-20', '300'],
+    Amount: ['1.5', '20.25', '3'],
+    Postcode: ['01234', '12345', '99999'],
+    Day: ['2024-03-05', '2024/01/31', '05.03.2024'],
+    Stamp: ['2024-03-05T10:00:00Z', '2024-03-05 10:00', '2024-03-05T10:00'],
+    At: ['10:00', '23:59:59', '00:00'],
+    Email: ['a@example.com', 'b@example.org', 'c@example.net'],
+    Site: ['https://example.com', 'www.example.org', 'http://a.example.net/x'],
+    Stage: ['Open', 'Open', 'Closed'],
+    Notes: ['x'.repeat(300), 'short', ''],
+    Empty: ['', ' ', '']
+  });
+  assert.deepStrictEqual(Object.fromEntries(Object.entries(profiles).map(([name, profile]) => [name, profile.inferredType])), {
+    Active: 'Checkbox',
+    Count: 'Number(3,0)',
+    Amount: 'Number(4,2)',
+    Postcode: 'Text(5)',
+    Day: 'Date',
+    Stamp: 'Date/Time',
+    At: 'Time',
+    Email: 'Email',
+    Site: 'URL',
+    Stage: 'Text(6)',
+    Notes: 'LongTextArea(32768)',
+    Empty: 'Text(255)'
+  });
+});
+
+test('a few repeated values make a picklist', () => {
+  const { Stage } = profileColumns({ Stage: ['Open', 'Closed', 'Open', 'Closed', 'Open', 'Closed'] });
+  assert.strictEqual(Stage.inferredType, 'Picklist');
+  assert.deepStrictEqual(Stage.topValues, [{ value: 'Open', count: 3 }, { value: 'Closed', count: 3 }]);
+});
+
+test('fill, length, number and date statistics', () => {
+  const { Amount, Day } = profileColumns({
+    Amount: [' 1.5 ', '', '20.25', '-3'],
+    Day: ['05/03/2024', '', '31/12/2023', 'soon']
+  }, { dateFormats: { Day: 'dd/MM/yyyy' } });
+
+  assert.deepStrictEqual(
+    [Amount.records, Amount.filled, Amount.empty, Amount.fillRate, Amount.minLength, Amount.maxLength],
+    [4, 3, 1, 75, 2, 5]
+  );
+  assert.deepStrictEqual([Amount.min, Amount.max, Amount.mean, Amount.precision, Amount.scale, Amount.minScale], [-3, 20.25, 6.25, 4, 2, 1]);
+
+  // The declared Format is read first; a value in no date format is left out
+  assert.deepStrictEqual([Day.minDate, Day.maxDate, Day.min], ['31/12/2023', '05/03/2024', null]);
+});
+
+test('distinct values are counted up to the cap', () => {
+  const { Code } = profileColumns({ Code: ['a', 'b', 'c', 'a', 'd'] }, { maxDistinctValues: 2, topValueCount: 1 });
+  assert.deepStrictEqual([Code.distinctValues, Code.distinctCapped, Code.topValues], [2, true, [{ value: 'a', count: 2 }]]);
+});
+
+test('profile writes the column profiles as JSON or a workbook', async (t) => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-validator-profile-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(folder, 'in.csv'), 'Code|Amount\nA|1.5\nB|\n');
+
+  const validator = new CSVValidator();
+  await validator.profileInputFile(path.join(folder, 'in.csv'));
+  validator.generateProfileReport(path.join(folder, 'profile.json'));
+  validator.generateProfileReport(path.join(folder, 'profile.xlsx'));
+
+  const json = JSON.parse(fs.readFileSync(path.join(folder, 'profile.json'), 'utf8'));
+  assert.strictEqual(json.delimiter, '|');
+  assert.deepStrictEqual(json.columnProfiles.map(profile => [profile.column, profile.inferredType, profile.filled]), [
+    ['Code', 'Text(1)', 2],
+    ['Amount', 'Number(2,1)', 1]
+  ]);
+
+  const sheet = XLSX.readFile(path.join(folder, 'profile.xlsx')).Sheets['🧮 Column Profile'];
+  assert.ok(sheet);
+  assert.match(JSON.stringify(XLSX.utils.sheet_to_json(sheet)), /Number\(2,1\)/);
+});
@@ -0,0 +1,263 @@
+/**
+ * Gzip-compressed input and zip archives.
+ *
+ * A gzip file is recognised by its magic bytes, not its name, and is inflated
+ * as it is read: text streams go through zlib, and the samples used to detect
+ * the encoding and delimiter inflate only the start of the file. Nothing is
+ * unpacked to disk.
+ *
+ * A zip archive holds several files. Its central directory at the end of the
+ * archive lists them; each entry is copied out on its own (stored or
+ * deflated), so a batch can validate the entries one after another.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04];
+const COMPRESSED_EXTENSIONS = ['.gz', '.gzip'];
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+// The end record is 22 bytes, followed by a comment of up to 64 KB
+const END_RECORD_SEARCH = 22 + 0xffff;
+
+/**
+ * Check whether a file starts with the given bytes
+ * @param {string} filePath - Path to the file
+ * @param {Array} magic - Leading bytes
+ */
+function startsWith(filePath, magic) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(magic.length);
+    const bytesRead = fs.readSync(fd, buffer, 0, magic.length, 0);
+    return bytesRead === magic.length && magic.every((byte, index) => buffer[index] === byte);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * @param {string} filePath - Path to the file
+ */
+function isGzipFile(filePath) {
+  return startsWith(filePath, GZIP_MAGIC);
+}
+
+/**
+ * @param {string} filePath - Path to the file
+ */
+function isZipFile(filePath) {
+  return startsWith(filePath, ZIP_MAGIC);
+}
+
+/**
+ * File name without a compression extension, e.g. Account.csv for Account.csv.gz
+ * @param {string} filePath - Path or file name
+ */
+function stripCompressionExtension(filePath) {
+  const extension = path.extname(filePath);
+  return COMPRESSED_EXTENSIONS.includes(extension.toLowerCase()) ? filePath.slice(0, -extension.length) : filePath;
+}
+
+/**
+ * Open a file as a byte stream, inflating gzip on the way
+ * @param {string} filePath - Path to the file
+ */
+function openInputStream(filePath) {
+  const source = fs.createReadStream(filePath);
+  if (!isGzipFile(filePath)) {
+    return source;
+  }
+  const gunzip = zlib.createGunzip();
+  source.on('error', (error) => gunzip.destroy(error));
+  return source.pipe(gunzip);
+}
+
+/**
+ * Read the first bytes of a file, inflated when it is gzip
+ * @param {string} filePath - Path to the file
+ * @param {number} size - Most bytes to return
+ */
+function readInputSample(filePath, size) {
+  const compressed = isGzipFile(filePath);
+  const fd = fs.openSync(filePath, 'r');
+  let sample;
+  try {
+    const buffer = Buffer.alloc(size);
+    const bytesRead = fs.readSync(fd, buffer, 0, size, 0);
+    sample = buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (!compressed) {
+    return sample;
+  }
+
+  // A sample cut off before the end of the file is inflated as far as it goes (a sync
+  // flush); a whole file must end properly, so a truncated one fails here
+  const wholeFile = sample.length < size;
+  try {
+    return zlib.gunzipSync(sample, wholeFile ? {} : { finishFlush: zlib.constants.Z_SYNC_FLUSH }).subarray(0, size);
+  } catch (error) {
+    throw new Error(`Cannot read gzip file '${filePath}': ${error.message}`);
+  }
+}
+
+/**
+ * List the files of a zip archive
+ * @param {string} zipPath - Path to the archive
+ * @returns {Array} [{ name, method, compressedSize, size, headerOffset }] in archive order;
+ *   folders and macOS resource forks (__MACOSX/) are left out
+ */
+function listZipEntries(zipPath) {
+  const fd = fs.openSync(zipPath, 'r');
+  try {
+    const fileSize = fs.fstatSync(fd).size;
+    const tailSize = Math.min(fileSize, END_RECORD_SEARCH);
+    const tail = Buffer.alloc(tailSize);
+    fs.readSync(fd, tail, 0, tailSize, fileSize - tailSize);
+
+    let endIndex = -1;
+    for (let index = tailSize - 22; index >= 0; index--) {
+      if (tail.readUInt32LE(index) === END_OF_CENTRAL_DIRECTORY) {
+        endIndex = index;
+        break;
+      }
+    }
+    if (endIndex === -1) {
+      throw new Error(`'${zipPath}' is not a zip archive (no central directory)`);
+    }
+
+    const entryCount = tail.readUInt16LE(endIndex + 10);
+    const directorySize = tail.readUInt32LE(endIndex + 12);
+    const directoryOffset = tail.readUInt32LE(endIndex + 16);
+    if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+      throw new Error(`'${zipPath}' is a ZIP64 archive, which is not supported; re-create it below 4 GB or compress each file with gzip`);
+    }
+
+    const directory = Buffer.alloc(directorySize);
+    fs.readSync(fd, directory, 0, directorySize, directoryOffset);
+
+    const entries = [];
+    let offset = 0;
+    for (let count = 0; count < entryCount; count++) {
+      if (directory.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+        throw new Error(`'${zipPath}' has a damaged central directory`);
+      }
+      const flags = directory.readUInt16LE(offset + 8);
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      // Bit 11 marks UTF-8 names; older tools write their code page, read here as Latin-1
+      const name = directory.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+      const entry = {
+        name,
+        encrypted: Boolean(flags & 0x1),
+        method: directory.readUInt16LE(offset + 10),
+        compressedSize: directory.readUInt32LE(offset + 20),
+        size: directory.readUInt32LE(offset + 24),
+        headerOffset: directory.readUInt32LE(offset + 42)
+      };
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (name.endsWith('/') || name.startsWith('__MACOSX/')) continue;
+      entries.push(entry);
+    }
+    return entries;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Copy one file out of a zip archive
+ * @param {string} zipPath - Path to the archive
+ * @param {Object} entry - From listZipEntries
+ * @param {string} outputFilePath - Where to write the file
+ * @returns {Promise<string>} outputFilePath
+ */
+function extractZipEntry(zipPath, entry, outputFilePath) {
+  return new Promise((resolve, reject) => {
+    if (entry.encrypted) {
+      reject(new Error(`'${entry.name}' is encrypted`));
+      return;
+    }
+    if (entry.method !== 0 && entry.method !== 8) {
+      reject(new Error(`'${entry.name}' uses compression method ${entry.method}; only stored and deflated entries are supported`));
+      return;
+    }
+
+    // The data follows the local header, whose name and extra field may differ in length from the central copy
+    const header = Buffer.alloc(30);
+    const fd = fs.openSync(zipPath, 'r');
+    try {
+      fs.readSync(fd, header, 0, 30, entry.headerOffset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (header.readUInt32LE(0) !== LOCAL_FILE_HEADER) {
+      reject(new Error(`'${entry.name}' has a damaged local header`));
+      return;
+    }
+    const dataStart = entry.headerOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+
+    if (entry.compressedSize === 0) {
+      fs.writeFileSync(outputFilePath, '');
+      resolve(outputFilePath);
+      return;
+    }
+    const source = fs.createReadStream(zipPath, { start: dataStart, end: dataStart + entry.compressedSize - 1 });
+    const stages = entry.method === 8 ? [source, zlib.createInflateRaw()] : [source];
+    pipeline(...stages, fs.createWriteStream(outputFilePath), (error) => {
+      if (error) {
+        reject(new Error(`Cannot extract '${entry.name}': ${error.message}`));
+      } else if (fs.statSync(outputFilePath).size !== entry.size) {
+        reject(new Error(`Cannot extract '${entry.name}': the archive is damaged (expected ${entry.size} bytes)`));
+      } else {
+        resolve(outputFilePath);
+      }
+    });
+  });
+}
+
+/**
+ * Turn a file name pattern into a regular expression: * matches any run of
+ * characters except '/', ? one character; matching ignores case
+ * @param {string} pattern - e.g. Account*.csv or exports/*.csv
+ */
+function compileNamePattern(pattern) {
+  const source = pattern.split('').map(char => {
+    if (char === '*') return '[^/]*';
+    if (char === '?') return '[^/]';
+    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check an archive entry name against a pattern. A pattern without a folder
+ * matches the file name in any folder; one with a folder matches the whole path.
+ * @param {string} pattern - File name pattern (see compileNamePattern)
+ * @param {string} entryName - Entry name, e.g. exports/Account.csv
+ */
+function matchesNamePattern(pattern, entryName) {
+  const name = pattern.includes('/') ? entryName : entryName.split('/').pop();
+  return compileNamePattern(pattern).test(name);
+}
+
+module.exports = {
+  isGzipFile,
+  isZipFile,
+  stripCompressionExtension,
+  openInputStream,
+  readInputSample,
+  listZipEntries,
+  extractZipEntry,
+  matchesNamePattern
+};
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const CSVValidator = require('./csvValidator');
+const { isGzipFile, isZipFile, stripCompressionExtension, readInputSample, listZipEntries, extractZipEntry, matchesNamePattern } = require('./compressedInput');
+const { detectEncoding, openTextStream, readDecodedHeaderLine } = require('./textEncoding');
+
+const CSV_TEXT = 'Id,Name\n1,Ann\n2,Bob\n';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-validator-test-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function writeFile(name, content) {
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a zip archive
+ * @param {Array} files - [{ name, content, stored }]
+ */
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  files.forEach(({ name, content, stored }) => {
+    const data = Buffer.from(content);
+    const packed = stored ? data : zlib.deflateRawSync(data);
+    const nameBytes = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt32LE(crc32(data), 16);
+    central.writeUInt32LE(packed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, packed);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + packed.length;
+  });
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk)).on('end', () => resolve(Buffer.concat(chunks).toString('utf8'))).on('error', reject);
+  });
+}
+
+test('gzip input is recognised by its bytes and read without unpacking', async () => {
+  const gzipFile = writeFile('accounts.data', zlib.gzipSync(CSV_TEXT));
+  assert.strictEqual(isGzipFile(gzipFile), true);
+  assert.strictEqual(isGzipFile(writeFile('plain.csv', CSV_TEXT)), false);
+  assert.strictEqual(readInputSample(gzipFile, 64 * 1024).toString('utf8'), CSV_TEXT);
+  assert.strictEqual(readDecodedHeaderLine(gzipFile), 'Id,Name');
+  assert.strictEqual(await readStream(openTextStream(gzipFile)), CSV_TEXT);
+});
+
+test('gzip UTF-16 input is inflated, then decoded', async () => {
+  const text = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(CSV_TEXT, 'utf16le')]);
+  const gzipFile = writeFile('utf16.csv.gz', zlib.gzipSync(text));
+  const encoding = detectEncoding(gzipFile);
+  assert.deepStrictEqual(encoding, { encoding: 'utf16le', bomLength: 2, source: 'bom' });
+  assert.strictEqual(await readStream(openTextStream(gzipFile, encoding)), CSV_TEXT);
+});
+
+test('a truncated gzip file is a read error', () => {
+  const whole = zlib.gzipSync(CSV_TEXT);
+  const truncated = writeFile('truncated.csv.gz', whole.subarray(0, 20));
+  assert.throws(() => readInputSample(truncated, 64 * 1024), /Cannot read gzip file .*unexpected end of file/);
+});
+
+test('validateInputFile rejects a truncated gzip file instead of failing its headers', async () => {
+  const mappingFile = writeFile('mapping.csv', 'Target Field Name,Null Allowed,Target Data Type\nId,No,string\nName,No,string\n');
+  const truncated = writeFile('cut.csv.gz', zlib.gzipSync(CSV_TEXT).subarray(0, 20));
+  const validator = new CSVValidator();
+  await validator.loadMappingRules(mappingFile);
+  await assert.rejects(validator.validateInputFile(truncated), (error) => error.code !== 'HEADER_VALIDATION_FAILED' && /gzip/.test(error.message));
+});
+
+test('stripCompressionExtension drops .gz only', () => {
+  assert.strictEqual(stripCompressionExtension('exports/Account.csv.gz'), 'exports/Account.csv');
+  assert.strictEqual(stripCompressionExtension('Account.csv'), 'Account.csv');
+});
+
+test('zip entries are listed and extracted, stored or deflated', async () => {
+  const zipFile = writeFile('bundle.zip', buildZip([
+    { name: 'exports/', content: '' },
+    { name: 'exports/Account.csv', content: CSV_TEXT },
+    { name: 'Contact.csv', content: CSV_TEXT, stored: true },
+    { name: '__MACOSX/._Contact.csv', content: 'x' }
+  ]));
+  assert.strictEqual(isZipFile(zipFile), true);
+  const entries = listZipEntries(zipFile);
+  assert.deepStrictEqual(entries.map(entry => entry.name), ['exports/Account.csv', 'Contact.csv']);
+  for (const entry of entries) {
+    const outputFile = await extractZipEntry(zipFile, entry, path.join(tempDir, path.basename(entry.name)));
+    assert.strictEqual(fs.readFileSync(outputFile, 'utf8'), CSV_TEXT);
+  }
+});
+
+test('a truncated zip archive is reported', async () => {
+  const archive = buildZip([{ name: 'Account.csv', content: CSV_TEXT.repeat(50) }]);
+  const truncated = writeFile('truncated.zip', archive.subarray(0, 40));
+  assert.throws(() => listZipEntries(truncated), /no central directory/);
+
+  // A central directory pointing past the data that is left
+  const entries = listZipEntries(writeFile('whole.zip', archive));
+  const damaged = writeFile('damaged.zip', Buffer.concat([archive.subarray(0, 60), Buffer.alloc(archive.length - 60)]));
+  await assert.rejects(extractZipEntry(damaged, entries[0], path.join(tempDir, 'out.csv')), /Cannot extract 'Account.csv'/);
+});
+
+test('file name patterns match archive entries', () => {
+  assert.strictEqual(matchesNamePattern('Account*.csv', 'exports/Account_2024.csv'), true);
+  assert.strictEqual(matchesNamePattern('account?.CSV', 'Account1.csv'), true);
+  assert.strictEqual(matchesNamePattern('exports/*.csv', 'other/Account.csv'), false);
+  assert.strictEqual(matchesNamePattern('exports/*.csv', 'exports/Account.csv'), true);
+  assert.strictEqual(matchesNamePattern('*.csv', 'Account.csv.gz'), false);
+});
@@ -0,0 +1,254 @@
+/**
+ * Structural checks of delimited text, and physical line numbers.
+ *
+ * csv-parser reads past ragged rows and stray quotes without complaint, and
+ * its rows are numbered by record, not by line. The tracker here sits in front
+ * of it: it keeps the text the parser has not finished with, and when the
+ * parser reports where the next record starts (its byte offset), the text of
+ * the record before is complete. That text is scanned again, quote-aware, for
+ * the line the record starts on, its column count, quoting, trailing
+ * delimiter and line ending, so every record reaches the validator together
+ * with its line number and structure problems.
+ */
+
+const { Transform } = require('stream');
+
+const LINE_ENDING_NAMES = { '\r\n': 'CRLF', '\n': 'LF', '\r': 'CR' };
+
+/**
+ * Split one record into cells, RFC 4180 style: a field opening with a quote
+ * runs to the matching quote, and a doubled quote inside it is a literal quote
+ * @param {string} text - Record text without its line ending
+ * @param {string} delimiter - Delimiter character
+ * @returns {Object} { cells, quoteProblem, trailingDelimiter } - quoteProblem is
+ *   { reason: 'unterminated' | 'stray' | 'afterQuote', column } for the first bad quote, or null
+ */
+function splitRecord(text, delimiter) {
+  const cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let fieldStart = true;
+  let closed = false;
+  let quoteProblem = null;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (inQuotes) {
+      if (char !== '"') {
+        cell += char;
+      } else if (text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else {
+        inQuotes = false;
+        closed = true;
+      }
+      continue;
+    }
+    if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+      fieldStart = true;
+      closed = false;
+      continue;
+    }
+    if (char === '"' && fieldStart) {
+      inQuotes = true;
+      fieldStart = false;
+      continue;
+    }
+    if (!quoteProblem && (char === '"' || closed)) {
+      quoteProblem = { reason: char === '"' && !closed ? 'stray' : 'afterQuote', column: cells.length + 1 };
+    }
+    cell += char;
+    fieldStart = false;
+  }
+  cells.push(cell);
+
+  if (inQuotes) {
+    quoteProblem = { reason: 'unterminated', column: cells.length };
+  }
+  return { cells, quoteProblem, trailingDelimiter: !inQuotes && text.length > 0 && text.endsWith(delimiter) };
+}
+
+/**
+ * Describe the raw text of one record
+ * @param {string} text - Record text as read, including its line ending
+ * @param {string} delimiter - Delimiter character
+ * @returns {Object} { ending, lineBreaks, blank, columns, quoteProblem, trailingDelimiter }
+ */
+function analyzeRecordText(text, delimiter) {
+  const endingMatch = text.match(/\r\n$|\n$|\r$/);
+  const ending = endingMatch ? endingMatch[0] : '';
+  const body = text.slice(0, text.length - ending.length);
+  const { cells, quoteProblem, trailingDelimiter } = splitRecord(body, delimiter);
+  return {
+    ending,
+    lineBreaks: (text.match(/\r\n|\r|\n/g) || []).length,
+    blank: body.trim() === '',
+    columns: cells.length,
+    quoteProblem,
+    trailingDelimiter
+  };
+}
+
+/**
+ * Structure problems of a record, measured against the header
+ * @param {Object} shape - From analyzeRecordText
+ * @param {Object} header - analyzeRecordText of the header line
+ * @param {number} line - Line the record starts on
+ * @returns {Array} [{ code, params }]
+ */
+function getStructureProblems(shape, header, line) {
+  if (shape.blank) {
+    return [{ code: 'BLANK_LINE', params: {} }];
+  }
+
+  const problems = [];
+  const endLine = line + shape.lineBreaks - (shape.ending ? 1 : 0);
+  if (shape.quoteProblem) {
+    // A bad quote shifts every later column, so the column count says nothing more
+    problems.push({ code: 'UNBALANCED_QUOTES', params: { ...shape.quoteProblem, line, endLine } });
+  } else if (shape.trailingDelimiter && shape.columns === header.columns + 1) {
+    problems.push({ code: 'TRAILING_DELIMITER', params: { expected: header.columns } });
+  } else if (shape.columns !== header.columns) {
+    problems.push({ code: 'COLUMN_COUNT_MISMATCH', params: { actual: shape.columns, expected: header.columns } });
+  }
+  if (shape.ending && header.ending && shape.ending !== header.ending) {
+    problems.push({ code: 'MIXED_LINE_ENDINGS', params: { ending: LINE_ENDING_NAMES[shape.ending], expected: LINE_ENDING_NAMES[header.ending] } });
+  }
+  return problems;
+}
+
+/**
+ * Follows a csv-parser stream to give each record its line number and structure problems.
+ *
+ *   const tracker = new RecordStructureTracker(',');
+ *   stream.pipe(tracker.createTap()).pipe(csv({ outputByteOffset: true }))
+ *     .on('data', ({ row, byteOffset }) => emit(tracker.addRecord(row, byteOffset)))
+ *     .on('end', () => emit(tracker.finish()));
+ *
+ * A record is complete when the next one starts, so each call hands back the
+ * record before: { row, byteOffset, line, blank, problems }, or null for the header.
+ */
+class RecordStructureTracker {
+  /**
+   * @param {string} delimiter - Delimiter character
+   */
+  constructor(delimiter) {
+    this.delimiter = delimiter;
+    this.buffer = Buffer.alloc(0);
+    this.bufferStart = 0; // Stream offset of buffer[0]
+    this.nextLine = 1;
+    this.header = null;
+    this.pending = null;
+  }
+
+  /**
+   * Pass-through stream that keeps the text for the tracker; pipe it in front of csv-parser
+   */
+  createTap() {
+    return new Transform({
+      transform: (chunk, _encoding, callback) => {
+        // A copy: csv-parser unescapes doubled quotes in place in the chunk it is given
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : Buffer.from(chunk);
+        callback(null, chunk);
+      }
+    });
+  }
+
+  /**
+   * Note the start of a record
+   * @param {Object} row - Record from csv-parser
+   * @param {number} byteOffset - Stream offset where it starts
+   * @returns {Object|null} The previous record, now complete
+   */
+  addRecord(row, byteOffset) {
+    const complete = this.completeUpTo(byteOffset);
+    this.pending = { row, byteOffset };
+    return complete;
+  }
+
+  /**
+   * Complete the last record at the end of the stream
+   * @returns {Object|null} The last record
+   */
+  finish() {
+    const complete = this.completeUpTo(this.bufferStart + this.buffer.length);
+    this.pending = null;
+    return complete;
+  }
+
+  completeUpTo(end) {
+    const length = end - this.bufferStart;
+    const shape = analyzeRecordText(this.buffer.toString('utf8', 0, length), this.delimiter);
+    this.buffer = this.buffer.subarray(length);
+    this.bufferStart = end;
+
+    const line = this.nextLine;
+    this.nextLine += shape.lineBreaks;
+    if (!this.pending) {
+      this.header = shape;
+      return null;
+    }
+    return {
+      row: this.pending.row,
+      byteOffset: this.pending.byteOffset,
+      line,
+      blank: shape.blank,
+      problems: getStructureProblems(shape, this.header, line)
+    };
+  }
+}
+
+/**
+ * Line numbers of records, kept as the points where the gap between record
+ * and line number changes, so a run of ordinary one-line records costs nothing
+ */
+class LineIndex {
+  constructor() {
+    this.rowNumbers = [];
+    this.offsets = [];
+  }
+
+  /**
+   * @param {number} rowNumber - Record number (increasing)
+   * @param {number} line - Line the record starts on
+   */
+  add(rowNumber, line) {
+    const offset = line - rowNumber;
+    if (this.offsets.length === 0 || this.offsets[this.offsets.length - 1] !== offset) {
+      this.rowNumbers.push(rowNumber);
+      this.offsets.push(offset);
+    }
+  }
+
+  /**
+   * @param {number} rowNumber - Record number
+   * @returns {number|null} Line the record starts on
+   */
+  lineOf(rowNumber) {
+    let low = 0;
+    let high = this.rowNumbers.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (this.rowNumbers[middle] <= rowNumber) {
+        found = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return found === -1 ? null : rowNumber + this.offsets[found];
+  }
+}
+
+module.exports = {
+  LINE_ENDING_NAMES,
+  splitRecord,
+  analyzeRecordText,
+  getStructureProblems,
+  RecordStructureTracker,
+  LineIndex
+};
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const { splitRecord, analyzeRecordText, getStructureProblems, RecordStructureTracker, LineIndex } = require('./csvStructure');
+
+/**
+ * Run text through the tracker and csv-parser as validateInputFile does
+ * @param {string} text - File content
+ * @param {number} chunkSize - Bytes per chunk, to cut records across chunks
+ * @returns {Promise<Array>} Tracked records
+ */
+function trackRecords(text, chunkSize = 64 * 1024) {
+  return new Promise((resolve, reject) => {
+    const bytes = Buffer.from(text);
+    const chunks = [];
+    for (let start = 0; start < bytes.length; start += chunkSize) {
+      chunks.push(bytes.subarray(start, start + chunkSize));
+    }
+    const tracker = new RecordStructureTracker(',');
+    const records = [];
+    const keep = (tracked) => tracked && records.push(tracked);
+    Readable.from(chunks)
+      .pipe(tracker.createTap())
+      .pipe(csv({ outputByteOffset: true }))
+      .on('data', ({ row, byteOffset }) => keep(tracker.addRecord(row, byteOffset)))
+      .on('end', () => {
+        keep(tracker.finish());
+        resolve(records);
+      })
+      .on('error', reject);
+  });
+}
+
+test('splitRecord reads quoted fields and doubled quotes', () => {
+  const { cells, quoteProblem, trailingDelimiter } = splitRecord('3,"Ca""roll","a,b"', ',');
+  assert.deepStrictEqual(cells, ['3', 'Ca"roll', 'a,b']);
+  assert.strictEqual(quoteProblem, null);
+  assert.strictEqual(trailingDelimiter, false);
+});
+
+test('splitRecord finds bad quotes', () => {
+  assert.deepStrictEqual(splitRecord('1,"open', ',').quoteProblem, { reason: 'unterminated', column: 2 });
+  assert.deepStrictEqual(splitRecord('1,ab"c', ',').quoteProblem, { reason: 'stray', column: 2 });
+  assert.deepStrictEqual(splitRecord('1,"ab"c', ',').quoteProblem, { reason: 'afterQuote', column: 2 });
+  assert.strictEqual(splitRecord('1,2,', ',').trailingDelimiter, true);
+});
+
+test('getStructureProblems measures records against the header', () => {
+  const header = analyzeRecordText('a,b,c\n', ',');
+  const codes = (text) => getStructureProblems(analyzeRecordText(text, ','), header, 2).map(problem => problem.code);
+  assert.deepStrictEqual(codes('1,2,3\n'), []);
+  assert.deepStrictEqual(codes('1,2\n'), ['COLUMN_COUNT_MISMATCH']);
+  assert.deepStrictEqual(codes('1,2,3,\n'), ['TRAILING_DELIMITER']);
+  assert.deepStrictEqual(codes('\n'), ['BLANK_LINE']);
+  assert.deepStrictEqual(codes('1,2,3\r\n'), ['MIXED_LINE_ENDINGS']);
+  assert.deepStrictEqual(codes('1,"2,3\n'), ['UNBALANCED_QUOTES']);
+});
+
+test('RecordStructureTracker sees doubled quotes as written, not as unescaped by csv-parser', async () => {
+  const text = 'Id,Name,Amount\n1,Ann,1.00\n3,"Ca""roll",1.00\n4,"""Quoted""",2.00\n';
+  for (const chunkSize of [7, 64 * 1024]) {
+    const records = await trackRecords(text, chunkSize);
+    assert.deepStrictEqual(records.map(record => record.problems), [[], [], []], `chunks of ${chunkSize} bytes`);
+    assert.strictEqual(records[1].row.Name, 'Ca"roll');
+    assert.strictEqual(records[2].row.Name, '"Quoted"');
+  }
+});
+
+test('RecordStructureTracker gives each record the line it starts on', async () => {
+  const records = await trackRecords('Id,Note\n1,"two\nlines"\n\n2,x\n');
+  assert.deepStrictEqual(records.map(record => record.line), [2, 4, 5]);
+  assert.strictEqual(records[1].blank, true);
+  assert.deepStrictEqual(records[1].problems.map(problem => problem.code), ['BLANK_LINE']);
+});
+
+test('LineIndex looks up lines across the points where they shift', () => {
+  const index = new LineIndex();
+  [[1, 2], [2, 3], [3, 5], [4, 6]].forEach(([rowNumber, line]) => index.add(rowNumber, line));
+  assert.deepStrictEqual([1, 2, 3, 4, 10].map(rowNumber => index.lineOf(rowNumber)), [2, 3, 5, 6, 12]);
+  assert.strictEqual(index.lineOf(0), null);
+});
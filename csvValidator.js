@@ -1,12 +1,64 @@
 const fs = require('fs');
+const path = require('path');
 const csv = require('csv-parser');
+const { createObjectCsvWriter, createObjectCsvStringifier } = require('csv-writer');
 const XLSX = require('xlsx');
 const _ = require('lodash');
+const { ISSUE_TYPES, createIssue, formatPriority } = require('./validationIssues');
+const { forEachLineSync, BufferedLineWriter } = require('./fileUtils');
+const { detectEncoding, describeEncoding, openTextStream, forEachDecodedLineSync, readDecodedHeaderLine } = require('./textEncoding');
+const { isGzipFile } = require('./compressedInput');
+const { splitRecord, RecordStructureTracker, LineIndex } = require('./csvStructure');
+const { parseRecordRule, evaluateRecordRule, describeRecordRule } = require('./recordRules');
+const DuplicateIndex = require('./duplicateIndex');
+const { compileDateFormat, resolveFormat, validateDateValue } = require('./dateFormats');
+const { resolveFieldType, validateRecordId, isValidEmail, isValidUrl, isValidPhone, splitMultiPicklist } = require('./salesforceTypes');
+const { MAPPING_COLUMNS, readFieldDefinitions, fieldsToMappingRows } = require('./mappingImport');
+const { lintMappingRows } = require('./mappingLinter');
+const { matchHeaders, describeHeaderPolicy } = require('./headerMatching');
+const { evaluateQualityGates } = require('./qualityGates');
+const { renderJunitXml } = require('./ciReports');
+const { REJECT_COLUMNS, RowSplitter, forEachRawRecord, formatCell, findQuotedCells, splitLineEnding } = require('./rowSplitter');
+const { parseTransforms, expandTransforms, applyTransforms } = require('./remediation');
+const ColumnProfiler = require('./columnProfiler');
+const { MAX_ALLOWED_VALUES, profilesToMappingRows } = require('./mappingInference');
+const { SNAPSHOT_VERSION, DUPLICATE_KEY_SAMPLE_SIZE, SnapshotIssueLog, readSnapshot, compareSnapshots } = require('./runComparison');
+const { SEVERITY_LEVELS, parseSeverity, formatSeverity, resolveSeverity } = require('./severity');
+const { CellDate, formatCellAddress, readSheet } = require('./excelInput');
+const {
+  JSON_KEY_SAMPLE_SIZE, resolveInputFormat, getFixedWidthLayout, checkFixedWidthLayout, readFixedWidthRecord,
+  parseJsonLine, collectJsonPaths, checkJsonKeys, readJsonRecord
+} = require('./recordFormats');
 
 class CSVValidator {
   constructor() {
     this.validationRules = [];
+    this.recordRules = [];
     this.validationResults = [];
+    this.duplicateGroups = [];
+    this.duplicateRowIssues = []; // Per-row DUPLICATE_KEY issues of a streamed run, in row order
+    this.referenceSets = new Map();
+    this.maxTrackedOrphans = 100000; // Distinct missing keys remembered per field
+    this.aggregates = null;
+    this.streaming = false;
+    this.issuesFilePath = null;
+    this.reportRowLimit = 50000; // Max detail rows per sheet in streaming mode
+    this.inputFilePath = null;
+    this.delimiter = null;
+    this.inputFormat = 'csv'; // csv, excel, fixed-width or jsonl (see resolveInputFormat)
+    this.inputSheet = null; // { sheetName, headerRow, columnLetters } when the input is a workbook
+    this.inputEncoding = null; // { encoding, bomLength, source } of text input (see detectEncoding)
+    this.lineIndex = new LineIndex(); // Row number -> line (sheet row for workbooks) where the record starts
+    this.qualityGateResult = null;
+    this.splitResult = null;
+    this.remediationResult = null;
+    this.columnProfiles = null;
+    this.recordKey = null; // Fields identifying a record in run snapshots (null = row number)
+    this.snapshotIssues = null; // SnapshotIssueLog of the last run
+    this.duplicateRecordKeys = []; // Record keys shared by several rows, from DuplicateIndex.finalize
+    this.runComparison = null;
+    this.severityOverrides = null; // Run-wide severity per check (see setSeverityOverrides)
+    this.junitSampleLimit = 10; // Sample issues listed per failing JUnit testcase
   }
 
   /**
@@ -16,50 +68,280 @@ class CSVValidator {
   loadMappingRules(mappingFilePath) {
     return new Promise((resolve, reject) => {
       const rules = [];
+      let parseError = null;
       
-      fs.createReadStream(mappingFilePath)
+      openTextStream(mappingFilePath)
         .pipe(csv())
         .on('data', (row) => {
-          // Handle different column name formats with priority order
-          const fieldName = row['Target Field Name'] || row['TargetFieldName'] || row['Field Name'] || row['fieldName'];
-          const dataType = row['Target Data Type'] || row['TargetDataType'] || row['Data Type'] || row['dataType'] || row['may come '] || row['may come'];
-          const nullAllowed = row['Null Allowed'] || row['NullAllowed'] || row['Required'] || row['required'];
-          const description = row['Description'] || row['description'];
-          
-          // Additional optional fields
-          const minLength = this.parseNumber(row['Min Length'] || row['MinLength'] || row['minLength']);
-          const maxLength = this.parseNumber(row['Max Length'] || row['MaxLength'] || row['maxLength']);
-          const pattern = row['Pattern'] || row['pattern'];
-          const allowedValues = row['Allowed Values'] || row['AllowedValues'] || row['allowedValues'];
-
-          // Skip rows without essential information
-          if (!fieldName || !dataType) {
-            console.warn(`Skipping row with missing field name or data type: ${JSON.stringify(row)}`);
+          if (parseError) return;
+          try {
+            const rule = this.buildRule(row, rules.length + 1, path.dirname(mappingFilePath));
+            if (rule) rules.push(rule);
+          } catch (error) {
+            parseError = error;
+          }
+        })
+        .on('end', () => {
+          if (parseError) {
+            reject(parseError);
             return;
           }
+          this.validationRules = rules;
+          console.log(`Loaded ${rules.length} validation rules`);
+          resolve(rules);
+        })
+        .on('error', (error) => {
+          reject(error);
+        });
+    });
+  }
 
-          // Parse null allowed field - handle various formats
-          const isNullAllowed = this.parseNullAllowed(nullAllowed);
-          
-          // Normalize data type to handle mixed case and various formats
-          const normalizedDataType = this.normalizeDataType(dataType);
-
-          rules.push({
-            fieldName: fieldName.trim(),
-            dataType: normalizedDataType,
-            originalDataType: dataType.trim(), // Keep original for display
-            required: !isNullAllowed, // Invert since "Null Allowed" means not required
-            nullAllowed: isNullAllowed, // Store the original null allowed value
-            minLength,
-            maxLength,
-            pattern,
-            allowedValues,
-            description: description ? description.trim() : ''
+  /**
+   * Build a validation rule from one mapping row
+   * @param {Object} row - Mapping row keyed by column name
+   * @param {number} ruleIndex - Position of the rule in the mapping
+   * @param {string} baseDir - Directory that relative reference files resolve against
+   * @returns {Object|null} The rule, or null when the row has no field name or data type
+   */
+  buildRule(row, ruleIndex, baseDir) {
+    // Handle different column name formats with priority order
+    const fieldName = row['Target Field Name'] || row['TargetFieldName'] || row['Field Name'] || row['fieldName'];
+    const dataType = row['Target Data Type'] || row['TargetDataType'] || row['Data Type'] || row['dataType'] || row['may come '] || row['may come'];
+    const nullAllowed = row['Null Allowed'] || row['NullAllowed'] || row['Required'] || row['required'];
+    const description = row['Description'] || row['description'];
+
+    // Additional optional fields
+    const minLength = this.parseNumber(row['Min Length'] || row['MinLength'] || row['minLength']);
+    const maxLength = this.parseNumber(row['Max Length'] || row['MaxLength'] || row['maxLength']);
+    const pattern = row['Pattern'] || row['pattern'];
+    const allowedValues = row['Allowed Values'] || row['AllowedValues'] || row['allowedValues'];
+    const unique = this.parseUniqueFlag(row['Unique'] || row['unique'] || row['Unique Key'] || row['UniqueKey']);
+    const primaryKey = this.parseUniqueFlag(row['Primary Key'] || row['PrimaryKey'] || row['primaryKey']) === true;
+    const referenceFile = row['Reference File'] || row['ReferenceFile'] || row['referenceFile'];
+    const referenceField = row['Reference Field'] || row['ReferenceField'] || row['referenceField'];
+    const format = row['Format'] || row['format'] || row['Date Format'] || row['DateFormat'];
+    const aliases = row['Aliases'] || row['Alias'] || row['aliases'];
+    const transforms = row['Transforms'] || row['Transform'] || row['transforms'];
+    const severity = row['Severity'] || row['severity'];
+    const startPosition = row['Start Position'] || row['StartPosition'] || row['startPosition'];
+    const fieldLength = row['Field Length'] || row['FieldLength'] || row['fieldLength'];
+    const jsonPath = row['JSON Path'] || row['JsonPath'] || row['jsonPath'];
+
+    // Skip rows without essential information
+    if (!fieldName || !dataType) {
+      console.warn(`Skipping row with missing field name or data type: ${JSON.stringify(row)}`);
+      return null;
+    }
+
+    // Parse null allowed field - handle various formats
+    const isNullAllowed = this.parseNullAllowed(nullAllowed);
+
+    // Normalize data type to handle mixed case and various formats
+    const normalizedDataType = this.normalizeDataType(dataType);
+
+    // Compile declared date formats and transforms up front so a typo fails the load, not every row
+    let transformSteps;
+    let severitySetting;
+    try {
+      if (format && format.trim()) {
+        compileDateFormat(format);
+      }
+      transformSteps = parseTransforms(transforms);
+      transformSteps.filter(step => step.name === 'date').forEach(step => step.args.forEach(arg => compileDateFormat(arg)));
+      severitySetting = parseSeverity(severity);
+      [['Start Position', startPosition], ['Field Length', fieldLength]].forEach(([column, value]) => {
+        if (value && value.trim() && !/^[1-9]\d*$/.test(value.trim())) {
+          throw new Error(`${column} '${value.trim()}' is not a whole number from 1`);
+        }
+      });
+    } catch (error) {
+      throw new Error(`Field '${fieldName.trim()}': ${error.message}`);
+    }
+
+    return {
+      ruleIndex,
+      fieldName: fieldName.trim(),
+      dataType: normalizedDataType,
+      originalDataType: dataType.trim(), // Keep original for display
+      fieldType: resolveFieldType(dataType), // Catalogue type with platform limits (null if not a catalogue type)
+      required: !isNullAllowed, // Invert since "Null Allowed" means not required
+      nullAllowed: isNullAllowed, // Store the original null allowed value
+      minLength,
+      maxLength,
+      pattern,
+      allowedValues,
+      unique: unique === true,
+      uniqueKey: typeof unique === 'string' ? unique : null,
+      primaryKey,
+      referenceFile: referenceFile && referenceFile.trim() ? path.resolve(baseDir, referenceFile.trim()) : null,
+      referenceField: referenceField && referenceField.trim() ? referenceField.trim() : null,
+      format: format && format.trim() ? format.trim() : null,
+      aliases: aliases ? aliases.split(';').map(alias => alias.trim()).filter(Boolean) : [], // Other input header names for this field
+      transforms: transformSteps, // Fixes applied by fixInputFile, in order
+      severity: severitySetting, // { level, overrides } from the Severity column, or null for catalogue defaults
+      startPosition: startPosition && startPosition.trim() ? Number(startPosition) : null, // Fixed-width input: first character, from 1
+      fieldLength: fieldLength && fieldLength.trim() ? Number(fieldLength) : null, // Fixed-width input: characters in the field
+      jsonPath: jsonPath && jsonPath.trim() ? jsonPath.trim() : null, // JSON Lines input: dotted path to the value (default: the field name)
+      description: description ? description.trim() : ''
+    };
+  }
+
+  /**
+   * Build validation rules from a Salesforce object definition instead of a mapping CSV
+   * @param {string} sourcePath - Describe JSON, .object file, .field-meta.xml file or object folder
+   */
+  async importMapping(sourcePath) {
+    const { objectName, fields } = readFieldDefinitions(sourcePath);
+    const rows = fieldsToMappingRows(fields);
+    const baseDir = path.dirname(path.resolve(sourcePath));
+    const rules = [];
+
+    rows.forEach(row => {
+      const rule = this.buildRule(row, rules.length + 1, baseDir);
+      if (rule) rules.push(rule);
+    });
+
+    this.validationRules = rules;
+    console.log(`Imported ${rules.length} validation rules${objectName ? ` from ${objectName}` : ''}`);
+    return rules;
+  }
+
+  /**
+   * Draft validation rules from a sample input file: one rule per header, with
+   * the type, nullability, length and allowed values its data suggests
+   * @param {string} inputFilePath - Sample input file
+   * @param {string} delimiter - Delimiter character (default: auto-detect)
+   */
+  async inferMapping(inputFilePath, delimiter = null) {
+    const profiles = await this.profileInputFile(inputFilePath, delimiter, { topValueCount: MAX_ALLOWED_VALUES });
+    const rows = profilesToMappingRows(profiles);
+    const baseDir = path.dirname(path.resolve(inputFilePath));
+    const rules = [];
+
+    rows.forEach(row => {
+      const rule = this.buildRule(row, rules.length + 1, baseDir);
+      if (rule) rules.push(rule);
+    });
+
+    this.validationRules = rules;
+    console.log(`Inferred ${rules.length} validation rules from ${inputFilePath}`);
+    return rules;
+  }
+
+  /**
+   * Write validation rules back out as a mapping CSV that loadMappingRules can read
+   * @param {string} outputPath - Path of the mapping CSV to write
+   * @param {Array} rules - Rules to write (defaults to the loaded rules)
+   */
+  async writeMappingFile(outputPath, rules = this.validationRules) {
+    const outputDir = path.dirname(path.resolve(outputPath));
+    const rows = rules.map(rule => ({
+      'Target Field Name': rule.fieldName,
+      'Null Allowed': rule.nullAllowed ? 'Yes' : 'No',
+      'Target Data Type': rule.originalDataType,
+      'Allowed Values': rule.allowedValues || '',
+      'Unique': rule.unique ? 'Yes' : rule.uniqueKey || '',
+      'Description': rule.description,
+      'Min Length': rule.minLength !== undefined ? rule.minLength : '',
+      'Max Length': rule.maxLength !== undefined ? rule.maxLength : '',
+      'Pattern': rule.pattern || '',
+      'Primary Key': rule.primaryKey ? 'Yes' : '',
+      'Reference File': rule.referenceFile ? path.relative(outputDir, rule.referenceFile) : '',
+      'Reference Field': rule.referenceField || '',
+      'Format': rule.format || '',
+      'Aliases': (rule.aliases || []).join(';'),
+      'Transforms': this.describeTransforms(rule),
+      'Severity': formatSeverity(rule.severity),
+      'Start Position': rule.startPosition || '',
+      'Field Length': rule.fieldLength || '',
+      'JSON Path': rule.jsonPath || ''
+    }));
+
+    // Optional columns are only written when at least one rule uses them
+    const optionalColumns = Object.keys(rows[0] || {})
+      .filter(column => !MAPPING_COLUMNS.includes(column))
+      .filter(column => rows.some(row => row[column] !== ''));
+
+    const writer = createObjectCsvWriter({
+      path: outputPath,
+      header: [...MAPPING_COLUMNS, ...optionalColumns].map(column => ({ id: column, title: column }))
+    });
+    await writer.writeRecords(rows);
+    console.log(`Mapping with ${rows.length} fields written to: ${outputPath}`);
+  }
+
+  /**
+   * Check a mapping file on its own, without an input file
+   * @param {string} mappingFilePath - Path to the mapping CSV file
+   * @returns {Promise<Object>} { mappingFile, findings, errorCount, warningCount, isValid }
+   */
+  lintMapping(mappingFilePath) {
+    return new Promise((resolve, reject) => {
+      const rows = [];
+      let headers = [];
+
+      openTextStream(mappingFilePath)
+        .pipe(csv())
+        .on('headers', (headerList) => {
+          headers = headerList;
+        })
+        .on('data', (row) => {
+          rows.push(row);
+        })
+        .on('end', () => {
+          const findings = lintMappingRows(rows, headers, { validator: this, baseDir: path.dirname(mappingFilePath) });
+          const errorCount = findings.filter(finding => finding.severity === 'error').length;
+          resolve({
+            mappingFile: mappingFilePath,
+            findings,
+            errorCount,
+            warningCount: findings.length - errorCount,
+            isValid: errorCount === 0
           });
         })
+        .on('error', (error) => {
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * Load record-level (cross-field) rules from CSV file
+   * @param {string} recordRulesFilePath - Path to the record rules CSV file
+   */
+  loadRecordRules(recordRulesFilePath) {
+    return new Promise((resolve, reject) => {
+      const rules = [];
+      let parseError = null;
+
+      openTextStream(recordRulesFilePath)
+        .pipe(csv())
+        .on('data', (row) => {
+          if (parseError) return;
+          try {
+            rules.push(parseRecordRule(row, rules.length + 1));
+          } catch (error) {
+            parseError = error;
+          }
+        })
         .on('end', () => {
-          this.validationRules = rules;
-          console.log(`Loaded ${rules.length} validation rules`);
+          if (parseError) {
+            reject(parseError);
+            return;
+          }
+
+          // Flag fields that the mapping does not know about
+          if (this.validationRules.length > 0) {
+            const knownFields = new Set(this.validationRules.map(rule => rule.fieldName));
+            rules.forEach(rule => {
+              rule.fields.filter(field => !knownFields.has(field)).forEach(field => {
+                console.warn(`Record rule '${rule.name}' references field '${field}' which is not in the mapping`);
+              });
+            });
+          }
+
+          this.recordRules = rules;
+          console.log(`Loaded ${rules.length} record rules`);
           resolve(rules);
         })
         .on('error', (error) => {
@@ -68,6 +350,73 @@ class CSVValidator {
     });
   }
 
+  /**
+   * Load the reference value sets used by referential integrity checks.
+   * Each distinct reference file/column pair is read once and cached.
+   */
+  async loadReferenceSets() {
+    for (const rule of this.validationRules) {
+      if (!rule.referenceFile) continue;
+
+      const referenceField = rule.referenceField || rule.fieldName;
+      const key = this.getReferenceKey(rule);
+      if (this.referenceSets.has(key)) continue;
+
+      if (!fs.existsSync(rule.referenceFile)) {
+        throw new Error(`Reference file '${rule.referenceFile}' for field '${rule.fieldName}' not found`);
+      }
+
+      const values = await this.readReferenceValues(rule.referenceFile, referenceField);
+      this.referenceSets.set(key, values);
+      console.log(`Loaded ${values.size} reference values from ${path.basename(rule.referenceFile)} (${referenceField})`);
+    }
+  }
+
+  /**
+   * Read the distinct values of one column of a reference file
+   * @param {string} referenceFilePath - Path to the reference file
+   * @param {string} referenceField - Column holding the key values
+   */
+  readReferenceValues(referenceFilePath, referenceField) {
+    return new Promise((resolve, reject) => {
+      const values = new Set();
+      let headerChecked = false;
+
+      openTextStream(referenceFilePath)
+        .pipe(csv({ separator: this.detectDelimiter(referenceFilePath) }))
+        .on('headers', (headers) => {
+          headerChecked = true;
+          if (!headers.includes(referenceField)) {
+            reject(new Error(`Reference file '${referenceFilePath}' has no column '${referenceField}'`));
+          }
+        })
+        .on('data', (row) => {
+          const value = row[referenceField];
+          if (!this.isEmptyValue(value)) {
+            values.add(String(value).trim());
+          }
+        })
+        .on('end', () => {
+          if (!headerChecked) {
+            reject(new Error(`Reference file '${referenceFilePath}' is empty`));
+            return;
+          }
+          resolve(values);
+        })
+        .on('error', (error) => {
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * Cache key of the reference set used by a rule
+   * @param {Object} rule - The validation rule
+   */
+  getReferenceKey(rule) {
+    return `${rule.referenceFile}::${rule.referenceField || rule.fieldName}`;
+  }
+
   /**
    * Parse null allowed field with smart handling of various formats
    * @param {string} value - The null allowed value
@@ -77,6 +426,22 @@ class CSVValidator {
       return false; // Default to not allowing null if not specified
     }
     
+    const isNullAllowed = this.classifyNullAllowed(value);
+    if (isNullAllowed !== null) {
+      return isNullAllowed;
+    }
+    
+    // Default to false for unrecognized values
+    console.warn(`Unrecognized 'Null Allowed' value: '${value}'. Defaulting to false (not allowed).`);
+    return false;
+  }
+
+  /**
+   * Interpret a "Null Allowed" value without applying a default
+   * @param {string} value - The value to interpret
+   * @returns {boolean|null} true/false, or null when the value is not recognized
+   */
+  classifyNullAllowed(value) {
     const lowerValue = value.toString().toLowerCase().trim();
     
     // Handle various "Yes" formats
@@ -88,31 +453,95 @@ class CSVValidator {
     if (lowerValue === 'no' || lowerValue === 'n' || lowerValue === 'false' || lowerValue === '0' || lowerValue === 'deny' || lowerValue === 'denied' || lowerValue === 'required') {
       return false;
     }
-    
-    // Default to false for unrecognized values
-    console.warn(`Unrecognized 'Null Allowed' value: '${value}'. Defaulting to false (not allowed).`);
-    return false;
+
+    return null;
+  }
+
+  /**
+   * Parse the Unique / Primary Key mapping columns
+   * @param {string} value - Column value
+   * @returns {boolean|string} true for a single-field constraint, a key name for a
+   *   composite key shared by every field with the same name, false otherwise
+   */
+  parseUniqueFlag(value) {
+    if (value === undefined || value === null) return false;
+
+    const trimmed = value.toString().trim();
+    const lowerValue = trimmed.toLowerCase();
+    if (lowerValue === '' || lowerValue === 'no' || lowerValue === 'n' || lowerValue === 'false' || lowerValue === '0') {
+      return false;
+    }
+    if (lowerValue === 'yes' || lowerValue === 'y' || lowerValue === 'true' || lowerValue === '1') {
+      return true;
+    }
+    return trimmed;
+  }
+
+  /**
+   * Build the uniqueness constraints declared in the mapping
+   * @returns {Array} Constraints: { name, type, fields }
+   */
+  getUniqueConstraints() {
+    const constraints = [];
+
+    const primaryKeyFields = this.validationRules.filter(rule => rule.primaryKey).map(rule => rule.fieldName);
+    if (primaryKeyFields.length > 0) {
+      constraints.push({ name: 'Primary Key', type: 'primaryKey', fields: primaryKeyFields });
+    }
+
+    this.validationRules.filter(rule => rule.unique).forEach(rule => {
+      constraints.push({ name: `Unique ${rule.fieldName}`, type: 'unique', fields: [rule.fieldName] });
+    });
+
+    const compositeKeys = _.groupBy(this.validationRules.filter(rule => rule.uniqueKey), 'uniqueKey');
+    Object.entries(compositeKeys).forEach(([keyName, rules]) => {
+      constraints.push({ name: `Unique Key ${keyName}`, type: 'unique', fields: rules.map(rule => rule.fieldName) });
+    });
+
+    return constraints;
   }
 
   /**
-   * Normalize data type to handle mixed case formats and various Salesforce data types
+   * Normalize data type to handle mixed case formats and various Salesforce data types.
+   * Types found in the Salesforce type catalogue resolve directly; anything else
+   * falls back to keyword matching.
    * @param {string} dataType - The data type string
    */
   normalizeDataType(dataType) {
     if (!dataType) return 'string';
-    
+
+    const fieldType = resolveFieldType(dataType);
+    if (fieldType) {
+      return fieldType.type;
+    }
+
+    return this.matchDataTypeKeyword(dataType) || 'string'; // Default fallback
+  }
+
+  /**
+   * Guess a data type from keywords for types outside the catalogue
+   * (e.g. "DECIMAL(18" from an unquoted mapping value)
+   * @param {string} dataType - The data type string
+   * @returns {string|null} Normalized type, or null when no keyword matches
+   */
+  matchDataTypeKeyword(dataType) {
     const normalized = dataType.toString().toLowerCase().trim();
     
-    // Handle Salesforce-specific data types with better pattern matching
     if (normalized.includes('decimal') || normalized.includes('number') || normalized.includes('double') || normalized.includes('float')) {
       return 'decimal';
     }
     if (normalized.includes('boolean') || normalized.includes('bool')) {
       return 'boolean';
     }
-    if (normalized.includes('timestamp') || normalized.includes('datetime') || normalized.includes('date') || normalized.includes('time')) {
+    if (normalized.includes('timestamp') || normalized.includes('datetime')) {
+      return 'timestamp';
+    }
+    if (normalized.includes('date')) {
       return 'date';
     }
+    if (normalized.includes('time')) {
+      return 'time';
+    }
     if (normalized.includes('string') || normalized.includes('text') || normalized.includes('picklist') || normalized.includes('multipicklist') || normalized.includes('textarea')) {
       return 'string';
     }
@@ -126,7 +555,7 @@ class CSVValidator {
       return 'decimal'; // These are specialized decimal types
     }
     
-    return 'string'; // Default fallback
+    return null;
   }
 
   /**
@@ -150,8 +579,9 @@ class CSVValidator {
    * Validate a single record against the mapping rules
    * @param {Object} record - The record to validate
    * @param {number} rowNumber - Row number for error reporting
+   * @param {Object} cellInfo - For workbook input: { sheetRow, values } with the typed cell values by field
    */
-  validateRecord(record, rowNumber) {
+  validateRecord(record, rowNumber, cellInfo = null) {
     const recordResults = {
       rowNumber,
       record,
@@ -162,7 +592,15 @@ class CSVValidator {
 
     this.validationRules.forEach(rule => {
       const fieldValue = record[rule.fieldName];
-      const validationResult = this.validateField(fieldValue, rule, rule.fieldName);
+      const validationResult = this.validateField(fieldValue, rule, rule.fieldName, cellInfo ? cellInfo.values[rule.fieldName] : undefined);
+      const column = this.getColumnPosition(rule.fieldName);
+      const cell = cellInfo ? this.getCellAddress(rule.fieldName, cellInfo.sheetRow) : null;
+
+      [...validationResult.errors, ...validationResult.warnings].forEach(issue => {
+        issue.rowNumber = rowNumber;
+        issue.column = column;
+        issue.cell = cell;
+      });
       
       if (validationResult.errors.length > 0) {
         recordResults.isValid = false;
@@ -174,21 +612,107 @@ class CSVValidator {
       }
     });
 
+    // Only errors make a record invalid; warnings and info are reported alongside
+    this.validateRecordRules(record, rowNumber).forEach(issue => {
+      if (cellInfo) {
+        issue.cell = this.getCellAddress(issue.fieldName, cellInfo.sheetRow);
+      }
+      if (issue.severity === 'error') {
+        recordResults.isValid = false;
+        recordResults.errors.push(issue);
+      } else {
+        recordResults.warnings.push(issue);
+      }
+    });
+
     return recordResults;
   }
 
+  /**
+   * Validate a record against the record-level (cross-field) rules
+   * @param {Object} record - The record to validate
+   * @param {number} rowNumber - Row number for error reporting
+   */
+  validateRecordRules(record, rowNumber) {
+    const errors = [];
+
+    this.recordRules.forEach(rule => {
+      const failure = evaluateRecordRule(rule, fieldName => record[fieldName],
+        fieldName => this.validationRules.find(fieldRule => fieldRule.fieldName === fieldName) || null);
+      if (!failure) return;
+
+      const primaryField = rule.fields[0];
+      errors.push(createIssue(failure.code, {
+        fieldName: primaryField,
+        fields: rule.fields,
+        value: record[primaryField],
+        rule: { index: rule.ruleIndex, name: rule.name, type: rule.type },
+        rowNumber,
+        column: this.getColumnPosition(primaryField),
+        severity: resolveSeverity(failure.code, rule.severity, this.severityOverrides),
+        params: failure.params
+      }));
+    });
+
+    return errors;
+  }
+
+  /**
+   * Get the 1-based column position of a field in the input file headers
+   * @param {string} fieldName - The field name
+   */
+  getColumnPosition(fieldName) {
+    if (!this.headerValidationResult) return null;
+    const index = this.headerValidationResult.columnNames.indexOf(fieldName);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Get the address of a field's cell in a workbook input, e.g. Data!G14
+   * @param {string} fieldName - The field name
+   * @param {number} sheetRow - 1-based sheet row of the record
+   */
+  getCellAddress(fieldName, sheetRow) {
+    const column = this.getColumnPosition(fieldName);
+    if (!this.inputSheet || column === null) return null;
+    return formatCellAddress(this.inputSheet.sheetName, this.inputSheet.columnLetters[column - 1], sheetRow);
+  }
+
+  /**
+   * Build the rule reference stored on each issue
+   * @param {Object} rule - The validation rule
+   */
+  getRuleReference(rule) {
+    return {
+      index: rule.ruleIndex !== undefined ? rule.ruleIndex : null,
+      fieldName: rule.fieldName,
+      dataType: rule.originalDataType
+    };
+  }
+
   /**
    * Validate a single field against its rule
    * @param {*} value - The field value to validate
    * @param {Object} rule - The validation rule
    * @param {string} fieldName - The field name
+   * @param {*} cellValue - Typed workbook cell value (number, boolean or CellDate); the type check uses it instead of the text
    */
-  validateField(value, rule, fieldName) {
+  validateField(value, rule, fieldName, cellValue = undefined) {
     const result = { errors: [], warnings: [] };
+    const ruleReference = this.getRuleReference(rule);
+    const issue = (code, params, issueValue = value) => createIssue(code, {
+      fieldName,
+      value: issueValue,
+      rule: ruleReference,
+      severity: resolveSeverity(code, rule.severity, this.severityOverrides),
+      params
+    });
+    // File each issue under the severity configured for its check
+    const report = (created) => (created.severity === 'error' ? result.errors : result.warnings).push(created);
 
     // Check if required field is present
     if (rule.required && this.isEmptyValue(value)) {
-      result.errors.push(`Field '${fieldName}' is required (Null Allowed: ${rule.nullAllowed ? 'Yes' : 'No'}) but contains empty/null/blank value`);
+      report(issue('REQUIRED_MISSING'));
       return result;
     }
 
@@ -199,24 +723,34 @@ class CSVValidator {
 
     const stringValue = String(value);
 
+    // Bytes the input encoding cannot decode arrive as U+FFFD replacement characters
+    if (this.inputEncoding && stringValue.includes('\uFFFD')) {
+      report(issue('INVALID_ENCODING', { encoding: this.inputEncoding.encoding }, stringValue));
+    }
+
     // Check data type
     if (rule.dataType) {
-      const typeValidation = this.validateDataType(stringValue, rule.dataType, rule.originalDataType);
+      const typeValidation = cellValue !== undefined
+        ? this.validateCellValue(cellValue, rule)
+        : this.validateDataType(stringValue, rule.dataType, rule.originalDataType, { format: rule.format, fieldType: rule.fieldType });
       if (!typeValidation.isValid) {
-        const errorMessage = typeValidation.details 
-          ? `Field '${fieldName}' has invalid data type. Expected: ${rule.originalDataType}, Got: '${stringValue}'. ${typeValidation.details}`
-          : `Field '${fieldName}' has invalid data type. Expected: ${rule.originalDataType}, Got: '${stringValue}'`;
-        result.errors.push(errorMessage);
+        report(issue(typeValidation.code, { expected: rule.originalDataType, ...typeValidation.params }, stringValue));
       }
     }
 
     // Check length constraints
     if (rule.minLength !== undefined && stringValue.length < rule.minLength) {
-      result.errors.push(`Field '${fieldName}' is too short. Minimum length: ${rule.minLength}, Actual: ${stringValue.length}`);
+      report(issue('MIN_LENGTH', { minLength: rule.minLength, actual: stringValue.length }, stringValue));
     }
 
     if (rule.maxLength !== undefined && stringValue.length > rule.maxLength) {
-      result.errors.push(`Field '${fieldName}' is too long. Maximum length: ${rule.maxLength}, Actual: ${stringValue.length}`);
+      report(issue('MAX_LENGTH', { maxLength: rule.maxLength, actual: stringValue.length }, stringValue));
+    }
+
+    // Check the platform length limit of the field type, unless a stricter mapping limit already applied
+    const typeMaxLength = rule.fieldType && rule.fieldType.maxLength;
+    if (typeMaxLength && (rule.maxLength === undefined || rule.maxLength > typeMaxLength) && stringValue.length > typeMaxLength) {
+      report(issue('MAX_LENGTH', { maxLength: typeMaxLength, actual: stringValue.length, limit: rule.fieldType.label }, stringValue));
     }
 
     // Check pattern (regex)
@@ -224,18 +758,30 @@ class CSVValidator {
       try {
         const regex = new RegExp(rule.pattern);
         if (!regex.test(stringValue)) {
-          result.errors.push(`Field '${fieldName}' does not match required pattern: ${rule.pattern}`);
+          report(issue('PATTERN_MISMATCH', { pattern: rule.pattern }, stringValue));
         }
       } catch (error) {
-        result.warnings.push(`Invalid regex pattern for field '${fieldName}': ${rule.pattern}`);
+        report(issue('INVALID_PATTERN', { pattern: rule.pattern }, stringValue));
       }
     }
 
     // Check allowed values
     if (rule.allowedValues) {
       const allowedValues = rule.allowedValues.split(',').map(v => v.trim());
-      if (!allowedValues.includes(stringValue)) {
-        result.errors.push(`Field '${fieldName}' has invalid value '${stringValue}'. Allowed values: ${allowedValues.join(', ')}`);
+      const values = rule.dataType === 'multipicklist' ? splitMultiPicklist(stringValue) : [stringValue];
+      if (values.some(v => !allowedValues.includes(v))) {
+        report(issue('VALUE_NOT_ALLOWED', { allowedValues }, stringValue));
+      }
+    }
+
+    // Check referential integrity
+    if (rule.referenceFile) {
+      const referenceSet = this.referenceSets.get(this.getReferenceKey(rule));
+      if (referenceSet && !referenceSet.has(stringValue.trim())) {
+        report(issue('REFERENCE_NOT_FOUND', {
+          referenceFile: path.basename(rule.referenceFile),
+          referenceField: rule.referenceField || rule.fieldName
+        }, stringValue));
       }
     }
 
@@ -247,67 +793,121 @@ class CSVValidator {
    * @param {string} value - The value to check
    * @param {string} expectedType - The expected data type
    * @param {string} originalDataType - The original data type string for decimal precision
+   * @param {Object} options - Extra rule settings (format: declared date/time format, fieldType: catalogue type)
+   * @returns {Object} { isValid, code, params } - code is the issue code when invalid
    */
-  validateDataType(value, expectedType, originalDataType) {
+  validateDataType(value, expectedType, originalDataType, options = {}) {
+    const fieldType = options.fieldType || null;
+
     switch (expectedType.toLowerCase()) {
       case 'string':
+      case 'textarea':
+      case 'longtextarea':
+      case 'richtextarea':
+      case 'picklist':
+        return { isValid: true }; // Length limits are checked in validateField
+      case 'id':
+      case 'reference':
+        return validateRecordId(value);
+      case 'multipicklist':
+        const items = splitMultiPicklist(value);
+        if (items.some(item => item === '')) {
+          return { isValid: false, code: 'INVALID_MULTIPICKLIST', params: { reason: 'empty item' } };
+        }
+        if (new Set(items).size !== items.length) {
+          return { isValid: false, code: 'INVALID_MULTIPICKLIST', params: { reason: 'duplicate item' } };
+        }
         return { isValid: true };
       case 'number':
       case 'integer':
         const intValidation = !isNaN(Number(value)) && Number.isInteger(Number(value));
-        return { 
-          isValid: intValidation,
-          details: intValidation ? null : `Value '${value}' is not a valid integer`
-        };
+        return intValidation ? { isValid: true } : { isValid: false, code: 'INVALID_INTEGER' };
       case 'decimal':
-        const decimalValidation = this.validateDecimal(value, originalDataType);
+      case 'currency':
+      case 'percent':
+        const decimalInfo = fieldType && fieldType.precision ? { precision: fieldType.precision, scale: fieldType.scale } : null;
+        const decimalValidation = this.validateDecimal(value, originalDataType, decimalInfo);
         return decimalValidation;
       case 'date':
       case 'timestamp':
-        const dateValidation = !isNaN(Date.parse(value));
-        return { 
-          isValid: dateValidation,
-          details: dateValidation ? null : `Value '${value}' is not a valid date/timestamp`
+      case 'time':
+        const dateValidation = validateDateValue(value, expectedType.toLowerCase(), options.format);
+        return dateValidation.isValid ? { isValid: true } : {
+          isValid: false,
+          code: dateValidation.code,
+          params: { format: options.format ? resolveFormat(options.format) : null, reason: dateValidation.reason || null }
         };
       case 'email':
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        const emailValidation = emailRegex.test(value);
-        return { 
-          isValid: emailValidation,
-          details: emailValidation ? null : `Value '${value}' is not a valid email address`
-        };
+        const emailValidation = isValidEmail(value.trim());
+        return emailValidation ? { isValid: true } : { isValid: false, code: 'INVALID_EMAIL' };
+      case 'url':
+        const urlValidation = isValidUrl(value.trim());
+        return urlValidation ? { isValid: true } : { isValid: false, code: 'INVALID_URL' };
       case 'phone':
-        const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-        const phoneValidation = phoneRegex.test(value.replace(/[\s\-\(\)]/g, ''));
-        return { 
-          isValid: phoneValidation,
-          details: phoneValidation ? null : `Value '${value}' is not a valid phone number`
-        };
+        const phoneValidation = isValidPhone(value.trim());
+        return phoneValidation ? { isValid: true } : { isValid: false, code: 'INVALID_PHONE' };
       case 'boolean':
         const boolValidation = this.isValidBoolean(value);
-        return { 
-          isValid: boolValidation,
-          details: boolValidation ? null : `Value '${value}' is not a valid boolean (expected: true/false, yes/no, 1/0)`
-        };
+        return boolValidation ? { isValid: true } : { isValid: false, code: 'INVALID_BOOLEAN' };
       default:
         return { isValid: true };
     }
   }
 
+  /**
+   * Validate a typed workbook cell against the rule's data type.
+   * Date cells satisfy date and timestamp fields (time fields need a time-only
+   * cell) whatever Format is declared, since the format describes text. Numbers
+   * are checked at their real value, so 10.5 fits DECIMAL(18,2) however the cell
+   * displays it. Everything else is checked as the cell's text.
+   * @param {*} value - Number, boolean or CellDate
+   * @param {Object} rule - The validation rule
+   * @returns {Object} { isValid, code, params }, as validateDataType
+   */
+  validateCellValue(value, rule) {
+    const type = rule.dataType.toLowerCase();
+    const isDateType = ['date', 'timestamp', 'time'].includes(type);
+
+    if (value instanceof CellDate && isDateType) {
+      if (type === 'time') {
+        return value.hasDate ? { isValid: false, code: 'INVALID_TIME', params: { reason: 'cell holds a date, not a time of day' } } : { isValid: true };
+      }
+      return value.hasDate ? { isValid: true } : { isValid: false, code: 'INVALID_DATE' };
+    }
+
+    if (typeof value === 'number') {
+      if (isDateType) {
+        return { isValid: false, code: type === 'time' ? 'INVALID_TIME' : 'INVALID_DATE', params: { reason: 'a number without a date format' } };
+      }
+      if (['decimal', 'currency', 'percent'].includes(type)) {
+        const decimalInfo = rule.fieldType && rule.fieldType.precision
+          ? { precision: rule.fieldType.precision, scale: rule.fieldType.scale }
+          : this.parseDecimalPrecision(rule.originalDataType);
+        // Trailing zeros are display formatting: write the value at the declared scale when it fits
+        const text = decimalInfo && Number(value.toFixed(decimalInfo.scale)) === value ? value.toFixed(decimalInfo.scale) : String(value);
+        return this.validateDecimal(text, rule.originalDataType, decimalInfo);
+      }
+    }
+
+    if (typeof value === 'boolean' && type === 'boolean') {
+      return { isValid: true };
+    }
+
+    return this.validateDataType(String(value), rule.dataType, rule.originalDataType, { format: rule.format, fieldType: rule.fieldType });
+  }
+
   /**
    * Validate decimal with precision and scale
    * @param {string} value - The value to check
    * @param {string} originalDataType - The original data type string
+   * @param {Object} precisionInfo - Precision and scale from the type catalogue (overrides parsing originalDataType)
    */
-  validateDecimal(value, originalDataType) {
+  validateDecimal(value, originalDataType, precisionInfo = null) {
     if (isNaN(Number(value))) {
-      return { 
-        isValid: false, 
-        details: `Value '${value}' is not a valid number` 
-      };
+      return { isValid: false, code: 'INVALID_NUMBER' };
     }
 
-    const decimalInfo = this.parseDecimalPrecision(originalDataType);
+    const decimalInfo = precisionInfo || this.parseDecimalPrecision(originalDataType);
     if (!decimalInfo) {
       return { isValid: true }; // No precision constraints
     }
@@ -326,7 +926,8 @@ class CSVValidator {
       if (numStr.length > decimalInfo.precision) {
         return { 
           isValid: false, 
-          details: `Integer value '${value}' exceeds maximum precision of ${decimalInfo.precision} digits. Expected format: ${originalDataType}` 
+          code: 'DECIMAL_PRECISION',
+          params: { precision: decimalInfo.precision, isInteger: true }
         };
       }
     } else {
@@ -339,7 +940,8 @@ class CSVValidator {
       if (decimalPart && decimalPart.length !== decimalInfo.scale) {
         return { 
           isValid: false, 
-          details: `Decimal value '${value}' must have exactly ${decimalInfo.scale} decimal places. Expected format: ${originalDataType}` 
+          code: 'DECIMAL_SCALE',
+          params: { scale: decimalInfo.scale }
         };
       }
       
@@ -348,7 +950,8 @@ class CSVValidator {
       if (totalDigits > decimalInfo.precision) {
         return { 
           isValid: false, 
-          details: `Value '${value}' exceeds maximum precision of ${decimalInfo.precision} total digits. Expected format: ${originalDataType}` 
+          code: 'DECIMAL_PRECISION',
+          params: { precision: decimalInfo.precision, isInteger: false }
         };
       }
       
@@ -358,7 +961,8 @@ class CSVValidator {
       if (integerPart.length > maxIntegerDigits) {
         return { 
           isValid: false, 
-          details: `Integer part '${integerPart}' exceeds maximum of ${maxIntegerDigits} digits. Expected format: ${originalDataType}` 
+          code: 'DECIMAL_INTEGER_DIGITS',
+          params: { integerPart, maxIntegerDigits }
         };
       }
     }
@@ -420,31 +1024,18 @@ class CSVValidator {
    * Validate headers match between input file and mapping rules
    * @param {string} inputFilePath - Path to the input file
    * @param {string} delimiter - Delimiter character
+   * @param {Object} headerPolicy - Header matching policy (matching, enforceOrder, allowExtraColumns)
+   * @param {Object} encoding - Input encoding (see detectEncoding; default: detect)
    */
-  validateHeaders(inputFilePath, delimiter) {
+  validateHeaders(inputFilePath, delimiter, headerPolicy = {}, encoding = null) {
     return new Promise((resolve, reject) => {
       try {
-        // Read the first line to get headers
-        const content = fs.readFileSync(inputFilePath, 'utf8');
-        const firstLine = content.split('\n')[0];
-        const inputHeaders = firstLine.split(delimiter).map(header => header.trim().replace(/"/g, ''));
-        
-        // Get expected headers from validation rules
-        const expectedHeaders = this.validationRules.map(rule => rule.fieldName);
+        // Read only the first line to get headers, decoded and without a byte order mark
+        const firstLine = readDecodedHeaderLine(inputFilePath, encoding || detectEncoding(inputFilePath));
+        const inputHeaders = splitRecord(firstLine, delimiter).cells.map(header => header.trim());
         
-        // Find missing and extra headers
-        const missingHeaders = expectedHeaders.filter(header => !inputHeaders.includes(header));
-        const extraHeaders = inputHeaders.filter(header => !expectedHeaders.includes(header));
-        
-        const headerValidation = {
-          isValid: missingHeaders.length === 0 && extraHeaders.length === 0,
-          inputHeaders,
-          expectedHeaders,
-          missingHeaders,
-          extraHeaders,
-          totalExpected: expectedHeaders.length,
-          totalFound: inputHeaders.length
-        };
+        // Match headers to mapping fields under the policy; columns added to a rejects file are not data
+        const headerValidation = matchHeaders(this.validationRules, inputHeaders, headerPolicy, REJECT_COLUMNS);
         
         resolve(headerValidation);
       } catch (error) {
@@ -454,26 +1045,135 @@ class CSVValidator {
   }
 
   /**
-   * Validate input file (supports both CSV and pipe-delimited)
+   * Check a fixed-width or JSON Lines file against the mapping in place of a
+   * header check: the declared layout against the length of the first record,
+   * or the keys the mapping reads against those of the first records
    * @param {string} inputFilePath - Path to the input file
+   * @param {Object|null} layout - Fixed-width layout (see getFixedWidthLayout), or null for JSON Lines
+   * @param {Object} headerPolicy - Header matching policy (matching, allowExtraColumns)
+   * @param {Object} encoding - Input encoding (see detectEncoding; default: detect)
+   * @returns {Object} Header validation result, as matchHeaders
+   */
+  validateRecordLayout(inputFilePath, layout, headerPolicy = {}, encoding = null) {
+    const inputEncoding = encoding || detectEncoding(inputFilePath);
+    if (layout) {
+      let firstLine = null;
+      forEachDecodedLineSync(inputFilePath, inputEncoding, (line) => {
+        if (!line.trim()) return;
+        firstLine = line;
+        return false;
+      });
+      return checkFixedWidthLayout(this.validationRules, layout, firstLine, headerPolicy);
+    }
+
+    const keyPaths = new Set();
+    let sampled = 0;
+    forEachDecodedLineSync(inputFilePath, inputEncoding, (line) => {
+      if (!line.trim()) return;
+      const parsed = parseJsonLine(line);
+      if (parsed.object) {
+        collectJsonPaths(parsed.object, keyPaths);
+      }
+      return ++sampled < JSON_KEY_SAMPLE_SIZE;
+    });
+    return checkJsonKeys(this.validationRules, Array.from(keyPaths), headerPolicy);
+  }
+
+  /**
+   * Add an issue about the shape of a record (see recordFormats) to its result
+   * @param {Object} result - Record validation result
+   * @param {Object} problem - { code, params }
+   */
+  addStructureIssue(result, problem) {
+    const issue = createIssue(problem.code, {
+      rowNumber: result.rowNumber,
+      severity: resolveSeverity(problem.code, null, this.severityOverrides),
+      params: problem.params
+    });
+    if (issue.severity === 'error') {
+      result.isValid = false;
+      result.errors.push(issue);
+    } else {
+      result.warnings.push(issue);
+    }
+  }
+
+  /**
+   * Validate input file (supports both CSV and pipe-delimited)
+   * @param {string} inputFilePath - Path to the input file (gzip-compressed delimited text is read as a stream)
    * @param {string} delimiter - Delimiter character (default: auto-detect)
+   * @param {Object} options - Validation options
+   * @param {boolean} options.streaming - Keep only running aggregates and spill issues to disk
+   * @param {string} options.issuesFile - NDJSON file receiving per-row issues in streaming mode
+   * @param {Object} options.headerPolicy - Header matching policy (matching, enforceOrder, allowExtraColumns)
+   * @param {string} options.cleanFile - Write valid records here, copied unchanged from the input
+   * @param {string} options.rejectsFile - Write invalid records here, with row number, issue codes and messages appended
+   * @param {boolean} options.profile - Also profile every column (see getColumnProfiles)
+   * @param {boolean} options.snapshot - Collect issue identities for createRunSnapshot
+   * @param {Array} options.recordKey - Fields identifying a record in the snapshot (default: the primary key, else the row number)
+   * @param {string} options.headerReportFile - Where to write the header report when headers fail (default: artifacts/header_validation_report.xlsx)
+   * @param {string|number} options.sheet - Workbook input (.xlsx, .xlsm, .xls): sheet name or 1-based index (default: the first sheet)
+   * @param {number} options.headerRow - Workbook input: 1-based row holding the headers (default 1)
+   * @param {string} options.inputFormat - csv, excel, fixed-width or jsonl (default: by extension, see resolveInputFormat)
+   * @param {string} options.encoding - Text input: utf8, utf16le, utf16be or windows-1252 (default: from the byte order mark, else detected)
    */
-  validateInputFile(inputFilePath, delimiter = null) {
-    return new Promise(async (resolve, reject) => {
-      try {
-        // Auto-detect delimiter if not specified
-        if (!delimiter) {
-          delimiter = this.detectDelimiter(inputFilePath);
+  validateInputFile(inputFilePath, delimiter = null, options = {}) {
+    return new Promise((resolve, reject) => {
+      // Errors before the rows are read reject directly; once reading starts they go through fail
+      const run = async () => {
+        // Workbooks are read a sheet at a time, fixed-width and JSON Lines a line at a time
+        const inputFormat = resolveInputFormat(inputFilePath, options.inputFormat);
+        const sheet = inputFormat === 'excel' ? readSheet(inputFilePath, { sheet: options.sheet, headerRow: options.headerRow }) : null;
+        const layout = inputFormat === 'fixed-width' ? getFixedWidthLayout(this.validationRules) : null;
+        const encoding = sheet ? null : detectEncoding(inputFilePath, options.encoding);
+        if (inputFormat !== 'csv' && (options.cleanFile || options.rejectsFile)) {
+          throw new Error(`Clean and rejected record files are copied from delimited text; they are not available for ${inputFormat} input`);
+        }
+        if (encoding && encoding.encoding !== 'utf8' && (options.cleanFile || options.rejectsFile)) {
+          throw new Error(`Clean and rejected record files are copied byte for byte from UTF-8 input; this file is ${encoding.encoding}`);
+        }
+        const compressed = !sheet && isGzipFile(inputFilePath);
+        if (compressed && (options.cleanFile || options.rejectsFile)) {
+          throw new Error('Clean and rejected record files are copied byte for byte from uncompressed input; this file is gzip-compressed');
+        }
+
+        // Auto-detect delimiter if not specified
+        if (!delimiter && inputFormat === 'csv') {
+          delimiter = this.detectDelimiter(inputFilePath, encoding);
+        }
+        this.inputFilePath = inputFilePath;
+        this.inputFormat = inputFormat;
+        this.delimiter = inputFormat === 'csv' ? delimiter : null;
+        this.inputSheet = sheet ? { sheetName: sheet.sheetName, headerRow: sheet.headerRow, columnLetters: sheet.columnLetters } : null;
+        this.inputEncoding = encoding;
+        if (encoding) {
+          console.log(`Encoding: ${describeEncoding(encoding)}${compressed ? ', gzip-compressed' : ''}`);
+        }
+        let source = `using delimiter: '${delimiter}'`;
+
+        // First validate headers; the line formats have none, so their layout or keys are checked instead
+        let headerValidation;
+        if (sheet) {
+          source = `from sheet '${sheet.sheetName}'`;
+          console.log(`Validating headers (sheet '${sheet.sheetName}', row ${sheet.headerRow})...`);
+          headerValidation = matchHeaders(this.validationRules, sheet.headers, options.headerPolicy, REJECT_COLUMNS);
+        } else if (inputFormat === 'csv') {
+          console.log('Validating headers...');
+          headerValidation = await this.validateHeaders(inputFilePath, delimiter, options.headerPolicy, encoding);
+        } else {
+          source = layout ? 'as fixed-width records' : 'as JSON Lines';
+          console.log(layout ? 'Validating record layout...' : 'Validating record keys...');
+          headerValidation = this.validateRecordLayout(inputFilePath, layout, options.headerPolicy, encoding);
         }
-
-        // First validate headers
-        console.log('Validating headers...');
-        const headerValidation = await this.validateHeaders(inputFilePath, delimiter);
         
         if (!headerValidation.isValid) {
           console.log('\n❌ Header Validation Failed!');
           console.log('==========================');
           console.log(`Expected ${headerValidation.totalExpected} headers, found ${headerValidation.totalFound}`);
+          console.log(`Header matching: ${describeHeaderPolicy(headerValidation.policy)}`);
+          if (layout) {
+            console.log(`Layout declares ${headerValidation.recordLength} characters per record; the first record has ${headerValidation.lineLength}`);
+          }
           
           if (headerValidation.missingHeaders.length > 0) {
             console.log(`\nMissing Headers (${headerValidation.missingHeaders.length}):`);
@@ -483,74 +1183,1084 @@ class CSVValidator {
           }
           
           if (headerValidation.extraHeaders.length > 0) {
-            console.log(`\nExtra Headers (${headerValidation.extraHeaders.length}):`);
+            console.log(`\nExtra Headers (${headerValidation.extraHeaders.length})${headerValidation.policy.allowExtraColumns ? ' - allowed' : ''}:`);
             headerValidation.extraHeaders.forEach(header => {
               console.log(`  - ${header}`);
             });
           }
+
+          if (headerValidation.duplicateHeaders.length > 0) {
+            console.log(`\nDuplicate Headers (${headerValidation.duplicateHeaders.length}):`);
+            headerValidation.duplicateHeaders.forEach(duplicate => {
+              console.log(`  - ${duplicate.header} (column ${duplicate.position}, same field as column ${duplicate.firstPosition})`);
+            });
+          }
+
+          if (headerValidation.orderMismatches.length > 0) {
+            console.log(`\nColumns Out of Order (${headerValidation.orderMismatches.length}):`);
+            headerValidation.orderMismatches.forEach(mismatch => {
+              console.log(`  - ${mismatch.fieldName}: expected position ${mismatch.expectedPosition}, found at ${mismatch.actualPosition}`);
+            });
+          }
+
+          if (headerValidation.suggestions.length > 0) {
+            console.log('\n💡 Did you mean:');
+            headerValidation.suggestions.forEach(suggestion => {
+              console.log(`  ${suggestion.inputHeader} → ${suggestion.expectedHeader}`);
+            });
+          }
           
-          console.log('\n💡 Suggestion: Please ensure your input CSV file headers exactly match the mapping file field names.');
-          console.log('   Headers are case-sensitive and must match exactly.\n');
+          if (layout) {
+            console.log('\n💡 Suggestion: Check the Start Position and Field Length columns of the mapping against the file layout.');
+          } else if (inputFormat === 'jsonl') {
+            console.log('\n💡 Suggestion: Please ensure the records have keys named like the mapping fields, or set their JSON Path in the mapping.');
+          } else {
+            console.log('\n💡 Suggestion: Please ensure your input CSV file headers match the mapping file field names.');
+          }
+          if (headerValidation.policy.matching === 'exact') {
+            console.log('   Headers are case-sensitive and must match exactly (see --header-matching, --allow-extra-columns).\n');
+          } else {
+            console.log('');
+          }
           
           // Store header validation result for reporting even when it fails
           this.headerValidationResult = headerValidation;
           
           // Generate header validation report before rejecting
           try {
-            const artifactsPath = require('path').join(__dirname, 'artifacts');
-            if (!fs.existsSync(artifactsPath)) {
-              fs.mkdirSync(artifactsPath, { recursive: true });
+            const headerReportPath = options.headerReportFile || require('path').join(__dirname, 'artifacts', 'header_validation_report.xlsx');
+            const reportDir = require('path').dirname(headerReportPath);
+            if (!fs.existsSync(reportDir)) {
+              fs.mkdirSync(reportDir, { recursive: true });
             }
             
-            const headerReportPath = require('path').join(artifactsPath, 'header_validation_report.xlsx');
             this.generateHeaderValidationReport(headerReportPath);
             console.log(`📊 Header validation report saved to: ${headerReportPath}`);
           } catch (reportError) {
             console.log('⚠️  Could not generate header validation report:', reportError.message);
           }
           
-          reject(new Error('Header validation failed - input file headers do not match mapping file'));
+          const headerError = new Error('Header validation failed - input file headers do not match mapping file');
+          headerError.code = 'HEADER_VALIDATION_FAILED';
+          reject(headerError);
           return;
         }
         
         console.log('✅ Headers validated successfully!');
         console.log(`   Found all ${headerValidation.totalExpected} expected headers`);
+        headerValidation.renamedHeaders.forEach(renamed => {
+          console.log(`   Matched '${renamed.inputHeader}' → ${renamed.fieldName}`);
+        });
+        if (headerValidation.extraHeaders.length > 0) {
+          console.log(`   Ignoring ${headerValidation.extraHeaders.length} extra columns: ${headerValidation.extraHeaders.join(', ')}`);
+        }
+
+        // Store header validation result for reporting
+        this.headerValidationResult = headerValidation;
+
+        // Load reference sets for referential integrity checks
+        await this.loadReferenceSets();
+
+        // Proceed with data validation
+        const results = [];
+        let rowNumber = 1; // Start from 1 for user-friendly reporting
+
+        this.streaming = Boolean(options.streaming);
+        this.aggregates = this.createAggregates();
+        this.validationResults = [];
+        this.duplicateGroups = [];
+        this.duplicateRowIssues = [];
+        this.lineIndex = new LineIndex();
+        const issueWriter = this.streaming ? this.openIssueSpill(options.issuesFile, inputFilePath) : null;
+        const uniqueConstraints = this.getUniqueConstraints();
+        const duplicateIndex = uniqueConstraints.length > 0 ? new DuplicateIndex({ maxInMemoryKeys: options.maxInMemoryKeys }) : null;
+        const splitter = this.createRowSplitter(inputFilePath, delimiter, options);
+        const profiler = options.profile ? this.createColumnProfiler() : null;
+        this.columnProfiles = null;
+        this.recordKey = this.resolveRecordKey(options.recordKey);
+        if (this.snapshotIssues) {
+          this.snapshotIssues.cleanup();
+        }
+        this.snapshotIssues = options.snapshot ? new SnapshotIssueLog({ spill: this.streaming }) : null;
+        this.duplicateRecordKeys = [];
+        // Every record's key is indexed, not only those with issues, so a repeated key is always seen
+        const recordKeyIndex = this.snapshotIssues && this.recordKey ? new DuplicateIndex({ maxInMemoryKeys: options.maxInMemoryKeys }) : null;
+
+        // Key records by mapping field name, so aliased and loosely matched columns validate like exact ones
+        const columnNames = headerValidation.columnNames;
+        const handleRow = (record, byteOffset = null, cellInfo = null, problems = [], line = null) => {
+          // A line that could not be read as a record carries only its structure issue
+          const validationResult = record
+            ? this.validateRecord(record, rowNumber, cellInfo)
+            : { rowNumber, record: {}, isValid: true, errors: [], warnings: [] };
+          problems.forEach(problem => this.addStructureIssue(validationResult, problem));
+          if (line !== null) {
+            validationResult.line = line;
+            [...validationResult.errors, ...validationResult.warnings].forEach(issue => {
+              issue.line = line;
+            });
+            this.lineIndex.add(rowNumber, line);
+          }
+          const row = validationResult.record;
+          this.addToAggregates(validationResult);
+          if (profiler) {
+            profiler.add(row);
+          }
+          if (this.snapshotIssues) {
+            this.collectSnapshotIssues(row, validationResult, recordKeyIndex);
+          }
+          if (splitter) {
+            splitter.addRow(rowNumber, byteOffset, validationResult.errors);
+          }
+          if (duplicateIndex) {
+            this.trackUniqueKeys(duplicateIndex, uniqueConstraints, row, rowNumber);
+          }
+          if (issueWriter) {
+            this.spillIssues(issueWriter, validationResult);
+          } else {
+            results.push(validationResult);
+          }
+          rowNumber++;
+        };
+        let failed = false;
+        const fail = (error) => {
+          if (failed) return;
+          failed = true;
+          if (issueWriter) {
+            issueWriter.close();
+          }
+          if (splitter) {
+            splitter.close();
+          }
+          if (duplicateIndex) {
+            duplicateIndex.cleanup();
+          }
+          if (recordKeyIndex) {
+            recordKeyIndex.cleanup();
+          }
+          if (this.snapshotIssues) {
+            this.snapshotIssues.cleanup();
+            this.snapshotIssues = null;
+          }
+          reject(error);
+        };
+        // Finalizing the indexes and splitting the input read and write temporary files, which can fail too
+        const finish = () => complete().catch(fail);
+        const complete = async () => {
+          this.validationResults = results;
+          if (profiler) {
+            this.columnProfiles = profiler.getProfiles();
+          }
+          if (duplicateIndex) {
+            this.recordDuplicateGroups(duplicateIndex.finalize(), uniqueConstraints);
+          }
+          if (recordKeyIndex) {
+            this.duplicateRecordKeys = recordKeyIndex.finalize();
+            if (this.duplicateRecordKeys.length > 0) {
+              console.log(`⚠️  ${this.duplicateRecordKeys.length} record key value(s) appear on more than one row; their snapshot issues are identified by row number`);
+            }
+          }
+          if (splitter) {
+            this.splitResult = await splitter.finish(this.duplicateGroups.filter(issue => issue.severity === 'error'));
+            console.log(`Split input: ${this.splitResult.cleanRows} clean rows → ${this.splitResult.cleanFile}, ${this.splitResult.rejectedRows} rejected rows → ${this.splitResult.rejectsFile}`);
+          }
+          if (issueWriter) {
+            issueWriter.close();
+            console.log(`Validated ${this.aggregates.totalRecords} records ${source} (streaming, issues written to ${this.issuesFilePath})`);
+            resolve(this.getValidationStats());
+            return;
+          }
+          console.log(`Validated ${results.length} records ${source}`);
+          resolve(results);
+        };
+
+        if (sheet) {
+          const fieldNames = sheet.headers.map((header, index) => columnNames[index] !== undefined ? columnNames[index] : header);
+          if (profiler) {
+            profiler.addColumns(fieldNames);
+          }
+          try {
+            sheet.rows.forEach(({ sheetRow, cells, values }) => {
+              const row = {};
+              const cellValues = {};
+              fieldNames.forEach((fieldName, index) => {
+                row[fieldName] = cells[index];
+                cellValues[fieldName] = values[index];
+              });
+              handleRow(row, null, { sheetRow, values: cellValues }, [], sheetRow);
+            });
+          } catch (error) {
+            fail(error);
+            return;
+          }
+          await finish();
+          return;
+        }
+
+        if (inputFormat === 'fixed-width' || inputFormat === 'jsonl') {
+          const readRecord = layout
+            ? (line) => readFixedWidthRecord(line, layout, headerValidation.policy)
+            : (line) => readJsonRecord(line, this.validationRules, headerValidation.matchedHeaders);
+          if (profiler) {
+            profiler.addColumns(this.validationRules.map(rule => rule.fieldName));
+          }
+          try {
+            forEachDecodedLineSync(inputFilePath, encoding, (line, lineNumber) => {
+              if (!line.trim()) return;
+              const { record, values, problems } = readRecord(line);
+              handleRow(record, null, values ? { values } : null, problems, lineNumber);
+            });
+          } catch (error) {
+            fail(error);
+            return;
+          }
+          await finish();
+          return;
+        }
+
+        // The tracker hands each record over once the next one starts, with its line and structure problems
+        const tracker = new RecordStructureTracker(delimiter);
+        const handleTracked = (tracked) => {
+          if (tracked) {
+            // Byte offsets count from after the BOM, which the split files copy with the header
+            handleRow(tracked.blank ? null : tracked.row, tracked.byteOffset + encoding.bomLength, null, tracked.problems, tracked.line);
+          }
+        };
+        const input = openTextStream(inputFilePath, encoding);
+        // A row that throws stops the read; records the parser has already buffered are dropped
+        const guard = (handler) => (...args) => {
+          if (failed) return;
+          try {
+            handler(...args);
+          } catch (error) {
+            fail(error);
+            input.destroy();
+          }
+        };
+        input
+          .on('error', fail) // e.g. a truncated gzip file, which the parser never sees
+          .pipe(tracker.createTap())
+          .pipe(csv({
+            separator: delimiter,
+            mapHeaders: ({ header, index }) => columnNames[index] !== undefined ? columnNames[index] : header,
+            outputByteOffset: true
+          }))
+          .on('headers', guard((headers) => {
+            if (profiler) {
+              profiler.addColumns(headers);
+            }
+          }))
+          .on('data', guard(({ row, byteOffset }) => handleTracked(tracker.addRecord(row, byteOffset))))
+          .on('end', guard(() => {
+            handleTracked(tracker.finish());
+            finish();
+          }))
+          .on('error', fail);
+      };
+      run().catch(reject);
+    });
+  }
+
+  /**
+   * Create a column profiler, using the Format declared for date fields in the mapping
+   * @param {Object} options - ColumnProfiler options
+   */
+  createColumnProfiler(options = {}) {
+    const dateFormats = {};
+    this.validationRules.forEach(rule => {
+      if (rule.format && ['date', 'timestamp', 'time'].includes(rule.dataType)) {
+        dateFormats[rule.fieldName] = rule.format;
+      }
+    });
+    return new ColumnProfiler({ ...options, dateFormats });
+  }
+
+  /**
+   * Profile every column of an input file without validating it. Works with or
+   * without a mapping; columns are keyed by their input header.
+   * @param {string} inputFilePath - Path to the input CSV file
+   * @param {string} delimiter - Delimiter character (default: auto-detect)
+   * @param {Object} options - ColumnProfiler options (maxDistinctValues, topValueCount), inputFormat, encoding, and sheet/headerRow for workbook input
+   * @returns {Promise<Array>} Column profiles (see getColumnProfiles)
+   */
+  profileInputFile(inputFilePath, delimiter = null, options = {}) {
+    return new Promise((resolve, reject) => {
+      const inputFormat = resolveInputFormat(inputFilePath, options.inputFormat);
+      if (inputFormat === 'fixed-width' || inputFormat === 'jsonl') {
+        reject(new Error(`Profiling reads the columns of delimited text and workbooks; it is not available for ${inputFormat} input`));
+        return;
+      }
+      if (inputFormat === 'excel') {
+        const sheet = readSheet(inputFilePath, { sheet: options.sheet, headerRow: options.headerRow });
+        this.inputFilePath = inputFilePath;
+        this.delimiter = null;
+        const profiler = this.createColumnProfiler(options);
+        profiler.addColumns(sheet.headers);
+        sheet.rows.forEach(({ cells }) => {
+          const row = {};
+          sheet.headers.forEach((header, index) => {
+            row[header] = cells[index];
+          });
+          profiler.add(row);
+        });
+        this.columnProfiles = profiler.getProfiles();
+        console.log(`Profiled ${this.columnProfiles.length} columns over ${profiler.totalRecords} records from sheet '${sheet.sheetName}'`);
+        resolve(this.columnProfiles);
+        return;
+      }
+      let encoding;
+      try {
+        encoding = detectEncoding(inputFilePath, options.encoding);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      if (!delimiter) {
+        delimiter = this.detectDelimiter(inputFilePath, encoding);
+      }
+      this.inputFilePath = inputFilePath;
+      this.delimiter = delimiter;
+      this.inputEncoding = encoding;
+      const profiler = this.createColumnProfiler(options);
+
+      // A read or inflate error happens before the parser, which pipe() does not pass it on to
+      openTextStream(inputFilePath, encoding)
+        .on('error', reject)
+        .pipe(csv({ separator: delimiter }))
+        .on('headers', (headers) => profiler.addColumns(headers))
+        .on('data', (row) => profiler.add(row))
+        .on('end', () => {
+          this.columnProfiles = profiler.getProfiles();
+          console.log(`Profiled ${this.columnProfiles.length} columns over ${profiler.totalRecords} records using delimiter: '${delimiter}'`);
+          resolve(this.columnProfiles);
+        })
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Get the column profiles of the last profiled run
+   * @returns {Array|null} [{ position, column, inferredType, records, filled, empty, fillRate,
+   *   distinctValues, distinctCapped, topValues, minLength, maxLength, min, max, mean,
+   *   precision, scale, minDate, maxDate }], or null when profiling was not requested
+   */
+  getColumnProfiles() {
+    return this.columnProfiles;
+  }
+
+  /**
+   * Write a workbook with only the Column Profile sheet (for profiling without validating)
+   * @param {string} outputFilePath - Path for the output Excel or JSON file
+   */
+  generateProfileReport(outputFilePath) {
+    if (!this.columnProfiles) {
+      throw new Error('No column profiles available. Please profile an input file first.');
+    }
+
+    if (path.extname(outputFilePath).toLowerCase() === '.json') {
+      fs.writeFileSync(outputFilePath, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        inputFile: this.inputFilePath,
+        delimiter: this.delimiter,
+        columnProfiles: this.columnProfiles
+      }, null, 2));
+      console.log(`Column profile generated: ${outputFilePath}`);
+      return;
+    }
+
+    const workbook = XLSX.utils.book_new();
+    const profileSheet = XLSX.utils.json_to_sheet(this.generateColumnProfileData());
+    this.formatWorksheet(profileSheet, 'profile');
+    XLSX.utils.book_append_sheet(workbook, profileSheet, '🧮 Column Profile');
+    XLSX.writeFile(workbook, outputFilePath);
+    console.log(`Column profile generated: ${outputFilePath}`);
+  }
+
+  /**
+   * Work out which fields identify a record in run snapshots
+   * @param {Array} recordKey - Requested field names (optional)
+   * @returns {Array|null} Field names, or null to identify records by row number
+   */
+  resolveRecordKey(recordKey) {
+    if (recordKey && recordKey.length > 0) {
+      const unknown = recordKey.filter(fieldName => !this.validationRules.some(rule => rule.fieldName === fieldName));
+      if (unknown.length > 0) {
+        throw new Error(`Record key field not in the mapping: ${unknown.join(', ')}`);
+      }
+      return recordKey;
+    }
+    const primaryKey = this.validationRules.filter(rule => rule.primaryKey).map(rule => rule.fieldName);
+    return primaryKey.length > 0 ? primaryKey : null;
+  }
+
+  /**
+   * Remember the identity of each issue of a record for the run snapshot
+   * @param {Object} record - The record
+   * @param {Object} result - Result returned by validateRecord
+   * @param {DuplicateIndex} recordKeyIndex - Index of record key occurrences (null when records are keyed by row number)
+   */
+  collectSnapshotIssues(record, result, recordKeyIndex) {
+    const key = this.recordKey
+      ? this.recordKey.map(fieldName => this.isEmptyValue(record[fieldName]) ? '' : String(record[fieldName]).trim()).join('|')
+      : `row ${result.rowNumber}`;
+    if (recordKeyIndex) {
+      recordKeyIndex.add(0, key, result.rowNumber);
+    }
+    [...result.errors, ...result.warnings].forEach(issue => {
+      this.snapshotIssues.add([key, issue.fieldName || issue.fields.join('+'), issue.code, issue.severity, result.rowNumber]);
+    });
+  }
+
+  /**
+   * Call a function for each issue identity of the last run, in snapshot order
+   * @param {Function} callback - Called with ([recordKey, field, code, severity])
+   */
+  forEachSnapshotIssue(callback) {
+    // Issues of a key shared by several rows would merge in a comparison, so the row tells them apart
+    const repeatedKeys = new Set(this.duplicateRecordKeys.map(group => group.key));
+    this.snapshotIssues.forEach(([key, field, code, severity, rowNumber]) => {
+      callback([repeatedKeys.has(key) ? `${key} (row ${rowNumber})` : key, field, code, severity]);
+    });
+
+    // Duplicate groups span rows, so they are identified by their key values instead
+    this.duplicateGroups.forEach(issue => {
+      callback([`${issue.params.constraintName}=${issue.value}`, issue.fields.join('+'), issue.code, issue.severity]);
+    });
+  }
+
+  /**
+   * Build a compact snapshot of the last run, for comparing with a later run
+   * @returns {Object} { snapshotVersion, generatedAt, inputFile, recordKey, duplicateRecordKeyCount, duplicateRecordKeys,
+   *   summary, errorsByField, errorsByCode, issues }
+   */
+  createRunSnapshot() {
+    const issues = [];
+    const head = this.createSnapshotHead();
+    this.forEachSnapshotIssue(issue => issues.push(issue));
+    return { ...head, issues };
+  }
+
+  /**
+   * Everything in a run snapshot except its issues
+   */
+  createSnapshotHead() {
+    if (!this.snapshotIssues) {
+      throw new Error('No snapshot data available. Please validate with the snapshot option first.');
+    }
+
+    const stats = this.getValidationStats();
+    const summary = {};
+    ['totalRecords', 'validRecords', 'invalidRecords', 'totalErrors', 'totalWarnings', 'duplicateGroups', 'successRate'].forEach(key => {
+      summary[key] = stats ? stats[key] : 0;
+    });
+
+    return {
+      snapshotVersion: SNAPSHOT_VERSION,
+      generatedAt: new Date().toISOString(),
+      inputFile: this.inputFilePath,
+      recordKey: this.recordKey,
+      duplicateRecordKeyCount: this.duplicateRecordKeys.length,
+      duplicateRecordKeys: this.duplicateRecordKeys.slice(0, DUPLICATE_KEY_SAMPLE_SIZE).map(group => ({
+        key: group.key,
+        rows: group.rowNumbers.length,
+        rowNumbers: group.rowNumbers.slice(0, 10)
+      })),
+      summary,
+      errorsByField: stats ? stats.errorsByField : {},
+      errorsByCode: stats ? stats.errorsByCode : {}
+    };
+  }
+
+  /**
+   * Save a snapshot of the last run (see createRunSnapshot). Issues are written
+   * as they are read, so a streamed run's issues never all sit in memory; its
+   * temporary issue file is removed once saved.
+   * @param {string} outputFilePath - Path for the snapshot JSON file
+   */
+  saveRunSnapshot(outputFilePath) {
+    const head = this.createSnapshotHead();
+    const issueCount = this.snapshotIssues.count + this.duplicateGroups.length;
+    const writer = new BufferedLineWriter(outputFilePath);
+    const text = JSON.stringify(head, null, 2);
+    writer.writeLine(`${text.slice(0, text.lastIndexOf('}')).trimEnd()},`);
+    // One issue per line keeps large snapshots compact and diffable
+    writer.writeLine('  "issues": [');
+    let index = 0;
+    this.forEachSnapshotIssue(issue => {
+      index++;
+      writer.writeLine(`    ${JSON.stringify(issue)}${index < issueCount ? ',' : ''}`);
+    });
+    writer.writeLine('  ]');
+    writer.writeLine('}');
+    writer.close();
+    if (this.streaming) {
+      this.snapshotIssues.cleanup();
+      this.snapshotIssues = null;
+    }
+    console.log(`Run snapshot saved: ${outputFilePath} (${issueCount} issues)`);
+  }
+
+  /**
+   * Compare two run snapshots
+   * @param {string} baselineFilePath - Snapshot of the earlier run
+   * @param {string} currentFilePath - Snapshot of the later run
+   * @returns {Object} Comparison (see compareSnapshots in runComparison.js)
+   */
+  compareRuns(baselineFilePath, currentFilePath) {
+    this.runComparison = compareSnapshots(readSnapshot(baselineFilePath), readSnapshot(currentFilePath), {
+      baseline: baselineFilePath,
+      current: currentFilePath
+    });
+    return this.runComparison;
+  }
+
+  /**
+   * Write the run comparison as a workbook with a Run Comparison sheet, or as JSON
+   * @param {string} outputFilePath - Path for the output Excel or JSON file
+   */
+  generateComparisonReport(outputFilePath) {
+    if (!this.runComparison) {
+      throw new Error('No run comparison available. Please compare two snapshots first.');
+    }
+
+    if (path.extname(outputFilePath).toLowerCase() === '.json') {
+      fs.writeFileSync(outputFilePath, JSON.stringify({ generatedAt: new Date().toISOString(), ...this.runComparison }, null, 2));
+      console.log(`Run comparison generated: ${outputFilePath}`);
+      return;
+    }
+
+    const workbook = XLSX.utils.book_new();
+    const comparisonSheet = XLSX.utils.json_to_sheet(this.generateRunComparisonData());
+    this.formatWorksheet(comparisonSheet, 'comparison');
+    XLSX.utils.book_append_sheet(workbook, comparisonSheet, '🔀 Run Comparison');
+    XLSX.writeFile(workbook, outputFilePath);
+    console.log(`Run comparison generated: ${outputFilePath}`);
+  }
+
+  /**
+   * Set run-wide severity overrides, used where the mapping's Severity column says nothing
+   * @param {string} text - Check overrides, e.g. "maxLength=warning, pattern=info"
+   */
+  setSeverityOverrides(text) {
+    const severity = parseSeverity(text);
+    if (severity && severity.level) {
+      throw new Error(`Severity overrides must name a check (e.g. maxLength=warning), got '${severity.level}'`);
+    }
+    this.severityOverrides = severity;
+    return severity;
+  }
+
+  /**
+   * Write a rule's transforms the way the mapping's Transforms column spells them
+   * @param {Object} rule - Validation rule
+   */
+  describeTransforms(rule) {
+    return (rule.transforms || [])
+      .map(step => step.args.length > 0 ? `${step.name}(${step.args.join('|')})` : step.name)
+      .join(';');
+  }
+
+  /**
+   * Build what transforms need to know about a field
+   * @param {Object} rule - Validation rule
+   * @returns {Object} { dataType, scale, format, allowedValues }
+   */
+  getTransformContext(rule) {
+    const decimalInfo = rule.fieldType && rule.fieldType.precision ? rule.fieldType : this.parseDecimalPrecision(rule.originalDataType);
+    return {
+      dataType: rule.dataType,
+      scale: decimalInfo ? decimalInfo.scale : null,
+      format: rule.format,
+      allowedValues: rule.allowedValues ? rule.allowedValues.split(',').map(value => value.trim()).filter(Boolean) : []
+    };
+  }
+
+  /**
+   * Write a corrected copy of an input file by applying each field's transforms,
+   * and a change log with one line per altered cell. Rows without changes are
+   * copied byte for byte; changed rows keep the original delimiter, column
+   * order and quoting. Validate the corrected file afterwards to see what is left.
+   * @param {string} inputFilePath - Path to the input file
+   * @param {string} outputFilePath - Path for the corrected file
+   * @param {Object} options - { delimiter, headerPolicy, changeLogFile, inputFormat, encoding }
+   * @returns {Promise<Object>} { inputFile, outputFile, changeLogFile, totalRecords, changedRecords, changedCells, changesByTransform, changesByField }
+   */
+  async fixInputFile(inputFilePath, outputFilePath, options = {}) {
+    const inputFormat = resolveInputFormat(inputFilePath, options.inputFormat);
+    if (inputFormat !== 'csv') {
+      throw new Error(`Fixes are written to a copy of delimited text; they are not available for ${inputFormat} input`);
+    }
+    if (isGzipFile(inputFilePath)) {
+      throw new Error('Fixes copy unchanged rows byte for byte from uncompressed input; this file is gzip-compressed');
+    }
+    const encoding = detectEncoding(inputFilePath, options.encoding);
+    if (encoding.encoding !== 'utf8') {
+      throw new Error(`Fixes copy unchanged rows byte for byte from UTF-8 input; this file is ${encoding.encoding}`);
+    }
+    const delimiter = options.delimiter || this.detectDelimiter(inputFilePath, encoding);
+    const parsed = path.parse(outputFilePath);
+    const changeLogFile = options.changeLogFile || path.join(parsed.dir, `${parsed.name}_changes.csv`);
+
+    // Transforms apply to the columns the headers match; everything else is copied as is
+    const headerValidation = await this.validateHeaders(inputFilePath, delimiter, options.headerPolicy, encoding);
+    const fixes = new Map(); // Column index -> { rule, steps, context }
+    this.validationRules.forEach(rule => {
+      const inputHeader = headerValidation.matchedHeaders[rule.fieldName];
+      if (inputHeader === undefined || !rule.transforms || rule.transforms.length === 0) return;
+      const context = this.getTransformContext(rule);
+      fixes.set(headerValidation.inputHeaders.indexOf(inputHeader), { rule, steps: expandTransforms(rule.transforms, context), context });
+    });
+
+    const result = {
+      inputFile: inputFilePath,
+      outputFile: outputFilePath,
+      changeLogFile,
+      totalRecords: 0,
+      changedRecords: 0,
+      changedCells: 0,
+      changesByTransform: {},
+      changesByField: {}
+    };
+
+    const stringifier = createObjectCsvStringifier({
+      header: ['Row #', 'Column #', 'Field Name', 'Transforms', 'Before', 'After'].map(column => ({ id: column, title: column }))
+    });
+    const output = new BufferedLineWriter(outputFilePath);
+    const changeLog = new BufferedLineWriter(changeLogFile);
+    changeLog.writeLine(stringifier.getHeaderString().trimEnd());
+    const input = fs.openSync(inputFilePath, 'r');
+
+    try {
+      await forEachRawRecord(inputFilePath, delimiter, (rowNumber, start, end, cells) => {
+        const record = Buffer.alloc(end - start);
+        fs.readSync(input, record, 0, record.length, start);
+        if (rowNumber === 0) {
+          output.write(record);
+          return;
+        }
+
+        result.totalRecords++;
+        const changes = [];
+        fixes.forEach(({ rule, steps, context }, columnIndex) => {
+          if (columnIndex >= cells.length) return;
+          const { value, applied } = applyTransforms(cells[columnIndex], steps, context);
+          if (applied.length === 0) return;
+          changes.push({ columnIndex, fieldName: rule.fieldName, applied, before: cells[columnIndex], after: value });
+        });
+
+        if (changes.length === 0) {
+          output.write(record);
+          return;
+        }
+
+        const { body, lineEnding } = splitLineEnding(record);
+        const quoted = findQuotedCells(body.toString('utf8'), delimiter);
+        const corrected = cells.slice();
+        changes.forEach(change => {
+          corrected[change.columnIndex] = change.after;
+          changeLog.writeLine(stringifier.stringifyRecords([{
+            'Row #': rowNumber,
+            'Column #': change.columnIndex + 1,
+            'Field Name': change.fieldName,
+            'Transforms': change.applied.join(';'),
+            'Before': change.before,
+            'After': change.after
+          }]).trimEnd());
+          result.changedCells++;
+          result.changesByField[change.fieldName] = (result.changesByField[change.fieldName] || 0) + 1;
+          change.applied.forEach(name => {
+            result.changesByTransform[name] = (result.changesByTransform[name] || 0) + 1;
+          });
+        });
+        result.changedRecords++;
+        output.write(`${corrected.map((value, index) => formatCell(value, delimiter, quoted[index])).join(delimiter)}${lineEnding}`);
+      });
+    } finally {
+      fs.closeSync(input);
+      output.close();
+      changeLog.close();
+    }
+
+    this.remediationResult = result;
+    console.log(`Corrected ${result.changedCells} cells in ${result.changedRecords} of ${result.totalRecords} records: ${outputFilePath}`);
+    console.log(`Change log: ${changeLogFile}`);
+    return result;
+  }
+
+  /**
+   * Open the clean and rejects files for a run, when either was requested
+   * @param {string} inputFilePath - Path to the input file
+   * @param {string} delimiter - Delimiter character
+   * @param {Object} options - Validation options (cleanFile, rejectsFile)
+   * @returns {RowSplitter|null} Splitter, or null when not splitting
+   */
+  createRowSplitter(inputFilePath, delimiter, options) {
+    this.splitResult = null;
+    if (!options.cleanFile && !options.rejectsFile) {
+      return null;
+    }
+
+    const parsed = path.parse(inputFilePath);
+    return new RowSplitter(inputFilePath, delimiter, {
+      cleanFile: options.cleanFile || path.join(parsed.dir, `${parsed.name}_clean${parsed.ext}`),
+      rejectsFile: options.rejectsFile || path.join(parsed.dir, `${parsed.name}_rejects${parsed.ext}`)
+    });
+  }
+
+  /**
+   * Create empty running aggregates for a validation run
+   */
+  createAggregates() {
+    return {
+      totalRecords: 0,
+      validRecords: 0,
+      invalidRecords: 0,
+      totalErrors: 0,
+      totalWarnings: 0,
+      totalInfo: 0,
+      duplicateGroups: 0,
+      duplicateRecords: 0,
+      invalidRows: new Uint8Array(1024), // Bit per row: row counted as invalid
+      referenceOrphans: {},
+      errorsByCode: {},
+      errorsByType: {},
+      errorsByField: {},
+      errorsByPriority: {}
+    };
+  }
+
+  /**
+   * Fold a single record result into the running aggregates
+   * @param {Object} result - Result returned by validateRecord
+   */
+  addToAggregates(result) {
+    const aggregates = this.aggregates;
+    aggregates.totalRecords++;
+    if (result.isValid) {
+      aggregates.validRecords++;
+    } else {
+      aggregates.invalidRecords++;
+      this.markInvalidRow(result.rowNumber);
+    }
+    aggregates.totalErrors += result.errors.length;
+
+    result.errors.forEach(issue => this.countError(issue));
+    result.warnings.forEach(issue => this.countNonError(issue));
+  }
+
+  /**
+   * Mark a row as counted in invalidRecords
+   * @param {number} rowNumber - 1-based data row number
+   */
+  markInvalidRow(rowNumber) {
+    const aggregates = this.aggregates;
+    if (rowNumber >> 3 >= aggregates.invalidRows.length) {
+      const grown = new Uint8Array(Math.max(aggregates.invalidRows.length * 2, (rowNumber >> 3) + 1));
+      grown.set(aggregates.invalidRows);
+      aggregates.invalidRows = grown;
+    }
+    aggregates.invalidRows[rowNumber >> 3] |= 1 << (rowNumber & 7);
+  }
+
+  /**
+   * Check whether a row was counted in invalidRecords
+   * @param {number} rowNumber - 1-based data row number
+   */
+  isInvalidRow(rowNumber) {
+    const { invalidRows } = this.aggregates;
+    return rowNumber >> 3 < invalidRows.length && (invalidRows[rowNumber >> 3] & (1 << (rowNumber & 7))) !== 0;
+  }
+
+  /**
+   * Count a warning or info issue
+   * @param {Object} issue - The issue object
+   */
+  countNonError(issue) {
+    if (issue.severity === 'info') {
+      this.aggregates.totalInfo++;
+    } else {
+      this.aggregates.totalWarnings++;
+    }
+  }
+
+  /**
+   * Count one error issue in the per code, category, field and priority totals
+   * @param {Object} issue - The issue object
+   */
+  countError(issue) {
+    const aggregates = this.aggregates;
+    const fieldName = this.extractFieldNameFromError(issue);
+    aggregates.errorsByCode[issue.code] = (aggregates.errorsByCode[issue.code] || 0) + 1;
+    aggregates.errorsByType[issue.category] = (aggregates.errorsByType[issue.category] || 0) + 1;
+    aggregates.errorsByField[fieldName] = (aggregates.errorsByField[fieldName] || 0) + 1;
+    aggregates.errorsByPriority[issue.priority] = (aggregates.errorsByPriority[issue.priority] || 0) + 1;
+
+    if (issue.code === 'REFERENCE_NOT_FOUND') {
+      this.countOrphan(issue);
+    }
+  }
+
+  /**
+   * Track an orphaned reference value per field
+   * @param {Object} issue - A REFERENCE_NOT_FOUND issue
+   */
+  countOrphan(issue) {
+    const orphans = this.aggregates.referenceOrphans;
+    if (!orphans[issue.fieldName]) {
+      orphans[issue.fieldName] = {
+        referenceFile: issue.params.referenceFile,
+        referenceField: issue.params.referenceField,
+        orphanRows: 0,
+        missingKeys: new Set(),
+        missingKeysCapped: false
+      };
+    }
+
+    const entry = orphans[issue.fieldName];
+    const key = String(issue.value).trim();
+    entry.orphanRows++;
+    if (entry.missingKeys.size < this.maxTrackedOrphans) {
+      entry.missingKeys.add(key);
+    } else if (!entry.missingKeys.has(key)) {
+      entry.missingKeysCapped = true;
+    }
+  }
+
+  /**
+   * Add the key values of a record to the duplicate index
+   * @param {DuplicateIndex} duplicateIndex - Index of key occurrences
+   * @param {Array} constraints - Uniqueness constraints from getUniqueConstraints
+   * @param {Object} record - The record
+   * @param {number} rowNumber - Row number of the record
+   */
+  trackUniqueKeys(duplicateIndex, constraints, record, rowNumber) {
+    constraints.forEach((constraint, index) => {
+      const values = constraint.fields.map(fieldName => {
+        const value = record[fieldName];
+        return this.isEmptyValue(value) ? '' : String(value).trim();
+      });
+
+      // Empty keys never collide, in the same way as SQL NULLs
+      if (values.every(value => value === '')) return;
+      duplicateIndex.add(index, JSON.stringify(values), rowNumber);
+    });
+  }
+
+  /**
+   * Turn the duplicate index groups into issues and fold them into the aggregates
+   * @param {Array} groups - Groups returned by DuplicateIndex.finalize
+   * @param {Array} constraints - Uniqueness constraints from getUniqueConstraints
+   */
+  recordDuplicateGroups(groups, constraints) {
+    // A key spanning several fields takes the most severe setting among them
+    const rulesByField = new Map(this.validationRules.map(rule => [rule.fieldName, rule]));
+    const constraintSeverity = (constraint) => constraint.fields
+      .map(fieldName => resolveSeverity('DUPLICATE_KEY', rulesByField.has(fieldName) ? rulesByField.get(fieldName).severity : null, this.severityOverrides))
+      .sort((a, b) => SEVERITY_LEVELS.indexOf(a) - SEVERITY_LEVELS.indexOf(b))[0];
+
+    this.duplicateGroups = groups.map(group => {
+      const constraint = constraints[group.constraintIndex];
+      const values = JSON.parse(group.key);
+      return createIssue('DUPLICATE_KEY', {
+        fieldName: constraint.fields[0],
+        fields: constraint.fields,
+        value: values.join(' | '),
+        rule: { name: constraint.name, type: constraint.type, fields: constraint.fields },
+        rowNumber: group.rowNumbers[0],
+        line: this.lineIndex.lineOf(group.rowNumbers[0]),
+        column: this.getColumnPosition(constraint.fields[0]),
+        priority: constraint.type === 'primaryKey' ? 'Critical' : undefined,
+        severity: constraintSeverity(constraint),
+        params: {
+          constraintName: constraint.name,
+          keyValues: _.zipObject(constraint.fields, values),
+          rowNumbers: group.rowNumbers,
+          lineNumbers: group.rowNumbers.map(rowNumber => this.lineIndex.lineOf(rowNumber))
+        }
+      });
+    });
+
+    // Groups configured as warning or info are reported but do not count as duplicates that fail the run
+    const aggregates = this.aggregates;
+    this.duplicateGroups.forEach(issue => {
+      if (issue.severity !== 'error') {
+        this.countNonError(issue);
+        return;
+      }
+      aggregates.duplicateGroups++;
+      aggregates.duplicateRecords += issue.params.rowNumbers.length;
+      aggregates.totalErrors++;
+      this.countError(issue);
+
+      // Every row of the group fails, like a row with any other error; a row already invalid is counted once
+      issue.params.rowNumbers.forEach(rowNumber => {
+        if (this.isInvalidRow(rowNumber)) return;
+        this.markInvalidRow(rowNumber);
+        aggregates.validRecords--;
+        aggregates.invalidRecords++;
+        if (!this.streaming) {
+          this.validationResults[rowNumber - 1].isValid = false;
+        }
+      });
+    });
+
+    // Each row of a group carries the group's issue, so every row it fails shows why.
+    // Streamed rows are not kept; forEachResult merges their issues in row order.
+    const rowIssues = [];
+    this.duplicateGroups.forEach((issue, groupIndex) => {
+      issue.params.rowNumbers.forEach(rowNumber => rowIssues.push(this.createDuplicateRowIssue(issue, groupIndex, rowNumber)));
+    });
+    if (this.streaming) {
+      this.duplicateRowIssues = rowIssues.sort((a, b) => a.rowNumber - b.rowNumber);
+      return;
+    }
+    rowIssues.forEach(rowIssue => {
+      const result = this.validationResults[rowIssue.rowNumber - 1];
+      (rowIssue.severity === 'error' ? result.errors : result.warnings).push(rowIssue);
+    });
+  }
+
+  /**
+   * The DUPLICATE_KEY issue of one row of a group. It refers to the group
+   * (duplicateGroup is its index in duplicateGroups) rather than copying the
+   * row list, and is not counted again in the totals.
+   * @param {Object} issue - DUPLICATE_KEY issue of the group
+   * @param {number} groupIndex - Index of the group in duplicateGroups
+   * @param {number} rowNumber - Row of the group
+   */
+  createDuplicateRowIssue(issue, groupIndex, rowNumber) {
+    const line = this.lineIndex.lineOf(rowNumber);
+    return {
+      ...issue,
+      rowNumber,
+      line,
+      cell: this.getCellAddress(issue.fieldName, line),
+      params: {
+        constraintName: issue.params.constraintName,
+        keyValues: issue.params.keyValues,
+        duplicateGroup: groupIndex,
+        groupRows: issue.params.rowNumbers.length
+      }
+    };
+  }
 
-        // Store header validation result for reporting
-        this.headerValidationResult = headerValidation;
+  /**
+   * Open the NDJSON file that receives per-row issues in streaming mode
+   * @param {string} issuesFile - Requested path (defaults next to the input file)
+   * @param {string} inputFilePath - Path to the input file
+   */
+  openIssueSpill(issuesFile, inputFilePath) {
+    this.issuesFilePath = issuesFile || `${inputFilePath}.issues.ndjson`;
+    return new BufferedLineWriter(this.issuesFilePath);
+  }
 
-        // Proceed with data validation
-        const results = [];
-        let rowNumber = 1; // Start from 1 for user-friendly reporting
+  /**
+   * Write the issues of one record result to the spill file
+   * @param {BufferedLineWriter} writer - Spill file writer
+   * @param {Object} result - Result returned by validateRecord
+   */
+  spillIssues(writer, result) {
+    result.errors.forEach(issue => writer.writeLine(JSON.stringify(issue)));
+    result.warnings.forEach(issue => writer.writeLine(JSON.stringify(issue)));
+  }
 
-        fs.createReadStream(inputFilePath)
-          .pipe(csv({ separator: delimiter }))
-          .on('data', (row) => {
-            const validationResult = this.validateRecord(row, rowNumber);
-            results.push(validationResult);
-            rowNumber++;
-          })
-          .on('end', () => {
-            this.validationResults = results;
-            console.log(`Validated ${results.length} records using delimiter: '${delimiter}'`);
-            resolve(results);
-          })
-          .on('error', (error) => {
-            reject(error);
-          });
-      } catch (error) {
-        reject(error);
+  /**
+   * Iterate record results. In streaming mode only records with issues are
+   * visited, rebuilt from the spilled issue file (record data is not kept).
+   * @param {Function} callback - Called with each result; return false to stop early
+   */
+  forEachResult(callback) {
+    if (!this.streaming) {
+      for (const result of this.validationResults) {
+        if (callback(result) === false) return;
+      }
+      return;
+    }
+
+    // Duplicate key issues are only known at the end, so they are not in the spill file;
+    // rows whose only issue is a duplicate key are visited between the spilled ones
+    const duplicates = this.duplicateRowIssues;
+    let nextDuplicate = 0;
+    const addDuplicates = (result) => {
+      while (nextDuplicate < duplicates.length && duplicates[nextDuplicate].rowNumber === result.rowNumber) {
+        const issue = duplicates[nextDuplicate++];
+        if (issue.severity === 'error') {
+          result.errors.push(issue);
+          result.isValid = false;
+        } else {
+          result.warnings.push(issue);
+        }
+      }
+      return result;
+    };
+    const visitDuplicatesBefore = (rowNumber) => {
+      while (nextDuplicate < duplicates.length && duplicates[nextDuplicate].rowNumber < rowNumber) {
+        const { rowNumber: duplicateRow, line } = duplicates[nextDuplicate];
+        if (callback(addDuplicates({ rowNumber: duplicateRow, line, record: null, isValid: true, errors: [], warnings: [] })) === false) {
+          return false;
+        }
+      }
+      return true;
+    };
+    const visit = (result) => visitDuplicatesBefore(result.rowNumber) && callback(addDuplicates(result)) !== false;
+
+    let current = null;
+    let stopped = false;
+    if (this.issuesFilePath && fs.existsSync(this.issuesFilePath)) {
+      forEachLineSync(this.issuesFilePath, (line) => {
+        if (!line) return;
+        const issue = JSON.parse(line);
+        if (current && current.rowNumber !== issue.rowNumber) {
+          if (!visit(current)) {
+            stopped = true;
+            return false;
+          }
+          current = null;
+        }
+        if (!current) {
+          current = { rowNumber: issue.rowNumber, line: issue.line, record: null, isValid: true, errors: [], warnings: [] };
+        }
+        if (issue.severity === 'error') {
+          current.errors.push(issue);
+          current.isValid = false;
+        } else {
+          current.warnings.push(issue);
+        }
+      });
+    }
+    if (current && !stopped) {
+      stopped = !visit(current);
+    }
+    if (!stopped) {
+      visitDuplicatesBefore(Infinity);
+    }
+  }
+
+  /**
+   * Iterate every error issue of the run, in row order
+   * @param {Function} callback - Called with (issue, result); return false to stop early
+   */
+  forEachError(callback) {
+    let stopped = false;
+    this.forEachResult(result => {
+      for (const issue of result.errors) {
+        if (callback(issue, result) === false) {
+          stopped = true;
+          return false;
+        }
       }
     });
+    return !stopped;
   }
 
   /**
    * Auto-detect delimiter by examining the first few lines
    * @param {string} filePath - Path to the file
+   * @param {Object} encoding - File encoding (see detectEncoding; default: detect)
    */
-  detectDelimiter(filePath) {
+  detectDelimiter(filePath, encoding = null) {
     try {
-      const content = fs.readFileSync(filePath, 'utf8').split('\n')[0];
+      const content = readDecodedHeaderLine(filePath, encoding || detectEncoding(filePath));
       const delimiters = [',', '|', ';', '\t'];
       
       for (const delim of delimiters) {
@@ -602,7 +2312,7 @@ class CSVValidator {
    * @param {string} outputFilePath - Path for the output Excel file
    */
   generateExcelReport(outputFilePath) {
-    if (!this.validationResults || this.validationResults.length === 0) {
+    if (!this.aggregates || this.aggregates.totalRecords === 0) {
       throw new Error('No validation results available. Please run validation first.');
     }
 
@@ -643,6 +2353,29 @@ class CSVValidator {
       XLSX.utils.book_append_sheet(workbook, errorSheet, '⚠️ Error Analysis');
     }
 
+    // Referential integrity worksheet (if the mapping declares reference checks)
+    if (this.validationRules.some(rule => rule.referenceFile)) {
+      const referenceData = this.generateReferenceIntegrityData();
+      const referenceSheet = XLSX.utils.json_to_sheet(referenceData);
+      this.formatWorksheet(referenceSheet, 'references');
+      XLSX.utils.book_append_sheet(workbook, referenceSheet, '🔗 Referential Integrity');
+    }
+
+    // Duplicates worksheet (if any uniqueness constraint was violated)
+    if (this.duplicateGroups.length > 0) {
+      const duplicateData = this.generateDuplicateData();
+      const duplicateSheet = XLSX.utils.json_to_sheet(duplicateData);
+      this.formatWorksheet(duplicateSheet, 'duplicates');
+      XLSX.utils.book_append_sheet(workbook, duplicateSheet, '🔁 Duplicates');
+    }
+
+    // Column Profile worksheet (if the run was profiled), next to the dashboard
+    if (this.columnProfiles) {
+      const profileSheet = XLSX.utils.json_to_sheet(this.generateColumnProfileData());
+      this.formatWorksheet(profileSheet, 'profile');
+      XLSX.utils.book_append_sheet(workbook, profileSheet, '🧮 Column Profile');
+    }
+
     // Data Quality Dashboard
     const dashboardData = this.generateDataQualityDashboard();
     const dashboardSheet = XLSX.utils.json_to_sheet(dashboardData);
@@ -654,16 +2387,355 @@ class CSVValidator {
     console.log(`Professional Excel report generated: ${outputFilePath}`);
   }
 
+  /**
+   * Write the report in the format given by the file extension
+   * (.xlsx, .json, .ndjson/.jsonl, .csv or .xml), or in an explicit format
+   * @param {string} outputFilePath - Path for the report
+   * @param {string} format - 'xlsx', 'json', 'ndjson', 'csv' or 'junit' (optional)
+   */
+  generateReport(outputFilePath, format = null) {
+    const reportFormat = format || {
+      '.json': 'json',
+      '.ndjson': 'ndjson',
+      '.jsonl': 'ndjson',
+      '.csv': 'csv',
+      '.xml': 'junit'
+    }[path.extname(outputFilePath).toLowerCase()] || 'xlsx';
+
+    switch (reportFormat) {
+      case 'xlsx':
+        return this.generateExcelReport(outputFilePath);
+      case 'json':
+        return this.generateJsonReport(outputFilePath);
+      case 'ndjson':
+        return this.generateNdjsonReport(outputFilePath);
+      case 'csv':
+        return this.generateCsvReport(outputFilePath);
+      case 'junit':
+        return this.generateJunitReport(outputFilePath);
+      default:
+        throw new Error(`Unknown report format '${reportFormat}' (expected xlsx, json, ndjson, csv or junit)`);
+    }
+  }
+
+  /**
+   * Build the JSON description of the loaded rules
+   */
+  getRulesReportData() {
+    return {
+      fieldRules: this.validationRules.map(rule => ({
+        ruleIndex: rule.ruleIndex,
+        fieldName: rule.fieldName,
+        dataType: rule.dataType,
+        originalDataType: rule.originalDataType,
+        required: rule.required,
+        minLength: rule.minLength !== undefined ? rule.minLength : null,
+        maxLength: rule.maxLength !== undefined ? rule.maxLength : null,
+        platformMaxLength: rule.fieldType ? rule.fieldType.maxLength : null,
+        pattern: rule.pattern || null,
+        allowedValues: rule.allowedValues ? rule.allowedValues.split(',').map(value => value.trim()) : null,
+        format: rule.format,
+        unique: rule.unique,
+        uniqueKey: rule.uniqueKey,
+        primaryKey: rule.primaryKey,
+        referenceFile: rule.referenceFile,
+        referenceField: rule.referenceFile ? rule.referenceField || rule.fieldName : null,
+        aliases: rule.aliases || [],
+        transforms: this.describeTransforms(rule),
+        severity: formatSeverity(rule.severity) || null,
+        description: rule.description,
+        validationLogic: this.getDetailedValidationLogic(rule)
+      })),
+      recordRules: this.recordRules.map(rule => ({
+        ruleIndex: rule.ruleIndex,
+        name: rule.name,
+        type: rule.type,
+        fields: rule.fields,
+        severity: formatSeverity(rule.severity) || null,
+        description: rule.description,
+        validationLogic: describeRecordRule(rule)
+      }))
+    };
+  }
+
+  /**
+   * Generate a single JSON document: summary, header validation, rules,
+   * duplicate groups and every row that has issues. Rows are written one at a
+   * time, so this also works for streaming runs.
+   * @param {string} outputFilePath - Path for the JSON file
+   */
+  generateJsonReport(outputFilePath) {
+    if (!this.aggregates && !this.headerValidationResult) {
+      throw new Error('No validation results available. Please run validation first.');
+    }
+
+    const document = {
+      generatedAt: new Date().toISOString(),
+      inputFile: this.inputFilePath,
+      inputFormat: this.inputFormat,
+      delimiter: this.delimiter,
+      encoding: this.inputEncoding ? describeEncoding(this.inputEncoding) : null,
+      sheet: this.inputSheet ? { name: this.inputSheet.sheetName, headerRow: this.inputSheet.headerRow } : null,
+      streaming: this.streaming,
+      summary: this.getValidationStats(),
+      headerValidation: this.headerValidationResult || null,
+      qualityGates: this.qualityGateResult,
+      split: this.splitResult,
+      remediation: this.remediationResult,
+      columnProfiles: this.columnProfiles,
+      rules: this.getRulesReportData(),
+      duplicateGroups: this.duplicateGroups
+    };
+
+    // Write everything but the rows, then append rows without holding them all in memory
+    const writer = new BufferedLineWriter(outputFilePath);
+    const head = JSON.stringify(document, null, 2);
+    writer.writeLine(`${head.slice(0, head.lastIndexOf('}')).trimEnd()},`);
+    writer.writeLine('  "rows": [');
+
+    let pending = null;
+    if (this.aggregates) {
+      this.forEachResult(result => {
+        if (result.errors.length === 0 && result.warnings.length === 0) return;
+        if (pending !== null) {
+          writer.writeLine(`${pending},`);
+        }
+        pending = `    ${JSON.stringify({ rowNumber: result.rowNumber, isValid: result.isValid, errors: result.errors, warnings: result.warnings })}`;
+      });
+    }
+    if (pending !== null) {
+      writer.writeLine(pending);
+    }
+
+    writer.writeLine('  ]');
+    writer.writeLine('}');
+    writer.close();
+    console.log(`JSON report generated: ${outputFilePath}`);
+  }
+
+  /**
+   * Generate an NDJSON file with one issue per line, in row order (each row of a duplicate key group has its own line)
+   * @param {string} outputFilePath - Path for the NDJSON file
+   */
+  generateNdjsonReport(outputFilePath) {
+    if (!this.aggregates) {
+      throw new Error('No validation results available. Please run validation first.');
+    }
+
+    const writer = new BufferedLineWriter(outputFilePath);
+    this.forEachResult(result => {
+      result.errors.forEach(issue => writer.writeLine(JSON.stringify(issue)));
+      result.warnings.forEach(issue => writer.writeLine(JSON.stringify(issue)));
+    });
+    writer.close();
+    console.log(`NDJSON issues report generated: ${outputFilePath} (${writer.linesWritten} issues)`);
+  }
+
+  /**
+   * Generate a flat CSV with one row per issue, the same columns as the Error Analysis sheet
+   * @param {string} outputFilePath - Path for the CSV file
+   */
+  generateCsvReport(outputFilePath) {
+    if (!this.aggregates) {
+      throw new Error('No validation results available. Please run validation first.');
+    }
+
+    // Workbook input adds the cell address of each issue
+    const columns = ['Row #', 'Line #', 'Column #', ...(this.inputSheet ? ['Cell'] : []), 'Field Name', 'Error Code', 'Error Type', 'Severity', 'Priority', 'Value', 'Error Message'];
+    const stringifier = createObjectCsvStringifier({
+      header: columns.map(column => ({ id: column, title: column }))
+    });
+    const toRow = (issue, rowNumber) => ({
+      'Row #': rowNumber !== null ? rowNumber : issue.params.rowNumbers.join(' '),
+      'Line #': rowNumber !== null ? (issue.line !== null ? issue.line : '') : issue.params.lineNumbers.join(' '),
+      'Column #': issue.column !== null ? issue.column : '',
+      'Cell': issue.cell || '',
+      'Field Name': issue.fields.join(', '),
+      'Error Code': issue.code,
+      'Error Type': this.categorizeError(issue),
+      'Severity': issue.severity,
+      'Priority': issue.priority,
+      'Value': issue.value !== null ? issue.value : '',
+      'Error Message': issue.message
+    });
+
+    const writer = new BufferedLineWriter(outputFilePath);
+    writer.writeLine(stringifier.getHeaderString().trimEnd());
+    this.forEachResult(result => {
+      [...result.errors, ...result.warnings].forEach(issue => {
+        writer.writeLine(stringifier.stringifyRecords([toRow(issue, result.rowNumber)]).trimEnd());
+      });
+    });
+    writer.close();
+    console.log(`CSV issues report generated: ${outputFilePath} (${writer.linesWritten - 1} issues)`);
+  }
+
+  /**
+   * Evaluate quality gates against this run's statistics and keep the result for reports
+   * @param {Object} gates - Gate configuration (see qualityGates.js); empty means the default
+   *                         of no invalid records and no duplicate key groups
+   * @returns {Object} { passed, gates: [{ name, description, threshold, actual, passed }] }
+   */
+  evaluateQualityGates(gates = {}) {
+    if (!this.aggregates) {
+      throw new Error('No validation results available. Please run validation first.');
+    }
+
+    // An input with no data rows has nothing to fail
+    const stats = this.getValidationStats() || {
+      totalRecords: 0, validRecords: 0, invalidRecords: 0, totalErrors: 0, totalWarnings: 0, totalInfo: 0,
+      duplicateGroups: 0, successRate: 100, errorsByCode: {}, errorsByPriority: {}
+    };
+    this.qualityGateResult = evaluateQualityGates(stats, gates);
+    return this.qualityGateResult;
+  }
+
+  /**
+   * Build JUnit test suites: header validation, one testcase per field rule,
+   * record rule and uniqueness constraint, and one per quality gate
+   */
+  getJunitTestSuites() {
+    const className = this.inputFilePath ? path.basename(this.inputFilePath) : 'input';
+    const header = this.headerValidationResult;
+    const suites = [];
+
+    if (header) {
+      const problems = [
+        ...header.missingHeaders.map(name => `Missing header: ${name}`),
+        ...header.duplicateHeaders.map(d => `Duplicate header: ${d.header} (column ${d.position}, same field as column ${d.firstPosition})`),
+        ...(header.policy.allowExtraColumns ? [] : header.extraHeaders.map(name => `Unexpected header: ${name}`)),
+        ...header.orderMismatches.map(m => `Out of order: ${m.fieldName} expected at position ${m.expectedPosition}, found at ${m.actualPosition}`),
+        ...header.suggestions.map(s => `Did you mean: ${s.inputHeader} -> ${s.expectedHeader}`)
+      ];
+      suites.push({
+        name: 'Header Validation',
+        properties: { matching: describeHeaderPolicy(header.policy), expectedHeaders: header.totalExpected, foundHeaders: header.totalFound },
+        testcases: [{
+          name: 'Input headers match mapping',
+          classname: `${className}.headers`,
+          failure: header.isValid ? null : {
+            message: `${header.missingHeaders.length} missing, ${header.extraHeaders.length} extra, ${header.duplicateHeaders.length} duplicate, ${header.orderMismatches.length} out of order`,
+            type: 'HEADER_VALIDATION_FAILED',
+            details: problems.join('\n')
+          }
+        }]
+      });
+    }
+
+    if (!this.aggregates) {
+      return suites;
+    }
+
+    // Collect error counts, codes and a few samples per check in one pass over the issues
+    const checks = new Map();
+    const addIssue = (key, issue, rowNumbers) => {
+      if (!checks.has(key)) {
+        checks.set(key, { errors: 0, rows: 0, lastRow: null, codes: {}, samples: [] });
+      }
+      const check = checks.get(key);
+      check.errors++;
+      rowNumbers.forEach(rowNumber => {
+        if (rowNumber !== check.lastRow) {
+          check.rows++;
+          check.lastRow = rowNumber;
+        }
+      });
+      check.codes[issue.code] = (check.codes[issue.code] || 0) + 1;
+      if (check.samples.length < this.junitSampleLimit) {
+        const lines = issue.params.lineNumbers || [issue.line].filter(Boolean);
+        check.samples.push(`Row ${rowNumbers.join(', ')}${lines.length > 0 ? ` (line ${lines.join(', ')})` : ''}: ${issue.message}`);
+      }
+    };
+    this.forEachError((issue, result) => {
+      // A group is one failure of its constraint, added below with all of its rows
+      if (issue.code === 'DUPLICATE_KEY') return;
+      const key = issue.rule && issue.rule.name ? `record:${issue.rule.name}` : issue.fieldName ? `field:${issue.fieldName}` : 'structure';
+      addIssue(key, issue, [result.rowNumber]);
+    });
+    this.duplicateGroups
+      .filter(issue => issue.severity === 'error')
+      .forEach(issue => addIssue(`unique:${issue.params.constraintName}`, issue, issue.params.rowNumbers));
+
+    const toTestcase = (name, classname, key) => {
+      const check = checks.get(key);
+      if (!check) {
+        return { name, classname, failure: null };
+      }
+      const codes = Object.entries(check.codes).map(([code, count]) => `${code}: ${count}`).join(', ');
+      const more = check.errors > check.samples.length ? `\n... ${check.errors - check.samples.length} more` : '';
+      return {
+        name,
+        classname,
+        failure: {
+          message: `${check.errors} errors in ${check.rows} rows (${codes})`,
+          type: Object.keys(check.codes).join(','),
+          details: `${check.samples.join('\n')}${more}`
+        }
+      };
+    };
+
+    suites.push({
+      name: 'Field Rules',
+      properties: { records: this.aggregates.totalRecords },
+      testcases: this.validationRules.map(rule => toTestcase(`${rule.fieldName} (${rule.originalDataType})`, `${className}.fields`, `field:${rule.fieldName}`))
+    });
+
+    if (checks.has('structure') || ['fixed-width', 'jsonl'].includes(this.inputFormat)) {
+      suites.push({
+        name: 'Record Structure',
+        testcases: [toTestcase('Every line is a well-formed record', `${className}.structure`, 'structure')]
+      });
+    }
+
+    if (this.recordRules.length > 0) {
+      suites.push({
+        name: 'Record Rules',
+        testcases: this.recordRules.map(rule => toTestcase(`${rule.name} (${rule.type})`, `${className}.recordRules`, `record:${rule.name}`))
+      });
+    }
+
+    const constraints = this.getUniqueConstraints();
+    if (constraints.length > 0) {
+      suites.push({
+        name: 'Uniqueness',
+        testcases: constraints.map(constraint => toTestcase(`${constraint.name} (${constraint.fields.join(' + ')})`, `${className}.uniqueness`, `unique:${constraint.name}`))
+      });
+    }
+
+    if (this.qualityGateResult) {
+      suites.push({
+        name: 'Quality Gates',
+        testcases: this.qualityGateResult.gates.map(gate => ({
+          name: gate.description,
+          classname: `${className}.qualityGates`,
+          failure: gate.passed ? null : { message: `${gate.description}: actual ${gate.actual}`, type: gate.name, details: '' }
+        }))
+      });
+    }
+
+    return suites;
+  }
+
+  /**
+   * Generate a JUnit XML report so CI servers can show each field, rule and gate as a test
+   * @param {string} outputFilePath - Path for the XML file
+   */
+  generateJunitReport(outputFilePath) {
+    if (!this.aggregates && !this.headerValidationResult) {
+      throw new Error('No validation results available. Please run validation first.');
+    }
+
+    const suites = this.getJunitTestSuites();
+    fs.writeFileSync(outputFilePath, renderJunitXml('CSV Validation', suites));
+    const failures = suites.reduce((sum, suite) => sum + suite.testcases.filter(testcase => testcase.failure).length, 0);
+    console.log(`JUnit report generated: ${outputFilePath} (${failures} failing checks)`);
+  }
+
   /**
    * Generate executive summary data for professional report
    */
   generateExecutiveSummaryData() {
-    const totalRecords = this.validationResults.length;
-    const validRecords = this.validationResults.filter(r => r.isValid).length;
-    const invalidRecords = totalRecords - validRecords;
-    const totalErrors = this.validationResults.reduce((sum, r) => sum + r.errors.length, 0);
-    const totalWarnings = this.validationResults.reduce((sum, r) => sum + r.warnings.length, 0);
-    const successRate = ((validRecords / totalRecords) * 100);
+    const { totalRecords, validRecords, invalidRecords, totalErrors, totalWarnings, totalInfo, duplicateGroups, successRate } = this.getValidationStats();
 
     // Generate timestamp
     const timestamp = new Date().toLocaleString();
@@ -680,6 +2752,8 @@ class CSVValidator {
       { Section: 'Invalid Records', Value: invalidRecords, Details: 'Records with validation errors', Status: invalidRecords > 0 ? '⚠️' : '✅' },
       { Section: 'Total Validation Errors', Value: totalErrors, Details: 'Sum of all validation errors found', Status: totalErrors > 0 ? '❌' : '✅' },
       { Section: 'Total Warnings', Value: totalWarnings, Details: 'Non-critical validation warnings', Status: totalWarnings > 0 ? '⚠️' : '✅' },
+      { Section: 'Total Info', Value: totalInfo, Details: 'Informational findings (severity info)', Status: totalInfo > 0 ? 'ℹ️' : '✅' },
+      { Section: 'Duplicate Key Groups', Value: duplicateGroups, Details: 'Values repeated across rows in unique or primary key fields', Status: duplicateGroups > 0 ? '❌' : '✅' },
       { Section: '', Value: '', Details: '', Status: '' },
       
       { Section: '🔍 VALIDATION COVERAGE', Value: '', Details: '', Status: '' },
@@ -691,7 +2765,7 @@ class CSVValidator {
       
       { Section: '📈 RECOMMENDATIONS', Value: '', Details: '', Status: '' },
       { Section: 'Priority Level', Value: successRate >= 95 ? 'Low' : successRate >= 80 ? 'Medium' : 'High', Details: 'Recommended action priority based on data quality', Status: successRate >= 95 ? '🟢' : successRate >= 80 ? '🟡' : '🔴' },
-      { Section: 'Next Steps', Value: invalidRecords > 0 ? 'Review Error Analysis tab' : 'Data ready for processing', Details: 'Recommended next actions', Status: invalidRecords > 0 ? '📋' : '🚀' }
+      { Section: 'Next Steps', Value: invalidRecords > 0 ? 'Review Error Analysis tab' : duplicateGroups > 0 ? 'Review Duplicates tab' : 'Data ready for processing', Details: 'Recommended next actions', Status: invalidRecords > 0 || duplicateGroups > 0 ? '📋' : '🚀' }
     ];
   }
 
@@ -699,27 +2773,10 @@ class CSVValidator {
    * Generate data quality dashboard
    */
   generateDataQualityDashboard() {
-    const totalRecords = this.validationResults.length;
-    const validRecords = this.validationResults.filter(r => r.isValid).length;
-    const invalidRecords = totalRecords - validRecords;
-    
-    // Calculate error distribution by type
-    const errorTypes = {};
-    this.validationResults.forEach(result => {
-      result.errors.forEach(error => {
-        let errorType = this.categorizeError(error);
-        errorTypes[errorType] = (errorTypes[errorType] || 0) + 1;
-      });
-    });
-
-    // Calculate field error rates
-    const fieldErrors = {};
-    this.validationResults.forEach(result => {
-      result.errors.forEach(error => {
-        const fieldName = this.extractFieldNameFromError(error);
-        fieldErrors[fieldName] = (fieldErrors[fieldName] || 0) + 1;
-      });
-    });
+    const stats = this.getValidationStats();
+    const { totalRecords, validRecords, invalidRecords } = stats;
+    const errorTypes = stats.errorsByType;
+    const fieldErrors = stats.errorsByField;
 
     const dashboardData = [
       { Metric: '📊 DATA QUALITY DASHBOARD', Value: '', Percentage: '', Trend: '', Risk: '' },
@@ -768,33 +2825,123 @@ class CSVValidator {
   }
 
   /**
-   * Categorize error for better analysis
+   * Generate run comparison data: totals, per-field and per-type changes, then new and resolved issues
    */
-  categorizeError(error) {
-    if (error.includes('required') && (error.includes('missing') || error.includes('empty/null/blank'))) {
-      return 'Required Field Missing';
-    } else if (error.includes('invalid data type')) {
-      return 'Invalid Data Type';
-    } else if (error.includes('not a valid')) {
-      return 'Invalid Format';
-    } else if (error.includes('precision') || error.includes('decimal places') || error.includes('exceeds maximum')) {
-      return 'Decimal Precision Error';
-    } else if (error.includes('too short') || error.includes('too long')) {
-      return 'Length Constraint Error';
-    } else if (error.includes('pattern')) {
-      return 'Pattern Mismatch';
-    } else if (error.includes('allowed values')) {
-      return 'Invalid Value';
-    } else if (error.includes('not a valid number')) {
-      return 'Invalid Number Format';
-    } else if (error.includes('not a valid integer')) {
-      return 'Invalid Integer Format';
-    } else if (error.includes('not a valid boolean')) {
-      return 'Invalid Boolean Format';
-    } else if (error.includes('not a valid date') || error.includes('not a valid timestamp')) {
-      return 'Invalid Date/Time Format';
+  generateRunComparisonData() {
+    const comparison = this.runComparison;
+    const blank = { Section: '', Item: '', Baseline: '', Current: '', Change: '', Details: '' };
+    const formatChange = (change, digits = 0) => change > 0 ? `+${change.toFixed(digits)}` : change.toFixed(digits);
+    const countRow = (section, entry) => ({
+      Section: section,
+      Item: entry.name,
+      Baseline: entry.baseline,
+      Current: entry.current,
+      Change: formatChange(entry.change),
+      Details: entry.change > 0 ? '🔴 More errors' : '🟢 Fewer errors'
+    });
+
+    const comparisonData = [
+      { ...blank, Section: '🔀 RUN COMPARISON' },
+      { ...blank, Section: 'Baseline', Item: comparison.baseline.snapshotFile, Details: `${comparison.baseline.inputFile} at ${comparison.baseline.generatedAt}` },
+      { ...blank, Section: 'Current', Item: comparison.current.snapshotFile, Details: `${comparison.current.inputFile} at ${comparison.current.generatedAt}` },
+      { ...blank, Section: 'Result', Item: comparison.regressed ? '❌ Regressed' : '✅ No regressions', Details: comparison.recordKeyMismatch ? '⚠️ The runs identify records differently; new/resolved issues are unreliable' : '' }
+    ];
+    const { duplicateRecordKeys } = comparison;
+    if (duplicateRecordKeys.baseline > 0 || duplicateRecordKeys.current > 0) {
+      comparisonData.push({
+        ...blank,
+        Section: 'Record Keys',
+        Item: '⚠️ Repeated record keys',
+        Baseline: duplicateRecordKeys.baseline,
+        Current: duplicateRecordKeys.current,
+        Details: 'Issues of a repeated key are identified by row number; if rows moved, new/resolved issues for them are unreliable'
+      });
     }
-    return 'Other Error';
+    comparisonData.push(
+      blank,
+      { ...blank, Section: '🎯 TOTALS' }
+    );
+
+    comparison.metrics.forEach(metric => {
+      const isRate = metric.name === 'Success Rate';
+      comparisonData.push({
+        Section: 'Total',
+        Item: metric.name,
+        Baseline: isRate ? `${metric.baseline.toFixed(2)}%` : metric.baseline,
+        Current: isRate ? `${metric.current.toFixed(2)}%` : metric.current,
+        Change: isRate ? `${formatChange(metric.change, 2)}%` : formatChange(metric.change),
+        Details: ''
+      });
+    });
+
+    comparisonData.push(blank, { ...blank, Section: '🔍 ERRORS BY FIELD' });
+    comparison.fields.forEach(entry => comparisonData.push(countRow('Field', entry)));
+
+    comparisonData.push(blank, { ...blank, Section: '⚠️ ERRORS BY TYPE' });
+    comparison.errorTypes.forEach(entry => comparisonData.push(countRow('Error Code', entry)));
+
+    // Issue lists can be long; cap them like the other detail sheets
+    const issueRows = (section, issues) => {
+      comparisonData.push(blank, { ...blank, Section: `${section} (${issues.length})` });
+      issues.slice(0, this.reportRowLimit).forEach(issue => {
+        comparisonData.push({
+          Section: issue.severity === 'error' ? 'Error' : 'Warning',
+          Item: issue.recordKey,
+          Baseline: '',
+          Current: '',
+          Change: issue.count > 1 ? `x${issue.count}` : '',
+          Details: `${issue.field}: ${issue.code}`
+        });
+      });
+      if (issues.length > this.reportRowLimit) {
+        comparisonData.push({ ...blank, Details: `... ${issues.length - this.reportRowLimit} more (see the JSON comparison)` });
+      }
+    };
+    issueRows('🆕 NEW ISSUES', comparison.newIssues);
+    issueRows('✅ RESOLVED ISSUES', comparison.resolvedIssues);
+
+    return comparisonData;
+  }
+
+  /**
+   * Generate column profile data, one row per input column
+   */
+  generateColumnProfileData() {
+    const rulesByField = new Map(this.validationRules.map(rule => [rule.fieldName, rule]));
+    const formatNumber = (value) => value === null ? '' : Number(value.toFixed(4));
+
+    return this.columnProfiles.map(profile => {
+      const rule = rulesByField.get(profile.column);
+      return {
+        'Column #': profile.position,
+        Column: profile.column,
+        'Mapped Type': rule ? rule.originalDataType : '',
+        'Inferred Type': profile.inferredType,
+        Records: profile.records,
+        Filled: profile.filled,
+        Empty: profile.empty,
+        'Fill Rate': `${profile.fillRate.toFixed(1)}%`,
+        Distinct: profile.distinctCapped ? `${profile.distinctValues}+` : profile.distinctValues,
+        'Top Values': profile.topValues.map(({ value, count }) => `${value} (${count})`).join(', '),
+        'Min Length': profile.minLength !== null ? profile.minLength : '',
+        'Max Length': profile.maxLength !== null ? profile.maxLength : '',
+        Min: formatNumber(profile.min),
+        Max: formatNumber(profile.max),
+        Mean: formatNumber(profile.mean),
+        Precision: profile.precision !== null ? profile.precision : '',
+        Scale: profile.scale !== null ? profile.scale : '',
+        'Min Date': profile.minDate || '',
+        'Max Date': profile.maxDate || ''
+      };
+    });
+  }
+
+  /**
+   * Categorize an issue for better analysis
+   * @param {Object} issue - The issue object
+   */
+  categorizeError(issue) {
+    return issue.category;
   }
 
   /**
@@ -814,8 +2961,8 @@ class CSVValidator {
         'Is Valid': result.isValid ? 'Yes' : 'No',
         'Error Count': result.errors.length,
         'Warning Count': result.warnings.length,
-        'Errors': result.errors.join('; '),
-        'Warnings': result.warnings.join('; ')
+        'Errors': result.errors.map(issue => issue.message).join('; '),
+        'Warnings': result.warnings.map(issue => issue.message).join('; ')
       };
 
       // Add all record fields
@@ -839,24 +2986,38 @@ class CSVValidator {
       
       { Category: '📊 VALIDATION SUMMARY', Status: '', 'Header Name': '', Description: '', Action: '' },
       { Category: 'Overall Status', Status: this.headerValidationResult.isValid ? '✅ PASSED' : '❌ FAILED', 'Header Name': '', Description: 'Header validation result', Action: this.headerValidationResult.isValid ? 'Proceed to data validation' : 'Fix header mismatches' },
+      { Category: 'Matching Policy', Status: describeHeaderPolicy(this.headerValidationResult.policy), 'Header Name': '', Description: 'How input headers are matched to mapping fields', Action: '' },
       { Category: 'Expected Headers', Status: this.headerValidationResult.totalExpected, 'Header Name': '', Description: 'Number of headers defined in mapping', Action: '' },
       { Category: 'Found Headers', Status: this.headerValidationResult.totalFound, 'Header Name': '', Description: 'Number of headers in input file', Action: '' },
       { Category: 'Missing Headers', Status: this.headerValidationResult.missingHeaders.length, 'Header Name': '', Description: 'Headers expected but not found', Action: this.headerValidationResult.missingHeaders.length > 0 ? 'Add missing headers' : '' },
-      { Category: 'Extra Headers', Status: this.headerValidationResult.extraHeaders.length, 'Header Name': '', Description: 'Headers found but not expected', Action: this.headerValidationResult.extraHeaders.length > 0 ? 'Remove extra headers' : '' },
+      { Category: 'Extra Headers', Status: this.headerValidationResult.extraHeaders.length, 'Header Name': '', Description: 'Headers found but not expected', Action: this.headerValidationResult.extraHeaders.length > 0 && !this.headerValidationResult.policy.allowExtraColumns ? 'Remove extra headers' : '' },
       { Category: '', Status: '', 'Header Name': '', Description: '', Action: '' },
       
       { Category: '📋 DETAILED HEADER ANALYSIS', Status: '', 'Header Name': '', Description: '', Action: '' }
     ];
     
     // Add detailed header validation
+    const { matchedHeaders, suggestions, orderMismatches, duplicateHeaders, policy } = this.headerValidationResult;
     this.headerValidationResult.expectedHeaders.forEach(header => {
-      const found = this.headerValidationResult.inputHeaders.includes(header);
+      const inputHeader = matchedHeaders[header];
+      const found = inputHeader !== undefined;
+      const suggestion = suggestions.find(s => s.expectedHeader === header);
+      const outOfOrder = orderMismatches.find(m => m.fieldName === header);
+      let description = 'Header missing from input file';
+      let action = 'Add this header to input file';
+      if (found) {
+        description = inputHeader === header ? 'Header correctly present in input file' : `Matched input header '${inputHeader}'`;
+        action = outOfOrder ? `Move to column ${outOfOrder.expectedPosition} (found at ${outOfOrder.actualPosition})` : '';
+      } else if (suggestion) {
+        description = `Header missing from input file; closest input header is '${suggestion.inputHeader}'`;
+        action = `Rename '${suggestion.inputHeader}' to '${header}'`;
+      }
       headerData.push({
         Category: 'Expected Header',
-        Status: found ? '✅ Found' : '❌ Missing',
+        Status: !found ? '❌ Missing' : outOfOrder ? '❌ Out of Order' : '✅ Found',
         'Header Name': header,
-        Description: found ? 'Header correctly present in input file' : 'Header missing from input file',
-        Action: found ? '' : 'Add this header to input file'
+        Description: description,
+        Action: action
       });
     });
     
@@ -866,12 +3027,27 @@ class CSVValidator {
       headerData.push({ Category: '⚠️ EXTRA HEADERS FOUND', Status: '', 'Header Name': '', Description: '', Action: '' });
       
       this.headerValidationResult.extraHeaders.forEach(header => {
+        const suggestion = suggestions.find(s => s.inputHeader === header);
         headerData.push({
           Category: 'Extra Header',
-          Status: '⚠️ Unexpected',
+          Status: policy.allowExtraColumns ? 'ℹ️ Ignored' : '⚠️ Unexpected',
           'Header Name': header,
-          Description: 'Header found in input but not defined in mapping',
-          Action: 'Remove from input or add to mapping'
+          Description: suggestion ? `Did you mean '${suggestion.expectedHeader}'?` : 'Header found in input but not defined in mapping',
+          Action: suggestion ? `Rename to '${suggestion.expectedHeader}'` : policy.allowExtraColumns ? '' : 'Remove from input or add to mapping'
+        });
+      });
+    }
+
+    if (duplicateHeaders.length > 0) {
+      headerData.push({ Category: '', Status: '', 'Header Name': '', Description: '', Action: '' });
+      headerData.push({ Category: '❌ DUPLICATE HEADERS', Status: '', 'Header Name': '', Description: '', Action: '' });
+      duplicateHeaders.forEach(duplicate => {
+        headerData.push({
+          Category: 'Duplicate Header',
+          Status: '❌ Ambiguous',
+          'Header Name': duplicate.header,
+          Description: `Column ${duplicate.position} matches the same field as column ${duplicate.firstPosition}`,
+          Action: 'Remove or rename one of the columns'
         });
       });
     }
@@ -892,7 +3068,7 @@ class CSVValidator {
   generateProfessionalRulesData() {
     const rulesData = [
       { Category: '📋 VALIDATION RULES CONFIGURATION', 'Field Name': '', 'Data Type': '', 'Business Rule': '', 'Validation Logic': '', Priority: '' },
-      { Category: `Total Rules: ${this.validationRules.length}`, 'Field Name': '', 'Data Type': '', 'Business Rule': '', 'Validation Logic': '', Priority: '' },
+      { Category: `Total Rules: ${this.validationRules.length + this.recordRules.length}`, 'Field Name': '', 'Data Type': '', 'Business Rule': '', 'Validation Logic': '', Priority: '' },
       { Category: '', 'Field Name': '', 'Data Type': '', 'Business Rule': '', 'Validation Logic': '', Priority: '' }
     ];
     
@@ -911,6 +3087,22 @@ class CSVValidator {
       });
     });
 
+    if (this.recordRules.length > 0) {
+      rulesData.push({ Category: '', 'Field Name': '', 'Data Type': '', 'Business Rule': '', 'Validation Logic': '', Priority: '' });
+      rulesData.push({ Category: '🔗 RECORD-LEVEL RULES', 'Field Name': '', 'Data Type': '', 'Business Rule': '', 'Validation Logic': '', Priority: '' });
+
+      this.recordRules.forEach(rule => {
+        rulesData.push({
+          Category: `Record Rule ${rule.ruleIndex}`,
+          'Field Name': rule.fields.join(', '),
+          'Data Type': rule.type,
+          'Business Rule': rule.description || rule.name,
+          'Validation Logic': `✓ ${describeRecordRule(rule)}`,
+          Priority: '🟠 High'
+        });
+      });
+    }
+
     return rulesData;
   }
 
@@ -929,7 +3121,27 @@ class CSVValidator {
     if (rule.dataType) {
       validations.push(`✓ ${rule.dataType.toUpperCase()} type validation`);
     }
+
+    if (rule.fieldType && rule.fieldType.maxLength && rule.maxLength === undefined) {
+      validations.push(`✓ ${rule.fieldType.label} limit: ${rule.fieldType.maxLength} characters`);
+    }
+
+    if (rule.fieldType && rule.fieldType.precision && !this.parseDecimalPrecision(rule.originalDataType)) {
+      validations.push(`✓ Precision ${rule.fieldType.precision}, scale ${rule.fieldType.scale}`);
+    }
+
+    if (rule.fieldType && rule.fieldType.referenceTo) {
+      validations.push(`✓ Lookup to ${rule.fieldType.referenceTo}`);
+    }
+
+    if (rule.aliases && rule.aliases.length > 0) {
+      validations.push(`✓ Header aliases: ${rule.aliases.join(', ')}`);
+    }
     
+    if (rule.format) {
+      validations.push(`✓ Format: ${resolveFormat(rule.format)}`);
+    }
+
     if (rule.minLength !== undefined) {
       validations.push(`✓ Minimum length: ${rule.minLength} characters`);
     }
@@ -946,6 +3158,26 @@ class CSVValidator {
       validations.push('✓ Allowed values validation');
     }
 
+    if (rule.referenceFile) {
+      validations.push(`✓ Must exist in ${path.basename(rule.referenceFile)} (${rule.referenceField || rule.fieldName})`);
+    }
+
+    if (rule.primaryKey) {
+      validations.push('✓ Primary key (unique across rows)');
+    }
+
+    if (rule.unique) {
+      validations.push('✓ Unique across rows');
+    }
+
+    if (rule.uniqueKey) {
+      validations.push(`✓ Part of unique key '${rule.uniqueKey}'`);
+    }
+
+    if (rule.severity) {
+      validations.push(`Severity: ${formatSeverity(rule.severity)}`);
+    }
+
     return validations.join(' | ') || 'Basic validation';
   }
 
@@ -954,18 +3186,27 @@ class CSVValidator {
    */
   generateProfessionalDetailedData() {
     const detailedData = [
-      { Category: '📄 DETAILED VALIDATION RESULTS', 'Row #': '', Status: '', 'Error Count': '', 'Error Summary': '', 'Data Quality': '' },
-      { Category: `Total Records: ${this.validationResults.length}`, 'Row #': '', Status: '', 'Error Count': '', 'Error Summary': '', 'Data Quality': '' },
-      { Category: '', 'Row #': '', Status: '', 'Error Count': '', 'Error Summary': '', 'Data Quality': '' }
+      { Category: '📄 DETAILED VALIDATION RESULTS', 'Row #': '', 'Line #': '', Status: '', 'Error Count': '', 'Error Summary': '', 'Data Quality': '' },
+      { Category: `Total Records: ${this.aggregates.totalRecords}`, 'Row #': '', 'Line #': '', Status: '', 'Error Count': '', 'Error Summary': '', 'Data Quality': '' },
+      { Category: '', 'Row #': '', 'Line #': '', Status: '', 'Error Count': '', 'Error Summary': '', 'Data Quality': '' }
     ];
+
+    if (this.streaming) {
+      detailedData.push({ Category: 'Streaming mode', 'Row #': '', 'Line #': '', Status: '', 'Error Count': '', 'Error Summary': `Only records with issues are listed (up to ${this.reportRowLimit}). Full issue list: ${this.issuesFilePath}`, 'Data Quality': '' });
+    }
     
-    this.validationResults.forEach(result => {
+    let listedRows = 0;
+    this.forEachResult(result => {
+      if (this.streaming && ++listedRows > this.reportRowLimit) {
+        return false;
+      }
       const dataQuality = result.isValid ? '✅ High' : result.errors.length <= 2 ? '⚠️ Medium' : '❌ Low';
-      const errorSummary = result.errors.length > 0 ? result.errors.slice(0, 2).join('; ') + (result.errors.length > 2 ? '...' : '') : 'No errors';
+      const errorSummary = result.errors.length > 0 ? result.errors.slice(0, 2).map(issue => issue.message).join('; ') + (result.errors.length > 2 ? '...' : '') : 'No errors';
       
       detailedData.push({
         Category: 'Data Record',
         'Row #': result.rowNumber,
+        'Line #': result.line !== undefined && result.line !== null ? result.line : '',
         Status: result.isValid ? '✅ Valid' : '❌ Invalid',
         'Error Count': result.errors.length,
         'Error Summary': errorSummary,
@@ -980,32 +3221,104 @@ class CSVValidator {
    * Generate professional error analysis data
    */
   generateProfessionalErrorData() {
+    const blank = { Category: '', 'Row #': '', 'Line #': '', 'Column #': '', ...(this.inputSheet ? { Cell: '' } : {}), 'Field Name': '', 'Error Code': '', 'Error Type': '', 'Error Message': '', 'Severity': '', 'Priority': '' };
+    const { totalErrors, totalWarnings, totalInfo } = this.aggregates;
+    const totalIssues = totalErrors + totalWarnings + totalInfo;
     const errorData = [
-      { Category: '⚠️ ERROR ANALYSIS REPORT', 'Row #': '', 'Field Name': '', 'Error Type': '', 'Error Message': '', 'Severity': '' },
-      { Category: `Total Errors: ${this.validationResults.reduce((sum, r) => sum + r.errors.length, 0)}`, 'Row #': '', 'Field Name': '', 'Error Type': '', 'Error Message': '', 'Severity': '' },
-      { Category: '', 'Row #': '', 'Field Name': '', 'Error Type': '', 'Error Message': '', 'Severity': '' }
+      { ...blank, Category: '⚠️ ERROR ANALYSIS REPORT' },
+      { ...blank, Category: `Total Errors: ${totalErrors}`, 'Error Message': `Warnings: ${totalWarnings}, Info: ${totalInfo}` },
+      blank
     ];
-    
-    this.validationResults.forEach(result => {
-      result.errors.forEach(error => {
-        const fieldName = this.extractFieldNameFromError(error);
-        const errorType = this.categorizeError(error);
-        const severity = error.includes('required') ? '🔴 Critical' : error.includes('invalid data type') ? '🟠 High' : '🟡 Medium';
-        
-        errorData.push({
-          Category: 'Validation Error',
-          'Row #': result.rowNumber,
-          'Field Name': fieldName,
-          'Error Type': errorType,
-          'Error Message': error,
-          'Severity': severity
-        });
+    const severityLabels = { error: '❌ Error', warning: '⚠️ Warning', info: 'ℹ️ Info' };
+    const categoryLabels = { error: 'Validation Error', warning: 'Validation Warning', info: 'Validation Info' };
+
+    // Every row issue with its configured severity (duplicate groups have their own sheet)
+    let listedIssues = 0;
+    let complete = true;
+    const addIssue = (issue, rowNumber) => {
+      if (this.streaming && ++listedIssues > this.reportRowLimit) {
+        complete = false;
+        return false;
+      }
+      errorData.push({
+        Category: categoryLabels[issue.severity],
+        'Row #': rowNumber,
+        'Line #': issue.line !== null ? issue.line : '',
+        'Column #': issue.column !== null ? issue.column : '',
+        ...(this.inputSheet ? { Cell: issue.cell || '' } : {}),
+        'Field Name': issue.fields.join(', '),
+        'Error Code': issue.code,
+        'Error Type': this.categorizeError(issue),
+        'Error Message': issue.message,
+        'Severity': severityLabels[issue.severity],
+        'Priority': formatPriority(issue.priority)
       });
+      return true;
+    };
+    this.forEachResult(result => {
+      for (const issue of [...result.errors, ...result.warnings]) {
+        if (!addIssue(issue, result.rowNumber)) return false;
+      }
     });
 
+    if (!complete) {
+      errorData.push({ ...blank, Category: 'Truncated', 'Error Message': `Showing first ${this.reportRowLimit} of ${totalIssues} issues. Full issue list: ${this.issuesFilePath}` });
+    }
+
     return errorData;
   }
 
+  /**
+   * Generate referential integrity data (orphaned values per field)
+   */
+  generateReferenceIntegrityData() {
+    const { referenceOrphans } = this.getValidationStats();
+    const referenceData = [
+      { Category: '🔗 REFERENTIAL INTEGRITY REPORT', 'Field Name': '', Reference: '', 'Orphan Rows': '', 'Distinct Missing Keys': '', 'Sample Missing Keys': '' },
+      { Category: '', 'Field Name': '', Reference: '', 'Orphan Rows': '', 'Distinct Missing Keys': '', 'Sample Missing Keys': '' }
+    ];
+
+    this.validationRules.filter(rule => rule.referenceFile).forEach(rule => {
+      const orphans = referenceOrphans[rule.fieldName];
+      referenceData.push({
+        Category: orphans ? '❌ Orphans Found' : '✅ All Found',
+        'Field Name': rule.fieldName,
+        Reference: `${path.basename(rule.referenceFile)} (${rule.referenceField || rule.fieldName})`,
+        'Orphan Rows': orphans ? orphans.orphanRows : 0,
+        'Distinct Missing Keys': orphans ? `${orphans.distinctMissingKeys}${orphans.distinctMissingKeysCapped ? '+' : ''}` : 0,
+        'Sample Missing Keys': orphans ? orphans.sampleMissingKeys.join(', ') : ''
+      });
+    });
+
+    return referenceData;
+  }
+
+  /**
+   * Generate duplicate key groups data
+   */
+  generateDuplicateData() {
+    const duplicateData = [
+      { Category: '🔁 DUPLICATE KEY REPORT', Constraint: '', 'Key Fields': '', 'Key Values': '', Occurrences: '', 'Row Numbers': '', 'Line Numbers': '', Severity: '' },
+      { Category: `Duplicate Groups: ${this.duplicateGroups.length}`, Constraint: '', 'Key Fields': '', 'Key Values': '', Occurrences: '', 'Row Numbers': '', 'Line Numbers': '', Severity: '' },
+      { Category: '', Constraint: '', 'Key Fields': '', 'Key Values': '', Occurrences: '', 'Row Numbers': '', 'Line Numbers': '', Severity: '' }
+    ];
+
+    this.duplicateGroups.forEach(issue => {
+      duplicateData.push({
+        Category: 'Duplicate Group',
+        Constraint: issue.params.constraintName,
+        'Key Fields': issue.fields.join(', '),
+        'Key Values': issue.value,
+        Occurrences: issue.params.rowNumbers.length,
+        'Row Numbers': issue.params.rowNumbers.join(', '),
+        'Line Numbers': issue.params.lineNumbers.join(', '),
+        Severity: issue.severity
+      });
+    });
+
+    return duplicateData;
+  }
+
   /**
    * Add formatting method stub (XLSX formatting is limited in basic version)
    */
@@ -1048,6 +3361,7 @@ class CSVValidator {
         worksheet['!cols'] = [
           { width: 15 }, // Category
           { width: 10 }, // Row #
+          { width: 10 }, // Line #
           { width: 15 }, // Status
           { width: 12 }, // Error Count
           { width: 50 }, // Error Summary
@@ -1058,10 +3372,70 @@ class CSVValidator {
         worksheet['!cols'] = [
           { width: 15 }, // Category
           { width: 10 }, // Row #
+          { width: 10 }, // Line #
+          { width: 10 }, // Column #
+          ...(this.inputSheet ? [{ width: 14 }] : []), // Cell
           { width: 20 }, // Field Name
+          { width: 22 }, // Error Code
           { width: 20 }, // Error Type
           { width: 60 }, // Error Message
-          { width: 15 }  // Severity
+          { width: 12 }, // Severity
+          { width: 15 }  // Priority
+        ];
+        break;
+      case 'references':
+        worksheet['!cols'] = [
+          { width: 20 }, // Category
+          { width: 25 }, // Field Name
+          { width: 30 }, // Reference
+          { width: 12 }, // Orphan Rows
+          { width: 20 }, // Distinct Missing Keys
+          { width: 50 }  // Sample Missing Keys
+        ];
+        break;
+      case 'duplicates':
+        worksheet['!cols'] = [
+          { width: 18 }, // Category
+          { width: 25 }, // Constraint
+          { width: 30 }, // Key Fields
+          { width: 30 }, // Key Values
+          { width: 12 }, // Occurrences
+          { width: 50 }, // Row Numbers
+          { width: 50 }, // Line Numbers
+          { width: 10 }  // Severity
+        ];
+        break;
+      case 'profile':
+        worksheet['!cols'] = [
+          { width: 10 }, // Column #
+          { width: 25 }, // Column
+          { width: 18 }, // Mapped Type
+          { width: 18 }, // Inferred Type
+          { width: 10 }, // Records
+          { width: 10 }, // Filled
+          { width: 10 }, // Empty
+          { width: 10 }, // Fill Rate
+          { width: 10 }, // Distinct
+          { width: 50 }, // Top Values
+          { width: 11 }, // Min Length
+          { width: 11 }, // Max Length
+          { width: 12 }, // Min
+          { width: 12 }, // Max
+          { width: 12 }, // Mean
+          { width: 10 }, // Precision
+          { width: 8 },  // Scale
+          { width: 20 }, // Min Date
+          { width: 20 }  // Max Date
+        ];
+        break;
+      case 'comparison':
+        worksheet['!cols'] = [
+          { width: 22 }, // Section
+          { width: 30 }, // Item
+          { width: 12 }, // Baseline
+          { width: 12 }, // Current
+          { width: 10 }, // Change
+          { width: 50 }  // Details
         ];
         break;
       case 'dashboard':
@@ -1136,14 +3510,13 @@ class CSVValidator {
   generateErrorData() {
     const errorDetails = [];
     
-    this.validationResults.forEach(result => {
-      result.errors.forEach(error => {
-        errorDetails.push({
-          'Row Number': result.rowNumber,
-          'Field': this.extractFieldNameFromError(error),
-          'Error Message': error,
-          'Record Data': JSON.stringify(result.record)
-        });
+    this.forEachError((issue, result) => {
+      errorDetails.push({
+        'Row Number': result.rowNumber,
+        'Field': issue.fields.join(', '),
+        'Error Code': issue.code,
+        'Error Message': issue.message,
+        'Record Data': result.record ? JSON.stringify(result.record) : ''
       });
     });
 
@@ -1151,27 +3524,22 @@ class CSVValidator {
   }
 
   /**
-   * Extract field name from error message
-   * @param {string} errorMessage - The error message
+   * Extract field name from an issue; record structure issues belong to no field
+   * @param {Object} issue - The issue object
    */
-  extractFieldNameFromError(errorMessage) {
-    const match = errorMessage.match(/Field '([^']+)'/);
-    return match ? match[1] : 'Unknown';
+  extractFieldNameFromError(issue) {
+    return issue.fieldName || (issue.category === 'Record Structure Error' ? '(record structure)' : 'Unknown');
   }
 
   /**
    * Get validation statistics
    */
   getValidationStats() {
-    if (!this.validationResults || this.validationResults.length === 0) {
+    if (!this.aggregates || this.aggregates.totalRecords === 0) {
       return null;
     }
 
-    const totalRecords = this.validationResults.length;
-    const validRecords = this.validationResults.filter(r => r.isValid).length;
-    const invalidRecords = totalRecords - validRecords;
-    const totalErrors = this.validationResults.reduce((sum, r) => sum + r.errors.length, 0);
-    const totalWarnings = this.validationResults.reduce((sum, r) => sum + r.warnings.length, 0);
+    const { totalRecords, validRecords, invalidRecords, totalErrors, totalWarnings, totalInfo, duplicateGroups, duplicateRecords } = this.aggregates;
 
     return {
       totalRecords,
@@ -1179,7 +3547,22 @@ class CSVValidator {
       invalidRecords,
       totalErrors,
       totalWarnings,
-      successRate: (validRecords / totalRecords) * 100
+      totalInfo,
+      duplicateGroups,
+      duplicateRecords,
+      referenceOrphans: _.mapValues(this.aggregates.referenceOrphans, entry => ({
+        referenceFile: entry.referenceFile,
+        referenceField: entry.referenceField,
+        orphanRows: entry.orphanRows,
+        distinctMissingKeys: entry.missingKeys.size,
+        distinctMissingKeysCapped: entry.missingKeysCapped,
+        sampleMissingKeys: Array.from(entry.missingKeys).slice(0, 20)
+      })),
+      successRate: (validRecords / totalRecords) * 100,
+      errorsByCode: { ...this.aggregates.errorsByCode },
+      errorsByType: { ...this.aggregates.errorsByType },
+      errorsByField: { ...this.aggregates.errorsByField },
+      errorsByPriority: { ...this.aggregates.errorsByPriority }
     };
   }
 }
@@ -0,0 +1,233 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const CSVValidator = require('./csvValidator');
+const DuplicateIndex = require('./duplicateIndex');
+
+test.mock.method(console, 'log', () => {});
+
+const MAPPING = 'Target Field Name,Null Allowed,Target Data Type,Primary Key\nCode,No,string,Yes\nName,No,string,\n';
+
+// Rows 1 and 2 share a key, row 2 also misses its name; rows 3 and 4 are clean
+const INPUT = 'Code,Name\n1,Ann\n1,\n2,Bob\n3,Cy\n';
+
+async function validate(t, options = {}, severity = null) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-validator-test-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(folder, 'map.csv'), MAPPING);
+  fs.writeFileSync(path.join(folder, 'in.csv'), INPUT);
+
+  const validator = new CSVValidator();
+  await validator.loadMappingRules(path.join(folder, 'map.csv'));
+  if (severity) {
+    validator.setSeverityOverrides(severity);
+  }
+  await validator.validateInputFile(path.join(folder, 'in.csv'), null, { issuesFile: path.join(folder, 'issues.ndjson'), ...options });
+  return validator;
+}
+
+for (const streaming of [false, true]) {
+  test(`rows of a duplicate key group count as invalid once${streaming ? ' (streaming)' : ''}`, async (t) => {
+    const validator = await validate(t, { streaming });
+    const stats = validator.getValidationStats();
+    assert.deepStrictEqual(
+      [stats.validRecords, stats.invalidRecords, stats.duplicateGroups, stats.successRate],
+      [2, 2, 1, 50]
+    );
+    if (!streaming) {
+      assert.deepStrictEqual(validator.validationResults.map(result => result.isValid), [false, false, true, true]);
+    }
+  });
+}
+
+test('duplicate groups below error level leave the record counts alone', async (t) => {
+  const validator = await validate(t, {}, 'unique=warning');
+  const stats = validator.getValidationStats();
+  assert.deepStrictEqual([stats.validRecords, stats.invalidRecords, stats.duplicateGroups], [3, 1, 0]);
+});
+
+for (const streaming of [false, true]) {
+  test(`every row of a duplicate key group carries the group's issue${streaming ? ' (streaming)' : ''}`, async (t) => {
+    const validator = await validate(t, { streaming });
+    const rows = [];
+    // Streamed runs visit only rows with issues
+    validator.forEachResult(result => {
+      if (result.errors.length === 0) return;
+      rows.push([result.rowNumber, result.isValid, result.errors.map(issue => issue.code).sort()]);
+    });
+    assert.deepStrictEqual(rows, [
+      [1, false, ['DUPLICATE_KEY']],
+      [2, false, ['DUPLICATE_KEY', 'REQUIRED_MISSING']]
+    ]);
+
+    const rowIssue = [];
+    validator.forEachError(issue => {
+      if (issue.code === 'DUPLICATE_KEY') rowIssue.push(issue);
+    });
+    assert.deepStrictEqual(rowIssue.map(issue => [issue.rowNumber, issue.line, issue.params.duplicateGroup, issue.params.groupRows]), [[1, 2, 0, 2], [2, 3, 0, 2]]);
+    assert.strictEqual(validator.getValidationStats().errorsByCode.DUPLICATE_KEY, 1);
+  });
+}
+
+for (const streaming of [false, true]) {
+  test(`an error while finishing the run rejects the validation${streaming ? ' (streaming)' : ''}`, async (t) => {
+    t.mock.method(DuplicateIndex.prototype, 'finalize', () => {
+      throw new Error('ENOSPC: no space left on device');
+    });
+    await assert.rejects(validate(t, { streaming }), /ENOSPC/);
+  });
+}
+
+test('an error while reading a row rejects the validation and stops the read', async (t) => {
+  let calls = 0;
+  t.mock.method(CSVValidator.prototype, 'validateRecord', () => {
+    calls++;
+    throw new Error('row failed');
+  });
+  await assert.rejects(validate(t, { streaming: true }), /row failed/);
+  assert.strictEqual(calls, 1);
+});
+
+const REFERENCE_MAPPING = [
+  'Target Field Name,Null Allowed,Target Data Type,Reference File,Reference Field',
+  'Code,No,string,,',
+  'OwnerId,Yes,string,users.csv,Id',
+  'AccountId,Yes,string,accounts.csv,',
+  ''
+].join('\n');
+
+function referenceFolder(t) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-validator-reference-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  return folder;
+}
+
+async function validateWithReferences(folder, input, options = {}) {
+  fs.writeFileSync(path.join(folder, 'map.csv'), REFERENCE_MAPPING);
+  fs.writeFileSync(path.join(folder, 'in.csv'), input);
+  const validator = new CSVValidator();
+  await validator.loadMappingRules(path.join(folder, 'map.csv'));
+  await validator.validateInputFile(path.join(folder, 'in.csv'), ',', { issuesFile: path.join(folder, 'issues.ndjson'), ...options });
+  return validator;
+}
+
+function writeReferences(folder) {
+  // The reference files' delimiters are detected on their own
+  fs.writeFileSync(path.join(folder, 'users.csv'), 'Id;Name\nU1;Ann\n U2 ;Bob\n');
+  fs.writeFileSync(path.join(folder, 'accounts.csv'), 'AccountId,Name\nA1,Acme\n');
+}
+
+// Row 2's owner matches ' U2 ' once trimmed; row 4 leaves both lookups empty
+const REFERENCE_INPUT = 'Code,OwnerId,AccountId\n1,U1,A1\n2,U2,A9\n3,U9,A9\n4,,\n5,U9,A1\n';
+
+for (const streaming of [false, true]) {
+  test(`values missing from the reference files are orphans${streaming ? ' (streaming)' : ''}`, async (t) => {
+    const folder = referenceFolder(t);
+    writeReferences(folder);
+    const validator = await validateWithReferences(folder, REFERENCE_INPUT, { streaming });
+
+    const orphans = [];
+    validator.forEachError(issue => {
+      if (issue.code === 'REFERENCE_NOT_FOUND') orphans.push([issue.rowNumber, issue.fieldName, issue.value]);
+    });
+    assert.deepStrictEqual(orphans.sort(), [
+      [2, 'AccountId', 'A9'],
+      [3, 'AccountId', 'A9'],
+      [3, 'OwnerId', 'U9'],
+      [5, 'OwnerId', 'U9']
+    ]);
+
+    const { referenceOrphans } = validator.getValidationStats();
+    assert.deepStrictEqual(referenceOrphans.OwnerId, {
+      referenceFile: 'users.csv',
+      referenceField: 'Id',
+      orphanRows: 2,
+      distinctMissingKeys: 1,
+      distinctMissingKeysCapped: false,
+      sampleMissingKeys: ['U9']
+    });
+    assert.strictEqual(referenceOrphans.AccountId.referenceField, 'AccountId');
+  });
+}
+
+test('the Referential Integrity sheet lists orphans per field', async (t) => {
+  const folder = referenceFolder(t);
+  writeReferences(folder);
+  const validator = await validateWithReferences(folder, REFERENCE_INPUT);
+  const reportFile = path.join(folder, 'report.xlsx');
+  validator.generateReport(reportFile);
+
+  const rows = XLSX.utils.sheet_to_json(XLSX.readFile(reportFile).Sheets['🔗 Referential Integrity']);
+  const fields = rows.filter(row => row['Field Name']).map(row => [row['Field Name'], row.Reference, row['Orphan Rows'], row['Sample Missing Keys']]);
+  assert.deepStrictEqual(fields, [
+    ['OwnerId', 'users.csv (Id)', 2, 'U9'],
+    ['AccountId', 'accounts.csv (AccountId)', 2, 'A9']
+  ]);
+});
+
+test('a missing reference file or column stops the run', async (t) => {
+  const folder = referenceFolder(t);
+  await assert.rejects(validateWithReferences(folder, REFERENCE_INPUT), /Reference file '.*users\.csv' for field 'OwnerId' not found/);
+
+  writeReferences(folder);
+  fs.writeFileSync(path.join(folder, 'users.csv'), 'UserId,Name\nU1,Ann\n');
+  await assert.rejects(validateWithReferences(folder, REFERENCE_INPUT), /has no column 'Id'/);
+});
+
+for (const streaming of [false, true]) {
+  test(`JSON, NDJSON and CSV reports list every issue in row order${streaming ? ' (streaming)' : ''}`, async (t) => {
+    const validator = await validate(t, { streaming });
+    const folder = path.dirname(validator.inputFilePath);
+    validator.generateReport(path.join(folder, 'report.json'));
+    validator.generateReport(path.join(folder, 'report.ndjson'));
+    validator.generateReport(path.join(folder, 'report.csv'));
+
+    const json = JSON.parse(fs.readFileSync(path.join(folder, 'report.json'), 'utf8'));
+    assert.strictEqual(json.streaming, streaming);
+    assert.deepStrictEqual([json.summary.totalRecords, json.summary.invalidRecords], [4, 2]);
+    assert.deepStrictEqual(json.rules.fieldRules.map(rule => rule.fieldName), ['Code', 'Name']);
+    assert.deepStrictEqual(json.duplicateGroups.map(group => group.params.rowNumbers), [[1, 2]]);
+    assert.deepStrictEqual(json.rows.map(row => [row.rowNumber, row.isValid, row.errors.map(issue => issue.code)]), [
+      [1, false, ['DUPLICATE_KEY']],
+      [2, false, ['REQUIRED_MISSING', 'DUPLICATE_KEY']]
+    ]);
+
+    const lines = fs.readFileSync(path.join(folder, 'report.ndjson'), 'utf8').trimEnd().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines.map(issue => [issue.rowNumber, issue.line, issue.code]), [
+      [1, 2, 'DUPLICATE_KEY'],
+      [2, 3, 'REQUIRED_MISSING'],
+      [2, 3, 'DUPLICATE_KEY']
+    ]);
+
+    assert.strictEqual(fs.readFileSync(path.join(folder, 'report.csv'), 'utf8'), [
+      'Row #,Line #,Column #,Field Name,Error Code,Error Type,Severity,Priority,Value,Error Message',
+      `1,2,1,Code,DUPLICATE_KEY,Duplicate Key,error,Critical,1,"Primary Key violated: 'Code' = 1 appears in rows 1, 2"`,
+      "2,3,2,Name,REQUIRED_MISSING,Required Field Missing,error,Critical,,Field 'Name' is required (Null Allowed: No) but contains empty/null/blank value",
+      `2,3,1,Code,DUPLICATE_KEY,Duplicate Key,error,Critical,1,"Primary Key violated: 'Code' = 1 appears in rows 1, 2"`,
+      ''
+    ].join('\n'));
+  });
+}
+
+test('the JSON report keeps the header analysis when headers fail', async (t) => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-validator-test-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(folder, 'map.csv'), MAPPING);
+  fs.writeFileSync(path.join(folder, 'in.csv'), 'Code,Title\n1,Ann\n');
+
+  const validator = new CSVValidator();
+  await validator.loadMappingRules(path.join(folder, 'map.csv'));
+  await assert.rejects(
+    validator.validateInputFile(path.join(folder, 'in.csv'), null, { headerReportFile: path.join(folder, 'headers.xlsx') }),
+    error => error.code === 'HEADER_VALIDATION_FAILED'
+  );
+  validator.generateReport(path.join(folder, 'report.json'));
+
+  const json = JSON.parse(fs.readFileSync(path.join(folder, 'report.json'), 'utf8'));
+  assert.strictEqual(json.summary, null);
+  assert.deepStrictEqual(json.headerValidation.missingHeaders, ['Name']);
+  assert.deepStrictEqual(json.rows, []);
+});
@@ -0,0 +1,371 @@
+/**
+ * Strict, format-driven date and time parsing.
+ *
+ * Formats are written with tokens (yyyy, MM, dd, HH, mm, ss, SSS, XXX, ...),
+ * literal text in single quotes and optional sections in square brackets, e.g.
+ * `dd/MM/yyyy` or `yyyy-MM-dd'T'HH:mm:ss[.SSS]XXX`. A few named formats cover
+ * the ISO-8601 shapes Salesforce accepts.
+ */
+
+const NAMED_FORMATS = {
+  ISO_DATE: 'yyyy-MM-dd',
+  ISO_DATETIME: "yyyy-MM-dd'T'HH:mm:ss[.SSS]XXX",
+  ISO_TIME: 'HH:mm:ss[.SSS]'
+};
+
+// What dates and timestamps must look like when a field declares no Format: ISO 8601,
+// with the offset optional (a value without one is taken as the org's time zone)
+const DEFAULT_FORMATS = {
+  date: 'yyyy-MM-dd',
+  timestamp: "yyyy-MM-dd'T'HH:mm[:ss[.SSS]][X]"
+};
+
+// Longest tokens first so "yyyy" wins over "yy" and "MM" over "M"
+const TOKENS = [
+  { token: 'yyyy', part: 'year', pattern: '(\\d{4})' },
+  { token: 'yy', part: 'shortYear', pattern: '(\\d{2})' },
+  { token: 'MM', part: 'month', pattern: '(\\d{2})' },
+  { token: 'M', part: 'month', pattern: '(\\d{1,2})' },
+  { token: 'dd', part: 'day', pattern: '(\\d{2})' },
+  { token: 'd', part: 'day', pattern: '(\\d{1,2})' },
+  { token: 'HH', part: 'hour', pattern: '(\\d{2})' },
+  { token: 'H', part: 'hour', pattern: '(\\d{1,2})' },
+  { token: 'hh', part: 'hour12', pattern: '(\\d{2})' },
+  { token: 'h', part: 'hour12', pattern: '(\\d{1,2})' },
+  { token: 'mm', part: 'minute', pattern: '(\\d{2})' },
+  { token: 'ss', part: 'second', pattern: '(\\d{2})' },
+  { token: 'SSS', part: 'millisecond', pattern: '(\\d{1,9})' },
+  { token: 'a', part: 'meridiem', pattern: '(AM|PM|am|pm)' },
+  { token: 'XXX', part: 'offset', pattern: '(Z|[+-]\\d{2}:\\d{2})' },
+  { token: 'XX', part: 'offset', pattern: '(Z|[+-]\\d{4})' },
+  { token: 'X', part: 'offset', pattern: '(Z|[+-]\\d{2}(?::?\\d{2})?)' }
+];
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const compiledFormats = new Map();
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Resolve a named format (ISO_DATE, ...) to its token pattern
+ * @param {string} format - Format name or token pattern
+ */
+function resolveFormat(format) {
+  const trimmed = String(format).trim();
+  return NAMED_FORMATS[trimmed.toUpperCase()] || trimmed;
+}
+
+/**
+ * Compile a format into a regular expression and the list of captured parts
+ * @param {string} format - Format name or token pattern
+ * @throws {Error} When the format contains unknown tokens or unbalanced brackets
+ */
+function compileDateFormat(format) {
+  const pattern = resolveFormat(format);
+  if (compiledFormats.has(pattern)) {
+    return compiledFormats.get(pattern);
+  }
+
+  const parts = [];
+  let regex = '';
+  let optionalDepth = 0;
+  let i = 0;
+
+  while (i < pattern.length) {
+    const char = pattern[i];
+
+    if (char === "'") {
+      const end = pattern.indexOf("'", i + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated quoted text in date format '${format}'`);
+      }
+      regex += escapeRegex(end === i + 1 ? "'" : pattern.slice(i + 1, end));
+      i = end + 1;
+      continue;
+    }
+
+    if (char === '[') {
+      regex += '(?:';
+      optionalDepth++;
+      i++;
+      continue;
+    }
+
+    if (char === ']') {
+      if (optionalDepth === 0) {
+        throw new Error(`Unbalanced ']' in date format '${format}'`);
+      }
+      regex += ')?';
+      optionalDepth--;
+      i++;
+      continue;
+    }
+
+    if (/[A-Za-z]/.test(char)) {
+      const match = TOKENS.find(({ token }) => pattern.startsWith(token, i));
+      if (!match) {
+        throw new Error(`Unknown token '${char}' in date format '${format}'`);
+      }
+      regex += match.pattern;
+      parts.push(match.part);
+      i += match.token.length;
+      continue;
+    }
+
+    regex += escapeRegex(char);
+    i++;
+  }
+
+  if (optionalDepth !== 0) {
+    throw new Error(`Unbalanced '[' in date format '${format}'`);
+  }
+  if (parts.includes('hour12') && !parts.includes('meridiem')) {
+    throw new Error(`Date format '${format}' uses 12-hour 'hh' without an AM/PM marker 'a'`);
+  }
+
+  const compiled = { format: pattern, regex: new RegExp(`^${regex}$`), parts };
+  compiledFormats.set(pattern, compiled);
+  return compiled;
+}
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+function daysInMonth(year, month) {
+  return [31, isLeapYear(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+}
+
+/**
+ * Check date and time components for real calendar/clock values
+ * @param {Object} components - Parsed numeric components (year, month, day, hour, ...)
+ * @returns {string|null} Reason the value is impossible, or null when it is valid
+ */
+function checkCalendar(components) {
+  const { year, month, day, hour, minute, second } = components;
+
+  if (month !== undefined && (month < 1 || month > 12)) {
+    return `month ${month} does not exist`;
+  }
+  if (day !== undefined) {
+    const maxDay = month !== undefined ? daysInMonth(year !== undefined ? year : 2000, month) : 31;
+    if (day < 1 || day > maxDay) {
+      return month !== undefined
+        ? `${MONTH_NAMES[month - 1]}${year !== undefined ? ` ${year}` : ''} has ${maxDay} days`
+        : `day ${day} does not exist`;
+    }
+  }
+  if (hour !== undefined && hour > 23) {
+    return `hour ${hour} does not exist`;
+  }
+  if (minute !== undefined && minute > 59) {
+    return `minute ${minute} does not exist`;
+  }
+  if (second !== undefined && second > 59) {
+    return `second ${second} does not exist`;
+  }
+  if (components.offset && components.offset !== 'Z') {
+    const digits = components.offset.replace(/[^\d]/g, '');
+    const offsetHours = Number(digits.slice(0, 2));
+    const offsetMinutes = Number(digits.slice(2) || 0);
+    if (offsetHours > 14 || offsetMinutes > 59) {
+      return `offset ${components.offset} does not exist`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a value against a declared format
+ * @param {string} value - The value to check
+ * @param {string} format - Format name or token pattern
+ * @returns {Object} { isValid, code, reason, components } - code is DATE_FORMAT_MISMATCH or INVALID_CALENDAR_DATE;
+ *                   components (year, month, day, hour, ...) are set when the value is valid
+ */
+function parseWithFormat(value, format) {
+  const { regex, parts } = compileDateFormat(format);
+  const match = regex.exec(String(value).trim());
+  if (!match) {
+    return { isValid: false, code: 'DATE_FORMAT_MISMATCH' };
+  }
+
+  const components = {};
+  parts.forEach((part, index) => {
+    const raw = match[index + 1];
+    if (raw === undefined) return; // Optional section not present
+    if (part === 'offset' || part === 'meridiem') {
+      components[part] = raw;
+    } else if (part === 'millisecond') {
+      components.millisecond = Number(raw.padEnd(3, '0').slice(0, 3));
+    } else {
+      components[part] = Number(raw);
+    }
+  });
+
+  if (components.shortYear !== undefined && components.year === undefined) {
+    components.year = 2000 + components.shortYear;
+  }
+  if (components.hour12 !== undefined) {
+    if (components.hour12 < 1 || components.hour12 > 12) {
+      return { isValid: false, code: 'INVALID_CALENDAR_DATE', reason: `hour ${components.hour12} does not exist on a 12-hour clock` };
+    }
+    components.hour = (components.hour12 % 12) + (/pm/i.test(components.meridiem) ? 12 : 0);
+  }
+
+  const reason = checkCalendar(components);
+  return reason ? { isValid: false, code: 'INVALID_CALENDAR_DATE', reason } : { isValid: true, components };
+}
+
+/**
+ * Turn parsed components into milliseconds since the epoch, for ordering values.
+ * Missing parts take their lowest value (a date is its midnight, a time falls on
+ * 1970-01-01) and a value without an offset is read as UTC.
+ * @param {Object} components - Components from parseWithFormat or validateDateValue
+ */
+function componentsToTime(components) {
+  const part = (name, fallback) => components[name] !== undefined ? components[name] : fallback;
+  let time = Date.UTC(part('year', 1970), part('month', 1) - 1, part('day', 1),
+    part('hour', 0), part('minute', 0), part('second', 0), part('millisecond', 0));
+
+  const offsetMatch = components.offset && components.offset !== 'Z' ? /^([+-])(\d{2}):?(\d{2})?$/.exec(components.offset) : null;
+  if (offsetMatch) {
+    const minutes = Number(offsetMatch[2]) * 60 + Number(offsetMatch[3] || 0);
+    time -= (offsetMatch[1] === '+' ? 1 : -1) * minutes * 60000;
+  }
+  return time;
+}
+
+const pad = (number, width) => String(number).padStart(width, '0');
+
+/**
+ * Render one format token from parsed components
+ * @returns {string|null} Text, or null when the component is not available
+ */
+function renderToken(token, components) {
+  const { year, month, day, hour, minute, millisecond, offset } = components;
+  // Seconds default to zero once a time of day is known
+  const second = components.second !== undefined ? components.second : (minute !== undefined ? 0 : undefined);
+  const hour12 = hour !== undefined ? (hour % 12 || 12) : undefined;
+  const offsetMatch = offset && offset !== 'Z' ? /^([+-])(\d{2}):?(\d{2})?$/.exec(offset) : null;
+
+  const renderers = {
+    yyyy: () => year !== undefined ? pad(year, 4) : null,
+    yy: () => year !== undefined ? pad(year % 100, 2) : null,
+    MM: () => month !== undefined ? pad(month, 2) : null,
+    M: () => month !== undefined ? String(month) : null,
+    dd: () => day !== undefined ? pad(day, 2) : null,
+    d: () => day !== undefined ? String(day) : null,
+    HH: () => hour !== undefined ? pad(hour, 2) : null,
+    H: () => hour !== undefined ? String(hour) : null,
+    hh: () => hour12 !== undefined ? pad(hour12, 2) : null,
+    h: () => hour12 !== undefined ? String(hour12) : null,
+    mm: () => minute !== undefined ? pad(minute, 2) : null,
+    ss: () => second !== undefined ? pad(second, 2) : null,
+    SSS: () => millisecond !== undefined ? pad(millisecond, 3) : null,
+    a: () => hour !== undefined ? (hour >= 12 ? 'PM' : 'AM') : null,
+    XXX: () => offset === 'Z' ? 'Z' : offsetMatch ? `${offsetMatch[1]}${offsetMatch[2]}:${offsetMatch[3] || '00'}` : null,
+    XX: () => offset === 'Z' ? 'Z' : offsetMatch ? `${offsetMatch[1]}${offsetMatch[2]}${offsetMatch[3] || '00'}` : null,
+    X: () => offset === 'Z' ? 'Z' : offsetMatch ? `${offsetMatch[1]}${offsetMatch[2]}:${offsetMatch[3] || '00'}` : null
+  };
+  return renderers[token]();
+}
+
+/**
+ * Write date/time components in a format. Optional sections are left out when
+ * a component they need is missing (e.g. [.SSS] without milliseconds).
+ * @param {Object} components - Components from parseWithFormat
+ * @param {string} format - Format name or token pattern
+ * @returns {string|null} Formatted value, or null when a required component is missing
+ */
+function formatDateComponents(components, format) {
+  const pattern = compileDateFormat(format).format;
+  let i = 0;
+
+  const renderSection = () => {
+    let text = '';
+    let missing = false;
+    while (i < pattern.length) {
+      const char = pattern[i];
+      if (char === "'") {
+        const end = pattern.indexOf("'", i + 1);
+        text += end === i + 1 ? "'" : pattern.slice(i + 1, end);
+        i = end + 1;
+      } else if (char === '[') {
+        i++;
+        const optional = renderSection();
+        if (optional !== null) text += optional;
+      } else if (char === ']') {
+        i++;
+        break;
+      } else if (/[A-Za-z]/.test(char)) {
+        const { token } = TOKENS.find(candidate => pattern.startsWith(candidate.token, i));
+        const rendered = renderToken(token, components);
+        if (rendered === null) {
+          missing = true;
+        } else {
+          text += rendered;
+        }
+        i += token.length;
+      } else {
+        text += char;
+        i++;
+      }
+    }
+    return missing ? null : text;
+  };
+
+  return renderSection();
+}
+
+/**
+ * Validate a date, timestamp or time value.
+ * With a declared format the value must match it exactly. Without one, dates and
+ * timestamps must be ISO 8601 (DEFAULT_FORMATS): anything else is INVALID_DATE,
+ * and impossible calendar dates such as 2024-02-30 are INVALID_CALENDAR_DATE.
+ * @param {string} value - The value to check
+ * @param {string} kind - 'date', 'timestamp' or 'time'
+ * @param {string} format - Optional declared format
+ * @returns {Object} { isValid, code, reason, components } - components are set when the value is valid
+ */
+function validateDateValue(value, kind, format) {
+  if (format) {
+    return parseWithFormat(value, format);
+  }
+
+  const text = String(value).trim();
+
+  if (kind === 'time') {
+    const timeMatch = /^(\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,9})?)?(Z|[+-]\d{2}:?\d{2})?$/.exec(text);
+    if (!timeMatch) {
+      return { isValid: false, code: 'INVALID_TIME' };
+    }
+    const components = {
+      hour: Number(timeMatch[1]),
+      minute: Number(timeMatch[2]),
+      second: timeMatch[3] !== undefined ? Number(timeMatch[3]) : undefined,
+      offset: timeMatch[4]
+    };
+    const reason = checkCalendar(components);
+    return reason ? { isValid: false, code: 'INVALID_TIME', reason } : { isValid: true, components };
+  }
+
+  const parsed = parseWithFormat(text, kind === 'date' ? DEFAULT_FORMATS.date : DEFAULT_FORMATS.timestamp);
+  if (parsed.code === 'DATE_FORMAT_MISMATCH') {
+    return { isValid: false, code: 'INVALID_DATE' };
+  }
+  return parsed;
+}
+
+module.exports = {
+  NAMED_FORMATS,
+  DEFAULT_FORMATS,
+  resolveFormat,
+  compileDateFormat,
+  parseWithFormat,
+  componentsToTime,
+  formatDateComponents,
+  validateDateValue
+};
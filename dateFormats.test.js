@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveFormat, compileDateFormat, parseWithFormat, formatDateComponents, validateDateValue } = require('./dateFormats');
+
+test('named formats resolve to their patterns', () => {
+  assert.strictEqual(resolveFormat('ISO_DATE'), 'yyyy-MM-dd');
+  assert.strictEqual(resolveFormat('dd/MM/yyyy'), 'dd/MM/yyyy');
+});
+
+test('tokens, quoted literals and optional sections parse', () => {
+  assert.deepStrictEqual(parseWithFormat('05/03/2024', 'dd/MM/yyyy').components, { year: 2024, month: 3, day: 5 });
+  assert.strictEqual(parseWithFormat('5/3/24', 'd/M/yy').isValid, true);
+  assert.strictEqual(parseWithFormat("2024-03-05 at 14h", "yyyy-MM-dd 'at' HH'h'").isValid, true);
+  assert.strictEqual(parseWithFormat('03:15 PM', 'hh:mm a').components.hour, 15);
+  assert.strictEqual(parseWithFormat('13:15 PM', 'hh:mm a').code, 'INVALID_CALENDAR_DATE');
+
+  const iso = "yyyy-MM-dd'T'HH:mm:ss[.SSS]XXX";
+  assert.strictEqual(parseWithFormat('2024-03-05T10:00:00Z', iso).isValid, true);
+  assert.strictEqual(parseWithFormat('2024-03-05T10:00:00.123+01:00', iso).isValid, true);
+  assert.strictEqual(parseWithFormat('2024-03-05T10:00:00', iso).code, 'DATE_FORMAT_MISMATCH');
+});
+
+test('formats are checked against the calendar', () => {
+  assert.strictEqual(parseWithFormat('2024-02-29', 'yyyy-MM-dd').isValid, true);
+  assert.strictEqual(parseWithFormat('2023-02-29', 'yyyy-MM-dd').code, 'INVALID_CALENDAR_DATE');
+  assert.strictEqual(parseWithFormat('31/11/2024', 'dd/MM/yyyy').code, 'INVALID_CALENDAR_DATE');
+});
+
+test('an unknown token stops a format from compiling', () => {
+  assert.throws(() => compileDateFormat('yyyy-QQ-dd'));
+});
+
+test('components render back into a format', () => {
+  const { components } = parseWithFormat('05/03/2024', 'dd/MM/yyyy');
+  assert.strictEqual(formatDateComponents(components, 'ISO_DATE'), '2024-03-05');
+});
+
+test('without a Format, dates and timestamps must be ISO 8601', () => {
+  for (const value of ['1', 'March 5', '2024/03/05', '03/05/2024', '2024-03-05T10:00:00Z']) {
+    assert.strictEqual(validateDateValue(value, 'date').code, 'INVALID_DATE', value);
+  }
+  for (const value of ['1', 'March 5', '2024-03-05', '2024-03-05 10:00:00', 'Tue Mar 05 2024']) {
+    assert.strictEqual(validateDateValue(value, 'timestamp').code, 'INVALID_DATE', value);
+  }
+
+  assert.strictEqual(validateDateValue(' 2024-03-05 ', 'date').isValid, true);
+  for (const value of ['2024-03-05T10:00', '2024-03-05T10:00:00Z', '2024-03-05T10:00:00.000+0000', '2024-03-05T10:00:00-05:00']) {
+    assert.strictEqual(validateDateValue(value, 'timestamp').isValid, true, value);
+  }
+  assert.strictEqual(validateDateValue('2024-02-30', 'date').code, 'INVALID_CALENDAR_DATE');
+  assert.strictEqual(validateDateValue('2024-03-05T25:00:00Z', 'timestamp').code, 'INVALID_CALENDAR_DATE');
+});
+
+test('a declared Format replaces the ISO default', () => {
+  assert.strictEqual(validateDateValue('05/03/2024', 'date', 'dd/MM/yyyy').isValid, true);
+  assert.strictEqual(validateDateValue('2024-03-05', 'date', 'dd/MM/yyyy').code, 'DATE_FORMAT_MISMATCH');
+});
+
+test('times without a Format need HH:mm', () => {
+  assert.strictEqual(validateDateValue('14:30', 'time').isValid, true);
+  assert.strictEqual(validateDateValue('14:30:00.5Z', 'time').isValid, true);
+  assert.strictEqual(validateDateValue('2pm', 'time').code, 'INVALID_TIME');
+  assert.strictEqual(validateDateValue('24:00', 'time').code, 'INVALID_TIME');
+});
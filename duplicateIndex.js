@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { forEachLineSync, BufferedLineWriter } = require('./fileUtils');
+
+const BUCKET_COUNT = 64;
+
+/**
+ * FNV-1a hash of a string, used to spread keys over bucket files
+ * @param {string} text - Text to hash
+ */
+function hashKey(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Index of key occurrences used to find duplicate values across rows.
+ *
+ * Keys are held in memory until maxInMemoryKeys is reached. After that every
+ * key is appended to one of BUCKET_COUNT temporary files chosen by hash, so
+ * equal keys always land in the same bucket and each bucket can be grouped on
+ * its own when the index is finalized.
+ */
+class DuplicateIndex {
+  constructor(options = {}) {
+    this.maxInMemoryKeys = options.maxInMemoryKeys || 200000;
+    this.tempRoot = options.tempDir || os.tmpdir();
+    this.memory = new Map();
+    this.bucketDir = null;
+    this.buckets = null;
+  }
+
+  /**
+   * Record an occurrence of a key
+   * @param {number} constraintIndex - Index of the uniqueness constraint
+   * @param {string} key - Encoded key values
+   * @param {number} rowNumber - Row the key was found on
+   */
+  add(constraintIndex, key, rowNumber) {
+    const indexKey = `${constraintIndex}\u0000${key}`;
+
+    if (!this.buckets) {
+      const rows = this.memory.get(indexKey);
+      if (rows) {
+        rows.push(rowNumber);
+        return;
+      }
+      this.memory.set(indexKey, [rowNumber]);
+      if (this.memory.size > this.maxInMemoryKeys) {
+        this.spillToDisk();
+      }
+      return;
+    }
+
+    this.writeToBucket(indexKey, rowNumber);
+  }
+
+  /**
+   * Move the in-memory keys to bucket files and switch to disk mode
+   */
+  spillToDisk() {
+    this.bucketDir = fs.mkdtempSync(path.join(this.tempRoot, 'csv-validator-keys-'));
+    this.buckets = [];
+    for (let i = 0; i < BUCKET_COUNT; i++) {
+      this.buckets.push(new BufferedLineWriter(path.join(this.bucketDir, `bucket_${i}.ndjson`), 256 * 1024));
+    }
+
+    this.memory.forEach((rows, indexKey) => {
+      rows.forEach(rowNumber => this.writeToBucket(indexKey, rowNumber));
+    });
+    this.memory = new Map();
+  }
+
+  writeToBucket(indexKey, rowNumber) {
+    this.buckets[hashKey(indexKey) % BUCKET_COUNT].writeLine(JSON.stringify([indexKey, rowNumber]));
+  }
+
+  /**
+   * Find every key that occurred more than once and release temporary files
+   * @returns {Array} Duplicate groups: { constraintIndex, key, rowNumbers }
+   */
+  finalize() {
+    const groups = [];
+    const collect = (map) => {
+      map.forEach((rows, indexKey) => {
+        if (rows.length < 2) return;
+        const separator = indexKey.indexOf('\u0000');
+        groups.push({
+          constraintIndex: Number(indexKey.slice(0, separator)),
+          key: indexKey.slice(separator + 1),
+          rowNumbers: rows.sort((a, b) => a - b)
+        });
+      });
+    };
+
+    if (!this.buckets) {
+      collect(this.memory);
+      this.memory = new Map();
+    } else {
+      try {
+        this.buckets.forEach(bucket => bucket.close());
+        this.buckets.forEach(bucket => {
+          const map = new Map();
+          forEachLineSync(bucket.filePath, (line) => {
+            if (!line) return;
+            const [indexKey, rowNumber] = JSON.parse(line);
+            const rows = map.get(indexKey);
+            if (rows) {
+              rows.push(rowNumber);
+            } else {
+              map.set(indexKey, [rowNumber]);
+            }
+          });
+          collect(map);
+        });
+      } finally {
+        this.cleanup();
+      }
+    }
+
+    return groups.sort((a, b) => a.constraintIndex - b.constraintIndex || a.rowNumbers[0] - b.rowNumbers[0]);
+  }
+
+  /**
+   * Remove temporary bucket files
+   */
+  cleanup() {
+    if (this.buckets) {
+      this.buckets.forEach(bucket => bucket.close());
+      this.buckets = null;
+    }
+    if (this.bucketDir) {
+      fs.rmSync(this.bucketDir, { recursive: true, force: true });
+      this.bucketDir = null;
+    }
+  }
+}
+
+module.exports = DuplicateIndex;
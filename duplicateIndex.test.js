@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DuplicateIndex = require('./duplicateIndex');
+
+function addAll(index) {
+  for (let row = 1; row <= 50; row++) {
+    index.add(0, `key${row % 20}`, row);
+  }
+  index.add(1, 'key1', 51);
+}
+
+test('keys held in memory are grouped by constraint', () => {
+  const index = new DuplicateIndex();
+  addAll(index);
+  const groups = index.finalize();
+  assert.strictEqual(groups.length, 20);
+  assert.deepStrictEqual(groups[0], { constraintIndex: 0, key: 'key1', rowNumbers: [1, 21, 41] });
+  assert.ok(groups.every(group => group.constraintIndex === 0));
+});
+
+test('spilled keys group the same way and their bucket files are removed', (t) => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-validator-index-test-'));
+  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+  const inMemory = new DuplicateIndex();
+  addAll(inMemory);
+  const spilled = new DuplicateIndex({ maxInMemoryKeys: 5, tempDir });
+  addAll(spilled);
+  assert.ok(spilled.buckets);
+  assert.strictEqual(fs.readdirSync(tempDir).length, 1);
+
+  assert.deepStrictEqual(spilled.finalize(), inMemory.finalize());
+  assert.deepStrictEqual(fs.readdirSync(tempDir), []);
+});
+
+test('cleanup removes bucket files of an abandoned index', (t) => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-validator-index-test-'));
+  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+  const index = new DuplicateIndex({ maxInMemoryKeys: 1, tempDir });
+  index.add(0, 'a', 1);
+  index.add(0, 'b', 2);
+  index.cleanup();
+  assert.deepStrictEqual(fs.readdirSync(tempDir), []);
+});
@@ -0,0 +1,204 @@
+/**
+ * Excel workbooks (.xlsx, .xlsm, .xls) as validation input.
+ *
+ * One sheet is read, chosen by name or 1-based index, with its headers on a
+ * configurable row. Every cell becomes canonical text for the checks that work
+ * on text (length, pattern, allowed values, record rules, keys), and cells that
+ * Excel stores as numbers, booleans or dates also keep their typed value so the
+ * type check sees the real value instead of the locale format it is displayed in.
+ */
+
+const path = require('path');
+const XLSX = require('xlsx');
+
+const EXCEL_EXTENSIONS = ['.xlsx', '.xlsm', '.xls'];
+
+/**
+ * Check whether a file is read as a workbook
+ * @param {string} filePath - Input file path
+ */
+function isExcelFile(filePath) {
+  return EXCEL_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * A cell Excel stores as a date, time or date/time serial number
+ */
+class CellDate {
+  /**
+   * @param {number} serial - Excel serial date
+   * @param {boolean} date1904 - Workbook uses the 1904 date system
+   */
+  constructor(serial, date1904 = false) {
+    const parts = XLSX.SSF.parse_date_code(serial, { date1904 });
+    this.serial = serial;
+    this.hasDate = Math.floor(serial) !== 0;
+    this.hasTime = serial % 1 !== 0;
+    this.components = {
+      year: parts.y,
+      month: parts.m,
+      day: parts.d,
+      hour: parts.H,
+      minute: parts.M,
+      second: parts.S
+    };
+    this.text = this.format();
+  }
+
+  /**
+   * ISO text for the value: yyyy-MM-dd, yyyy-MM-ddTHH:mm:ss or HH:mm:ss
+   */
+  format() {
+    const pad = (number, width = 2) => String(number).padStart(width, '0');
+    const { year, month, day, hour, minute, second } = this.components;
+    const date = `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+    const time = `${pad(hour)}:${pad(minute)}:${pad(second)}`;
+    if (!this.hasDate) return time;
+    return this.hasTime ? `${date}T${time}` : date;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+/**
+ * Quote a sheet name for a cell address when needed ('My Data'!A1)
+ * @param {string} sheetName - Sheet name
+ */
+function quoteSheetName(sheetName) {
+  return /^[A-Za-z_][\w.]*$/.test(sheetName) ? sheetName : `'${sheetName.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Build a cell address such as Data!G14
+ * @param {string} sheetName - Sheet name
+ * @param {string} columnLetter - Column letter(s)
+ * @param {number} sheetRow - 1-based sheet row
+ */
+function formatCellAddress(sheetName, columnLetter, sheetRow) {
+  return `${quoteSheetName(sheetName)}!${columnLetter}${sheetRow}`;
+}
+
+/**
+ * Read a worksheet cell
+ * @param {Object} cell - SheetJS cell, or undefined for an empty cell
+ * @param {boolean} date1904 - Workbook uses the 1904 date system
+ * @returns {Object} { text, value } - value is the typed value of number, boolean and date cells
+ */
+function readCell(cell, date1904) {
+  if (!cell || cell.v === undefined || cell.v === null) {
+    return { text: '', value: undefined };
+  }
+  switch (cell.t) {
+    case 'n':
+      if (cell.z && XLSX.SSF.is_date(cell.z)) {
+        const date = new CellDate(cell.v, date1904);
+        return { text: date.text, value: date };
+      }
+      return { text: String(cell.v), value: cell.v };
+    case 'b':
+      return { text: cell.v ? 'true' : 'false', value: cell.v };
+    case 'e':
+      return { text: cell.w || '#ERROR', value: undefined }; // Formula errors such as #N/A are checked as text
+    default:
+      return { text: String(cell.v), value: undefined };
+  }
+}
+
+/**
+ * Pick a sheet by name or 1-based index
+ * @param {Object} workbook - SheetJS workbook
+ * @param {string|number} sheet - Sheet name or index (default: the first sheet)
+ */
+function selectSheet(workbook, sheet) {
+  const names = workbook.SheetNames;
+  if (sheet === undefined || sheet === null || sheet === '') {
+    return names[0];
+  }
+  if (names.includes(String(sheet))) {
+    return String(sheet);
+  }
+  if (/^\d+$/.test(String(sheet))) {
+    const index = Number(sheet);
+    if (index >= 1 && index <= names.length) {
+      return names[index - 1];
+    }
+    throw new Error(`Sheet index ${index} is out of range (the workbook has ${names.length} sheets: ${names.join(', ')})`);
+  }
+  throw new Error(`Sheet '${sheet}' not found (sheets: ${names.join(', ')})`);
+}
+
+/**
+ * Read the headers and records of one worksheet
+ * @param {string} filePath - Workbook path
+ * @param {Object} options - Read options
+ * @param {string|number} options.sheet - Sheet name or 1-based index (default: the first sheet)
+ * @param {number} options.headerRow - 1-based row holding the headers (default 1)
+ * @returns {Object} { sheetName, headerRow, headers, columnLetters, rows: [{ sheetRow, cells, values }] }
+ */
+function readSheet(filePath, options = {}) {
+  const headerRow = options.headerRow !== undefined && options.headerRow !== null ? Number(options.headerRow) : 1;
+  if (!Number.isInteger(headerRow) || headerRow < 1) {
+    throw new Error(`Header row must be a whole number from 1, got '${options.headerRow}'`);
+  }
+
+  const workbook = XLSX.readFile(filePath, { cellNF: true });
+  const sheetName = selectSheet(workbook, options.sheet);
+  const worksheet = workbook.Sheets[sheetName];
+  const date1904 = Boolean(workbook.Workbook && workbook.Workbook.WBProps && workbook.Workbook.WBProps.date1904);
+  const range = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']) : null;
+  if (!range || range.e.r + 1 < headerRow) {
+    throw new Error(`Sheet '${sheetName}' has no header row ${headerRow}`);
+  }
+
+  // Columns run from the first header to the last; cells outside them are not part of the table
+  const headerIndex = headerRow - 1;
+  const headers = [];
+  const columnIndexes = [];
+  for (let column = range.s.c; column <= range.e.c; column++) {
+    headers.push(readCell(worksheet[XLSX.utils.encode_cell({ r: headerIndex, c: column })], date1904).text.trim());
+    columnIndexes.push(column);
+  }
+  while (headers.length > 0 && headers[headers.length - 1] === '') {
+    headers.pop();
+    columnIndexes.pop();
+  }
+  while (headers.length > 0 && headers[0] === '') {
+    headers.shift();
+    columnIndexes.shift();
+  }
+
+  // Blank rows are skipped; each record keeps its sheet row for cell addresses
+  const rows = [];
+  for (let rowIndex = headerIndex + 1; rowIndex <= range.e.r; rowIndex++) {
+    const cells = [];
+    const values = [];
+    columnIndexes.forEach(column => {
+      const { text, value } = readCell(worksheet[XLSX.utils.encode_cell({ r: rowIndex, c: column })], date1904);
+      cells.push(text);
+      values.push(value);
+    });
+    if (cells.every(text => text.trim() === '')) continue;
+    rows.push({ sheetRow: rowIndex + 1, cells, values });
+  }
+
+  return {
+    sheetName,
+    headerRow,
+    headers,
+    columnLetters: columnIndexes.map(column => XLSX.utils.encode_col(column)),
+    rows
+  };
+}
+
+module.exports = {
+  EXCEL_EXTENSIONS,
+  CellDate,
+  isExcelFile,
+  quoteSheetName,
+  formatCellAddress,
+  readCell,
+  selectSheet,
+  readSheet
+};
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const CSVValidator = require('./csvValidator');
+const { quoteSheetName, formatCellAddress, readSheet } = require('./excelInput');
+
+test.mock.method(console, 'log', () => {});
+
+const MAPPING = [
+  'Target Field Name,Null Allowed,Target Data Type',
+  'Code,No,string',
+  'Amount,Yes,"DECIMAL(18,2)"',
+  'Day,Yes,date',
+  ''
+].join('\n');
+
+// A cover sheet first; the table starts in column B under a title, with its headers on row 3
+function writeWorkbook(folder) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Exported for the migration']]), 'Cover');
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ['Accounts'],
+    [],
+    ['Code', 'Amount', 'Day'],
+    ['A1', 10.5, new Date(Date.UTC(2024, 1, 29))],
+    [],
+    ['', 12.345, 'soon'],
+    ['C3', 'ten', 45351]
+  ], { origin: 'B1' });
+  XLSX.utils.book_append_sheet(workbook, sheet, "Bob's Data");
+  const filePath = path.join(folder, 'accounts.xlsx');
+  XLSX.writeFile(workbook, filePath);
+  return filePath;
+}
+
+function tempFolder(t) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-validator-excel-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  return folder;
+}
+
+test('sheet names are quoted in cell addresses only when needed', () => {
+  assert.strictEqual(quoteSheetName('Data'), 'Data');
+  assert.strictEqual(quoteSheetName('Sheet_1.v2'), 'Sheet_1.v2');
+  assert.strictEqual(quoteSheetName('My Data'), "'My Data'");
+  assert.strictEqual(quoteSheetName('2024'), "'2024'");
+  assert.strictEqual(formatCellAddress("Bob's Data", 'AB', 14), "'Bob''s Data'!AB14");
+});
+
+test('a sheet is read from its header row, skipping blank rows and keeping sheet rows', (t) => {
+  const filePath = writeWorkbook(tempFolder(t));
+  const sheet = readSheet(filePath, { sheet: 2, headerRow: 3 });
+  assert.deepStrictEqual([sheet.sheetName, sheet.headers, sheet.columnLetters], ["Bob's Data", ['Code', 'Amount', 'Day'], ['B', 'C', 'D']]);
+  assert.deepStrictEqual(sheet.rows.map(row => [row.sheetRow, row.cells]), [
+    [4, ['A1', '10.5', '2024-02-29']],
+    [6, ['', '12.345', 'soon']],
+    [7, ['C3', 'ten', '45351']]
+  ]);
+
+  assert.throws(() => readSheet(filePath, { sheet: 'Data' }), /Sheet 'Data' not found \(sheets: Cover, Bob's Data\)/);
+  assert.throws(() => readSheet(filePath, { sheet: 3 }), /Sheet index 3 is out of range/);
+  assert.throws(() => readSheet(filePath, { sheet: 2, headerRow: 0 }), /Header row must be a whole number/);
+});
+
+test('issues carry the address of their cell, in issue objects and the CSV report', async (t) => {
+  const folder = tempFolder(t);
+  const filePath = writeWorkbook(folder);
+  fs.writeFileSync(path.join(folder, 'map.csv'), MAPPING);
+  const validator = new CSVValidator();
+  await validator.loadMappingRules(path.join(folder, 'map.csv'));
+  await validator.validateInputFile(filePath, null, { sheet: "Bob's Data", headerRow: 3 });
+
+  const issues = [];
+  validator.forEachError(issue => issues.push([issue.rowNumber, issue.line, issue.cell, issue.code]));
+  assert.deepStrictEqual(issues, [
+    [2, 6, "'Bob''s Data'!B6", 'REQUIRED_MISSING'],
+    [2, 6, "'Bob''s Data'!C6", 'DECIMAL_SCALE'],
+    [2, 6, "'Bob''s Data'!D6", 'INVALID_DATE'],
+    [3, 7, "'Bob''s Data'!C7", 'INVALID_NUMBER'],
+    [3, 7, "'Bob''s Data'!D7", 'INVALID_DATE']
+  ]);
+
+  validator.generateReport(path.join(folder, 'report.csv'));
+  const lines = fs.readFileSync(path.join(folder, 'report.csv'), 'utf8').split('\n');
+  assert.match(lines[0], /^Row #,Line #,Column #,Cell,Field Name,/);
+  assert.match(lines[1], /^2,6,1,'Bob''s Data'!B6,Code,REQUIRED_MISSING,/);
+});
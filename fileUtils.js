@@ -0,0 +1,125 @@
+const fs = require('fs');
+
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Read only the first line of a file, without loading the rest of it
+ * @param {string} filePath - Path to the file
+ * @param {string} encoding - Text encoding (default: utf8)
+ */
+function readHeaderLine(filePath, encoding = 'utf8') {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const chunks = [];
+    const buffer = Buffer.alloc(CHUNK_SIZE);
+    let bytesRead;
+
+    while ((bytesRead = fs.readSync(fd, buffer, 0, CHUNK_SIZE, null)) > 0) {
+      const chunk = buffer.subarray(0, bytesRead);
+      const newlineIndex = chunk.indexOf(0x0a);
+      if (newlineIndex !== -1) {
+        chunks.push(Buffer.from(chunk.subarray(0, newlineIndex)));
+        break;
+      }
+      chunks.push(Buffer.from(chunk));
+    }
+
+    return Buffer.concat(chunks).toString(encoding).replace(/\r$/, '');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Call a function for every line of a file, reading it in fixed-size chunks
+ * @param {string} filePath - Path to the file
+ * @param {Function} onLine - Called with (line, lineNumber); return false to stop early
+ */
+function forEachLineSync(filePath, onLine) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(CHUNK_SIZE);
+    let remainder = Buffer.alloc(0);
+    let lineNumber = 0;
+    let bytesRead;
+
+    while ((bytesRead = fs.readSync(fd, buffer, 0, CHUNK_SIZE, null)) > 0) {
+      let data = Buffer.concat([remainder, buffer.subarray(0, bytesRead)]);
+      let start = 0;
+      let newlineIndex;
+
+      while ((newlineIndex = data.indexOf(0x0a, start)) !== -1) {
+        lineNumber++;
+        if (onLine(data.toString('utf8', start, newlineIndex).replace(/\r$/, ''), lineNumber) === false) {
+          return;
+        }
+        start = newlineIndex + 1;
+      }
+      remainder = Buffer.from(data.subarray(start));
+    }
+
+    if (remainder.length > 0) {
+      lineNumber++;
+      onLine(remainder.toString('utf8').replace(/\r$/, ''), lineNumber);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Append-only line writer that buffers output and flushes it synchronously,
+ * so callers on a hot path can write without holding everything in memory.
+ * Raw text or bytes can be written with write() when lines carry their own endings.
+ */
+class BufferedLineWriter {
+  constructor(filePath, flushSize = 1024 * 1024) {
+    this.filePath = filePath;
+    this.flushSize = flushSize;
+    this.fd = fs.openSync(filePath, 'w');
+    this.buffer = [];
+    this.bufferedLength = 0;
+    this.linesWritten = 0;
+  }
+
+  /**
+   * Queue a single line for writing
+   * @param {string} line - Line content without the trailing newline
+   */
+  writeLine(line) {
+    this.linesWritten++;
+    this.write(`${line}\n`);
+  }
+
+  /**
+   * Queue text or bytes for writing as-is
+   * @param {string|Buffer} chunk - Content to write
+   */
+  write(chunk) {
+    this.buffer.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    this.bufferedLength += chunk.length;
+    if (this.bufferedLength >= this.flushSize) {
+      this.flush();
+    }
+  }
+
+  flush() {
+    if (this.buffer.length === 0) return;
+    fs.writeSync(this.fd, Buffer.concat(this.buffer));
+    this.buffer = [];
+    this.bufferedLength = 0;
+  }
+
+  close() {
+    if (this.fd === null) return;
+    this.flush();
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+}
+
+module.exports = {
+  readHeaderLine,
+  forEachLineSync,
+  BufferedLineWriter
+};
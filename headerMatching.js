@@ -0,0 +1,207 @@
+/**
+ * Matching of input file headers to mapping fields.
+ *
+ * A header policy decides how strictly names must agree:
+ *   matching          'exact' (default), 'case-insensitive', or 'loose'
+ *                     (ignores case, whitespace and underscores)
+ *   enforceOrder      mapped columns must appear in mapping order
+ *   allowExtraColumns unmapped input columns are reported but do not fail the run
+ * Aliases from the mapping are matched under the same policy as field names.
+ */
+
+const MATCHING_MODES = ['exact', 'case-insensitive', 'loose'];
+
+const DEFAULT_HEADER_POLICY = {
+  matching: 'exact',
+  enforceOrder: false,
+  allowExtraColumns: false
+};
+
+/**
+ * Fill in and check a header policy
+ * @param {Object} policy - Partial policy
+ */
+function resolveHeaderPolicy(policy = {}) {
+  const resolved = { ...DEFAULT_HEADER_POLICY, ...policy };
+  if (!MATCHING_MODES.includes(resolved.matching)) {
+    throw new Error(`Unknown header matching mode '${resolved.matching}' (expected one of: ${MATCHING_MODES.join(', ')})`);
+  }
+  return resolved;
+}
+
+/**
+ * Reduce a header to the form compared under a matching mode
+ * @param {string} header - Header or field name
+ * @param {string} matching - Matching mode
+ */
+function normalizeHeader(header, matching) {
+  const text = String(header).trim();
+  if (matching === 'case-insensitive') return text.toLowerCase();
+  if (matching === 'loose') return text.toLowerCase().replace(/[\s_]+/g, '');
+  return text;
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find the closest candidate to a name by edit distance (case-insensitive)
+ * @param {string} name - Name to match
+ * @param {string[]} candidates - Possible names
+ * @param {number} maxDistance - Largest distance still worth suggesting (defaults to about a third of the name)
+ * @returns {Object|null} { name, distance } or null when nothing is close enough
+ */
+function findClosest(name, candidates, maxDistance = Math.max(2, Math.floor(name.length / 3))) {
+  let best = null;
+  candidates.forEach(candidate => {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance <= maxDistance && (!best || distance < best.distance)) {
+      best = { name: candidate, distance };
+    }
+  });
+  return best;
+}
+
+/**
+ * Match input headers to mapping rules under a policy
+ * @param {Array} rules - Validation rules (fieldName, aliases)
+ * @param {string[]} inputHeaders - Headers from the input file
+ * @param {Object} policy - Header policy
+ * @param {string[]} ignoredHeaders - Input headers that are neither matched nor reported as extra
+ * @returns {Object} Header validation result
+ */
+function matchHeaders(rules, inputHeaders, policy = {}, ignoredHeaders = []) {
+  const resolvedPolicy = resolveHeaderPolicy(policy);
+  const { matching } = resolvedPolicy;
+  const expectedHeaders = rules.map(rule => rule.fieldName);
+
+  // Index input columns by normalized name; a later column with the same name is a repeat
+  const inputIndex = new Map();
+  const repeatedHeaders = [];
+  const ignored = new Set(ignoredHeaders);
+  inputHeaders.forEach((header, index) => {
+    if (ignored.has(header)) return;
+    const key = normalizeHeader(header, matching);
+    if (inputIndex.has(key)) {
+      repeatedHeaders.push({ header, position: index + 1, firstPosition: inputIndex.get(key) + 1 });
+    } else {
+      inputIndex.set(key, index);
+    }
+  });
+
+  const matchedHeaders = {}; // fieldName -> input header
+  const columnNames = inputHeaders.slice(); // Column index -> name records are keyed by
+  const renamedHeaders = [];
+  const usedColumns = new Set();
+  const missingHeaders = [];
+
+  rules.forEach(rule => {
+    const names = [rule.fieldName, ...(rule.aliases || [])];
+    const index = names
+      .map(name => inputIndex.get(normalizeHeader(name, matching)))
+      .find(candidate => candidate !== undefined && !usedColumns.has(candidate));
+
+    if (index === undefined) {
+      missingHeaders.push(rule.fieldName);
+      return;
+    }
+
+    usedColumns.add(index);
+    matchedHeaders[rule.fieldName] = inputHeaders[index];
+    columnNames[index] = rule.fieldName;
+    if (inputHeaders[index] !== rule.fieldName) {
+      renamedHeaders.push({ inputHeader: inputHeaders[index], fieldName: rule.fieldName });
+    }
+  });
+
+  // A repeat of a mapped column makes the field ambiguous; a repeat of an unmapped one is just extra
+  const duplicateHeaders = repeatedHeaders.filter(repeat => usedColumns.has(repeat.firstPosition - 1));
+  const extraHeaders = inputHeaders.filter((header, index) => !usedColumns.has(index) && !ignored.has(header) && !duplicateHeaders.some(d => d.position === index + 1));
+
+  // Mapped columns that are not in mapping order
+  const orderMismatches = [];
+  if (resolvedPolicy.enforceOrder) {
+    const inMappingOrder = expectedHeaders.filter(fieldName => matchedHeaders[fieldName] !== undefined);
+    const inInputOrder = inMappingOrder.slice().sort((a, b) => columnNames.indexOf(a) - columnNames.indexOf(b));
+    inMappingOrder.forEach((fieldName, position) => {
+      if (inInputOrder[position] !== fieldName) {
+        orderMismatches.push({
+          fieldName,
+          expectedPosition: position + 1,
+          actualPosition: inInputOrder.indexOf(fieldName) + 1
+        });
+      }
+    });
+  }
+
+  // Suggest the closest expected name for every input header that matched nothing
+  const suggestions = [];
+  extraHeaders.forEach(header => {
+    const closest = findClosest(header, missingHeaders);
+    if (closest) {
+      suggestions.push({ inputHeader: header, expectedHeader: closest.name, distance: closest.distance });
+    }
+  });
+
+  return {
+    isValid: missingHeaders.length === 0
+      && duplicateHeaders.length === 0
+      && (resolvedPolicy.allowExtraColumns || extraHeaders.length === 0)
+      && orderMismatches.length === 0,
+    policy: resolvedPolicy,
+    inputHeaders,
+    expectedHeaders,
+    matchedHeaders,
+    columnNames,
+    renamedHeaders,
+    missingHeaders,
+    extraHeaders,
+    duplicateHeaders,
+    orderMismatches,
+    suggestions,
+    totalExpected: expectedHeaders.length,
+    totalFound: inputHeaders.length
+  };
+}
+
+/**
+ * Describe a header policy for console output and reports
+ * @param {Object} policy - Header policy
+ */
+function describeHeaderPolicy(policy) {
+  const parts = [{
+    exact: 'Exact (case-sensitive)',
+    'case-insensitive': 'Case-insensitive',
+    loose: 'Ignoring case, whitespace and underscores'
+  }[policy.matching]];
+  if (policy.enforceOrder) parts.push('column order enforced');
+  if (policy.allowExtraColumns) parts.push('extra columns allowed');
+  return parts.join(', ');
+}
+
+module.exports = {
+  MATCHING_MODES,
+  DEFAULT_HEADER_POLICY,
+  resolveHeaderPolicy,
+  normalizeHeader,
+  editDistance,
+  findClosest,
+  matchHeaders,
+  describeHeaderPolicy
+};
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveHeaderPolicy, normalizeHeader, editDistance, findClosest, matchHeaders } = require('./headerMatching');
+
+const RULES = [
+  { fieldName: 'AccountId', aliases: ['Account ID'] },
+  { fieldName: 'Last_Name' },
+  { fieldName: 'Email' }
+];
+
+test('policies are filled in and checked', () => {
+  assert.deepStrictEqual(resolveHeaderPolicy({}), { matching: 'exact', enforceOrder: false, allowExtraColumns: false });
+  assert.throws(() => resolveHeaderPolicy({ matching: 'fuzzy' }), /Unknown header matching mode 'fuzzy'/);
+});
+
+test('headers are normalized per matching mode', () => {
+  assert.strictEqual(normalizeHeader(' Last_Name ', 'exact'), 'Last_Name');
+  assert.strictEqual(normalizeHeader('Last_Name', 'case-insensitive'), 'last_name');
+  assert.strictEqual(normalizeHeader('Last _ Name', 'loose'), 'lastname');
+});
+
+test('closest names are found by edit distance', () => {
+  assert.strictEqual(editDistance('kitten', 'sitting'), 3);
+  assert.deepStrictEqual(findClosest('Emial', ['Email', 'AccountId']), { name: 'Email', distance: 2 });
+  assert.strictEqual(findClosest('Phone', ['AccountId']), null);
+});
+
+test('exact matching reports missing and extra headers with suggestions', () => {
+  const result = matchHeaders(RULES, ['AccountId', 'last_name', 'Email'], {});
+  assert.strictEqual(result.isValid, false);
+  assert.deepStrictEqual(result.missingHeaders, ['Last_Name']);
+  assert.deepStrictEqual(result.extraHeaders, ['last_name']);
+  assert.deepStrictEqual(result.suggestions, [{ inputHeader: 'last_name', expectedHeader: 'Last_Name', distance: 0 }]);
+});
+
+test('loose matching and aliases rename columns to field names', () => {
+  const result = matchHeaders(RULES, ['email', 'Account ID', 'LAST NAME'], { matching: 'loose' });
+  assert.strictEqual(result.isValid, true);
+  assert.deepStrictEqual(result.columnNames, ['Email', 'AccountId', 'Last_Name']);
+  assert.strictEqual(result.renamedHeaders.length, 3);
+});
+
+test('order, extra columns and repeated headers follow the policy', () => {
+  const headers = ['Email', 'AccountId', 'Last_Name', 'Notes'];
+  assert.strictEqual(matchHeaders(RULES, headers, { allowExtraColumns: true }).isValid, true);
+  assert.strictEqual(matchHeaders(RULES, headers, {}).isValid, false);
+
+  const ordered = matchHeaders(RULES, headers, { enforceOrder: true, allowExtraColumns: true });
+  assert.strictEqual(ordered.isValid, false);
+  assert.deepStrictEqual(ordered.orderMismatches.map(mismatch => mismatch.fieldName), ['AccountId', 'Last_Name', 'Email']);
+
+  const repeated = matchHeaders(RULES, ['AccountId', 'Last_Name', 'Email', 'Email'], {});
+  assert.strictEqual(repeated.isValid, false);
+  assert.deepStrictEqual(repeated.duplicateHeaders, [{ header: 'Email', position: 4, firstPosition: 3 }]);
+  assert.deepStrictEqual(repeated.extraHeaders, []);
+});
+
+test('ignored headers are neither matched nor extra', () => {
+  const result = matchHeaders(RULES, ['AccountId', 'Last_Name', 'Email', 'Reject Reason'], {}, ['Reject Reason']);
+  assert.strictEqual(result.isValid, true);
+});
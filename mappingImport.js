@@ -0,0 +1,370 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Build mapping rows from Salesforce object definitions.
+ *
+ * Two sources are supported: a describe result saved as JSON (the output of
+ * `sf sobject describe` or the REST `/describe` call) and metadata files, either
+ * a Metadata API `.object` file or a source-format object folder with
+ * `fields/*.field-meta.xml`. Both are reduced to the same field definitions and
+ * then to rows with the columns of a mapping CSV, so an imported mapping goes
+ * through exactly the same rule building as a hand-written one.
+ */
+
+// Columns written to an imported mapping CSV, in order
+const MAPPING_COLUMNS = [
+  'Target Field Name',
+  'Null Allowed',
+  'Target Data Type',
+  'Allowed Values',
+  'Unique',
+  'Description'
+];
+
+// Compound fields are validated through their component fields
+const SKIPPED_DESCRIBE_TYPES = new Set(['address', 'location', 'base64', 'complexvalue']);
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);/g, (entity, name) => {
+    if (name[0] !== '#') return XML_ENTITIES[name];
+    return String.fromCodePoint(name[1] === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+  });
+}
+
+/**
+ * Parse a metadata XML document into a tree of { name, children, text } nodes.
+ * Metadata files are plain element trees, so attributes and mixed content are ignored.
+ * @param {string} xml - XML text
+ */
+function parseXml(xml) {
+  const root = { name: null, children: [], text: '' };
+  const stack = [root];
+  const tokenPattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w:.-]+)[^>]*?(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(xml)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match[1] !== undefined) {
+      current.text += match[1];
+    } else if (match[5] !== undefined) {
+      current.text += decodeXml(match[5]);
+    } else if (match[3] !== undefined) {
+      const name = match[3].replace(/^.*:/, '');
+      if (match[2]) {
+        if (stack.length === 1 || current.name !== name) {
+          throw new Error(`Malformed XML: unexpected closing tag </${name}>`);
+        }
+        stack.pop();
+      } else {
+        const node = { name, children: [], text: '' };
+        current.children.push(node);
+        if (!match[4]) stack.push(node);
+      }
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+  }
+  return root;
+}
+
+function childText(node, name) {
+  const child = node.children.find(c => c.name === name);
+  return child ? child.text.trim() : null;
+}
+
+function childNodes(node, name) {
+  return node.children.filter(c => c.name === name);
+}
+
+function toNumber(text) {
+  return text === null || text === undefined || text === '' ? null : Number(text);
+}
+
+/**
+ * Read field definitions from a saved describe result
+ * @param {string} filePath - Path to the describe JSON
+ * @returns {Object} { objectName, fields }
+ */
+function readDescribeFile(filePath) {
+  const describe = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const result = describe.result || describe; // `sf ... --json` wraps the describe in { status, result }
+  const describeFields = Array.isArray(result) ? result : result.fields;
+  if (!Array.isArray(describeFields)) {
+    throw new Error(`'${filePath}' is not an sObject describe result (no fields array)`);
+  }
+
+  const fields = [];
+  describeFields.forEach(field => {
+    const type = String(field.type || '').toLowerCase();
+    if (SKIPPED_DESCRIBE_TYPES.has(type)) {
+      console.warn(`Skipping field '${field.name}': ${type} fields are not validated`);
+      return;
+    }
+
+    let fieldType = type;
+    if (type === 'textarea') {
+      if (field.extraTypeInfo === 'richtextarea' || field.htmlFormatted) {
+        fieldType = 'richtextarea';
+      } else if (field.length > 255) {
+        fieldType = 'longtextarea';
+      }
+    }
+
+    fields.push({
+      name: field.name,
+      label: field.label || '',
+      type: fieldType,
+      nillable: field.nillable !== false,
+      length: toNumber(field.length),
+      precision: toNumber(field.precision),
+      scale: toNumber(field.scale),
+      digits: toNumber(field.digits),
+      picklistValues: (field.picklistValues || []).filter(value => value.active !== false).map(value => value.value),
+      referenceTo: field.referenceTo || [],
+      unique: Boolean(field.unique)
+    });
+  });
+
+  return { objectName: Array.isArray(result) ? null : result.name || null, fields };
+}
+
+// Metadata API field types mapped to their describe equivalents
+const METADATA_TYPES = {
+  text: 'string',
+  encryptedtext: 'string',
+  autonumber: 'string',
+  textarea: 'textarea',
+  longtextarea: 'longtextarea',
+  html: 'richtextarea',
+  picklist: 'picklist',
+  multiselectpicklist: 'multipicklist',
+  email: 'email',
+  url: 'url',
+  phone: 'phone',
+  lookup: 'reference',
+  masterdetail: 'reference',
+  hierarchy: 'reference',
+  externallookup: 'string',
+  checkbox: 'boolean',
+  number: 'double',
+  currency: 'currency',
+  percent: 'percent',
+  date: 'date',
+  datetime: 'datetime',
+  time: 'time'
+};
+
+/**
+ * Convert a <fields> metadata element into a field definition
+ * @param {Object} node - Parsed <fields> or <CustomField> node
+ * @param {string} source - File the node came from (for messages)
+ */
+function metadataFieldToDefinition(node, source) {
+  const name = childText(node, 'fullName');
+  const metadataType = (childText(node, 'type') || '').toLowerCase();
+  const type = METADATA_TYPES[metadataType];
+  if (!name) {
+    throw new Error(`Field in '${source}' has no <fullName>`);
+  }
+  if (!type) {
+    console.warn(`Skipping field '${name}': metadata type '${childText(node, 'type')}' is not validated`);
+    return null;
+  }
+
+  // Picklist values: API 38+ <valueSet><valueSetDefinition><value>, older <picklist><picklistValues>
+  const picklistValues = [];
+  const valueSet = node.children.find(c => c.name === 'valueSet');
+  const definition = valueSet && valueSet.children.find(c => c.name === 'valueSetDefinition');
+  if (definition) {
+    childNodes(definition, 'value')
+      .filter(value => childText(value, 'isActive') !== 'false')
+      .forEach(value => picklistValues.push(childText(value, 'fullName')));
+  }
+  const legacyPicklist = node.children.find(c => c.name === 'picklist');
+  if (legacyPicklist) {
+    childNodes(legacyPicklist, 'picklistValues').forEach(value => picklistValues.push(childText(value, 'fullName')));
+  }
+
+  const referenceTo = childText(node, 'referenceTo');
+  return {
+    name,
+    label: childText(node, 'label') || '',
+    type,
+    nillable: childText(node, 'required') !== 'true' && metadataType !== 'masterdetail' && metadataType !== 'checkbox',
+    length: toNumber(childText(node, 'length')),
+    precision: toNumber(childText(node, 'precision')),
+    scale: toNumber(childText(node, 'scale')),
+    digits: null,
+    picklistValues,
+    referenceTo: referenceTo ? [referenceTo] : metadataType === 'hierarchy' ? ['User'] : [],
+    unique: childText(node, 'unique') === 'true'
+  };
+}
+
+/**
+ * List the metadata files under a path
+ * @param {string} metadataPath - .object / .field-meta.xml file or a folder containing them
+ */
+function listMetadataFiles(metadataPath) {
+  if (!fs.statSync(metadataPath).isDirectory()) {
+    return [metadataPath];
+  }
+
+  const files = [];
+  const walk = (dir) => {
+    fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(entry => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(entryPath);
+        } else if (/\.(object|object-meta\.xml|field-meta\.xml)$/.test(entry.name)) {
+          files.push(entryPath);
+        }
+      });
+  };
+  walk(metadataPath);
+  return files;
+}
+
+/**
+ * Read field definitions from Metadata API or source-format files
+ * @param {string} metadataPath - .object file, .field-meta.xml file or object folder
+ * @returns {Object} { objectName, fields }
+ */
+function readMetadataPath(metadataPath) {
+  const files = listMetadataFiles(metadataPath);
+  const fields = [];
+  let objectName = null;
+
+  files.forEach(file => {
+    const document = parseXml(fs.readFileSync(file, 'utf8'));
+    const top = document.children[0];
+    if (!top) return;
+
+    if (top.name === 'CustomField') {
+      const definition = metadataFieldToDefinition(top, file);
+      if (definition) fields.push(definition);
+    } else if (top.name === 'CustomObject') {
+      objectName = objectName || path.basename(file).replace(/\.(object|object-meta\.xml)$/, '');
+      childNodes(top, 'fields').forEach(node => {
+        const definition = metadataFieldToDefinition(node, file);
+        if (definition) fields.push(definition);
+      });
+    }
+  });
+
+  if (files.length === 0 || (fields.length === 0 && !objectName)) {
+    throw new Error(`No .object or .field-meta.xml files found in '${metadataPath}'`);
+  }
+
+  // Source format keeps fields in <Object>/fields/, so the object is the grandparent folder
+  if (!objectName && fs.statSync(metadataPath).isDirectory()) {
+    objectName = path.basename(path.resolve(metadataPath)) === 'fields'
+      ? path.basename(path.dirname(path.resolve(metadataPath)))
+      : path.basename(path.resolve(metadataPath));
+  }
+
+  return { objectName, fields };
+}
+
+/**
+ * Read field definitions from a describe JSON or metadata path, chosen by extension
+ * @param {string} sourcePath - Describe JSON, .object, .field-meta.xml or folder
+ */
+function readFieldDefinitions(sourcePath) {
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`Mapping source '${sourcePath}' not found`);
+  }
+  return /\.json$/i.test(sourcePath) ? readDescribeFile(sourcePath) : readMetadataPath(sourcePath);
+}
+
+/**
+ * Write a field definition's type the way the type catalogue reads it
+ * @param {Object} field - Field definition
+ */
+function formatDataType(field) {
+  switch (field.type) {
+    case 'string':
+    case 'combobox':
+    case 'encryptedstring':
+      return field.length ? `Text(${field.length})` : 'Text';
+    case 'textarea':
+      return 'TextArea';
+    case 'longtextarea':
+      return field.length ? `LongTextArea(${field.length})` : 'LongTextArea';
+    case 'richtextarea':
+      return field.length ? `RichTextArea(${field.length})` : 'RichTextArea';
+    case 'picklist':
+      return 'Picklist';
+    case 'multipicklist':
+      return 'MultiPicklist';
+    case 'email':
+      return 'Email';
+    case 'url':
+      return 'URL';
+    case 'phone':
+      return 'Phone';
+    case 'id':
+      return 'Id';
+    case 'reference':
+      return field.referenceTo.length === 1 ? `Lookup(${field.referenceTo[0]})` : 'Lookup';
+    case 'boolean':
+      return 'Checkbox';
+    case 'int':
+    case 'long':
+      return 'Integer';
+    case 'double':
+      return field.precision ? `Number(${field.precision},${field.scale || 0})` : 'Number';
+    case 'currency':
+      return field.precision ? `Currency(${field.precision},${field.scale || 0})` : 'Currency';
+    case 'percent':
+      return field.precision ? `Percent(${field.precision},${field.scale || 0})` : 'Percent';
+    case 'date':
+      return 'Date';
+    case 'datetime':
+      return 'Date/Time';
+    case 'time':
+      return 'Time';
+    default:
+      return 'Text'; // anyType, encrypted and other text-like fields
+  }
+}
+
+/**
+ * Turn field definitions into mapping CSV rows
+ * @param {Array} fields - Field definitions from readDescribeFile or readMetadataPath
+ */
+function fieldsToMappingRows(fields) {
+  return fields.map(field => {
+    const picklistValues = field.picklistValues.filter(value => value !== null);
+    if (picklistValues.some(value => value.includes(','))) {
+      console.warn(`Field '${field.name}' has picklist values containing commas; Allowed Values cannot express them and was left empty`);
+    }
+
+    return {
+      'Target Field Name': field.name,
+      'Null Allowed': field.nillable ? 'Yes' : 'No',
+      'Target Data Type': formatDataType(field),
+      'Allowed Values': picklistValues.length > 0 && !picklistValues.some(value => value.includes(','))
+        ? picklistValues.join(',')
+        : '',
+      'Unique': field.unique ? 'Yes' : '',
+      'Description': field.label
+    };
+  });
+}
+
+module.exports = {
+  MAPPING_COLUMNS,
+  parseXml,
+  readDescribeFile,
+  readMetadataPath,
+  readFieldDefinitions,
+  fieldsToMappingRows
+};
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CSVValidator = require('./csvValidator');
+const { readDescribeFile, readMetadataPath, fieldsToMappingRows } = require('./mappingImport');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+function tempFolder(t) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-validator-import-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  return folder;
+}
+
+const DESCRIBE = {
+  status: 0,
+  result: {
+    name: 'Account',
+    fields: [
+      { name: 'Id', label: 'Account ID', type: 'id', nillable: false, length: 18 },
+      { name: 'Name', label: 'Account Name', type: 'string', nillable: false, length: 255 },
+      {
+        name: 'Industry', label: 'Industry', type: 'picklist', nillable: true,
+        picklistValues: [{ value: 'Banking', active: true }, { value: 'Retail', active: true }, { value: 'Mining', active: false }]
+      },
+      { name: 'Tier__c', label: 'Tier', type: 'picklist', nillable: true, picklistValues: [{ value: 'Gold, Platinum', active: true }] },
+      { name: 'AnnualRevenue', label: 'Annual Revenue', type: 'currency', nillable: true, precision: 18, scale: 0 },
+      { name: 'OwnerId', label: 'Owner ID', type: 'reference', nillable: false, referenceTo: ['User'] },
+      { name: 'Description', label: 'Description', type: 'textarea', nillable: true, length: 32000 },
+      { name: 'BillingAddress', label: 'Billing Address', type: 'address', nillable: true },
+      { name: 'External_Id__c', label: 'External Id', type: 'string', nillable: true, length: 20, unique: true }
+    ]
+  }
+};
+
+test('a describe result becomes one mapping row per validated field', (t) => {
+  const folder = tempFolder(t);
+  fs.writeFileSync(path.join(folder, 'Account.json'), JSON.stringify(DESCRIBE));
+  const { objectName, fields } = readDescribeFile(path.join(folder, 'Account.json'));
+  assert.strictEqual(objectName, 'Account');
+
+  const rows = fieldsToMappingRows(fields).map(row => [row['Target Field Name'], row['Null Allowed'], row['Target Data Type'], row['Allowed Values'], row.Unique]);
+  assert.deepStrictEqual(rows, [
+    ['Id', 'No', 'Id', '', ''],
+    ['Name', 'No', 'Text(255)', '', ''],
+    ['Industry', 'Yes', 'Picklist', 'Banking,Retail', ''],
+    ['Tier__c', 'Yes', 'Picklist', '', ''],
+    ['AnnualRevenue', 'Yes', 'Currency(18,0)', '', ''],
+    ['OwnerId', 'No', 'Lookup(User)', '', ''],
+    ['Description', 'Yes', 'LongTextArea(32000)', '', ''],
+    ['External_Id__c', 'Yes', 'Text(20)', '', 'Yes']
+  ]);
+});
+
+test('a file without a fields array is not a describe result', (t) => {
+  const folder = tempFolder(t);
+  fs.writeFileSync(path.join(folder, 'other.json'), '{"result":{"name":"Account"}}');
+  assert.throws(() => readDescribeFile(path.join(folder, 'other.json')), /not an sObject describe result/);
+});
+
+function customField(body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<CustomField xmlns="http://soap.sforce.com/2006/04/metadata">\n${body}\n</CustomField>\n`;
+}
+
+test('source-format field files are read from the object folder', (t) => {
+  const fieldsFolder = path.join(tempFolder(t), 'objects', 'Invoice__c', 'fields');
+  fs.mkdirSync(fieldsFolder, { recursive: true });
+  fs.writeFileSync(path.join(fieldsFolder, 'Account__c.field-meta.xml'), customField(
+    '<fullName>Account__c</fullName><label>Account</label><type>MasterDetail</type><referenceTo>Account</referenceTo>'
+  ));
+  fs.writeFileSync(path.join(fieldsFolder, 'Status__c.field-meta.xml'), customField([
+    '<fullName>Status__c</fullName><label>Status &amp; Stage</label><type>Picklist</type>',
+    '<valueSet><valueSetDefinition>',
+    '<value><fullName>Open</fullName></value>',
+    '<value><fullName>Paid</fullName></value>',
+    '<value><fullName>Void</fullName><isActive>false</isActive></value>',
+    '</valueSetDefinition></valueSet>'
+  ].join('\n')));
+  fs.writeFileSync(path.join(fieldsFolder, 'Total__c.field-meta.xml'), customField(
+    '<fullName>Total__c</fullName><label>Total</label><type>Currency</type><precision>16</precision><scale>2</scale><required>true</required>'
+  ));
+  fs.writeFileSync(path.join(fieldsFolder, 'Lines__c.field-meta.xml'), customField(
+    '<fullName>Lines__c</fullName><label>Lines</label><type>Summary</type>'
+  ));
+
+  // Both the object folder and its fields folder name the object
+  for (const metadataPath of [path.dirname(fieldsFolder), fieldsFolder]) {
+    const { objectName, fields } = readMetadataPath(metadataPath);
+    assert.strictEqual(objectName, 'Invoice__c');
+    assert.deepStrictEqual(fieldsToMappingRows(fields), [
+      { 'Target Field Name': 'Account__c', 'Null Allowed': 'No', 'Target Data Type': 'Lookup(Account)', 'Allowed Values': '', 'Unique': '', 'Description': 'Account' },
+      { 'Target Field Name': 'Status__c', 'Null Allowed': 'Yes', 'Target Data Type': 'Picklist', 'Allowed Values': 'Open,Paid', 'Unique': '', 'Description': 'Status & Stage' },
+      { 'Target Field Name': 'Total__c', 'Null Allowed': 'No', 'Target Data Type': 'Currency(16,2)', 'Allowed Values': '', 'Unique': '', 'Description': 'Total' }
+    ]);
+  }
+});
+
+test('a Metadata API .object file lists its fields, legacy picklists included', (t) => {
+  const folder = tempFolder(t);
+  fs.writeFileSync(path.join(folder, 'Lead.object'), [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<CustomObject xmlns="http://soap.sforce.com/2006/04/metadata">',
+    '<fields><fullName>Rating__c</fullName><type>Picklist</type>',
+    '<picklist><picklistValues><fullName>Hot</fullName></picklistValues><picklistValues><fullName>Cold</fullName></picklistValues></picklist></fields>',
+    '<fields><fullName>Opted_In__c</fullName><type>Checkbox</type></fields>',
+    '</CustomObject>'
+  ].join('\n'));
+
+  const { objectName, fields } = readMetadataPath(path.join(folder, 'Lead.object'));
+  assert.strictEqual(objectName, 'Lead');
+  assert.deepStrictEqual(fieldsToMappingRows(fields).map(row => [row['Target Field Name'], row['Null Allowed'], row['Target Data Type'], row['Allowed Values']]), [
+    ['Rating__c', 'Yes', 'Picklist', 'Hot,Cold'],
+    ['Opted_In__c', 'No', 'Checkbox', '']
+  ]);
+});
+
+test('an imported mapping is written as a mapping CSV that loads again', async (t) => {
+  const folder = tempFolder(t);
+  fs.writeFileSync(path.join(folder, 'Account.json'), JSON.stringify(DESCRIBE));
+  const validator = new CSVValidator();
+  await validator.importMapping(path.join(folder, 'Account.json'));
+  await validator.writeMappingFile(path.join(folder, 'Account_mapping.csv'));
+
+  const lines = fs.readFileSync(path.join(folder, 'Account_mapping.csv'), 'utf8').trimEnd().split('\n');
+  assert.strictEqual(lines[0], 'Target Field Name,Null Allowed,Target Data Type,Allowed Values,Unique,Description');
+  assert.strictEqual(lines[3], 'Industry,Yes,Picklist,"Banking,Retail",,Industry');
+
+  const reloaded = new CSVValidator();
+  const rules = await reloaded.loadMappingRules(path.join(folder, 'Account_mapping.csv'));
+  assert.deepStrictEqual(rules.map(rule => rule.fieldName), validator.validationRules.map(rule => rule.fieldName));
+});
@@ -0,0 +1,93 @@
+/**
+ * Draft mapping rows inferred from column profiles.
+ *
+ * Each input column becomes one rule in the mapping CSV layout that
+ * loadMappingRules reads. Types use the mapping's generic notation (string,
+ * integer, DECIMAL(p,s), boolean, date, timestamp, time) or a catalogue type
+ * for Ids, emails and URLs. The result is a starting point to review: it only
+ * describes the sample it was inferred from.
+ */
+
+// Most values listed as Allowed Values; matches the profiler's Picklist cut-off
+const MAX_ALLOWED_VALUES = 20;
+
+const PROFILE_TYPE_PATTERN = /^([\w/]+)(?:\((\d+)(?:,(\d+))?\))?$/;
+
+/**
+ * Turn a profiled column into a mapping row
+ * @param {Object} profile - Column profile from ColumnProfiler
+ * @returns {Object} Mapping row keyed by column name
+ */
+function profileToMappingRow(profile) {
+  const [, kind, precision, scale] = PROFILE_TYPE_PATTERN.exec(profile.inferredType);
+  const row = {
+    'Target Field Name': profile.column,
+    'Null Allowed': profile.empty > 0 || profile.records === 0 ? 'Yes' : 'No',
+    'Target Data Type': 'string',
+    'Allowed Values': '',
+    'Unique': '',
+    'Description': profile.records > 0
+      ? `Inferred from ${profile.records} records: ${profile.fillRate.toFixed(1)}% filled, ${profile.distinctValues}${profile.distinctCapped ? '+' : ''} distinct values`
+      : 'Inferred from a file without records'
+  };
+
+  switch (kind) {
+    case 'Checkbox':
+      row['Target Data Type'] = 'boolean';
+      break;
+    case 'Number':
+      if (Number(scale) === 0) {
+        row['Target Data Type'] = 'integer';
+        break;
+      }
+      row['Target Data Type'] = `DECIMAL(${precision},${scale})`;
+      // Values with a decimal point must have exactly the declared scale; --fix can pad the shorter ones
+      if (profile.minScale !== null && profile.minScale < Number(scale)) {
+        row['Transforms'] = 'pad-scale';
+      }
+      break;
+    case 'Date':
+      row['Target Data Type'] = 'date';
+      break;
+    case 'Date/Time':
+      row['Target Data Type'] = 'timestamp';
+      break;
+    case 'Time':
+      row['Target Data Type'] = 'time';
+      break;
+    case 'Id':
+    case 'Email':
+    case 'URL':
+      row['Target Data Type'] = kind;
+      break;
+    case 'Picklist': {
+      const values = profile.topValues.map(({ value }) => value);
+      // Allowed Values is comma-separated, so values containing commas cannot be listed
+      if (values.length === profile.distinctValues && !values.some(value => value.includes(','))) {
+        row['Allowed Values'] = values.sort().join(',');
+      }
+      row['Max Length'] = profile.maxLength;
+      break;
+    }
+    default:
+      if (profile.maxLength !== null) {
+        row['Max Length'] = profile.maxLength;
+      }
+  }
+
+  return row;
+}
+
+/**
+ * Turn column profiles into mapping CSV rows
+ * @param {Array} profiles - Column profiles from ColumnProfiler
+ */
+function profilesToMappingRows(profiles) {
+  return profiles.map(profileToMappingRow);
+}
+
+module.exports = {
+  MAX_ALLOWED_VALUES,
+  profileToMappingRow,
+  profilesToMappingRows
+};
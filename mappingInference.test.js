@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CSVValidator = require('./csvValidator');
+const { profileToMappingRow } = require('./mappingInference');
+
+test.mock.method(console, 'log', () => {});
+
+const SAMPLE = [
+  'Id,Active,Amount,Stage,Day,Email,Notes',
+  '1,Yes,1.5,Open,2024-03-05,a@example.com,x',
+  '2,No,20.25,Closed,2024-03-06,b@example.com,',
+  '3,yes,3.00,Open,2024-03-07,c@example.com,hello',
+  '4,no,4,Closed,2024-03-08,d@example.com,hi',
+  '5,YES,5.1,Open,2024-03-09,e@example.com,ok',
+  '6,no,6.75,Closed,2024-03-10,f@example.com,z',
+  ''
+].join('\n');
+
+function profile(overrides) {
+  return {
+    column: 'Field', inferredType: 'Text(10)', records: 4, empty: 0, fillRate: 100,
+    distinctValues: 4, distinctCapped: false, topValues: [], maxLength: 10, minScale: null,
+    ...overrides
+  };
+}
+
+test('picklist values become Allowed Values unless some are missing or hold commas', () => {
+  const topValues = [{ value: 'b', count: 2 }, { value: 'a', count: 2 }];
+  assert.strictEqual(profileToMappingRow(profile({ inferredType: 'Picklist', distinctValues: 2, topValues }))['Allowed Values'], 'a,b');
+  assert.strictEqual(profileToMappingRow(profile({ inferredType: 'Picklist', distinctValues: 3, topValues }))['Allowed Values'], '');
+  const withComma = [{ value: 'a,b', count: 2 }, { value: 'c', count: 2 }];
+  assert.strictEqual(profileToMappingRow(profile({ inferredType: 'Picklist', distinctValues: 2, topValues: withComma }))['Allowed Values'], '');
+});
+
+test('a column without records allows nulls and says so', () => {
+  const row = profileToMappingRow(profile({ records: 0, inferredType: 'Text(255)', maxLength: null }));
+  assert.deepStrictEqual([row['Null Allowed'], row['Target Data Type'], row.Description], ['Yes', 'string', 'Inferred from a file without records']);
+});
+
+test('an inferred mapping is written, reloads and validates its sample once fixed', async (t) => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-validator-infer-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(folder, 'sample.csv'), SAMPLE);
+
+  const inferred = new CSVValidator();
+  await inferred.inferMapping(path.join(folder, 'sample.csv'));
+  await inferred.writeMappingFile(path.join(folder, 'mapping.csv'));
+
+  const lines = fs.readFileSync(path.join(folder, 'mapping.csv'), 'utf8').trimEnd().split('\n');
+  assert.strictEqual(lines[0], 'Target Field Name,Null Allowed,Target Data Type,Allowed Values,Unique,Description,Max Length,Transforms');
+  assert.deepStrictEqual(lines.slice(1).map(line => line.replace(/,"Inferred from [^"]*"/, ',…')), [
+    'Id,No,integer,,,…,,',
+    'Active,No,boolean,,,…,,',
+    'Amount,No,"DECIMAL(4,2)",,,…,,pad-scale',
+    'Stage,No,string,"Closed,Open",,…,6,',
+    'Day,No,date,,,…,,',
+    'Email,No,Email,,,…,,',
+    'Notes,Yes,string,,,…,5,'
+  ]);
+  assert.match(lines[7], /"Inferred from 6 records: 83\.3% filled, 5 distinct values"/);
+
+  // 1.5 and 5.1 have one decimal place too few until --fix pads them
+  const validator = new CSVValidator();
+  await validator.loadMappingRules(path.join(folder, 'mapping.csv'));
+  await validator.validateInputFile(path.join(folder, 'sample.csv'));
+  assert.deepStrictEqual(validator.getValidationStats().errorsByCode, { DECIMAL_SCALE: 2 });
+
+  await validator.fixInputFile(path.join(folder, 'sample.csv'), path.join(folder, 'fixed.csv'));
+  await validator.validateInputFile(path.join(folder, 'fixed.csv'));
+  assert.deepStrictEqual(validator.getValidationStats().errorsByCode, {});
+});
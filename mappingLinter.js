@@ -0,0 +1,374 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveFieldType, FIELD_TYPES } = require('./salesforceTypes');
+const { compileDateFormat } = require('./dateFormats');
+const { findClosest } = require('./headerMatching');
+const { TRANSFORMS, parseTransforms, transformApplies } = require('./remediation');
+const { parseSeverity } = require('./severity');
+
+/**
+ * Checks run by the mapping linter.
+ *
+ * The linter reads a mapping CSV on its own, without an input file, and reports
+ * every row that loadMappingRules would skip, misread or only fail on later
+ * while validating data.
+ */
+const LINT_CHECKS = {
+  MISSING_COLUMN: { severity: 'error', message: (f) => `Mapping has no '${f.params.column}' column (expected one of: ${f.params.accepted.join(', ')})` },
+  MISSING_NULL_ALLOWED_COLUMN: { severity: 'warning', message: () => "Mapping has no 'Null Allowed' column; every field defaults to required" },
+  UNKNOWN_COLUMN: { severity: 'warning', message: (f) => `Column '${f.column}' is not a mapping column and is ignored${f.params.suggestion ? ` (did you mean '${f.params.suggestion}'?)` : ''}` },
+  EXTRA_VALUES: { severity: 'error', message: (f) => `Row has more values than the header (${f.params.extra.map(v => `'${v}'`).join(', ')}); a value containing a comma must be quoted` },
+  MISSING_FIELD_NAME: { severity: 'error', message: () => 'Row has no field name and is skipped' },
+  MISSING_DATA_TYPE: { severity: 'error', message: (f) => `Field '${f.fieldName}' has no data type and is skipped` },
+  DUPLICATE_FIELD: { severity: 'error', message: (f) => `Field '${f.fieldName}' is already defined on line ${f.params.firstLine}` },
+  DUPLICATE_FIELD_CASE: { severity: 'warning', message: (f) => `Field '${f.fieldName}' differs only in case from '${f.params.otherField}' on line ${f.params.firstLine}` },
+  UNKNOWN_DATA_TYPE: { severity: 'error', message: (f) => `Field '${f.fieldName}' has unknown data type '${f.value}'; it would be validated as string` },
+  AMBIGUOUS_DATA_TYPE: { severity: 'warning', message: (f) => `Field '${f.fieldName}' has data type '${f.value}', which is not a known type; keyword matching treats it as '${f.params.resolvedType}'` },
+  MALFORMED_DECIMAL: { severity: 'error', message: (f) => `Field '${f.fieldName}' has malformed decimal type '${f.value}'${f.params.hint ? `; ${f.params.hint}` : ' (expected e.g. DECIMAL(18,2))'}` },
+  INVALID_TYPE_ARGUMENT: { severity: 'error', message: (f) => `Field '${f.fieldName}' has data type '${f.value}': ${f.params.reason}` },
+  INVALID_PATTERN: { severity: 'error', message: (f) => `Field '${f.fieldName}' has an invalid regex pattern '${f.value}': ${f.params.reason}` },
+  INVALID_LENGTH: { severity: 'error', message: (f) => `Field '${f.fieldName}' has ${f.column} '${f.value}', which is not a non-negative whole number` },
+  MIN_GREATER_THAN_MAX: { severity: 'error', message: (f) => `Field '${f.fieldName}' has Min Length ${f.params.minLength} greater than Max Length ${f.params.maxLength}` },
+  MAX_LENGTH_EXCEEDS_TYPE: { severity: 'warning', message: (f) => `Field '${f.fieldName}' has Max Length ${f.params.maxLength} above the ${f.params.label} limit of ${f.params.typeLimit}; the type limit applies` },
+  UNRECOGNISED_NULL_ALLOWED: { severity: 'error', message: (f) => `Field '${f.fieldName}' has unrecognised Null Allowed value '${f.value}'; it would be treated as No (required)` },
+  MISSING_NULL_ALLOWED: { severity: 'warning', message: (f) => `Field '${f.fieldName}' has no Null Allowed value; it defaults to No (required)` },
+  INVALID_DATE_FORMAT: { severity: 'error', message: (f) => `Field '${f.fieldName}': ${f.params.reason}` },
+  FORMAT_NOT_USED: { severity: 'warning', message: (f) => `Field '${f.fieldName}' has Format '${f.value}' but is not a date, timestamp or time field; the format is ignored` },
+  REFERENCE_FILE_NOT_FOUND: { severity: 'error', message: (f) => `Field '${f.fieldName}' references file '${f.value}', which does not exist` },
+  REFERENCE_FIELD_WITHOUT_FILE: { severity: 'warning', message: (f) => `Field '${f.fieldName}' has Reference Field '${f.value}' but no Reference File; it is ignored` },
+  INVALID_TRANSFORM: { severity: 'error', message: (f) => `Field '${f.fieldName}' has invalid Transforms '${f.value}': ${f.params.reason}` },
+  TRANSFORM_NOT_APPLICABLE: { severity: 'warning', message: (f) => `Field '${f.fieldName}' has transform '${f.params.transform}', which ${f.params.reason}; it never changes a value` },
+  INVALID_SEVERITY: { severity: 'error', message: (f) => `Field '${f.fieldName}' has invalid Severity '${f.value}': ${f.params.reason}` },
+  INVALID_POSITION: { severity: 'error', message: (f) => `Field '${f.fieldName}' has ${f.column} '${f.value}', which is not a whole number from 1` },
+  INCOMPLETE_POSITION: { severity: 'error', message: (f) => `Field '${f.fieldName}' has a ${f.params.given} but no ${f.params.missing}; fixed-width input needs both` },
+  MISSING_POSITION: { severity: 'warning', message: (f) => `Field '${f.fieldName}' has no Start Position and Field Length, unlike other fields; it cannot be read from fixed-width input` },
+  OVERLAPPING_POSITIONS: { severity: 'error', message: (f) => `Field '${f.fieldName}' (characters ${f.params.start}-${f.params.end}) overlaps '${f.params.otherField}' (characters ${f.params.otherStart}-${f.params.otherEnd}) on line ${f.params.otherLine}` },
+  INVALID_JSON_PATH: { severity: 'error', message: (f) => `Field '${f.fieldName}' has JSON Path '${f.value}' with an empty key; write keys separated by single dots, e.g. billing.city` }
+};
+
+// Every column name loadMappingRules reads, grouped by meaning
+const MAPPING_COLUMN_NAMES = {
+  fieldName: ['Target Field Name', 'TargetFieldName', 'Field Name', 'fieldName'],
+  dataType: ['Target Data Type', 'TargetDataType', 'Data Type', 'dataType', 'may come ', 'may come'],
+  nullAllowed: ['Null Allowed', 'NullAllowed', 'Required', 'required'],
+  description: ['Description', 'description'],
+  minLength: ['Min Length', 'MinLength', 'minLength'],
+  maxLength: ['Max Length', 'MaxLength', 'maxLength'],
+  pattern: ['Pattern', 'pattern'],
+  allowedValues: ['Allowed Values', 'AllowedValues', 'allowedValues'],
+  unique: ['Unique', 'unique', 'Unique Key', 'UniqueKey'],
+  primaryKey: ['Primary Key', 'PrimaryKey', 'primaryKey'],
+  referenceFile: ['Reference File', 'ReferenceFile', 'referenceFile'],
+  referenceField: ['Reference Field', 'ReferenceField', 'referenceField'],
+  format: ['Format', 'format', 'Date Format', 'DateFormat'],
+  aliases: ['Aliases', 'Alias', 'aliases'],
+  transforms: ['Transforms', 'Transform', 'transforms'],
+  severity: ['Severity', 'severity'],
+  startPosition: ['Start Position', 'StartPosition', 'startPosition'],
+  fieldLength: ['Field Length', 'FieldLength', 'fieldLength'],
+  jsonPath: ['JSON Path', 'JsonPath', 'jsonPath']
+};
+
+const KNOWN_COLUMNS = new Set(Object.values(MAPPING_COLUMN_NAMES).flat());
+
+const DATE_KINDS = new Set(['date', 'timestamp', 'time']);
+
+// Salesforce maximums for types that take a length or precision argument
+const TYPE_ARGUMENT_LIMITS = { string: 255, longtextarea: 131072, richtextarea: 131072 };
+const MAX_PRECISION = 18;
+
+// What is left of "DECIMAL(18,2)" when an unquoted comma splits it
+const SPLIT_DECIMAL_PATTERN = /^(decimal|number|numeric|currency|percent)\s*\(\s*\d+\s*$/i;
+
+function suggestColumn(column) {
+  const closest = findClosest(column, [...KNOWN_COLUMNS], 2);
+  return closest ? closest.name : null;
+}
+
+function getValue(row, names) {
+  const name = names.find(n => row[n] !== undefined && row[n] !== '');
+  return name ? { column: name.trim(), value: row[name] } : { column: names[0], value: undefined };
+}
+
+function createFinding(code, props) {
+  const check = LINT_CHECKS[code];
+  const finding = {
+    code,
+    severity: check.severity,
+    line: props.line !== undefined ? props.line : null,
+    fieldName: props.fieldName || null,
+    column: props.column || null,
+    value: props.value !== undefined ? props.value : null,
+    params: props.params || {}
+  };
+  finding.message = check.message(finding);
+  return finding;
+}
+
+/**
+ * Check the data type of one mapping row
+ */
+function lintDataType(dataType, context, report) {
+  const { validator } = context;
+  const fieldType = resolveFieldType(dataType);
+  const typeName = dataType.trim();
+
+  if (/^(decimal|number|numeric|currency|percent)\s*\(/i.test(typeName) && !fieldType) {
+    // The scale landed in the next column, with or without its closing bracket
+    const scale = SPLIT_DECIMAL_PATTERN.test(typeName) && context.nextValue !== undefined
+      ? /^\s*(\d+)\s*\)?\s*$/.exec(context.nextValue)
+      : null;
+    const hint = scale ? `the value was split at its comma; quote it as "${typeName},${scale[1]})"` : null;
+    report('MALFORMED_DECIMAL', { value: typeName, params: { hint } });
+    return fieldType;
+  }
+
+  if (!fieldType) {
+    const keywordType = validator.matchDataTypeKeyword(typeName);
+    if (keywordType) {
+      report('AMBIGUOUS_DATA_TYPE', { value: typeName, params: { resolvedType: keywordType } });
+    } else {
+      report('UNKNOWN_DATA_TYPE', { value: typeName });
+    }
+    return null;
+  }
+
+  const limit = TYPE_ARGUMENT_LIMITS[fieldType.type];
+  if (limit && fieldType.maxLength > limit) {
+    report('INVALID_TYPE_ARGUMENT', { value: typeName, params: { reason: `${FIELD_TYPES[fieldType.type].label} fields hold at most ${limit} characters` } });
+  } else if (fieldType.maxLength === 0) {
+    report('INVALID_TYPE_ARGUMENT', { value: typeName, params: { reason: 'length must be at least 1' } });
+  }
+  if (fieldType.precision !== null) {
+    if (fieldType.precision < 1 || fieldType.precision > MAX_PRECISION) {
+      report('INVALID_TYPE_ARGUMENT', { value: typeName, params: { reason: `precision must be between 1 and ${MAX_PRECISION}` } });
+    } else if (fieldType.scale > fieldType.precision) {
+      report('INVALID_TYPE_ARGUMENT', { value: typeName, params: { reason: `scale ${fieldType.scale} is larger than precision ${fieldType.precision}` } });
+    }
+  }
+
+  return fieldType;
+}
+
+/**
+ * Lint parsed mapping rows
+ * @param {Array} rows - Rows as parsed by csv-parser (extra values appear as _N keys)
+ * @param {Array} headers - Header columns of the mapping file
+ * @param {Object} context - { validator, baseDir }
+ * @returns {Array} Findings: { code, severity, line, fieldName, column, value, params, message }
+ */
+function lintMappingRows(rows, headers, context) {
+  const findings = [];
+  const { validator, baseDir } = context;
+
+  ['fieldName', 'dataType'].forEach(key => {
+    if (!MAPPING_COLUMN_NAMES[key].some(name => headers.includes(name))) {
+      findings.push(createFinding('MISSING_COLUMN', { line: 1, params: { column: MAPPING_COLUMN_NAMES[key][0], accepted: MAPPING_COLUMN_NAMES[key].map(n => n.trim()).filter((n, i, all) => all.indexOf(n) === i) } }));
+    }
+  });
+  const hasNullAllowedColumn = MAPPING_COLUMN_NAMES.nullAllowed.some(name => headers.includes(name));
+  if (!hasNullAllowedColumn) {
+    findings.push(createFinding('MISSING_NULL_ALLOWED_COLUMN', { line: 1 }));
+  }
+  headers.filter(header => !KNOWN_COLUMNS.has(header)).forEach(header => {
+    findings.push(createFinding('UNKNOWN_COLUMN', { line: 1, column: header, params: { suggestion: suggestColumn(header) } }));
+  });
+
+  const seenFields = new Map();
+  const seenLowerCase = new Map();
+  const positions = []; // Fixed-width spans, checked against each other after the rows
+  const unpositioned = [];
+
+  rows.forEach((row, index) => {
+    const line = index + 2; // Line 1 is the header
+    const values = Object.keys(row).filter(key => headers.includes(key)).map(key => row[key]);
+    const extraValues = Object.keys(row).filter(key => !headers.includes(key)).map(key => row[key]);
+    if (values.every(value => !value || !value.trim()) && extraValues.length === 0) return; // Blank line
+
+    const fieldName = getValue(row, MAPPING_COLUMN_NAMES.fieldName).value;
+    const trimmedName = fieldName ? fieldName.trim() : null;
+    const report = (code, props = {}) => {
+      findings.push(createFinding(code, { line, fieldName: trimmedName, ...props }));
+    };
+
+    // An unquoted DECIMAL(p,s) also leaves extra values; MALFORMED_DECIMAL explains that case
+    const dataType = getValue(row, MAPPING_COLUMN_NAMES.dataType).value;
+    if (extraValues.length > 0 && !(dataType && SPLIT_DECIMAL_PATTERN.test(dataType.trim()))) {
+      report('EXTRA_VALUES', { params: { extra: extraValues } });
+    }
+
+    if (!trimmedName) {
+      report('MISSING_FIELD_NAME');
+      return;
+    }
+
+    if (seenFields.has(trimmedName)) {
+      report('DUPLICATE_FIELD', { params: { firstLine: seenFields.get(trimmedName) } });
+    } else {
+      const other = seenLowerCase.get(trimmedName.toLowerCase());
+      if (other) {
+        report('DUPLICATE_FIELD_CASE', { params: { otherField: other.fieldName, firstLine: other.line } });
+      }
+      seenFields.set(trimmedName, line);
+      seenLowerCase.set(trimmedName.toLowerCase(), { fieldName: trimmedName, line });
+    }
+
+    // Data type
+    let fieldType = null;
+    if (!dataType || !dataType.trim()) {
+      report('MISSING_DATA_TYPE');
+    } else {
+      // The value after the data type column shows what an unquoted comma split off
+      const typeColumn = headers.findIndex(header => MAPPING_COLUMN_NAMES.dataType.includes(header));
+      const nextValue = typeColumn !== -1 && typeColumn + 1 < headers.length ? row[headers[typeColumn + 1]] : extraValues[0];
+      fieldType = lintDataType(dataType, { validator, extraValues, nextValue }, report);
+    }
+    const resolvedType = dataType ? validator.normalizeDataType(dataType) : null;
+
+    // Null Allowed
+    const nullAllowed = getValue(row, MAPPING_COLUMN_NAMES.nullAllowed);
+    if (!hasNullAllowedColumn) {
+      // Reported once for the header
+    } else if (nullAllowed.value === undefined || !nullAllowed.value.trim()) {
+      report('MISSING_NULL_ALLOWED', { column: nullAllowed.column });
+    } else if (validator.classifyNullAllowed(nullAllowed.value) === null) {
+      report('UNRECOGNISED_NULL_ALLOWED', { column: nullAllowed.column, value: nullAllowed.value });
+    }
+
+    // Lengths
+    const lengths = {};
+    ['minLength', 'maxLength'].forEach(key => {
+      const { column, value } = getValue(row, MAPPING_COLUMN_NAMES[key]);
+      if (value === undefined || !value.trim()) return;
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 0) {
+        report('INVALID_LENGTH', { column, value });
+      } else {
+        lengths[key] = number;
+      }
+    });
+    if (lengths.minLength !== undefined && lengths.maxLength !== undefined && lengths.minLength > lengths.maxLength) {
+      report('MIN_GREATER_THAN_MAX', { params: lengths });
+    }
+    if (lengths.maxLength !== undefined && fieldType && fieldType.maxLength && lengths.maxLength > fieldType.maxLength) {
+      report('MAX_LENGTH_EXCEEDS_TYPE', { params: { maxLength: lengths.maxLength, typeLimit: fieldType.maxLength, label: fieldType.label } });
+    }
+
+    // Pattern
+    const pattern = getValue(row, MAPPING_COLUMN_NAMES.pattern);
+    if (pattern.value) {
+      try {
+        new RegExp(pattern.value);
+      } catch (error) {
+        report('INVALID_PATTERN', { column: pattern.column, value: pattern.value, params: { reason: error.message.replace(/^Invalid regular expression: \/.*\/\w*: /, '') } });
+      }
+    }
+
+    // Format
+    const format = getValue(row, MAPPING_COLUMN_NAMES.format);
+    if (format.value && format.value.trim()) {
+      try {
+        compileDateFormat(format.value);
+        if (resolvedType && !DATE_KINDS.has(resolvedType)) {
+          report('FORMAT_NOT_USED', { column: format.column, value: format.value.trim() });
+        }
+      } catch (error) {
+        report('INVALID_DATE_FORMAT', { column: format.column, value: format.value.trim(), params: { reason: error.message } });
+      }
+    }
+
+    // Transforms
+    const transforms = getValue(row, MAPPING_COLUMN_NAMES.transforms);
+    if (transforms.value && transforms.value.trim()) {
+      try {
+        const steps = parseTransforms(transforms.value);
+        steps.filter(step => step.name === 'date').forEach(step => step.args.forEach(arg => compileDateFormat(arg)));
+        const allowedValues = getValue(row, MAPPING_COLUMN_NAMES.allowedValues).value;
+        const context = { dataType: resolvedType, allowedValues: allowedValues ? allowedValues.split(',').filter(value => value.trim()) : [] };
+        steps.filter(step => step.name !== 'auto' && resolvedType && !transformApplies(step.name, context)).forEach(step => {
+          const transform = TRANSFORMS[step.name];
+          const reason = transform.needsAllowedValues ? 'needs Allowed Values' : `only applies to ${transform.types.join(', ')} fields`;
+          report('TRANSFORM_NOT_APPLICABLE', { column: transforms.column, value: transforms.value.trim(), params: { transform: step.name, reason } });
+        });
+      } catch (error) {
+        report('INVALID_TRANSFORM', { column: transforms.column, value: transforms.value.trim(), params: { reason: error.message } });
+      }
+    }
+
+    // Severity
+    const severity = getValue(row, MAPPING_COLUMN_NAMES.severity);
+    if (severity.value && severity.value.trim()) {
+      try {
+        parseSeverity(severity.value);
+      } catch (error) {
+        report('INVALID_SEVERITY', { column: severity.column, value: severity.value.trim(), params: { reason: error.message } });
+      }
+    }
+
+    // Fixed-width positions
+    const span = {};
+    ['startPosition', 'fieldLength'].forEach(key => {
+      const { column, value } = getValue(row, MAPPING_COLUMN_NAMES[key]);
+      if (value === undefined || !value.trim()) return;
+      if (!/^[1-9]\d*$/.test(value.trim())) {
+        report('INVALID_POSITION', { column, value: value.trim() });
+        span.invalid = true;
+      } else {
+        span[key] = Number(value);
+      }
+    });
+    if (span.startPosition !== undefined && span.fieldLength !== undefined) {
+      positions.push({ fieldName: trimmedName, line, start: span.startPosition, end: span.startPosition + span.fieldLength - 1 });
+    } else if (span.invalid) {
+      // Reported above
+    } else if (span.startPosition !== undefined || span.fieldLength !== undefined) {
+      const [given, missing] = span.startPosition !== undefined ? ['Start Position', 'Field Length'] : ['Field Length', 'Start Position'];
+      report('INCOMPLETE_POSITION', { params: { given, missing } });
+    } else {
+      unpositioned.push({ fieldName: trimmedName, line });
+    }
+
+    // JSON Path
+    const jsonPath = getValue(row, MAPPING_COLUMN_NAMES.jsonPath);
+    if (jsonPath.value && jsonPath.value.trim() && jsonPath.value.trim().split('.').some(key => key === '')) {
+      report('INVALID_JSON_PATH', { column: jsonPath.column, value: jsonPath.value.trim() });
+    }
+
+    // References
+    const referenceFile = getValue(row, MAPPING_COLUMN_NAMES.referenceFile);
+    const referenceField = getValue(row, MAPPING_COLUMN_NAMES.referenceField);
+    if (referenceFile.value && referenceFile.value.trim()) {
+      if (!fs.existsSync(path.resolve(baseDir, referenceFile.value.trim()))) {
+        report('REFERENCE_FILE_NOT_FOUND', { column: referenceFile.column, value: referenceFile.value.trim() });
+      }
+    } else if (referenceField.value && referenceField.value.trim()) {
+      report('REFERENCE_FIELD_WITHOUT_FILE', { column: referenceField.column, value: referenceField.value.trim() });
+    }
+  });
+
+  // A layout is declared as soon as one field has a position; every field then needs one, without overlaps
+  if (positions.length > 0) {
+    unpositioned.forEach(({ fieldName, line }) => {
+      findings.push(createFinding('MISSING_POSITION', { line, fieldName }));
+    });
+    positions.slice().sort((a, b) => a.start - b.start).forEach((span, index, sorted) => {
+      const previous = sorted.slice(0, index).find(other => other.end >= span.start);
+      if (previous) {
+        findings.push(createFinding('OVERLAPPING_POSITIONS', {
+          line: span.line,
+          fieldName: span.fieldName,
+          params: { start: span.start, end: span.end, otherField: previous.fieldName, otherStart: previous.start, otherEnd: previous.end, otherLine: previous.line }
+        }));
+      }
+    });
+    findings.sort((a, b) => (a.line || 0) - (b.line || 0));
+  }
+
+  return findings;
+}
+
+module.exports = {
+  LINT_CHECKS,
+  MAPPING_COLUMN_NAMES,
+  lintMappingRows
+};
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CSVValidator = require('./csvValidator');
+const { lintMappingRows } = require('./mappingLinter');
+
+const HEADERS = ['Target Field Name', 'Null Allowed', 'Target Data Type', 'Description'];
+
+function lint(rows) {
+  return lintMappingRows(rows, HEADERS, { validator: new CSVValidator(), baseDir: __dirname });
+}
+
+function row(name, dataType, description, extra = {}) {
+  return { 'Target Field Name': name, 'Null Allowed': 'Yes', 'Target Data Type': dataType, Description: description, ...extra };
+}
+
+test('a decimal split at its comma suggests the quoted type with its closing bracket', () => {
+  const findings = lint([
+    row('Amount', 'DECIMAL(5', '2)', { _4: 'Amount in USD' }),
+    row('Hours', 'Number(18', ' 2 )'),
+    row('Rate', 'DECIMAL(5', '2')
+  ]).filter(finding => finding.code === 'MALFORMED_DECIMAL');
+
+  assert.strictEqual(findings.length, 3);
+  findings.forEach(finding => {
+    assert.match(finding.message, /quote it as "(DECIMAL\(5|Number\(18),2\)"$/, finding.message);
+  });
+});
+
+test('a malformed decimal that was not split gets the general hint', () => {
+  const [finding] = lint([row('Amount', 'DECIMAL(5,2', 'Amount')]).filter(f => f.code === 'MALFORMED_DECIMAL');
+  assert.strictEqual(finding.message, "Field 'Amount' has malformed decimal type 'DECIMAL(5,2' (expected e.g. DECIMAL(18,2))");
+});
+
+test('a well-formed decimal passes', () => {
+  assert.deepStrictEqual(lint([row('Amount', 'DECIMAL(5,2)', 'Amount')]).filter(f => f.severity === 'error'), []);
+});
@@ -0,0 +1,118 @@
+/**
+ * Quality gates decide whether a validation run passes, based on the
+ * statistics from getValidationStats().
+ *
+ * Without configured gates a run fails on any invalid record or duplicate key
+ * group. Configured gates replace that default, so a pipeline can accept, for
+ * example, up to 1% bad rows as long as nothing Critical is found.
+ */
+
+const PRIORITY_ORDER = ['Critical', 'High', 'Medium', 'Low'];
+
+const GATE_DEFINITIONS = {
+  minSuccessRate: {
+    describe: (threshold) => `Success rate >= ${threshold}%`,
+    actual: (stats) => Number(stats.successRate.toFixed(4)),
+    passes: (actual, threshold) => actual >= threshold
+  },
+  maxErrors: {
+    describe: (threshold) => `Errors <= ${threshold}`,
+    actual: (stats) => stats.totalErrors,
+    passes: (actual, threshold) => actual <= threshold
+  },
+  maxWarnings: {
+    describe: (threshold) => `Warnings <= ${threshold}`,
+    actual: (stats) => stats.totalWarnings,
+    passes: (actual, threshold) => actual <= threshold
+  },
+  maxInvalidRecords: {
+    describe: (threshold) => `Invalid records <= ${threshold}`,
+    actual: (stats) => stats.invalidRecords,
+    passes: (actual, threshold) => actual <= threshold
+  },
+  maxDuplicateGroups: {
+    describe: (threshold) => `Duplicate key groups <= ${threshold}`,
+    actual: (stats) => stats.duplicateGroups,
+    passes: (actual, threshold) => actual <= threshold
+  },
+  failOnPriority: {
+    describe: (threshold) => `No ${PRIORITY_ORDER.slice(0, PRIORITY_ORDER.indexOf(threshold) + 1).join('/')} errors`,
+    actual: (stats, threshold) => PRIORITY_ORDER
+      .slice(0, PRIORITY_ORDER.indexOf(threshold) + 1)
+      .reduce((count, priority) => count + (stats.errorsByPriority[priority] || 0), 0),
+    passes: (actual) => actual === 0
+  },
+  failOnCodes: {
+    describe: (threshold) => `No ${threshold.join(', ')} errors`,
+    actual: (stats, threshold) => threshold.reduce((count, code) => count + (stats.errorsByCode[code] || 0), 0),
+    passes: (actual) => actual === 0
+  }
+};
+
+const DEFAULT_GATES = { maxInvalidRecords: 0, maxDuplicateGroups: 0 };
+
+/**
+ * Check a gate configuration and fill in the default when it is empty
+ * @param {Object} gates - { minSuccessRate, maxErrors, maxWarnings, maxInvalidRecords, maxDuplicateGroups, failOnPriority, failOnCodes }
+ */
+function resolveQualityGates(gates = {}) {
+  const configured = {};
+  Object.entries(gates).forEach(([name, threshold]) => {
+    if (threshold === undefined || threshold === null) return;
+    if (!GATE_DEFINITIONS[name]) {
+      throw new Error(`Unknown quality gate '${name}' (expected one of: ${Object.keys(GATE_DEFINITIONS).join(', ')})`);
+    }
+
+    if (name === 'failOnPriority') {
+      const priority = PRIORITY_ORDER.find(p => p.toLowerCase() === String(threshold).trim().toLowerCase());
+      if (!priority) {
+        throw new Error(`Quality gate failOnPriority must be one of: ${PRIORITY_ORDER.join(', ')}`);
+      }
+      configured[name] = priority;
+    } else if (name === 'failOnCodes') {
+      const codes = Array.isArray(threshold) ? threshold : String(threshold).split(',');
+      configured[name] = codes.map(code => code.trim().toUpperCase()).filter(Boolean);
+    } else {
+      const number = Number(threshold);
+      if (threshold === '' || isNaN(number) || number < 0) {
+        throw new Error(`Quality gate ${name} must be a non-negative number, got '${threshold}'`);
+      }
+      configured[name] = number;
+    }
+  });
+
+  return Object.keys(configured).length > 0 ? configured : { ...DEFAULT_GATES };
+}
+
+/**
+ * Evaluate quality gates against validation statistics
+ * @param {Object} stats - Result of getValidationStats()
+ * @param {Object} gates - Gate configuration (see resolveQualityGates)
+ * @returns {Object} { passed, gates: [{ name, description, threshold, actual, passed }] }
+ */
+function evaluateQualityGates(stats, gates = {}) {
+  const resolved = resolveQualityGates(gates);
+  const results = Object.entries(resolved).map(([name, threshold]) => {
+    const definition = GATE_DEFINITIONS[name];
+    const actual = definition.actual(stats, threshold);
+    return {
+      name,
+      description: definition.describe(threshold),
+      threshold,
+      actual,
+      passed: definition.passes(actual, threshold)
+    };
+  });
+
+  return {
+    passed: results.every(result => result.passed),
+    gates: results
+  };
+}
+
+module.exports = {
+  PRIORITY_ORDER,
+  DEFAULT_GATES,
+  resolveQualityGates,
+  evaluateQualityGates
+};
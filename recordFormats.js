@@ -0,0 +1,323 @@
+/**
+ * Fixed-width and JSON Lines input.
+ *
+ * Both formats hold one record per line and feed the same record pipeline as
+ * delimited text. Fixed-width records are cut at the Start Position and Field
+ * Length of each mapping row (positions count characters from 1). JSON Lines
+ * records are objects whose fields are looked up by name, or by the dotted
+ * path in the JSON Path column (e.g. billing.address.city).
+ *
+ * Neither format has a header line, so the header check is replaced by one
+ * that fits the format: the declared layout against the length of the first
+ * line for fixed-width, and key presence in the first records for JSON Lines.
+ * Both return the shape of matchHeaders, so header reports work unchanged.
+ */
+
+const path = require('path');
+const { resolveHeaderPolicy, normalizeHeader, findClosest } = require('./headerMatching');
+const { isExcelFile } = require('./excelInput');
+const { isGzipFile, isZipFile, stripCompressionExtension } = require('./compressedInput');
+
+const INPUT_FORMATS = ['csv', 'excel', 'fixed-width', 'jsonl'];
+const JSON_LINES_EXTENSIONS = ['.jsonl', '.ndjson'];
+
+// Records read to find the keys of a JSON Lines file
+const JSON_KEY_SAMPLE_SIZE = 1000;
+
+/**
+ * Work out how an input file is read. Gzip input is streamed, which only the
+ * delimited text reader does, so other formats must be unpacked first. A zip
+ * archive (other than a workbook, which is one too) holds several files and
+ * is validated a file at a time by the batch command.
+ * @param {string} filePath - Input file path (an existing file)
+ * @param {string} format - Requested format (default: by extension, ignoring .gz; fixed-width is never guessed)
+ * @returns {string} csv, excel, fixed-width or jsonl
+ */
+function resolveInputFormat(filePath, format = null) {
+  if (format && !INPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown input format '${format}' (expected one of: ${INPUT_FORMATS.join(', ')})`);
+  }
+  const name = stripCompressionExtension(filePath);
+  let resolved = 'csv';
+  if (format) {
+    resolved = format;
+  } else if (isExcelFile(name)) {
+    resolved = 'excel';
+  } else if (JSON_LINES_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+    resolved = 'jsonl';
+  }
+  if (resolved !== 'excel' && isZipFile(filePath)) {
+    throw new Error(`'${filePath}' is a zip archive; validate its files with: node validate.js batch <manifest> --archive ${filePath}`);
+  }
+  if (resolved !== 'csv' && isGzipFile(filePath)) {
+    throw new Error(`Gzip input is read as delimited text; unpack ${resolved} input before validating it`);
+  }
+  return resolved;
+}
+
+/**
+ * Header check result with the fields every format fills in
+ */
+function createHeaderResult(rules, policy, props) {
+  const expectedHeaders = rules.map(rule => rule.fieldName);
+  const extraHeaders = props.extraHeaders || [];
+  return {
+    isValid: props.missingHeaders.length === 0 && (policy.allowExtraColumns || extraHeaders.length === 0),
+    policy,
+    inputHeaders: props.inputHeaders,
+    expectedHeaders,
+    matchedHeaders: props.matchedHeaders,
+    columnNames: props.columnNames,
+    renamedHeaders: props.renamedHeaders || [],
+    missingHeaders: props.missingHeaders,
+    extraHeaders,
+    duplicateHeaders: [],
+    orderMismatches: [],
+    suggestions: props.suggestions || [],
+    totalExpected: expectedHeaders.length,
+    totalFound: props.inputHeaders.length
+  };
+}
+
+/**
+ * The fixed-width layout declared by the mapping
+ * @param {Array} rules - Validation rules (startPosition, fieldLength)
+ * @returns {Object} { fields: [{ fieldName, start, length, end }] in position order, recordLength, unpositioned }
+ */
+function getFixedWidthLayout(rules) {
+  const fields = rules
+    .filter(rule => rule.startPosition && rule.fieldLength)
+    .map(rule => ({ fieldName: rule.fieldName, start: rule.startPosition, length: rule.fieldLength, end: rule.startPosition + rule.fieldLength - 1 }))
+    .sort((a, b) => a.start - b.start);
+  if (fields.length === 0) {
+    throw new Error('Fixed-width input needs a Start Position and Field Length for each field in the mapping');
+  }
+  return {
+    fields,
+    recordLength: Math.max(...fields.map(field => field.end)),
+    unpositioned: rules.filter(rule => !rule.startPosition || !rule.fieldLength).map(rule => rule.fieldName)
+  };
+}
+
+/**
+ * Check the declared layout against the first record
+ * @param {Array} rules - Validation rules
+ * @param {Object} layout - From getFixedWidthLayout
+ * @param {string|null} firstLine - First record of the file (null when it has none)
+ * @param {Object} policy - Header policy (allowExtraColumns lets records run past the layout)
+ */
+function checkFixedWidthLayout(rules, layout, firstLine, policy = {}) {
+  const resolvedPolicy = resolveHeaderPolicy(policy);
+  const lineLength = firstLine === null ? 0 : firstLine.length;
+
+  // Fields the first record is too short to hold are missing, as are fields without a position
+  const present = layout.fields.filter(field => field.end <= lineLength);
+  const missingHeaders = [
+    ...layout.fields.filter(field => field.end > lineLength).map(field => field.fieldName),
+    ...layout.unpositioned
+  ];
+  const extraHeaders = lineLength > layout.recordLength ? [`Characters ${layout.recordLength + 1}-${lineLength}`] : [];
+  const inputHeaders = [...present.map(field => field.fieldName), ...extraHeaders];
+
+  const matchedHeaders = {};
+  present.forEach(field => {
+    matchedHeaders[field.fieldName] = field.fieldName;
+  });
+
+  return {
+    ...createHeaderResult(rules, resolvedPolicy, {
+      inputHeaders,
+      matchedHeaders,
+      columnNames: inputHeaders.slice(),
+      missingHeaders,
+      extraHeaders
+    }),
+    recordLength: layout.recordLength,
+    lineLength
+  };
+}
+
+/**
+ * Cut one fixed-width record into fields
+ * @param {string} line - Record line
+ * @param {Object} layout - From getFixedWidthLayout
+ * @param {Object} policy - Header policy (allowExtraColumns accepts longer records)
+ * @returns {Object} { record, problems: [{ code, params }] }
+ */
+function readFixedWidthRecord(line, layout, policy = {}) {
+  const record = {};
+  layout.fields.forEach(field => {
+    record[field.fieldName] = line.slice(field.start - 1, field.end).trim();
+  });
+  layout.unpositioned.forEach(fieldName => {
+    record[fieldName] = '';
+  });
+
+  const problems = [];
+  if (line.length < layout.recordLength || (line.length > layout.recordLength && !policy.allowExtraColumns)) {
+    problems.push({ code: 'RECORD_LENGTH_MISMATCH', params: { actual: line.length, expected: layout.recordLength } });
+  }
+  return { record, problems };
+}
+
+/**
+ * Parse one JSON Lines record
+ * @param {string} line - Record line
+ * @returns {Object} { object } or { error } when the line is not a JSON object
+ */
+function parseJsonLine(line) {
+  let object;
+  try {
+    object = JSON.parse(line);
+  } catch (error) {
+    return { error: error.message };
+  }
+  if (!object || typeof object !== 'object' || Array.isArray(object)) {
+    return { error: `found ${Array.isArray(object) ? 'an array' : object === null ? 'null' : `a ${typeof object}`}` };
+  }
+  return { object };
+}
+
+/**
+ * Look up a value by key, or by dotted path when no key has that name
+ * @param {Object} object - JSON object
+ * @param {string} keyPath - Key or dotted path
+ */
+function getJsonValue(object, keyPath) {
+  if (Object.prototype.hasOwnProperty.call(object, keyPath)) {
+    return object[keyPath];
+  }
+  let value = object;
+  for (const key of keyPath.split('.')) {
+    if (!value || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+      return undefined;
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Every key path of an object, parents before their children
+ * @param {Object} object - JSON object
+ * @param {Set} paths - Paths collected so far (added to in place)
+ * @param {string} prefix - Path of the object itself
+ */
+function collectJsonPaths(object, paths = new Set(), prefix = '') {
+  Object.keys(object).forEach(key => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    paths.add(keyPath);
+    const value = object[key];
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      collectJsonPaths(value, paths, keyPath);
+    }
+  });
+  return paths;
+}
+
+/**
+ * Check that the keys the mapping reads occur in a JSON Lines file
+ * @param {Array} rules - Validation rules (fieldName, aliases, jsonPath)
+ * @param {string[]} keyPaths - Key paths found in the sampled records (collectJsonPaths)
+ * @param {Object} policy - Header policy; matching applies to keys and paths
+ */
+function checkJsonKeys(rules, keyPaths, policy = {}) {
+  const resolvedPolicy = resolveHeaderPolicy(policy);
+  const { matching } = resolvedPolicy;
+  const keyIndex = new Map();
+  keyPaths.forEach(keyPath => {
+    const key = normalizeHeader(keyPath, matching);
+    if (!keyIndex.has(key)) keyIndex.set(key, keyPath);
+  });
+
+  // A JSON Path replaces the field name and aliases as the key to look for
+  const matchedHeaders = {}; // fieldName -> key path
+  const renamedHeaders = [];
+  const missingHeaders = [];
+  rules.forEach(rule => {
+    const names = rule.jsonPath ? [rule.jsonPath] : [rule.fieldName, ...(rule.aliases || [])];
+    const keyPath = names.map(name => keyIndex.get(normalizeHeader(name, matching))).find(Boolean);
+    if (!keyPath) {
+      missingHeaders.push(rule.fieldName);
+      return;
+    }
+    matchedHeaders[rule.fieldName] = keyPath;
+    if (keyPath !== rule.fieldName) {
+      renamedHeaders.push({ inputHeader: keyPath, fieldName: rule.fieldName });
+    }
+  });
+
+  // Keys read by no field, listed at the outermost level: parents and children of a read key are in use
+  const usedPaths = Object.values(matchedHeaders);
+  const isRelated = (keyPath) => usedPaths.some(used => used === keyPath || used.startsWith(`${keyPath}.`) || keyPath.startsWith(`${used}.`));
+  const extraHeaders = keyPaths.filter(keyPath => {
+    if (isRelated(keyPath)) return false;
+    const parent = keyPath.includes('.') ? keyPath.slice(0, keyPath.lastIndexOf('.')) : null;
+    return parent === null || isRelated(parent);
+  });
+
+  const suggestions = [];
+  extraHeaders.forEach(keyPath => {
+    const closest = findClosest(keyPath, missingHeaders);
+    if (closest) {
+      suggestions.push({ inputHeader: keyPath, expectedHeader: closest.name, distance: closest.distance });
+    }
+  });
+
+  const fieldNames = rules.map(rule => rule.fieldName).filter(fieldName => matchedHeaders[fieldName] !== undefined);
+  return createHeaderResult(rules, resolvedPolicy, {
+    inputHeaders: [...fieldNames.map(fieldName => matchedHeaders[fieldName]), ...extraHeaders],
+    matchedHeaders,
+    columnNames: [...fieldNames, ...extraHeaders],
+    renamedHeaders,
+    missingHeaders,
+    extraHeaders,
+    suggestions
+  });
+}
+
+/**
+ * Read one JSON Lines record as text values, keeping numbers and booleans typed
+ * @param {string} line - Record line
+ * @param {Array} rules - Validation rules
+ * @param {Object} keyPaths - fieldName -> key path, from checkJsonKeys
+ * @returns {Object} { record, values, problems }; record is null when the line is not a JSON object
+ */
+function readJsonRecord(line, rules, keyPaths) {
+  const parsed = parseJsonLine(line);
+  if (parsed.error) {
+    return { record: null, values: null, problems: [{ code: 'MALFORMED_JSON', params: { reason: parsed.error } }] };
+  }
+
+  const record = {};
+  const values = {};
+  rules.forEach(rule => {
+    const value = getJsonValue(parsed.object, keyPaths[rule.fieldName] || rule.jsonPath || rule.fieldName);
+    if (value === undefined || value === null) {
+      record[rule.fieldName] = '';
+    } else if (typeof value === 'object') {
+      record[rule.fieldName] = JSON.stringify(value);
+    } else {
+      record[rule.fieldName] = String(value);
+      if (typeof value !== 'string') {
+        values[rule.fieldName] = value; // Numbers and booleans are type checked by value
+      }
+    }
+  });
+  return { record, values, problems: [] };
+}
+
+module.exports = {
+  INPUT_FORMATS,
+  JSON_LINES_EXTENSIONS,
+  JSON_KEY_SAMPLE_SIZE,
+  resolveInputFormat,
+  getFixedWidthLayout,
+  checkFixedWidthLayout,
+  readFixedWidthRecord,
+  parseJsonLine,
+  getJsonValue,
+  collectJsonPaths,
+  checkJsonKeys,
+  readJsonRecord
+};
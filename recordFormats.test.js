@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CSVValidator = require('./csvValidator');
+const {
+  resolveInputFormat, getFixedWidthLayout, checkFixedWidthLayout, readFixedWidthRecord,
+  collectJsonPaths, checkJsonKeys, readJsonRecord
+} = require('./recordFormats');
+
+test.mock.method(console, 'log', () => {});
+
+function tempFolder(t) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-validator-formats-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  return folder;
+}
+
+const FIXED_RULES = [
+  { fieldName: 'Name', startPosition: 6, fieldLength: 10 },
+  { fieldName: 'Id', startPosition: 1, fieldLength: 5 },
+  { fieldName: 'Note', startPosition: null, fieldLength: null }
+];
+
+test('fixed-width records are cut at their positions and trimmed', () => {
+  const layout = getFixedWidthLayout(FIXED_RULES);
+  assert.deepStrictEqual(layout.fields.map(field => [field.fieldName, field.start, field.end]), [['Id', 1, 5], ['Name', 6, 15]]);
+  assert.deepStrictEqual([layout.recordLength, layout.unpositioned], [15, ['Note']]);
+
+  assert.deepStrictEqual(readFixedWidthRecord('00042Ann Smith', layout), {
+    record: { Id: '00042', Name: 'Ann Smith', Note: '' },
+    problems: [{ code: 'RECORD_LENGTH_MISMATCH', params: { actual: 14, expected: 15 } }]
+  });
+  assert.deepStrictEqual(readFixedWidthRecord('00042Ann Smith  XYZ', layout, { allowExtraColumns: true }).problems, []);
+  assert.strictEqual(readFixedWidthRecord('00042Ann Smith  XYZ', layout).problems[0].code, 'RECORD_LENGTH_MISMATCH');
+  assert.throws(() => getFixedWidthLayout([{ fieldName: 'Id' }]), /needs a Start Position and Field Length/);
+});
+
+test('the fixed-width layout is checked against the first record', () => {
+  const layout = getFixedWidthLayout(FIXED_RULES);
+  const short = checkFixedWidthLayout(FIXED_RULES, layout, '00042Ann');
+  assert.deepStrictEqual([short.isValid, short.missingHeaders, short.lineLength], [false, ['Name', 'Note'], 8]);
+
+  const positioned = FIXED_RULES.slice(0, 2);
+  const long = checkFixedWidthLayout(positioned, getFixedWidthLayout(positioned), '00042Ann Smith  XYZ');
+  assert.deepStrictEqual([long.isValid, long.extraHeaders], [false, ['Characters 16-19']]);
+  assert.strictEqual(checkFixedWidthLayout(positioned, getFixedWidthLayout(positioned), '00042Ann Smith  XYZ', { allowExtraColumns: true }).isValid, true);
+});
+
+const JSON_RULES = [
+  { fieldName: 'Id' },
+  { fieldName: 'City', jsonPath: 'billing.address.city' },
+  { fieldName: 'AccountName', aliases: ['name'] },
+  { fieldName: 'Tags' },
+  { fieldName: 'Active' }
+];
+
+test('JSON keys map to fields by name, alias or JSON Path', () => {
+  const keyPaths = Array.from(collectJsonPaths({ id: 1, Name: 'Acme', billing: { address: { city: 'Oslo', zip: '0150' } }, extra: { a: 1 }, Tags: [] }));
+  assert.deepStrictEqual(keyPaths, ['id', 'Name', 'billing', 'billing.address', 'billing.address.city', 'billing.address.zip', 'extra', 'extra.a', 'Tags']);
+
+  const exact = checkJsonKeys(JSON_RULES, keyPaths);
+  assert.deepStrictEqual([exact.missingHeaders, exact.extraHeaders], [['Id', 'AccountName', 'Active'], ['id', 'Name', 'billing.address.zip', 'extra']]);
+
+  const loose = checkJsonKeys(JSON_RULES, keyPaths, { matching: 'case-insensitive' });
+  assert.deepStrictEqual(loose.matchedHeaders, { Id: 'id', City: 'billing.address.city', AccountName: 'Name', Tags: 'Tags' });
+  assert.deepStrictEqual(loose.missingHeaders, ['Active']);
+  assert.deepStrictEqual(loose.extraHeaders, ['billing.address.zip', 'extra']);
+});
+
+test('JSON records keep numbers and booleans typed and reject lines that are not objects', () => {
+  const keyPaths = { Id: 'id', City: 'billing.address.city', AccountName: 'Name', Tags: 'Tags', Active: 'Active' };
+  const { record, values } = readJsonRecord('{"id": 7, "Name": "Acme", "billing": {"address": {"city": "Oslo"}}, "Tags": ["a"], "Active": false}', JSON_RULES, keyPaths);
+  assert.deepStrictEqual(record, { Id: '7', City: 'Oslo', AccountName: 'Acme', Tags: '["a"]', Active: 'false' });
+  assert.deepStrictEqual(values, { Id: 7, Active: false });
+
+  assert.strictEqual(readJsonRecord('{"id": null}', JSON_RULES, keyPaths).record.City, '');
+  assert.deepStrictEqual(readJsonRecord('[1, 2]', JSON_RULES, keyPaths), {
+    record: null,
+    values: null,
+    problems: [{ code: 'MALFORMED_JSON', params: { reason: 'found an array' } }]
+  });
+});
+
+test('the input format comes from the option or the extension', (t) => {
+  const folder = tempFolder(t);
+  const write = (name) => {
+    fs.writeFileSync(path.join(folder, name), 'x\n');
+    return path.join(folder, name);
+  };
+  assert.strictEqual(resolveInputFormat(write('in.csv')), 'csv');
+  assert.strictEqual(resolveInputFormat(write('in.ndjson')), 'jsonl');
+  assert.strictEqual(resolveInputFormat(write('IN.JSONL')), 'jsonl');
+  assert.strictEqual(resolveInputFormat(write('in.dat')), 'csv');
+  assert.strictEqual(resolveInputFormat(write('in.dat'), 'fixed-width'), 'fixed-width');
+  assert.throws(() => resolveInputFormat(write('in.dat'), 'parquet'), /Unknown input format 'parquet'/);
+});
+
+test('fixed-width and JSON Lines files validate with line numbers', async (t) => {
+  const folder = tempFolder(t);
+  fs.writeFileSync(path.join(folder, 'fixed_map.csv'), [
+    'Target Field Name,Null Allowed,Target Data Type,Start Position,Field Length',
+    'Id,No,Text(5),1,5',
+    'Amount,Yes,"DECIMAL(8,2)",6,8',
+    ''
+  ].join('\n'));
+  fs.writeFileSync(path.join(folder, 'in.dat'), '00001   10.50\n\n     abc\n00003    1.5\n');
+
+  const fixed = new CSVValidator();
+  await fixed.loadMappingRules(path.join(folder, 'fixed_map.csv'));
+  await fixed.validateInputFile(path.join(folder, 'in.dat'), null, { inputFormat: 'fixed-width' });
+  const fixedIssues = [];
+  fixed.forEachError(issue => fixedIssues.push([issue.rowNumber, issue.line, issue.code]));
+  assert.deepStrictEqual(fixedIssues, [
+    [2, 3, 'REQUIRED_MISSING'],
+    [2, 3, 'INVALID_NUMBER'],
+    [2, 3, 'RECORD_LENGTH_MISMATCH'],
+    [3, 4, 'DECIMAL_SCALE'],
+    [3, 4, 'RECORD_LENGTH_MISMATCH']
+  ]);
+
+  fs.writeFileSync(path.join(folder, 'json_map.csv'), [
+    'Target Field Name,Null Allowed,Target Data Type,JSON Path',
+    'Id,No,string,',
+    'Amount,Yes,"DECIMAL(18,2)",',
+    'City,No,string,billing.city',
+    ''
+  ].join('\n'));
+  fs.writeFileSync(path.join(folder, 'in.jsonl'), [
+    '{"Id": "A", "Amount": 10.5, "billing": {"city": "Oslo"}}',
+    '{"Id": "B", "Amount": 12.345, "billing": {}}',
+    'not json',
+    ''
+  ].join('\n'));
+
+  const jsonLines = new CSVValidator();
+  await jsonLines.loadMappingRules(path.join(folder, 'json_map.csv'));
+  await jsonLines.validateInputFile(path.join(folder, 'in.jsonl'));
+  const jsonIssues = [];
+  jsonLines.forEachError(issue => jsonIssues.push([issue.rowNumber, issue.line, issue.code]));
+  assert.deepStrictEqual(jsonIssues, [
+    [2, 2, 'DECIMAL_SCALE'],
+    [2, 2, 'REQUIRED_MISSING'],
+    [3, 3, 'MALFORMED_JSON']
+  ]);
+});
@@ -0,0 +1,234 @@
+/**
+ * Record-level (cross-field) rules.
+ *
+ * Record rules live in their own CSV file with the columns
+ * `Rule Name,Rule Type,Fields,Condition,Description`. `Fields` is a
+ * semicolon-separated list; its meaning depends on the rule type:
+ *
+ * - compare:    left;right              Condition = operator (<, <=, =, !=, >=, >)
+ * - requiredIf: target;trigger[;...]    Condition = optional value the trigger must equal
+ * - sum:        total;part1;part2[;...] Condition = tolerance (default 0)
+ *
+ * An optional `Severity` column (error, warning or info) sets the severity of
+ * the rule's failures.
+ *
+ * compare reads date, timestamp and time fields with their mapping `Format`
+ * (ISO 8601 without one), so dd/MM/yyyy values order by day, month and year.
+ */
+
+const { parseSeverity } = require('./severity');
+const { validateDateValue, componentsToTime } = require('./dateFormats');
+
+const COMPARISON_OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '=': (a, b) => a === b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '>=': (a, b) => a >= b,
+  '>': (a, b) => a > b
+};
+
+const RULE_TYPES = ['compare', 'requiredIf', 'sum'];
+
+const DATE_TYPES = ['date', 'timestamp', 'time'];
+
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Read a value as a point in time: with its field's declared format when the
+ * field is a date, timestamp or time, otherwise only when it is ISO 8601
+ * @param {string} text - Trimmed value
+ * @param {Object} fieldRule - Mapping rule of the field (optional)
+ * @returns {number|null} Milliseconds since the epoch, or null when the value is not a date
+ */
+function toTime(text, fieldRule) {
+  const kinds = fieldRule && DATE_TYPES.includes(fieldRule.dataType) ? [fieldRule.dataType] : ['date', 'timestamp'];
+  const format = fieldRule && DATE_TYPES.includes(fieldRule.dataType) ? fieldRule.format : null;
+  for (const kind of kinds) {
+    const parsed = validateDateValue(text, kind, format);
+    if (parsed.isValid) return componentsToTime(parsed.components);
+  }
+  return null;
+}
+
+/**
+ * Turn two raw values into comparable values: points in time when either field
+ * is a date type (or both values are ISO dates), numbers when both are numeric,
+ * otherwise trimmed strings
+ * @param {string} left - Left value
+ * @param {string} right - Right value
+ * @param {Object} leftRule - Mapping rule of the left field (optional)
+ * @param {Object} rightRule - Mapping rule of the right field (optional)
+ * @returns {Array|null} [a, b], or null when a date field holds a value that is not a date
+ */
+function toComparable(left, right, leftRule, rightRule) {
+  const leftText = String(left).trim();
+  const rightText = String(right).trim();
+  const isDateField = (fieldRule) => Boolean(fieldRule && DATE_TYPES.includes(fieldRule.dataType));
+
+  const leftTime = toTime(leftText, leftRule);
+  const rightTime = toTime(rightText, rightRule);
+  if (leftTime !== null && rightTime !== null) {
+    return [leftTime, rightTime];
+  }
+  // A bad date is reported by the field rules; comparing its text would only add noise
+  if (isDateField(leftRule) || isDateField(rightRule)) {
+    return null;
+  }
+
+  if (!isNaN(Number(leftText)) && !isNaN(Number(rightText))) {
+    return [Number(leftText), Number(rightText)];
+  }
+
+  return [leftText, rightText];
+}
+
+/**
+ * Parse one row of a record rules file
+ * @param {Object} row - Parsed CSV row
+ * @param {number} index - 1-based rule number
+ */
+function parseRecordRule(row, index) {
+  const name = (row['Rule Name'] || row['RuleName'] || row['name'] || '').trim();
+  const rawType = (row['Rule Type'] || row['RuleType'] || row['type'] || '').trim();
+  const fields = (row['Fields'] || row['fields'] || '').split(';').map(field => field.trim()).filter(Boolean);
+  const condition = (row['Condition'] || row['condition'] || '').trim();
+  const description = (row['Description'] || row['description'] || '').trim();
+  const severity = row['Severity'] || row['severity'];
+
+  const type = RULE_TYPES.find(ruleType => ruleType.toLowerCase() === rawType.toLowerCase());
+  if (!type) {
+    throw new Error(`Record rule ${index} (${name || 'unnamed'}): unknown rule type '${rawType}'. Expected one of: ${RULE_TYPES.join(', ')}`);
+  }
+
+  const rule = { ruleIndex: index, name: name || `Record Rule ${index}`, type, fields, condition, description };
+  try {
+    rule.severity = parseSeverity(severity);
+  } catch (error) {
+    throw new Error(`Record rule '${rule.name}': ${error.message}`);
+  }
+
+  switch (type) {
+    case 'compare':
+      if (fields.length !== 2) {
+        throw new Error(`Record rule '${rule.name}': compare rules need exactly 2 fields`);
+      }
+      if (!COMPARISON_OPERATORS[condition]) {
+        throw new Error(`Record rule '${rule.name}': unknown operator '${condition}'. Expected one of: ${Object.keys(COMPARISON_OPERATORS).join(' ')}`);
+      }
+      rule.operator = condition;
+      break;
+    case 'requiredIf':
+      if (fields.length < 2) {
+        throw new Error(`Record rule '${rule.name}': requiredIf rules need a target field and at least one trigger field`);
+      }
+      rule.triggerValue = condition || null;
+      break;
+    case 'sum':
+      if (fields.length < 3) {
+        throw new Error(`Record rule '${rule.name}': sum rules need a total field and at least two part fields`);
+      }
+      rule.tolerance = condition ? Number(condition) : 0;
+      if (isNaN(rule.tolerance)) {
+        throw new Error(`Record rule '${rule.name}': tolerance '${condition}' is not a number`);
+      }
+      if (rule.tolerance < 0) {
+        throw new Error(`Record rule '${rule.name}': tolerance '${condition}' must be zero or more`);
+      }
+      break;
+  }
+
+  return rule;
+}
+
+/**
+ * Evaluate a record rule against one record
+ * @param {Object} rule - Parsed record rule
+ * @param {Function} getValue - Returns the record value for a field name
+ * @param {Function} getFieldRule - Returns the mapping rule of a field name, if any (dataType, format)
+ * @returns {Object|null} Failure details ({ code, params }) or null when the rule passes
+ */
+function evaluateRecordRule(rule, getValue, getFieldRule = () => null) {
+  switch (rule.type) {
+    case 'compare': {
+      const [leftField, rightField] = rule.fields;
+      const left = getValue(leftField);
+      const right = getValue(rightField);
+      if (isEmpty(left) || isEmpty(right)) return null;
+
+      const comparable = toComparable(left, right, getFieldRule(leftField), getFieldRule(rightField));
+      if (!comparable) return null;
+      const [a, b] = comparable;
+      if (COMPARISON_OPERATORS[rule.operator](a, b)) return null;
+      return {
+        code: 'FIELD_COMPARISON_FAILED',
+        params: { operator: rule.operator, leftField, rightField, leftValue: left, rightValue: right }
+      };
+    }
+    case 'requiredIf': {
+      const [targetField, ...triggerFields] = rule.fields;
+      if (!isEmpty(getValue(targetField))) return null;
+
+      const triggeredBy = triggerFields.filter(field => {
+        const value = getValue(field);
+        if (isEmpty(value)) return false;
+        return rule.triggerValue === null || String(value).trim() === rule.triggerValue;
+      });
+      if (triggeredBy.length === 0) return null;
+      return {
+        code: 'CONDITIONAL_REQUIRED_MISSING',
+        params: { targetField, triggerFields: triggeredBy, triggerValue: rule.triggerValue }
+      };
+    }
+    case 'sum': {
+      const [totalField, ...partFields] = rule.fields;
+      const total = getValue(totalField);
+      if (isEmpty(total) || isNaN(Number(total))) return null;
+
+      let sum = 0;
+      for (const field of partFields) {
+        const value = getValue(field);
+        if (isEmpty(value)) continue;
+        if (isNaN(Number(value))) return null; // Type errors are reported by the field rules
+        sum += Number(value);
+      }
+
+      // Round away floating point noise before applying the tolerance
+      const difference = Math.round(Math.abs(sum - Number(total)) * 1e9) / 1e9;
+      if (difference <= rule.tolerance) return null;
+      return {
+        code: 'SUM_MISMATCH',
+        params: { totalField, partFields, total: Number(total), sum: Math.round(sum * 1e9) / 1e9, tolerance: rule.tolerance }
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Describe a record rule for the rules report
+ * @param {Object} rule - Parsed record rule
+ */
+function describeRecordRule(rule) {
+  switch (rule.type) {
+    case 'compare':
+      return `${rule.fields[0]} ${rule.operator} ${rule.fields[1]}`;
+    case 'requiredIf':
+      return `${rule.fields[0]} required when ${rule.fields.slice(1).join(' or ')} ${rule.triggerValue !== null ? `= '${rule.triggerValue}'` : 'is populated'}`;
+    case 'sum':
+      return `${rule.fields.slice(1).join(' + ')} = ${rule.fields[0]} (tolerance ${rule.tolerance})`;
+    default:
+      return rule.type;
+  }
+}
+
+module.exports = {
+  RULE_TYPES,
+  parseRecordRule,
+  evaluateRecordRule,
+  describeRecordRule
+};
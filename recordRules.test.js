@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRecordRule, evaluateRecordRule } = require('./recordRules');
+
+function rule(type, fields, condition = '') {
+  return parseRecordRule({ 'Rule Name': 'Rule', 'Rule Type': type, Fields: fields, Condition: condition }, 1);
+}
+
+function evaluate(recordRule, record, fieldRules = {}) {
+  return evaluateRecordRule(recordRule, fieldName => record[fieldName], fieldName => fieldRules[fieldName] || null);
+}
+
+test('compare reads dates with their declared format', () => {
+  const endAfterStart = rule('compare', 'End;Start', '>=');
+  const fieldRules = {
+    Start: { fieldName: 'Start', dataType: 'date', format: 'dd/MM/yyyy' },
+    End: { fieldName: 'End', dataType: 'date', format: 'dd/MM/yyyy' }
+  };
+  assert.strictEqual(evaluate(endAfterStart, { Start: '05/03/2024', End: '04/04/2024' }, fieldRules), null);
+  assert.strictEqual(evaluate(endAfterStart, { Start: '13/03/2024', End: '20/03/2024' }, fieldRules), null);
+  assert.strictEqual(evaluate(endAfterStart, { Start: '20/03/2024', End: '13/03/2024' }, fieldRules).code, 'FIELD_COMPARISON_FAILED');
+  // Not a date in its format: left to the field rules
+  assert.strictEqual(evaluate(endAfterStart, { Start: '2024-03-20', End: '13/03/2024' }, fieldRules), null);
+});
+
+test('compare orders ISO timestamps by their offsets, then numbers and text', () => {
+  const before = rule('compare', 'A;B', '<');
+  const timestamps = { A: { dataType: 'timestamp' }, B: { dataType: 'timestamp' } };
+  assert.strictEqual(evaluate(before, { A: '2024-03-05T10:00:00+02:00', B: '2024-03-05T09:00:00Z' }, timestamps), null);
+  assert.strictEqual(evaluate(before, { A: '2024-03-05T10:00:00Z', B: '2024-03-05T11:00:00+02:00' }, timestamps).code, 'FIELD_COMPARISON_FAILED');
+
+  assert.strictEqual(evaluate(before, { A: '2024-03-05', B: '2024-12-01' }), null);
+  assert.strictEqual(evaluate(before, { A: '9', B: '10' }), null);
+  assert.strictEqual(evaluate(before, { A: 'b', B: 'a' }).code, 'FIELD_COMPARISON_FAILED');
+  assert.strictEqual(evaluate(before, { A: '', B: 'a' }), null);
+});
+
+test('requiredIf fires only when a trigger is populated or has the trigger value', () => {
+  const populated = rule('requiredIf', 'Reason;Status;Stage');
+  assert.strictEqual(evaluate(populated, { Reason: '', Status: '', Stage: '' }), null);
+  assert.strictEqual(evaluate(populated, { Reason: 'x', Status: 'Closed' }), null);
+  assert.deepStrictEqual(evaluate(populated, { Reason: ' ', Stage: 'Won' }).params.triggerFields, ['Stage']);
+
+  const closed = rule('requiredIf', 'Reason;Status', 'Closed');
+  assert.strictEqual(evaluate(closed, { Reason: '', Status: 'Open' }), null);
+  assert.strictEqual(evaluate(closed, { Reason: '', Status: ' Closed ' }).code, 'CONDITIONAL_REQUIRED_MISSING');
+});
+
+test('sum compares the parts with the total within the tolerance', () => {
+  const exact = rule('sum', 'Total;A;B');
+  assert.strictEqual(evaluate(exact, { Total: '0.3', A: '0.1', B: '0.2' }), null);
+  assert.strictEqual(evaluate(exact, { Total: '5', A: '2', B: '' }).params.sum, 2);
+  assert.strictEqual(evaluate(exact, { Total: '5', A: 'two', B: '3' }), null);
+
+  const loose = rule('sum', 'Total;A;B', '0.5');
+  assert.strictEqual(evaluate(loose, { Total: '10', A: '4.6', B: '5' }), null);
+  assert.strictEqual(evaluate(loose, { Total: '10', A: '4', B: '5' }).code, 'SUM_MISMATCH');
+});
+
+test('rules with bad settings are rejected', () => {
+  assert.throws(() => rule('sum', 'Total;A;B', '-1'), /must be zero or more/);
+  assert.throws(() => rule('sum', 'Total;A;B', 'x'), /is not a number/);
+  assert.throws(() => rule('compare', 'A;B', '=>'), /unknown operator/);
+  assert.throws(() => rule('requiredIf', 'A'), /at least one trigger/);
+  assert.throws(() => rule('between', 'A;B'), /unknown rule type/);
+});
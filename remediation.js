@@ -0,0 +1,186 @@
+/**
+ * Transforms that fix mechanical problems in input values.
+ *
+ * Transforms are configured per field in the mapping's Transforms column as a
+ * semicolon-separated list, applied in order. A transform may take arguments
+ * in parentheses, separated by '|', e.g. `trim; date(dd/MM/yyyy|d.M.yyyy)`.
+ * `auto` stands for trim plus every transform that suits the field's type.
+ * Each transform returns the value unchanged when it cannot fix it safely.
+ */
+
+const { parseWithFormat, formatDateComponents } = require('./dateFormats');
+const { splitMultiPicklist } = require('./salesforceTypes');
+
+const TRUE_VALUES = ['true', 't', 'yes', 'y', '1', 'on', 'checked'];
+const FALSE_VALUES = ['false', 'f', 'no', 'n', '0', 'off', 'unchecked'];
+
+// Format written by the date transform when the field declares none
+const DEFAULT_TARGET_FORMATS = { date: 'ISO_DATE', timestamp: 'ISO_DATETIME', time: 'ISO_TIME' };
+
+// Formats the date transform recognises without arguments. Day/month order is
+// ambiguous in formats like 01/02/2024, so those must be listed explicitly.
+const DEFAULT_SOURCE_FORMATS = {
+  date: ['yyyy-MM-dd', 'yyyy/MM/dd', 'yyyy.MM.dd', 'yyyyMMdd', 'yyyy-M-d', 'dd.MM.yyyy'],
+  timestamp: [
+    "yyyy-MM-dd'T'HH:mm[:ss][.SSS]X",
+    'yyyy-MM-dd HH:mm[:ss][.SSS]X',
+    'yyyy-MM-dd HH:mm[:ss][.SSS] X',
+    'yyyy/MM/dd HH:mm[:ss][.SSS]X'
+  ],
+  time: ['HH:mm', 'H:mm', 'H:mm:ss', 'h:mm a', 'h:mm:ss a', 'h:mma', "HH:mm:ss[.SSS]'Z'"]
+};
+
+const TRANSFORMS = {
+  trim: {
+    description: 'Remove whitespace around the value',
+    types: null,
+    apply: (value) => value.trim()
+  },
+  boolean: {
+    description: 'Write Yes/No, Y/N, 1/0, On/Off as true/false',
+    types: ['boolean'],
+    apply: (value) => {
+      const text = value.trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return 'true';
+      if (FALSE_VALUES.includes(text)) return 'false';
+      return value;
+    }
+  },
+  'pad-scale': {
+    description: 'Zero-pad decimals to the declared scale (never rounds)',
+    types: ['decimal', 'currency', 'percent'],
+    apply: (value, context) => {
+      const match = /^([+-]?\d*)\.(\d*)$/.exec(value.trim());
+      if (!match || context.scale === null || match[2].length >= context.scale) return value;
+      return `${match[1] || '0'}.${match[2].padEnd(context.scale, '0')}`;
+    }
+  },
+  date: {
+    description: 'Rewrite recognisable dates and times in the declared format',
+    types: ['date', 'timestamp', 'time'],
+    apply: (value, context, args) => {
+      const kind = context.dataType;
+      const target = context.format || DEFAULT_TARGET_FORMATS[kind];
+      const text = value.trim();
+      if (!target || parseWithFormat(text, target).isValid) return value;
+
+      const sources = args.length > 0 ? args : DEFAULT_SOURCE_FORMATS[kind];
+      for (const source of sources) {
+        const parsed = parseWithFormat(text, source);
+        if (parsed.isValid) {
+          const formatted = formatDateComponents(parsed.components, target);
+          return formatted !== null ? formatted : value;
+        }
+      }
+      return value;
+    }
+  },
+  'picklist-case': {
+    description: 'Use the case of the allowed value that matches ignoring case',
+    types: null,
+    needsAllowedValues: true,
+    apply: (value, context) => {
+      if (context.allowedValues.length === 0) return value;
+      const byLowerCase = new Map(context.allowedValues.map(allowed => [allowed.toLowerCase(), allowed]));
+      const fix = (item) => byLowerCase.get(item.trim().toLowerCase()) || item;
+      return context.dataType === 'multipicklist'
+        ? splitMultiPicklist(value).map(fix).join(';')
+        : fix(value);
+    }
+  }
+};
+
+/**
+ * Split a Transforms column value into transform steps
+ * @param {string} text - e.g. "trim; date(dd/MM/yyyy|MM-dd-yyyy)"
+ * @returns {Array} [{ name, args }]
+ * @throws {Error} When a transform is unknown or malformed
+ */
+function parseTransforms(text) {
+  if (!text || !text.trim()) return [];
+
+  // Separators inside parentheses belong to the arguments
+  const steps = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ';' && depth === 0) {
+      steps.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  steps.push(current);
+
+  return steps.map(step => step.trim()).filter(Boolean).map(step => {
+    const match = /^([\w-]+)\s*(?:\((.*)\))?$/.exec(step);
+    if (!match) {
+      throw new Error(`Malformed transform '${step}' (expected name or name(arg|arg))`);
+    }
+    const name = match[1].toLowerCase();
+    if (name !== 'auto' && !TRANSFORMS[name]) {
+      throw new Error(`Unknown transform '${match[1]}' (expected one of: auto, ${Object.keys(TRANSFORMS).join(', ')})`);
+    }
+    const args = match[2] !== undefined ? match[2].split('|').map(arg => arg.trim()).filter(Boolean) : [];
+    return { name, args };
+  });
+}
+
+/**
+ * Check whether a transform does anything for a field
+ * @param {string} name - Transform name
+ * @param {Object} context - Transform context (dataType, allowedValues)
+ */
+function transformApplies(name, context) {
+  const transform = TRANSFORMS[name];
+  if (transform.needsAllowedValues) {
+    return context.allowedValues.length > 0;
+  }
+  return !transform.types || transform.types.includes(context.dataType);
+}
+
+/**
+ * Replace `auto` with trim and the transforms that suit the field
+ * @param {Array} steps - Steps from parseTransforms
+ * @param {Object} context - Transform context (dataType, allowedValues)
+ */
+function expandTransforms(steps, context) {
+  return steps.flatMap(step => step.name !== 'auto'
+    ? [step]
+    : Object.keys(TRANSFORMS).filter(name => transformApplies(name, context)).map(name => ({ name, args: [] })));
+}
+
+/**
+ * Apply transform steps to a value
+ * @param {string} value - Input value
+ * @param {Array} steps - Expanded transform steps
+ * @param {Object} context - { dataType, scale, format, allowedValues }
+ * @returns {Object} { value, applied } - applied lists the transforms that changed the value
+ */
+function applyTransforms(value, steps, context) {
+  let current = value;
+  const applied = [];
+  if (current === undefined || current === null) {
+    return { value: current, applied };
+  }
+
+  steps.forEach(({ name, args }) => {
+    const next = TRANSFORMS[name].apply(current, context, args);
+    if (next !== current) {
+      applied.push(name);
+      current = next;
+    }
+  });
+  return { value: current, applied };
+}
+
+module.exports = {
+  TRANSFORMS,
+  parseTransforms,
+  transformApplies,
+  expandTransforms,
+  applyTransforms
+};
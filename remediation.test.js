@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CSVValidator = require('./csvValidator');
+const { parseTransforms, expandTransforms, applyTransforms } = require('./remediation');
+
+test.mock.method(console, 'log', () => {});
+
+const MAPPING = [
+  'Target Field Name,Null Allowed,Target Data Type,Allowed Values,Transforms',
+  'Code,No,string,,',
+  'Active,Yes,boolean,,auto',
+  'Amount,Yes,"DECIMAL(18,2)",,auto',
+  'Stage,Yes,picklist,"Open,Closed Won",auto',
+  'Day,Yes,date,,date(dd/MM/yyyy)',
+  ''
+].join('\n');
+
+const DATE = { dataType: 'date', scale: null, format: null, allowedValues: [] };
+
+test('transform lists parse, with arguments kept apart from the separators', () => {
+  assert.deepStrictEqual(parseTransforms(' trim; date(dd/MM/yyyy|d.M.yyyy) ;AUTO'), [
+    { name: 'trim', args: [] },
+    { name: 'date', args: ['dd/MM/yyyy', 'd.M.yyyy'] },
+    { name: 'auto', args: [] }
+  ]);
+  assert.deepStrictEqual(parseTransforms(''), []);
+  assert.throws(() => parseTransforms('trim;uppercase'), /Unknown transform 'uppercase'/);
+  assert.throws(() => parseTransforms('date(dd/MM/yyyy'), /Malformed transform/);
+});
+
+test('auto expands to trim and the transforms that suit the field', () => {
+  const names = (context) => expandTransforms([{ name: 'auto', args: [] }], context).map(step => step.name);
+  assert.deepStrictEqual(names({ dataType: 'boolean', allowedValues: [] }), ['trim', 'boolean']);
+  assert.deepStrictEqual(names({ dataType: 'decimal', allowedValues: [] }), ['trim', 'pad-scale']);
+  assert.deepStrictEqual(names({ dataType: 'date', allowedValues: [] }), ['trim', 'date']);
+  assert.deepStrictEqual(names({ dataType: 'picklist', allowedValues: ['Open'] }), ['trim', 'picklist-case']);
+  assert.deepStrictEqual(names({ dataType: 'string', allowedValues: [] }), ['trim']);
+});
+
+test('the date transform reads the listed formats, or unambiguous ones without arguments', () => {
+  const steps = (text) => expandTransforms(parseTransforms(text), DATE);
+  assert.deepStrictEqual(applyTransforms('05/03/2024', steps('date(dd/MM/yyyy)'), DATE), { value: '2024-03-05', applied: ['date'] });
+  assert.strictEqual(applyTransforms('2024/03/05', steps('date'), DATE).value, '2024-03-05');
+  // Day/month order is not guessed, and an impossible date is left alone
+  assert.strictEqual(applyTransforms('05/03/2024', steps('date'), DATE).value, '05/03/2024');
+  assert.strictEqual(applyTransforms('31/02/2024', steps('date(dd/MM/yyyy)'), DATE).value, '31/02/2024');
+  // A declared Format is the target
+  const context = { ...DATE, format: 'dd.MM.yyyy' };
+  assert.strictEqual(applyTransforms('2024-03-05', expandTransforms(parseTransforms('date'), context), context).value, '05.03.2024');
+});
+
+test('fix mode rewrites only changed cells, keeps quoting and logs every change', async (t) => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-validator-fix-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(folder, 'map.csv'), MAPPING);
+  fs.writeFileSync(path.join(folder, 'in.csv'), [
+    'Code,Active,Amount,Stage,Day',
+    ' A1 ,Yes,"1,5",closed won,05/03/2024',
+    'B2,true,2.50,Open,2024-03-05',
+    '"C,3", y ,7.1,"closed WON",31/02/2024',
+    ''
+  ].join('\r\n'));
+
+  const validator = new CSVValidator();
+  await validator.loadMappingRules(path.join(folder, 'map.csv'));
+  const result = await validator.fixInputFile(path.join(folder, 'in.csv'), path.join(folder, 'fixed.csv'));
+
+  // Code has no transforms, so its spaces stay; the unfixable Amount and Day values stay too
+  assert.strictEqual(fs.readFileSync(path.join(folder, 'fixed.csv'), 'utf8'), [
+    'Code,Active,Amount,Stage,Day',
+    ' A1 ,true,"1,5",Closed Won,2024-03-05',
+    'B2,true,2.50,Open,2024-03-05',
+    '"C,3",true,7.10,"Closed Won",31/02/2024',
+    ''
+  ].join('\r\n'));
+  assert.strictEqual(fs.readFileSync(result.changeLogFile, 'utf8'), [
+    'Row #,Column #,Field Name,Transforms,Before,After',
+    '1,2,Active,boolean,Yes,true',
+    '1,4,Stage,picklist-case,closed won,Closed Won',
+    '1,5,Day,date,05/03/2024,2024-03-05',
+    '3,2,Active,trim;boolean, y ,true',
+    '3,3,Amount,pad-scale,7.1,7.10',
+    '3,4,Stage,picklist-case,closed WON,Closed Won',
+    ''
+  ].join('\n'));
+  assert.strictEqual(result.changeLogFile, path.join(folder, 'fixed_changes.csv'));
+  assert.deepStrictEqual([result.totalRecords, result.changedRecords, result.changedCells], [3, 2, 6]);
+  assert.deepStrictEqual(result.changesByField, { Active: 2, Stage: 2, Day: 1, Amount: 1 });
+});
@@ -0,0 +1,323 @@
+const fs = require('fs');
+const csv = require('csv-parser');
+const { BufferedLineWriter } = require('./fileUtils');
+
+// Columns appended to every line of the rejects file. Header validation ignores
+// them, so a corrected rejects file can be validated under the same mapping.
+const REJECT_COLUMNS = ['Reject Row Number', 'Reject Codes', 'Reject Messages'];
+
+const LINE_ENDING_PATTERN = /(\r\n|\n|\r)$/;
+
+/**
+ * Stream the raw byte range and parsed cells of every record in a delimited file
+ * @param {string} filePath - Path to the file
+ * @param {string} delimiter - Delimiter character
+ * @param {Function} onRecord - Called with (rowNumber, start, end, cells); the header is row 0
+ * @returns {Promise<void>}
+ */
+function forEachRawRecord(filePath, delimiter, onRecord) {
+  return new Promise((resolve, reject) => {
+    let pending = null;
+    const parser = csv({ separator: delimiter, headers: false, outputByteOffset: true });
+    const emit = (end) => {
+      try {
+        onRecord(pending.rowNumber, pending.start, end, pending.cells);
+        return true;
+      } catch (error) {
+        parser.destroy();
+        reject(error);
+        return false;
+      }
+    };
+
+    fs.createReadStream(filePath)
+      .pipe(parser)
+      .on('data', ({ row, byteOffset }) => {
+        if (pending && !emit(byteOffset)) return;
+        pending = { rowNumber: pending ? pending.rowNumber + 1 : 0, start: byteOffset, cells: Object.values(row) };
+      })
+      .on('end', () => {
+        if (pending && !emit(fs.statSync(filePath).size)) return;
+        resolve();
+      })
+      .on('error', reject);
+  });
+}
+
+/**
+ * Quote a value for a delimited file when it holds the delimiter, quotes or
+ * line breaks, or when quoting is forced
+ * @param {*} value - Value to write
+ * @param {string} delimiter - Delimiter character
+ * @param {boolean} forceQuotes - Quote even when not needed
+ */
+function formatCell(value, delimiter, forceQuotes = false) {
+  const text = String(value);
+  return forceQuotes || text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Find which cells of a raw record are quoted
+ * @param {string} text - Raw record text without its line ending
+ * @param {string} delimiter - Delimiter character
+ * @returns {boolean[]} One flag per cell
+ */
+function findQuotedCells(text, delimiter) {
+  const quoted = [];
+  let cellStart = true;
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (cellStart) {
+      cellStart = false;
+      quoted.push(char === '"');
+      if (char === '"') {
+        inQuotes = true;
+        continue;
+      }
+    }
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      }
+    } else if (char === delimiter) {
+      cellStart = true;
+    }
+  }
+  if (cellStart) {
+    quoted.push(false); // Empty last cell
+  }
+  return quoted;
+}
+
+/**
+ * Split a raw record into its body and line ending
+ * @param {Buffer} record - Raw record bytes
+ * @returns {Object} { body, lineEnding } - lineEnding is '' for a last line without one
+ */
+function splitLineEnding(record) {
+  const match = record.toString('latin1').match(LINE_ENDING_PATTERN);
+  return match
+    ? { body: record.subarray(0, record.length - match[0].length), lineEnding: match[0] }
+    : { body: record, lineEnding: '' };
+}
+
+/**
+ * Writes the records of an input file to a clean file and a rejects file while
+ * it is being validated.
+ *
+ * Records are copied byte for byte from the input, so the clean file keeps the
+ * original delimiter, quoting, column order and line endings. Rejected records
+ * get REJECT_COLUMNS appended. Duplicate keys are only known once the whole file
+ * has been read, so rows in duplicate groups are moved from the clean file to
+ * the rejects file in a second pass when finishing.
+ */
+class RowSplitter {
+  constructor(inputFilePath, delimiter, options = {}) {
+    this.inputFilePath = inputFilePath;
+    this.delimiter = delimiter;
+    this.cleanFile = options.cleanFile;
+    this.rejectsFile = options.rejectsFile;
+    this.fd = fs.openSync(inputFilePath, 'r');
+    this.cleanWriter = new BufferedLineWriter(this.cleanFile);
+    this.rejectsWriter = new BufferedLineWriter(this.rejectsFile);
+    this.lineEnding = '\n';
+    this.pending = null;
+    this.headerWritten = false;
+    this.rejected = new Uint8Array(1024); // Bit per row: row was written to the rejects file
+    this.cleanRows = 0;
+    this.rejectedRows = 0;
+  }
+
+  /**
+   * Read a byte range of the input file
+   * @param {number} start - First byte
+   * @param {number} end - Byte after the last one
+   */
+  readRange(start, end) {
+    const buffer = Buffer.alloc(end - start);
+    fs.readSync(this.fd, buffer, 0, buffer.length, start);
+    return buffer;
+  }
+
+  /**
+   * Append the reject columns to a raw record, keeping its line ending
+   * @param {Buffer} record - Raw record bytes
+   * @param {Array} values - Values for REJECT_COLUMNS
+   */
+  appendColumns(record, values) {
+    const { body, lineEnding } = splitLineEnding(record);
+    const extra = values.map(value => `${this.delimiter}${formatCell(value, this.delimiter)}`).join('');
+    return Buffer.concat([body, Buffer.from(extra), Buffer.from(lineEnding || this.lineEnding)]);
+  }
+
+  /**
+   * Write the header line to both files
+   * @param {number} end - Byte offset where the first record starts
+   */
+  writeHeader(end) {
+    const header = this.readRange(0, end);
+    this.lineEnding = splitLineEnding(header).lineEnding || this.lineEnding;
+    this.cleanWriter.write(header);
+    this.rejectsWriter.write(this.appendColumns(header, REJECT_COLUMNS));
+    this.headerWritten = true;
+  }
+
+  /**
+   * Mark a row as written to the rejects file
+   * @param {number} rowNumber - 1-based data row number
+   */
+  markRejected(rowNumber) {
+    if (rowNumber >> 3 >= this.rejected.length) {
+      const grown = new Uint8Array(Math.max(this.rejected.length * 2, (rowNumber >> 3) + 1));
+      grown.set(this.rejected);
+      this.rejected = grown;
+    }
+    this.rejected[rowNumber >> 3] |= 1 << (rowNumber & 7);
+  }
+
+  /**
+   * Check whether a row was written to the rejects file
+   * @param {number} rowNumber - 1-based data row number
+   */
+  isRejected(rowNumber) {
+    return rowNumber >> 3 < this.rejected.length && (this.rejected[rowNumber >> 3] & (1 << (rowNumber & 7))) !== 0;
+  }
+
+  /**
+   * Write a record to the clean or rejects file
+   * @param {number} rowNumber - 1-based data row number
+   * @param {Buffer} record - Raw record bytes
+   * @param {Array} errors - Error issues of the row (empty for a clean row)
+   * @param {BufferedLineWriter} cleanWriter - Writer for clean rows
+   */
+  writeRecord(rowNumber, record, errors, cleanWriter = this.cleanWriter) {
+    if (errors.length === 0) {
+      cleanWriter.write(record);
+      this.cleanRows++;
+      return;
+    }
+
+    const codes = Array.from(new Set(errors.map(issue => issue.code))).join(';');
+    const messages = errors.map(issue => issue.message).join(' | ');
+    this.rejectsWriter.write(this.appendColumns(record, [rowNumber, codes, messages]));
+    this.markRejected(rowNumber);
+    this.rejectedRows++;
+  }
+
+  /**
+   * Route a validated row. Its raw bytes are copied once the next row's offset is known.
+   * @param {number} rowNumber - 1-based data row number
+   * @param {number} byteOffset - Offset of the row in the input file (from csv-parser)
+   * @param {Array} errors - Error issues of the row
+   */
+  addRow(rowNumber, byteOffset, errors) {
+    if (!this.headerWritten) {
+      this.writeHeader(byteOffset);
+    }
+    this.flushPending(byteOffset);
+    this.pending = { rowNumber, start: byteOffset, errors };
+  }
+
+  /**
+   * Write the pending row, which ends where the next one starts
+   * @param {number} end - Byte offset of the next row, or the file size
+   */
+  flushPending(end) {
+    if (!this.pending) return;
+    const { rowNumber, start, errors } = this.pending;
+    this.writeRecord(rowNumber, this.readRange(start, end), errors);
+    this.pending = null;
+  }
+
+  /**
+   * Write the last row, move rows of duplicate key groups to the rejects file, and close both files
+   * @param {Array} duplicateGroups - DUPLICATE_KEY issues of the run
+   * @returns {Promise<Object>} { cleanFile, rejectsFile, cleanRows, rejectedRows }
+   */
+  async finish(duplicateGroups = []) {
+    const fileSize = fs.fstatSync(this.fd).size;
+    if (!this.headerWritten) {
+      this.writeHeader(fileSize);
+    }
+    this.flushPending(fileSize);
+
+    // Rows already rejected for their own errors stay as they are
+    const duplicateRows = new Map();
+    duplicateGroups.forEach(issue => {
+      issue.params.rowNumbers.forEach(rowNumber => {
+        if (this.isRejected(rowNumber)) return;
+        if (!duplicateRows.has(rowNumber)) {
+          duplicateRows.set(rowNumber, []);
+        }
+        duplicateRows.get(rowNumber).push(issue);
+      });
+    });
+
+    try {
+      if (duplicateRows.size > 0) {
+        await this.moveDuplicateRows(duplicateRows);
+      }
+    } finally {
+      this.close();
+    }
+
+    return {
+      cleanFile: this.cleanFile,
+      rejectsFile: this.rejectsFile,
+      cleanRows: this.cleanRows,
+      rejectedRows: this.rejectedRows
+    };
+  }
+
+  /**
+   * Rewrite the clean file without the given rows and append them to the rejects file
+   * @param {Map} duplicateRows - Row number -> DUPLICATE_KEY issues
+   */
+  async moveDuplicateRows(duplicateRows) {
+    this.cleanWriter.close();
+    const tempFile = `${this.cleanFile}.tmp`;
+    const cleanWriter = new BufferedLineWriter(tempFile);
+    this.cleanRows = 0;
+
+    try {
+      await forEachRawRecord(this.inputFilePath, this.delimiter, (rowNumber, start, end) => {
+        if (rowNumber === 0) {
+          cleanWriter.write(this.readRange(start, end));
+          return;
+        }
+        if (this.isRejected(rowNumber)) return;
+        this.writeRecord(rowNumber, this.readRange(start, end), duplicateRows.get(rowNumber) || [], cleanWriter);
+      });
+      cleanWriter.close();
+      fs.renameSync(tempFile, this.cleanFile);
+    } catch (error) {
+      cleanWriter.close();
+      fs.rmSync(tempFile, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Close the input and both output files
+   */
+  close() {
+    this.cleanWriter.close();
+    this.rejectsWriter.close();
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = {
+  REJECT_COLUMNS,
+  forEachRawRecord,
+  formatCell,
+  findQuotedCells,
+  splitLineEnding,
+  RowSplitter
+};
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CSVValidator = require('./csvValidator');
+const { forEachRawRecord, formatCell, findQuotedCells, splitLineEnding } = require('./rowSplitter');
+
+test.mock.method(console, 'log', () => {});
+
+const MAPPING = 'Target Field Name,Null Allowed,Target Data Type,Primary Key\nCode,No,string,Yes\nName,No,string,\n';
+
+const REQUIRED = "Field 'Name' is required (Null Allowed: No) but contains empty/null/blank value";
+const DUPLICATE = "Primary Key violated: 'Code' = 1 appears in rows 1, 2";
+
+function tempFolder(t) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-validator-split-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  return folder;
+}
+
+async function split(folder, input, options = {}) {
+  fs.writeFileSync(path.join(folder, 'map.csv'), MAPPING);
+  fs.writeFileSync(path.join(folder, 'in.csv'), input);
+  const validator = new CSVValidator();
+  await validator.loadMappingRules(path.join(folder, 'map.csv'));
+  await validator.validateInputFile(path.join(folder, 'in.csv'), ';', {
+    cleanFile: path.join(folder, 'clean.csv'),
+    rejectsFile: path.join(folder, 'rejects.csv'),
+    issuesFile: path.join(folder, 'issues.ndjson'),
+    ...options
+  });
+  return {
+    result: validator.splitResult,
+    clean: fs.readFileSync(path.join(folder, 'clean.csv'), 'utf8'),
+    rejects: fs.readFileSync(path.join(folder, 'rejects.csv'), 'utf8')
+  };
+}
+
+// Rows 1 and 2 share a key, row 3 misses its name, row 4 is clean
+const INPUT = 'Code;Name\r\n1;"Ann; Smith"\r\n1;Bo\r\n2;\r\n3;"Cy ""C"""\r\n';
+
+for (const streaming of [false, true]) {
+  test(`clean rows are copied byte for byte and duplicate rows are moved to the rejects file${streaming ? ' (streaming)' : ''}`, async (t) => {
+    const { result, clean, rejects } = await split(tempFolder(t), INPUT, { streaming });
+    assert.strictEqual(clean, 'Code;Name\r\n3;"Cy ""C"""\r\n');
+    assert.strictEqual(rejects, [
+      'Code;Name;Reject Row Number;Reject Codes;Reject Messages',
+      `2;;3;REQUIRED_MISSING;${REQUIRED}`,
+      `1;"Ann; Smith";1;DUPLICATE_KEY;${DUPLICATE}`,
+      `1;Bo;2;DUPLICATE_KEY;${DUPLICATE}`,
+      ''
+    ].join('\r\n'));
+    assert.deepStrictEqual([result.cleanRows, result.rejectedRows], [1, 3]);
+  });
+}
+
+test('a duplicate row already rejected for its own errors is written once', async (t) => {
+  const { result, clean, rejects } = await split(tempFolder(t), 'Code;Name\n1;\n1;Bo\n2;Cy');
+  assert.strictEqual(clean, 'Code;Name\n2;Cy');
+  assert.strictEqual(rejects, [
+    'Code;Name;Reject Row Number;Reject Codes;Reject Messages',
+    `1;;1;REQUIRED_MISSING;${REQUIRED}`,
+    `1;Bo;2;DUPLICATE_KEY;${DUPLICATE}`,
+    ''
+  ].join('\n'));
+  assert.deepStrictEqual([result.cleanRows, result.rejectedRows], [1, 2]);
+});
+
+test('raw records keep their byte ranges, quoted line breaks included', async (t) => {
+  const folder = tempFolder(t);
+  const filePath = path.join(folder, 'in.csv');
+  const content = 'a,b\n1,"x\ny"\n2,z';
+  fs.writeFileSync(filePath, content);
+  const records = [];
+  await forEachRawRecord(filePath, ',', (rowNumber, start, end, cells) => {
+    records.push([rowNumber, content.slice(start, end), cells]);
+  });
+  assert.deepStrictEqual(records, [
+    [0, 'a,b\n', ['a', 'b']],
+    [1, '1,"x\ny"\n', ['1', 'x\ny']],
+    [2, '2,z', ['2', 'z']]
+  ]);
+});
+
+test('cells are quoted only when they need it', () => {
+  assert.strictEqual(formatCell('plain', ','), 'plain');
+  assert.strictEqual(formatCell('a;b', ';'), '"a;b"');
+  assert.strictEqual(formatCell('say "hi"', ','), '"say ""hi"""');
+  assert.strictEqual(formatCell('two\nlines', ','), '"two\nlines"');
+  assert.strictEqual(formatCell('x', ',', true), '"x"');
+});
+
+test('quoted cells and line endings of a raw record are found', () => {
+  assert.deepStrictEqual(findQuotedCells('1,"a,""b""",c,', ','), [false, true, false, false]);
+  assert.deepStrictEqual(findQuotedCells('"x"', ','), [true]);
+
+  const { body, lineEnding } = splitLineEnding(Buffer.from('1,2\r\n'));
+  assert.deepStrictEqual([body.toString(), lineEnding], ['1,2', '\r\n']);
+  assert.strictEqual(splitLineEnding(Buffer.from('1,2')).lineEnding, '');
+});
@@ -0,0 +1,222 @@
+/**
+ * Run snapshots and the comparison of two runs.
+ *
+ * A snapshot is a compact JSON record of one validation run: its totals, the
+ * per-field and per-code error counts, and one entry per issue identified by
+ * record key, field and code (not row number, so a feed that is re-sorted
+ * between runs still compares cleanly). Comparing two snapshots shows what
+ * changed: totals, counts per field and type, and issues that are new or resolved.
+ *
+ * A record key should name one record. Where it names several, their issues
+ * are told apart by row number, and the snapshot lists the repeated keys.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { forEachLineSync, BufferedLineWriter } = require('./fileUtils');
+
+const SNAPSHOT_VERSION = 1;
+
+// Repeated record keys listed in a snapshot; all of them are counted
+const DUPLICATE_KEY_SAMPLE_SIZE = 100;
+
+// Totals compared between runs, in report order
+const SUMMARY_METRICS = [
+  ['totalRecords', 'Total Records'],
+  ['validRecords', 'Valid Records'],
+  ['invalidRecords', 'Invalid Records'],
+  ['totalErrors', 'Total Errors'],
+  ['totalWarnings', 'Total Warnings'],
+  ['duplicateGroups', 'Duplicate Key Groups'],
+  ['successRate', 'Success Rate']
+];
+
+/**
+ * Issue identities of a run, collected for its snapshot. In streaming mode
+ * they are appended to a temporary NDJSON file instead of held in memory.
+ */
+class SnapshotIssueLog {
+  /**
+   * @param {Object} options - { spill: write to disk, tempDir: where (default: the system temp folder) }
+   */
+  constructor(options = {}) {
+    this.count = 0;
+    this.memory = options.spill ? null : [];
+    this.spillDir = null;
+    this.writer = null;
+    if (options.spill) {
+      this.spillDir = fs.mkdtempSync(path.join(options.tempDir || os.tmpdir(), 'csv-validator-snapshot-'));
+      this.writer = new BufferedLineWriter(path.join(this.spillDir, 'issues.ndjson'), 256 * 1024);
+    }
+  }
+
+  /**
+   * @param {Array} entry - [recordKey, field, code, severity, rowNumber]
+   */
+  add(entry) {
+    this.count++;
+    if (this.memory) {
+      this.memory.push(entry);
+    } else {
+      this.writer.writeLine(JSON.stringify(entry));
+    }
+  }
+
+  /**
+   * Call a function for every entry, in the order they were added
+   * @param {Function} callback - Called with (entry)
+   */
+  forEach(callback) {
+    if (this.memory) {
+      this.memory.forEach(entry => callback(entry));
+      return;
+    }
+    this.writer.flush();
+    forEachLineSync(this.writer.filePath, (line) => {
+      if (line) callback(JSON.parse(line));
+    });
+  }
+
+  /**
+   * Remove the temporary file
+   */
+  cleanup() {
+    if (this.writer) {
+      this.writer.close();
+      this.writer = null;
+    }
+    if (this.spillDir) {
+      fs.rmSync(this.spillDir, { recursive: true, force: true });
+      this.spillDir = null;
+    }
+  }
+}
+
+/**
+ * Read and check a snapshot file
+ * @param {string} filePath - Path to a snapshot written by saveRunSnapshot
+ * @returns {Object} The snapshot
+ */
+function readSnapshot(filePath) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read snapshot '${filePath}': ${error.message}`);
+  }
+  if (!snapshot || snapshot.snapshotVersion !== SNAPSHOT_VERSION) {
+    throw new Error(`'${filePath}' is not a version ${SNAPSHOT_VERSION} run snapshot (write one with --snapshot)`);
+  }
+  return snapshot;
+}
+
+/**
+ * Compare two count tables
+ * @param {Object} baseline - Name -> count
+ * @param {Object} current - Name -> count
+ * @returns {Array} [{ name, baseline, current, change }], biggest change first; unchanged entries are left out
+ */
+function compareCounts(baseline = {}, current = {}) {
+  const names = new Set([...Object.keys(baseline), ...Object.keys(current)]);
+  return Array.from(names)
+    .map(name => {
+      const before = baseline[name] || 0;
+      const after = current[name] || 0;
+      return { name, baseline: before, current: after, change: after - before };
+    })
+    .filter(entry => entry.change !== 0)
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Count snapshot issues by identity
+ * @param {Array} issues - Snapshot issue tuples [recordKey, field, code, severity]
+ */
+function countIssues(issues) {
+  const counts = new Map();
+  issues.forEach(tuple => {
+    const id = JSON.stringify(tuple);
+    counts.set(id, (counts.get(id) || 0) + 1);
+  });
+  return counts;
+}
+
+/**
+ * Issues present in one count table but not (or less often) in the other
+ * @param {Map} from - Issue counts to look in
+ * @param {Map} other - Issue counts to subtract
+ */
+function issueDifference(from, other) {
+  const difference = [];
+  from.forEach((count, id) => {
+    const extra = count - (other.get(id) || 0);
+    if (extra <= 0) return;
+    const [recordKey, field, code, severity] = JSON.parse(id);
+    difference.push({ recordKey, field, code, severity, count: extra });
+  });
+  return difference;
+}
+
+/**
+ * Describe the run a snapshot came from
+ * @param {Object} snapshot - Run snapshot
+ * @param {string} filePath - Where it was read from
+ */
+function describeRun(snapshot, filePath) {
+  return {
+    snapshotFile: filePath,
+    generatedAt: snapshot.generatedAt,
+    inputFile: snapshot.inputFile,
+    recordKey: snapshot.recordKey
+  };
+}
+
+/**
+ * Compare a baseline run with a current run
+ * @param {Object} baseline - Baseline snapshot
+ * @param {Object} current - Current snapshot
+ * @param {Object} files - { baseline, current } snapshot paths, for the report
+ * @returns {Object} { baseline, current, recordKeyMismatch, duplicateRecordKeys, metrics, fields, errorTypes, newIssues, resolvedIssues, regressed }
+ */
+function compareSnapshots(baseline, current, files = {}) {
+  const baselineIssues = countIssues(baseline.issues);
+  const currentIssues = countIssues(current.issues);
+  const newIssues = issueDifference(currentIssues, baselineIssues);
+  const resolvedIssues = issueDifference(baselineIssues, currentIssues);
+
+  const metrics = SUMMARY_METRICS.map(([key, label]) => ({
+    name: label,
+    baseline: baseline.summary[key],
+    current: current.summary[key],
+    change: current.summary[key] - baseline.summary[key]
+  }));
+
+  return {
+    baseline: describeRun(baseline, files.baseline || null),
+    current: describeRun(current, files.current || null),
+    // Issue identities only line up when both runs keyed records the same way
+    recordKeyMismatch: JSON.stringify(baseline.recordKey) !== JSON.stringify(current.recordKey),
+    // Issues of a repeated key are identified by row number, which shifts when a feed is re-sorted
+    duplicateRecordKeys: {
+      baseline: baseline.duplicateRecordKeyCount || 0,
+      current: current.duplicateRecordKeyCount || 0
+    },
+    metrics,
+    fields: compareCounts(baseline.errorsByField, current.errorsByField),
+    errorTypes: compareCounts(baseline.errorsByCode, current.errorsByCode),
+    newIssues,
+    resolvedIssues,
+    // A run regresses when it has errors the baseline did not, or a lower success rate
+    regressed: newIssues.some(issue => issue.severity === 'error') || current.summary.successRate < baseline.summary.successRate
+  };
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  DUPLICATE_KEY_SAMPLE_SIZE,
+  SnapshotIssueLog,
+  readSnapshot,
+  compareCounts,
+  compareSnapshots
+};
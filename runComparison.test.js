@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CSVValidator = require('./csvValidator');
+const { SnapshotIssueLog, compareSnapshots } = require('./runComparison');
+
+test.mock.method(console, 'log', () => {});
+
+const MAPPING = 'Target Field Name,Null Allowed,Target Data Type\nCode,No,string\nName,No,string\n';
+
+function tempFolder(t) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-validator-compare-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  return folder;
+}
+
+async function snapshotOf(folder, name, rows, options = {}) {
+  fs.writeFileSync(path.join(folder, 'map.csv'), MAPPING);
+  const inputFile = path.join(folder, `${name}.csv`);
+  fs.writeFileSync(inputFile, `Code,Name\n${rows.join('\n')}\n`);
+  const validator = new CSVValidator();
+  await validator.loadMappingRules(path.join(folder, 'map.csv'));
+  await validator.validateInputFile(inputFile, null, { snapshot: true, recordKey: ['Code'], ...options });
+  const snapshotFile = path.join(folder, `${name}.json`);
+  validator.saveRunSnapshot(snapshotFile);
+  return JSON.parse(fs.readFileSync(snapshotFile, 'utf8'));
+}
+
+test('SnapshotIssueLog spills to a temporary file and reads entries back in order', (t) => {
+  const folder = tempFolder(t);
+  const log = new SnapshotIssueLog({ spill: true, tempDir: folder });
+  log.add(['A', 'Name', 'REQUIRED_FIELD_MISSING', 'error', 1]);
+  log.add(['B', 'Name', 'REQUIRED_FIELD_MISSING', 'error', 2]);
+  assert.strictEqual(fs.readdirSync(folder).length, 1);
+
+  const entries = [];
+  log.forEach(entry => entries.push(entry));
+  assert.strictEqual(log.count, 2);
+  assert.deepStrictEqual(entries.map(entry => entry[0]), ['A', 'B']);
+
+  log.cleanup();
+  assert.deepStrictEqual(fs.readdirSync(folder), []);
+});
+
+test('a streamed snapshot matches one built in memory', async (t) => {
+  const folder = tempFolder(t);
+  const rows = ['1,Ann', '2,', '3,'];
+  const inMemory = await snapshotOf(folder, 'memory', rows);
+  const streamed = await snapshotOf(folder, 'stream', rows, { streaming: true, issuesFile: path.join(folder, 'issues.ndjson') });
+  assert.deepStrictEqual(streamed.issues, inMemory.issues);
+  assert.strictEqual(streamed.issues.length, 2);
+});
+
+test('issues of a repeated record key are kept apart by row and reported', async (t) => {
+  const folder = tempFolder(t);
+  const baseline = await snapshotOf(folder, 'baseline', ['1,', '1,Ann', '2,Bob']);
+  assert.strictEqual(baseline.duplicateRecordKeyCount, 1);
+  assert.deepStrictEqual(baseline.duplicateRecordKeys, [{ key: '1', rows: 2, rowNumbers: [1, 2] }]);
+  assert.deepStrictEqual(baseline.issues.map(issue => issue[0]), ['1 (row 1)']);
+
+  // The failing row moved: a new issue on row 2 and a resolved one on row 1, not a silent match
+  const current = await snapshotOf(folder, 'current', ['1,Ann', '1,', '2,Bob']);
+  const comparison = compareSnapshots(baseline, current);
+  assert.deepStrictEqual(comparison.duplicateRecordKeys, { baseline: 1, current: 1 });
+  assert.deepStrictEqual(comparison.newIssues.map(issue => issue.recordKey), ['1 (row 2)']);
+  assert.deepStrictEqual(comparison.resolvedIssues.map(issue => issue.recordKey), ['1 (row 1)']);
+});
+
+test('unique record keys are written as they are', async (t) => {
+  const folder = tempFolder(t);
+  const snapshot = await snapshotOf(folder, 'unique', ['1,', '2,Bob']);
+  assert.strictEqual(snapshot.duplicateRecordKeyCount, 0);
+  assert.deepStrictEqual(snapshot.issues.map(issue => issue[0]), ['1']);
+});
@@ -0,0 +1,167 @@
+/**
+ * Catalogue of Salesforce field types.
+ *
+ * A mapping's `Target Data Type` (e.g. "Text(80)", "Currency(16,2)",
+ * "Lookup(Account)", "email") is resolved against this catalogue by exact
+ * name, so every type gets its real validation semantics and platform limits.
+ */
+
+const FIELD_TYPES = {
+  string: { label: 'Text', aliases: ['string', 'text', 'varchar', 'char', 'combobox'], maxLength: 255, lengthParam: true },
+  textarea: { label: 'Text Area', aliases: ['textarea'], maxLength: 255 },
+  longtextarea: { label: 'Long Text Area', aliases: ['longtextarea', 'longtext'], maxLength: 131072, lengthParam: true },
+  richtextarea: { label: 'Rich Text Area', aliases: ['richtextarea', 'richtext', 'html'], maxLength: 131072, lengthParam: true },
+  picklist: { label: 'Picklist', aliases: ['picklist'], maxLength: 255 },
+  multipicklist: { label: 'Multi-Select Picklist', aliases: ['multipicklist', 'multiselectpicklist'], maxLength: 4099 },
+  email: { label: 'Email', aliases: ['email'], maxLength: 80 },
+  url: { label: 'URL', aliases: ['url'], maxLength: 255 },
+  phone: { label: 'Phone', aliases: ['phone'], maxLength: 40 },
+  id: { label: 'Record Id', aliases: ['id'] },
+  reference: { label: 'Lookup', aliases: ['reference', 'lookup', 'masterdetail'], referenceParam: true },
+  boolean: { label: 'Checkbox', aliases: ['boolean', 'bool', 'checkbox'] },
+  integer: { label: 'Integer', aliases: ['integer', 'int', 'long', 'bigint'] },
+  decimal: { label: 'Number', aliases: ['decimal', 'number', 'numeric', 'double', 'float'], precisionParam: true },
+  currency: { label: 'Currency', aliases: ['currency'], precision: 18, scale: 2, precisionParam: true },
+  percent: { label: 'Percent', aliases: ['percent'], precision: 18, scale: 2, precisionParam: true },
+  date: { label: 'Date', aliases: ['date'] },
+  timestamp: { label: 'Date/Time', aliases: ['datetime', 'timestamp'] },
+  time: { label: 'Time', aliases: ['time'] }
+};
+
+const ALIASES = {};
+Object.entries(FIELD_TYPES).forEach(([type, definition]) => {
+  definition.aliases.forEach(alias => {
+    ALIASES[alias] = type;
+  });
+});
+
+const ID_SUFFIX_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ012345';
+
+/**
+ * Resolve a mapping data type against the catalogue
+ * @param {string} dataType - Data type as written in the mapping (e.g. "Text(80)")
+ * @returns {Object|null} { type, label, maxLength, precision, scale, referenceTo } or null when unknown
+ */
+function resolveFieldType(dataType) {
+  if (!dataType) return null;
+
+  const match = /^\s*([A-Za-z][A-Za-z0-9 _/-]*?)\s*(?:\(\s*([^)]*?)\s*\))?\s*$/.exec(String(dataType));
+  if (!match) return null;
+
+  const name = match[1].toLowerCase().replace(/[\s_/-]/g, '');
+  const type = ALIASES[name];
+  if (!type) return null;
+
+  const definition = FIELD_TYPES[type];
+  const args = match[2] !== undefined ? match[2].split(',').map(arg => arg.trim()) : [];
+  const fieldType = {
+    type,
+    label: definition.label,
+    maxLength: definition.maxLength || null,
+    precision: definition.precision || null,
+    scale: definition.scale !== undefined ? definition.scale : null,
+    referenceTo: null
+  };
+
+  if (args.length > 0) {
+    if (definition.lengthParam && args.length === 1 && /^\d+$/.test(args[0])) {
+      fieldType.maxLength = Number(args[0]);
+    } else if (definition.precisionParam && args.length <= 2 && args.every(arg => /^\d+$/.test(arg))) {
+      fieldType.precision = Number(args[0]);
+      fieldType.scale = args.length === 2 ? Number(args[1]) : 0;
+    } else if (definition.referenceParam && args.length === 1 && args[0]) {
+      fieldType.referenceTo = args[0];
+    } else {
+      return null; // Arguments that do not fit the type are not a catalogue match
+    }
+  }
+
+  return fieldType;
+}
+
+/**
+ * Compute the 3-character case-safe suffix of a 15-character Salesforce Id
+ * @param {string} id15 - 15-character Id
+ */
+function computeIdSuffix(id15) {
+  let suffix = '';
+  for (let chunk = 0; chunk < 3; chunk++) {
+    let flags = 0;
+    for (let i = 0; i < 5; i++) {
+      const char = id15.charAt(chunk * 5 + i);
+      if (char >= 'A' && char <= 'Z') {
+        flags |= 1 << i;
+      }
+    }
+    suffix += ID_SUFFIX_CHARS.charAt(flags);
+  }
+  return suffix;
+}
+
+/**
+ * Validate a 15 or 18-character Salesforce record Id
+ * @param {string} value - The value to check
+ * @returns {Object} { isValid, code, params }
+ */
+function validateRecordId(value) {
+  const text = String(value).trim();
+  if (!/^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/.test(text)) {
+    return { isValid: false, code: 'INVALID_ID' };
+  }
+
+  if (text.length === 18) {
+    const expected = computeIdSuffix(text.slice(0, 15));
+    if (text.slice(15) !== expected) {
+      return { isValid: false, code: 'INVALID_ID_CHECKSUM', params: { suffix: text.slice(15), expectedSuffix: expected } };
+    }
+  }
+
+  return { isValid: true };
+}
+
+/**
+ * Validate an email address the way Salesforce Email fields accept it
+ * @param {string} value - The value to check
+ */
+function isValidEmail(value) {
+  return /^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*\.[A-Za-z]{2,}$/.test(value)
+    && !value.includes('..');
+}
+
+/**
+ * Validate a URL (scheme optional, as in Salesforce URL fields)
+ * @param {string} value - The value to check
+ */
+function isValidUrl(value) {
+  return /^(?:(?:https?|ftp):\/\/)?(?:[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.)+[A-Za-z]{2,}(?::\d{1,5})?(?:[/?#][^\s]*)?$/i.test(value);
+}
+
+/**
+ * Validate a phone number: optional +, 7 to 15 digits, common punctuation and an optional extension
+ * @param {string} value - The value to check
+ */
+function isValidPhone(value) {
+  const withoutExtension = value.replace(/\s*(?:x|ext\.?|extension)\s*\d{1,6}$/i, '');
+  if (!/^[\d\s+().-]+$/.test(withoutExtension)) return false;
+  const digits = withoutExtension.replace(/[\s().-]/g, '');
+  return /^\+?\d{7,15}$/.test(digits);
+}
+
+/**
+ * Split a multi-select picklist value into its items
+ * @param {string} value - Semicolon-separated value
+ */
+function splitMultiPicklist(value) {
+  return String(value).split(';').map(item => item.trim());
+}
+
+module.exports = {
+  FIELD_TYPES,
+  resolveFieldType,
+  computeIdSuffix,
+  validateRecordId,
+  isValidEmail,
+  isValidUrl,
+  isValidPhone,
+  splitMultiPicklist
+};
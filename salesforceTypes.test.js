@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveFieldType, computeIdSuffix, validateRecordId, splitMultiPicklist } = require('./salesforceTypes');
+
+test('the case-safe suffix flags upper-case letters in each block of five', () => {
+  assert.strictEqual(computeIdSuffix('0015000000Gv7qJ'), 'AAR');
+  assert.strictEqual(computeIdSuffix('001000000000000'), 'AAA');
+  assert.strictEqual(computeIdSuffix('ABCDEABCDEABCDE'), '555');
+});
+
+test('record Ids are 15 or 18 characters with a matching suffix', () => {
+  assert.strictEqual(validateRecordId('0015000000Gv7qJ').isValid, true);
+  assert.strictEqual(validateRecordId(' 0015000000Gv7qJAAR ').isValid, true);
+  assert.strictEqual(validateRecordId('0015000000Gv7qJ12').code, 'INVALID_ID');
+  assert.strictEqual(validateRecordId('0015000000Gv7q-').code, 'INVALID_ID');
+
+  // The same Id with one letter's case changed no longer matches its suffix
+  const result = validateRecordId('0015000000Gv7qjAAR');
+  assert.strictEqual(result.code, 'INVALID_ID_CHECKSUM');
+  assert.deepStrictEqual(result.params, { suffix: 'AAR', expectedSuffix: 'AAB' });
+});
+
+test('data types resolve against the catalogue with their arguments', () => {
+  const text = resolveFieldType('Text(80)');
+  assert.strictEqual(text.maxLength, 80);
+  const number = resolveFieldType('Number(5, 2)');
+  assert.deepStrictEqual([number.precision, number.scale], [5, 2]);
+  assert.strictEqual(resolveFieldType('Date/Time').type, resolveFieldType('datetime').type);
+  assert.strictEqual(resolveFieldType('Lookup(Account)').referenceTo, 'Account');
+  assert.strictEqual(resolveFieldType('Text(abc)'), null);
+  assert.strictEqual(resolveFieldType('Hologram'), null);
+});
+
+test('multi-select picklist values split on semicolons', () => {
+  assert.deepStrictEqual(splitMultiPicklist('A; B;C'), ['A', 'B', 'C']);
+});
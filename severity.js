@@ -0,0 +1,127 @@
+/**
+ * Configurable issue severity.
+ *
+ * Every issue code has a default severity in the catalogue. A mapping row can
+ * change it in its Severity column: a bare level applies to every data check
+ * of the field, and `check=level` entries apply to one check, e.g.
+ * `warning` or `maxLength=warning; pattern=info`. Record rules take a bare
+ * level. Run-wide overrides (`--severity maxLength=warning`) apply where the
+ * mapping says nothing. Only errors make a record invalid.
+ */
+
+const { ISSUE_TYPES } = require('./validationIssues');
+
+const SEVERITY_LEVELS = ['error', 'warning', 'info'];
+
+// Check names usable in severity settings, and the issue codes each one covers
+const CHECK_CODES = {
+  required: ['REQUIRED_MISSING'],
+  type: Object.keys(ISSUE_TYPES).filter(code => ISSUE_TYPES[code].detail), // Data type failures
+  minLength: ['MIN_LENGTH'],
+  maxLength: ['MAX_LENGTH'],
+  pattern: ['PATTERN_MISMATCH'],
+  allowedValues: ['VALUE_NOT_ALLOWED'],
+  reference: ['REFERENCE_NOT_FOUND'],
+  unique: ['DUPLICATE_KEY'],
+  recordRule: ['FIELD_COMPARISON_FAILED', 'CONDITIONAL_REQUIRED_MISSING', 'SUM_MISMATCH'],
+  structure: ['RECORD_LENGTH_MISMATCH', 'MALFORMED_JSON', 'COLUMN_COUNT_MISMATCH', 'UNBALANCED_QUOTES', 'BLANK_LINE', 'TRAILING_DELIMITER', 'MIXED_LINE_ENDINGS'],
+  encoding: ['INVALID_ENCODING']
+};
+
+// A bare level covers these codes; configuration problems such as INVALID_PATTERN keep their own severity
+const DATA_CHECK_CODES = new Set(Object.values(CHECK_CODES).flat());
+
+/**
+ * Check a severity level
+ * @param {string} text - error, warning or info (any case)
+ * @returns {string} The level in lower case
+ */
+function parseSeverityLevel(text) {
+  const level = String(text).trim().toLowerCase();
+  if (!SEVERITY_LEVELS.includes(level)) {
+    throw new Error(`Unknown severity '${String(text).trim()}' (expected one of: ${SEVERITY_LEVELS.join(', ')})`);
+  }
+  return level;
+}
+
+/**
+ * Resolve a check name or issue code to the issue codes it covers
+ * @param {string} check - Check name (e.g. maxLength) or issue code (e.g. DECIMAL_SCALE)
+ */
+function resolveCheck(check) {
+  const name = Object.keys(CHECK_CODES).find(key => key.toLowerCase() === check.toLowerCase());
+  if (name) return CHECK_CODES[name];
+  const code = check.toUpperCase();
+  if (ISSUE_TYPES[code]) return [code];
+  throw new Error(`Unknown check '${check}' (expected one of: ${Object.keys(CHECK_CODES).join(', ')}, or an issue code)`);
+}
+
+/**
+ * Parse a severity setting
+ * @param {string} text - e.g. "warning" or "maxLength=warning; pattern=info" (';' or ',' separated)
+ * @returns {Object|null} { level, overrides: { CODE: level } }, or null when empty
+ */
+function parseSeverity(text) {
+  if (!text || !String(text).trim()) return null;
+
+  const severity = { level: null, overrides: {} };
+  String(text).split(/[;,]/).map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const equalsIndex = entry.indexOf('=');
+    if (equalsIndex === -1) {
+      if (severity.level) {
+        throw new Error(`Severity '${text}' sets more than one level for the whole rule`);
+      }
+      severity.level = parseSeverityLevel(entry);
+      return;
+    }
+    const level = parseSeverityLevel(entry.slice(equalsIndex + 1));
+    resolveCheck(entry.slice(0, equalsIndex).trim()).forEach(code => {
+      severity.overrides[code] = level;
+    });
+  });
+  return severity;
+}
+
+/**
+ * Write a severity setting back in the form parseSeverity reads
+ * @param {Object|null} severity - Parsed severity
+ */
+function formatSeverity(severity) {
+  if (!severity) return '';
+
+  const entries = severity.level ? [severity.level] : [];
+  // Write check names where a whole check is overridden at one level, issue codes otherwise
+  const remaining = { ...severity.overrides };
+  Object.entries(CHECK_CODES).forEach(([check, codes]) => {
+    const level = remaining[codes[0]];
+    if (level && codes.every(code => remaining[code] === level)) {
+      entries.push(`${check}=${level}`);
+      codes.forEach(code => delete remaining[code]);
+    }
+  });
+  Object.entries(remaining).forEach(([code, level]) => entries.push(`${code}=${level}`));
+  return entries.join('; ');
+}
+
+/**
+ * Work out the severity of an issue
+ * @param {string} code - Issue code
+ * @param {Object|null} ruleSeverity - Severity of the mapping row or record rule
+ * @param {Object|null} runSeverity - Run-wide overrides
+ * @returns {string} error, warning or info
+ */
+function resolveSeverity(code, ruleSeverity, runSeverity) {
+  if (ruleSeverity && ruleSeverity.overrides[code]) return ruleSeverity.overrides[code];
+  if (ruleSeverity && ruleSeverity.level && DATA_CHECK_CODES.has(code)) return ruleSeverity.level;
+  if (runSeverity && runSeverity.overrides[code]) return runSeverity.overrides[code];
+  return ISSUE_TYPES[code].severity;
+}
+
+module.exports = {
+  SEVERITY_LEVELS,
+  CHECK_CODES,
+  parseSeverityLevel,
+  parseSeverity,
+  formatSeverity,
+  resolveSeverity
+};
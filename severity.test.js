@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CSVValidator = require('./csvValidator');
+const { parseSeverity, formatSeverity, resolveSeverity } = require('./severity');
+
+test.mock.method(console, 'log', () => {});
+
+test('a field check=level wins over its bare level, which wins over --severity, which wins over the default', () => {
+  const field = parseSeverity('info; maxLength=warning');
+  const run = parseSeverity('maxLength=error, pattern=warning, required=info');
+
+  assert.strictEqual(resolveSeverity('MAX_LENGTH', field, run), 'warning');
+  assert.strictEqual(resolveSeverity('PATTERN_MISMATCH', field, run), 'info');
+  assert.strictEqual(resolveSeverity('PATTERN_MISMATCH', parseSeverity('maxLength=warning'), run), 'warning');
+  assert.strictEqual(resolveSeverity('PATTERN_MISMATCH', null, null), 'error');
+
+  // A bare level leaves configuration problems at their catalogue default
+  assert.strictEqual(resolveSeverity('INVALID_PATTERN', field, run), 'warning');
+});
+
+test('checks expand to their issue codes and are written back by name', () => {
+  const severity = parseSeverity('Warning; type=info; DECIMAL_SCALE=error');
+  assert.strictEqual(severity.level, 'warning');
+  assert.strictEqual(severity.overrides.INVALID_DATE, 'info');
+  assert.strictEqual(severity.overrides.DECIMAL_SCALE, 'error');
+  assert.deepStrictEqual(parseSeverity(formatSeverity(parseSeverity('recordRule=warning'))), parseSeverity('recordRule=warning'));
+  assert.strictEqual(formatSeverity(parseSeverity('maxLength=info; REQUIRED_MISSING=warning')), 'required=warning; maxLength=info');
+
+  assert.strictEqual(parseSeverity(' '), null);
+  assert.throws(() => parseSeverity('fatal'), /Unknown severity 'fatal'/);
+  assert.throws(() => parseSeverity('length=info'), /Unknown check 'length'/);
+  assert.throws(() => parseSeverity('warning; info'), /more than one level/);
+});
+
+test('only errors make a record invalid, at every level of precedence', async (t) => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-validator-severity-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(folder, 'map.csv'), [
+    'Target Field Name,Null Allowed,Target Data Type,Max Length,Pattern,Severity',
+    'Code,No,string,3,^[A-Z]+$,info; maxLength=warning',
+    'Name,No,string,3,^[A-Z]+$,',
+    ''
+  ].join('\n'));
+  fs.writeFileSync(path.join(folder, 'in.csv'), 'Code,Name\nabcd,OK\nOK,abcd\n');
+
+  const validator = new CSVValidator();
+  await validator.loadMappingRules(path.join(folder, 'map.csv'));
+  validator.setSeverityOverrides('maxLength=error, pattern=warning');
+  await validator.validateInputFile(path.join(folder, 'in.csv'));
+
+  const issues = validator.validationResults.map(result => [
+    result.isValid,
+    [...result.errors, ...result.warnings].map(issue => `${issue.fieldName} ${issue.code} ${issue.severity}`).sort()
+  ]);
+  assert.deepStrictEqual(issues, [
+    [true, ['Code MAX_LENGTH warning', 'Code PATTERN_MISMATCH info']],
+    [false, ['Name MAX_LENGTH error', 'Name PATTERN_MISMATCH warning']]
+  ]);
+  assert.throws(() => validator.setSeverityOverrides('warning'), /must name a check/);
+});
@@ -0,0 +1,265 @@
+/**
+ * Character encodings of input files.
+ *
+ * A byte order mark decides the encoding when there is one. Without one, the
+ * start of the file is sniffed: ASCII text with a zero byte in every other
+ * position is UTF-16, text made of valid UTF-8 sequences is UTF-8, and other
+ * high bytes are taken to be a Windows-1252 export (as Excel writes "CSV" on
+ * Western-language Windows). An explicit encoding skips the guess.
+ *
+ * UTF-8 input is passed through as bytes, with only the BOM removed, so byte
+ * offsets still point into the file; other encodings are decoded to UTF-8.
+ * Gzip input is inflated before it is decoded (see compressedInput); its
+ * offsets count inflated bytes.
+ */
+
+const fs = require('fs');
+const { Transform } = require('stream');
+const { readHeaderLine, forEachLineSync } = require('./fileUtils');
+const { isGzipFile, openInputStream, readInputSample } = require('./compressedInput');
+
+// Canonical encoding names and the labels accepted for each
+const ENCODINGS = {
+  utf8: ['utf8', 'utf-8'],
+  utf16le: ['utf16le', 'utf-16le', 'utf16', 'utf-16', 'ucs2', 'ucs-2'],
+  utf16be: ['utf16be', 'utf-16be'],
+  'windows-1252': ['windows-1252', 'cp1252', 'win1252', 'latin1', 'iso-8859-1']
+};
+
+// WHATWG labels for TextDecoder
+const DECODER_LABELS = { utf8: 'utf-8', utf16le: 'utf-16le', utf16be: 'utf-16be', 'windows-1252': 'windows-1252' };
+
+const BYTE_ORDER_MARKS = [
+  { encoding: 'utf8', bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: 'utf16le', bytes: [0xff, 0xfe] },
+  { encoding: 'utf16be', bytes: [0xfe, 0xff] }
+];
+
+const SAMPLE_SIZE = 64 * 1024;
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Resolve an encoding label to its canonical name
+ * @param {string} name - e.g. "UTF-8", "cp1252", "utf-16le"
+ */
+function resolveEncodingName(name) {
+  const label = String(name).trim().toLowerCase();
+  const encoding = Object.keys(ENCODINGS).find(key => ENCODINGS[key].includes(label));
+  if (!encoding) {
+    throw new Error(`Unknown encoding '${name}' (expected one of: ${Object.keys(ENCODINGS).join(', ')})`);
+  }
+  return encoding;
+}
+
+/**
+ * Find the byte order mark at the start of a sample
+ * @param {Buffer} sample - First bytes of a file
+ * @returns {Object|null} { encoding, length }
+ */
+function findByteOrderMark(sample) {
+  const bom = BYTE_ORDER_MARKS.find(mark => mark.bytes.every((byte, index) => sample[index] === byte));
+  return bom ? { encoding: bom.encoding, length: bom.bytes.length } : null;
+}
+
+/**
+ * Count the well-formed and broken UTF-8 sequences of a sample
+ * @param {Buffer} sample - Bytes to scan
+ * @returns {Object} { valid, invalid } - multi-byte sequences only; ASCII is not counted
+ */
+function countUtf8Sequences(sample) {
+  let valid = 0;
+  let invalid = 0;
+  let index = 0;
+  while (index < sample.length) {
+    const byte = sample[index];
+    if (byte < 0x80) {
+      index++;
+      continue;
+    }
+    let length = 0;
+    if (byte >= 0xc2 && byte <= 0xdf) length = 2;
+    else if (byte >= 0xe0 && byte <= 0xef) length = 3;
+    else if (byte >= 0xf0 && byte <= 0xf4) length = 4;
+    if (length > 0 && index + length > sample.length) break; // Cut off by the end of the sample
+
+    let wellFormed = length > 0;
+    for (let offset = 1; wellFormed && offset < length; offset++) {
+      wellFormed = (sample[index + offset] & 0xc0) === 0x80;
+    }
+    if (wellFormed) {
+      valid++;
+      index += length;
+    } else {
+      invalid++;
+      index++;
+    }
+  }
+  return { valid, invalid };
+}
+
+/**
+ * Guess the encoding of a sample without a byte order mark
+ * @param {Buffer} sample - First bytes of a file
+ */
+function guessEncoding(sample) {
+  // UTF-16 text in the Latin range has a zero in every other byte
+  const pairs = Math.floor(Math.min(sample.length, 4096) / 2);
+  if (pairs > 0) {
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let index = 0; index < pairs * 2; index += 2) {
+      if (sample[index] === 0) evenZeros++;
+      if (sample[index + 1] === 0) oddZeros++;
+    }
+    if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return 'utf16le';
+    if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return 'utf16be';
+  }
+
+  // Mostly well-formed UTF-8 is UTF-8 with a few bad bytes, which are then reported
+  const { valid, invalid } = countUtf8Sequences(sample);
+  return invalid === 0 || valid > invalid ? 'utf8' : 'windows-1252';
+}
+
+/**
+ * Work out the encoding of a file
+ * @param {string} filePath - Path to the file
+ * @param {string} requested - Encoding to use instead of detecting one (a matching BOM is still skipped)
+ * @returns {Object} { encoding, bomLength, source } - source is 'option', 'bom' or 'detected'
+ */
+function detectEncoding(filePath, requested = null) {
+  const sample = readInputSample(filePath, SAMPLE_SIZE);
+  const bom = findByteOrderMark(sample);
+  if (requested) {
+    const encoding = resolveEncodingName(requested);
+    return { encoding, bomLength: bom && bom.encoding === encoding ? bom.length : 0, source: 'option' };
+  }
+  if (bom) {
+    return { encoding: bom.encoding, bomLength: bom.length, source: 'bom' };
+  }
+  return { encoding: guessEncoding(sample), bomLength: 0, source: 'detected' };
+}
+
+/**
+ * Describe an encoding for console output and reports, e.g. "utf8 (byte order mark)"
+ * @param {Object} encodingInfo - From detectEncoding
+ */
+function describeEncoding(encodingInfo) {
+  const source = { option: 'from --encoding', bom: 'byte order mark', detected: 'detected' }[encodingInfo.source];
+  return `${encodingInfo.encoding} (${source})`;
+}
+
+/**
+ * Stream that drops the BOM and decodes to UTF-8. Bytes that are not valid in
+ * the encoding become U+FFFD replacement characters.
+ * @param {Object} encodingInfo - From detectEncoding
+ */
+function createDecodeStream(encodingInfo) {
+  const decoder = encodingInfo.encoding === 'utf8' ? null : new TextDecoder(DECODER_LABELS[encodingInfo.encoding], { ignoreBOM: true });
+  let skip = encodingInfo.bomLength;
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      if (skip > 0) {
+        const skipped = Math.min(skip, chunk.length);
+        chunk = chunk.subarray(skipped);
+        skip -= skipped;
+      }
+      callback(null, decoder ? Buffer.from(decoder.decode(chunk, { stream: true }), 'utf8') : chunk);
+    },
+    flush(callback) {
+      callback(null, decoder ? Buffer.from(decoder.decode(), 'utf8') : null);
+    }
+  });
+}
+
+/**
+ * Open a file as a UTF-8 byte stream
+ * @param {string} filePath - Path to the file
+ * @param {Object} encodingInfo - From detectEncoding (default: detect)
+ */
+function openTextStream(filePath, encodingInfo = detectEncoding(filePath)) {
+  const source = openInputStream(filePath);
+  if (encodingInfo.encoding === 'utf8' && encodingInfo.bomLength === 0) {
+    return source;
+  }
+  const decoded = source.pipe(createDecodeStream(encodingInfo));
+  source.on('error', (error) => decoded.destroy(error));
+  return decoded;
+}
+
+/**
+ * Call a function for every decoded line of a file. Gzip input can only be
+ * read as a stream (see openTextStream).
+ * @param {string} filePath - Path to the file
+ * @param {Object} encodingInfo - From detectEncoding
+ * @param {Function} onLine - Called with (line, lineNumber); return false to stop early
+ */
+function forEachDecodedLineSync(filePath, encodingInfo, onLine) {
+  if (isGzipFile(filePath)) {
+    throw new Error(`'${filePath}' is gzip-compressed and can only be read as a stream`);
+  }
+  if (encodingInfo.encoding === 'utf8') {
+    forEachLineSync(filePath, (line, lineNumber) => onLine(lineNumber === 1 ? line.replace(/^\uFEFF/, '') : line, lineNumber));
+    return;
+  }
+
+  const decoder = new TextDecoder(DECODER_LABELS[encodingInfo.encoding], { ignoreBOM: true });
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(CHUNK_SIZE);
+    let remainder = '';
+    let lineNumber = 0;
+    let position = encodingInfo.bomLength;
+    let bytesRead;
+
+    while ((bytesRead = fs.readSync(fd, buffer, 0, CHUNK_SIZE, position)) > 0) {
+      position += bytesRead;
+      const lines = (remainder + decoder.decode(buffer.subarray(0, bytesRead), { stream: true })).split('\n');
+      remainder = lines.pop();
+      for (const line of lines) {
+        lineNumber++;
+        if (onLine(line.replace(/\r$/, ''), lineNumber) === false) return;
+      }
+    }
+
+    remainder += decoder.decode();
+    if (remainder.length > 0) {
+      onLine(remainder.replace(/\r$/, ''), lineNumber + 1);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Read the first decoded line of a file, without its BOM or line ending
+ * @param {string} filePath - Path to the file
+ * @param {Object} encodingInfo - From detectEncoding (default: detect)
+ */
+function readDecodedHeaderLine(filePath, encodingInfo = detectEncoding(filePath)) {
+  if (isGzipFile(filePath)) {
+    // The inflated start of the file holds the header
+    const sample = readInputSample(filePath, SAMPLE_SIZE).subarray(encodingInfo.bomLength);
+    const text = new TextDecoder(DECODER_LABELS[encodingInfo.encoding], { ignoreBOM: true }).decode(sample);
+    return text.split('\n')[0].replace(/\r$/, '');
+  }
+  if (encodingInfo.encoding === 'utf8') {
+    return readHeaderLine(filePath).replace(/^\uFEFF/, '');
+  }
+  let header = '';
+  forEachDecodedLineSync(filePath, encodingInfo, (line) => {
+    header = line;
+    return false;
+  });
+  return header;
+}
+
+module.exports = {
+  ENCODINGS,
+  resolveEncodingName,
+  detectEncoding,
+  describeEncoding,
+  createDecodeStream,
+  openTextStream,
+  forEachDecodedLineSync,
+  readDecodedHeaderLine
+};
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CSVValidator = require('./csvValidator');
+const { resolveEncodingName, detectEncoding, describeEncoding, openTextStream, forEachDecodedLineSync, readDecodedHeaderLine } = require('./textEncoding');
+
+test.mock.method(console, 'log', () => {});
+
+function tempFolder(t) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-validator-encoding-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  return folder;
+}
+
+const TEXT = 'Id,Name\r\n1,Crème brûlée\r\n2,Zoë\r\n';
+
+function utf16be(text) {
+  return Buffer.from(text, 'utf16le').swap16();
+}
+
+function readLines(filePath, encodingInfo) {
+  const lines = [];
+  forEachDecodedLineSync(filePath, encodingInfo, (line, lineNumber) => {
+    lines.push([lineNumber, line]);
+  });
+  return lines;
+}
+
+async function readStream(filePath, encodingInfo) {
+  const chunks = [];
+  for await (const chunk of openTextStream(filePath, encodingInfo)) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+test('encoding labels resolve to their canonical names', () => {
+  assert.strictEqual(resolveEncodingName(' UTF-8 '), 'utf8');
+  assert.strictEqual(resolveEncodingName('cp1252'), 'windows-1252');
+  assert.strictEqual(resolveEncodingName('latin1'), 'windows-1252');
+  assert.strictEqual(resolveEncodingName('UCS-2'), 'utf16le');
+  assert.throws(() => resolveEncodingName('ebcdic'), /Unknown encoding 'ebcdic'/);
+});
+
+test('files without a byte order mark are sniffed', (t) => {
+  const folder = tempFolder(t);
+  const write = (name, bytes) => {
+    fs.writeFileSync(path.join(folder, name), bytes);
+    return detectEncoding(path.join(folder, name));
+  };
+
+  assert.deepStrictEqual(write('utf8.csv', Buffer.from(TEXT, 'utf8')), { encoding: 'utf8', bomLength: 0, source: 'detected' });
+  assert.strictEqual(write('ascii.csv', Buffer.from('Id,Name\n1,Ann\n')).encoding, 'utf8');
+  assert.strictEqual(write('cp1252.csv', Buffer.from(TEXT, 'latin1')).encoding, 'windows-1252');
+  assert.strictEqual(write('utf16le.csv', Buffer.from(TEXT, 'utf16le')).encoding, 'utf16le');
+  assert.strictEqual(write('utf16be.csv', utf16be(TEXT)).encoding, 'utf16be');
+
+  // One bad byte in otherwise well-formed UTF-8 is reported, not taken for Windows-1252
+  const broken = Buffer.concat([Buffer.from('Id,Name\n1,Crème\n2,Zoë\n3,'), Buffer.from([0xe9]), Buffer.from('\n')]);
+  assert.strictEqual(write('broken.csv', broken).encoding, 'utf8');
+});
+
+test('a byte order mark decides the encoding and an explicit encoding skips the guess', (t) => {
+  const folder = tempFolder(t);
+  const bomFile = path.join(folder, 'bom.csv');
+  fs.writeFileSync(bomFile, Buffer.concat([Buffer.from([0xfe, 0xff]), utf16be(TEXT)]));
+  assert.deepStrictEqual(detectEncoding(bomFile), { encoding: 'utf16be', bomLength: 2, source: 'bom' });
+  assert.deepStrictEqual(detectEncoding(bomFile, 'UTF-16BE'), { encoding: 'utf16be', bomLength: 2, source: 'option' });
+
+  const plainFile = path.join(folder, 'plain.csv');
+  fs.writeFileSync(plainFile, Buffer.from('Id,Name\n1,Ann\n'));
+  const forced = detectEncoding(plainFile, 'cp1252');
+  assert.deepStrictEqual(forced, { encoding: 'windows-1252', bomLength: 0, source: 'option' });
+  assert.strictEqual(describeEncoding(forced), 'windows-1252 (from --encoding)');
+  assert.strictEqual(describeEncoding(detectEncoding(bomFile)), 'utf16be (byte order mark)');
+});
+
+test('every encoding decodes to the same lines, synchronously and as a stream', async (t) => {
+  const folder = tempFolder(t);
+  const files = {
+    'utf8-bom.csv': Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(TEXT, 'utf8')]),
+    'cp1252.csv': Buffer.from(TEXT, 'latin1'),
+    'utf16le.csv': Buffer.from(TEXT, 'utf16le'),
+    'utf16be.csv': utf16be(TEXT)
+  };
+
+  for (const [name, bytes] of Object.entries(files)) {
+    const filePath = path.join(folder, name);
+    fs.writeFileSync(filePath, bytes);
+    const encodingInfo = detectEncoding(filePath);
+    assert.deepStrictEqual(readLines(filePath, encodingInfo), [[1, 'Id,Name'], [2, '1,Crème brûlée'], [3, '2,Zoë']], name);
+    assert.strictEqual(await readStream(filePath, encodingInfo), TEXT, name);
+    assert.strictEqual(readDecodedHeaderLine(filePath, encodingInfo), 'Id,Name', name);
+  }
+});
+
+test('Windows-1252 and UTF-16 input validate as text, and undecodable bytes are reported', async (t) => {
+  const folder = tempFolder(t);
+  fs.writeFileSync(path.join(folder, 'map.csv'), [
+    'Target Field Name,Null Allowed,Target Data Type,Max Length,Allowed Values',
+    'Id,No,string,,',
+    'Name,No,string,5,"Crème,Zoë"',
+    ''
+  ].join('\n'));
+
+  const validate = async (name, bytes) => {
+    fs.writeFileSync(path.join(folder, name), bytes);
+    const validator = new CSVValidator();
+    await validator.loadMappingRules(path.join(folder, 'map.csv'));
+    await validator.validateInputFile(path.join(folder, name));
+    const issues = [];
+    validator.forEachError(issue => issues.push([issue.rowNumber, issue.code, issue.value]));
+    return { encoding: validator.inputEncoding.encoding, issues };
+  };
+
+  const input = 'Id,Name\n1,Crème\n2,Zoë\n3,Noël\n';
+  const expected = [[3, 'VALUE_NOT_ALLOWED', 'Noël']];
+  assert.deepStrictEqual(await validate('cp1252.csv', Buffer.from(input, 'latin1')), { encoding: 'windows-1252', issues: expected });
+  assert.deepStrictEqual(await validate('utf16le.csv', Buffer.from(input, 'utf16le')), { encoding: 'utf16le', issues: expected });
+
+  const broken = Buffer.concat([Buffer.from('Id,Name\n1,Crème\n2,Zoë\n3,Zo'), Buffer.from([0xeb]), Buffer.from('\n')]);
+  const { encoding, issues } = await validate('broken.csv', broken);
+  assert.strictEqual(encoding, 'utf8');
+  assert.deepStrictEqual(issues.map(([rowNumber, code]) => [rowNumber, code]), [[3, 'INVALID_ENCODING'], [3, 'VALUE_NOT_ALLOWED']]);
+});
@@ -1,106 +1,890 @@
 #!/usr/bin/env node
 
 const CSVValidator = require('./csvValidator');
+const { resolveHeaderPolicy, describeHeaderPolicy } = require('./headerMatching');
+const { resolveQualityGates } = require('./qualityGates');
+const { readManifest, matchArchiveEntries, writeRollupReport } = require('./batchManifest');
+const ValidationServer = require('./validationServer');
+const { resolveInputFormat } = require('./recordFormats');
+const { resolveEncodingName } = require('./textEncoding');
+const { isGzipFile, stripCompressionExtension, extractZipEntry } = require('./compressedInput');
 const path = require('path');
 const fs = require('fs');
 
 /**
- * Clean up artifacts folder and recreate it
+ * Clean up artifacts folder and recreate it. A batch keeps earlier reports
+ * unless --clean-artifacts is given.
+ * @param {boolean} clean - Remove the folder's contents first (default true)
  */
-function setupArtifactsFolder() {
+function setupArtifactsFolder(clean = true) {
   const artifactsPath = path.join(__dirname, 'artifacts');
   
   // Remove artifacts folder if it exists
-  if (fs.existsSync(artifactsPath)) {
+  if (clean && fs.existsSync(artifactsPath)) {
     fs.rmSync(artifactsPath, { recursive: true, force: true });
     console.log('🧹 Cleaned up existing artifacts folder');
   }
   
-  // Create fresh artifacts folder
-  fs.mkdirSync(artifactsPath, { recursive: true });
-  console.log('📁 Created artifacts folder');
+  if (!fs.existsSync(artifactsPath)) {
+    fs.mkdirSync(artifactsPath, { recursive: true });
+    console.log('📁 Created artifacts folder');
+  }
   
   return artifactsPath;
 }
 
 /**
  * Generate output file path in artifacts folder
+ * @param {string} outputFile - File name
+ * @param {string} artifactsPath - Folder to put it in (defaults to artifacts/)
  */
-function getArtifactsOutputPath(outputFile) {
-  const artifactsPath = path.join(__dirname, 'artifacts');
+function getArtifactsOutputPath(outputFile, artifactsPath = path.join(__dirname, 'artifacts')) {
   return path.join(artifactsPath, outputFile);
 }
 
-async function main() {
-  const args = process.argv.slice(2);
-  
-  if (args.length < 2) {
-    console.log('CSV Validator - Salesforce Field Validation');
-    console.log('==========================================');
-    console.log('');
-    console.log('Usage: node validate.js <mapping-file> <input-file> [output-file] [delimiter]');
-    console.log('');
-    console.log('Arguments:');
-    console.log('  mapping-file  - Path to the CSV mapping rules file (e.g., salesforce_mapping.csv)');
-    console.log('  input-file    - Path to the input file (CSV or pipe-delimited)');
-    console.log('  output-file   - Path for the output Excel report (optional, defaults to validation_report.xlsx)');
-    console.log('  delimiter     - Delimiter character (optional, auto-detected if not specified)');
-    console.log('');
-    console.log('Examples:');
-    console.log('  # Validate Salesforce data with default output');
-    console.log('  node validate.js salesforce_mapping.csv salesforce_input.csv');
-    console.log('');
-    console.log('  # Custom output file');
-    console.log('  node validate.js salesforce_mapping.csv salesforce_input.csv salesforce_validation_report.xlsx');
-    console.log('');
-    console.log('  # Force specific delimiter');
-    console.log('  node validate.js salesforce_mapping.csv salesforce_input.csv report.xlsx ","');
-    console.log('');
-    console.log('Mapping File Format:');
-    console.log('  - Target Field Name: Field name to validate');
-    console.log('  - Null Allowed: Yes/No (Yes = field can be empty/null/blank, No = required)');
-    console.log('  - Target Data Type: Data type (string, DECIMAL(18,2), boolean, timestamp, etc.)');
-    console.log('  - Description: Field description (optional)');
+// Process exit codes, so CI can tell bad data from a run that could not complete
+const EXIT_CODES = {
+  SUCCESS: 0,
+  DATA_FAILURE: 1, // Records failed validation or a quality gate failed
+  HEADER_FAILURE: 2, // Input headers do not match the mapping; no data was validated
+  USAGE_ERROR: 3 // Bad arguments, missing or unreadable files, invalid mapping, or a crash
+};
+
+// Run status shown in the batch roll-up, by exit code
+const RUN_STATUS = {
+  [EXIT_CODES.SUCCESS]: 'Passed',
+  [EXIT_CODES.DATA_FAILURE]: 'Failed',
+  [EXIT_CODES.HEADER_FAILURE]: 'Header Failure',
+  [EXIT_CODES.USAGE_ERROR]: 'Error'
+};
+
+// Options that take a value (--name value or --name=value)
+const VALUE_OPTIONS = new Set([
+  'issues-file', 'record-rules', 'header-matching', 'format',
+  'min-success-rate', 'max-errors', 'max-warnings', 'max-invalid-records', 'max-duplicate-groups',
+  'fail-on-priority', 'fail-on-code', 'clean-file', 'rejects-file', 'fixed-file', 'change-log',
+  'snapshot', 'record-key', 'severity', 'host', 'data-dir', 'sheet', 'header-row', 'input-format',
+  'encoding', 'archive'
+]);
+
+// Options without a value; an option in neither set is a typo, on the command line or in a batch manifest
+const FLAG_OPTIONS = new Set([
+  'stream', 'lint', 'enforce-order', 'allow-extra-columns', 'split', 'fix', 'profile', 'clean-artifacts'
+]);
+
+const REPORT_FORMATS = ['xlsx', 'json', 'ndjson', 'csv', 'junit'];
+
+// Formats that can still be written when header validation fails
+const HEADER_REPORT_FORMATS = ['json', 'junit'];
+
+// Quality gate options and the gate each one sets
+const GATE_OPTIONS = {
+  'min-success-rate': 'minSuccessRate',
+  'max-errors': 'maxErrors',
+  'max-warnings': 'maxWarnings',
+  'max-invalid-records': 'maxInvalidRecords',
+  'max-duplicate-groups': 'maxDuplicateGroups',
+  'fail-on-priority': 'failOnPriority',
+  'fail-on-code': 'failOnCodes'
+};
+
+/**
+ * Work out which report files to write
+ * @param {string} outputFile - Requested output path (its extension picks the format when --format is not given)
+ * @param {string} formatOption - Comma-separated --format value
+ * @returns {Array} [{ format, filePath }]
+ */
+function getReportOutputs(outputFile, formatOption) {
+  const extension = path.extname(outputFile).toLowerCase();
+  const extensionFormat = { '.json': 'json', '.ndjson': 'ndjson', '.jsonl': 'ndjson', '.csv': 'csv', '.xml': 'junit' }[extension] || 'xlsx';
+  const formats = formatOption ? formatOption.split(',').map(format => format.trim().toLowerCase()) : [extensionFormat];
+
+  const unknown = formats.filter(format => !REPORT_FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown report format '${unknown.join(', ')}' (expected ${REPORT_FORMATS.join(', ')})`);
+  }
+
+  const base = extension ? outputFile.slice(0, -extension.length) : outputFile;
+  return formats.map(format => ({
+    format,
+    filePath: format === extensionFormat ? outputFile : {
+      csv: `${base}_errors.csv`,
+      junit: `${base}_junit.xml`
+    }[format] || `${base}.${format}`
+  }));
+}
+
+/**
+ * Build the quality gate configuration from command line options
+ * @param {Object} options - Parsed --options
+ * @returns {Object} Gates for validator.evaluateQualityGates (empty when none were given)
+ */
+function getQualityGates(options) {
+  const gates = {};
+  Object.entries(GATE_OPTIONS).forEach(([option, gate]) => {
+    if (options[option] !== undefined) {
+      gates[gate] = options[option];
+    }
+  });
+  // Check thresholds now so a typo is a usage error rather than a failed run
+  resolveQualityGates(gates);
+  return gates;
+}
+
+/**
+ * Split command line arguments into positional arguments and --options.
+ * A value option needs a value; a flag may be written --flag=true or --flag=false.
+ * @param {string[]} argv - Raw arguments
+ * @throws {Error} On an unknown option, a missing value or a flag set to something other than true/false
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const equalsIndex = arg.indexOf('=');
+    const name = equalsIndex === -1 ? arg.slice(2) : arg.slice(2, equalsIndex);
+    if (!VALUE_OPTIONS.has(name) && !FLAG_OPTIONS.has(name)) {
+      throw new Error(`Unknown option --${name}`);
+    }
+    if (FLAG_OPTIONS.has(name)) {
+      const value = equalsIndex === -1 ? 'true' : arg.slice(equalsIndex + 1).toLowerCase();
+      if (value !== 'true' && value !== 'false') {
+        throw new Error(`--${name} is a flag; it takes no value, or =true / =false`);
+      }
+      options[name] = value === 'true';
+    } else if (equalsIndex !== -1) {
+      options[name] = arg.slice(equalsIndex + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`--${name} needs a value`);
+    }
+  }
+
+  return { positional, options };
+}
+
+/**
+ * import-mapping command: build a mapping CSV from a describe JSON or metadata files
+ * @param {string[]} args - Positional arguments after the command name
+ */
+async function importMappingCommand(args) {
+  if (args.length < 1) {
+    console.log('Usage: node validate.js import-mapping <describe.json | .object | object-folder> [output-mapping.csv]');
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  const sourcePath = args[0];
+  const outputFile = args[1] || `${path.basename(sourcePath).replace(/\.(json|object|object-meta\.xml|field-meta\.xml)$/i, '')}_mapping.csv`;
+
+  try {
+    const validator = new CSVValidator();
+    await validator.importMapping(sourcePath);
+    await validator.writeMappingFile(outputFile);
+    console.log(`✅ Review the generated mapping, then validate with: node validate.js ${outputFile} <input-file>`);
+  } catch (error) {
+    console.error('Error importing mapping:', error.message);
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+}
+
+/**
+ * infer-mapping command: draft a mapping CSV from a sample input file
+ * @param {string[]} args - Positional arguments after the command name
+ */
+async function inferMappingCommand(args) {
+  if (args.length < 1) {
+    console.log('Usage: node validate.js infer-mapping <input-file> [output-mapping.csv] [delimiter]');
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  const inputFile = args[0];
+  const outputFile = args[1] || `${path.parse(stripCompressionExtension(inputFile)).name}_mapping.csv`;
+  if (!fs.existsSync(inputFile)) {
+    console.error(`Error: Input file '${inputFile}' not found`);
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  try {
+    const validator = new CSVValidator();
+    const rules = await validator.inferMapping(inputFile, args[2] || null);
+    rules.forEach(rule => {
+      const nullAllowedText = rule.nullAllowed ? 'Yes' : 'No';
+      const allowedText = rule.allowedValues ? `, allowed: ${rule.allowedValues}` : '';
+      console.log(`  ${rule.ruleIndex}. ${rule.fieldName} (${rule.originalDataType}) - Null Allowed: ${nullAllowedText}${allowedText}`);
+    });
+    await validator.writeMappingFile(outputFile);
+    console.log(`✅ Review the draft mapping, then validate with: node validate.js ${outputFile} ${inputFile}`);
+  } catch (error) {
+    console.error('Error inferring mapping:', error.message);
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+}
+
+/**
+ * Print lint findings for a mapping file
+ * @param {Object} lintResult - Result of validator.lintMapping
+ */
+function printLintResult(lintResult) {
+  lintResult.findings.forEach(finding => {
+    const icon = finding.severity === 'error' ? '❌' : '⚠️ ';
+    console.log(`  ${icon} line ${finding.line} [${finding.code}] ${finding.message}`);
+  });
+  if (lintResult.findings.length > 0) {
     console.log('');
-    console.log('Data Type Support:');
-    console.log('  - String types: string, text, picklist, multipicklist, textarea, email, url, phone');
-    console.log('  - Numeric types: integer, decimal, number, double, float, currency, percent');
-    console.log('  - Date types: date, timestamp, datetime, time');
-    console.log('  - Boolean types: boolean, bool');
-    console.log('  - Case-insensitive: All data types are handled regardless of case (STRING, String, string)');
-    process.exit(1);
   }
+  console.log(`${lintResult.isValid ? '✅' : '❌'} ${lintResult.mappingFile}: ${lintResult.errorCount} errors, ${lintResult.warningCount} warnings`);
+}
 
-  // Setup artifacts folder
-  setupArtifactsFolder();
+/**
+ * lint-mapping command: check mapping files on their own, without an input file
+ * @param {string[]} args - Positional arguments after the command name
+ */
+async function lintMappingCommand(args) {
+  if (args.length < 1) {
+    console.log('Usage: node validate.js lint-mapping <mapping-file> [more mapping files...]');
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  let hasErrors = false;
+  try {
+    for (const mappingFile of args) {
+      if (!fs.existsSync(mappingFile)) {
+        console.error(`Error: Mapping file '${mappingFile}' not found`);
+        process.exit(EXIT_CODES.USAGE_ERROR);
+      }
+      console.log(`\n🔍 Linting ${mappingFile}`);
+      const lintResult = await new CSVValidator().lintMapping(mappingFile);
+      printLintResult(lintResult);
+      hasErrors = hasErrors || !lintResult.isValid;
+    }
+  } catch (error) {
+    console.error('Error linting mapping:', error.message);
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
 
-  const mappingFile = args[0];
-  const inputFile = args[1];
-  const outputFileName = args[2] && !args[2].startsWith('-') ? args[2] : 'validation_report.xlsx';
-  const outputFile = getArtifactsOutputPath(outputFileName);
-  const delimiter = args[3] || null;
+  if (hasErrors) {
+    process.exit(EXIT_CODES.DATA_FAILURE);
+  }
+}
+
+/**
+ * Print a one-line summary per profiled column
+ * @param {Array} profiles - Column profiles from the validator
+ */
+function printColumnProfiles(profiles) {
+  profiles.forEach(profile => {
+    const distinct = `${profile.distinctValues}${profile.distinctCapped ? '+' : ''}`;
+    console.log(`  ${profile.position}. ${profile.column}: ${profile.inferredType}, ${profile.fillRate.toFixed(1)}% filled, ${distinct} distinct`);
+  });
+}
+
+/**
+ * profile command: column statistics for an input file, no mapping needed
+ * @param {string[]} args - Positional arguments after the command name
+ * @param {Object} options - Parsed --options (sheet and header-row for workbooks, encoding for text)
+ */
+async function profileCommand(args, options = {}) {
+  if (args.length < 1) {
+    console.log('Usage: node validate.js profile <input-file> [output-file] [delimiter]');
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  const inputFile = args[0];
+  if (!fs.existsSync(inputFile)) {
+    console.error(`Error: Input file '${inputFile}' not found`);
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+  fs.mkdirSync(path.join(__dirname, 'artifacts'), { recursive: true });
+  const outputFile = getArtifactsOutputPath(args[1] || `${path.parse(stripCompressionExtension(inputFile)).name}_profile.xlsx`);
+
+  try {
+    const validator = new CSVValidator();
+    const profiles = await validator.profileInputFile(inputFile, args[2] || null, { sheet: options.sheet, headerRow: options['header-row'], encoding: options.encoding });
+    printColumnProfiles(profiles);
+    validator.generateProfileReport(outputFile);
+    console.log(`📊 Column profile saved to: ${outputFile}`);
+  } catch (error) {
+    console.error('Error profiling input file:', error.message);
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+}
+
+/**
+ * Print changes in a count table from a run comparison
+ * @param {string} title - Section title
+ * @param {Array} entries - [{ name, baseline, current, change }]
+ */
+function printCountChanges(title, entries) {
+  console.log('');
+  console.log(`${title}:`);
+  console.log('==================');
+  if (entries.length === 0) {
+    console.log('  No changes');
+  }
+  entries.forEach(entry => {
+    console.log(`  ${entry.change > 0 ? '🔴' : '🟢'} ${entry.name}: ${entry.baseline} → ${entry.current} (${entry.change > 0 ? '+' : ''}${entry.change})`);
+  });
+}
+
+/**
+ * compare command: what changed between two runs saved with --snapshot
+ * @param {string[]} args - Positional arguments after the command name
+ */
+async function compareCommand(args) {
+  if (args.length < 2) {
+    console.log('Usage: node validate.js compare <baseline-snapshot.json> <current-snapshot.json> [output-file]');
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  const [baselineFile, currentFile] = args;
+  fs.mkdirSync(path.join(__dirname, 'artifacts'), { recursive: true });
+  const outputFile = getArtifactsOutputPath(args[2] || 'run_comparison.xlsx');
+
+  let comparison;
+  try {
+    const validator = new CSVValidator();
+    comparison = validator.compareRuns(baselineFile, currentFile);
+    validator.generateComparisonReport(outputFile);
+  } catch (error) {
+    console.error('Error comparing runs:', error.message);
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  console.log('');
+  console.log('Run Comparison:');
+  console.log('==================');
+  console.log(`Baseline: ${baselineFile} (${comparison.baseline.inputFile}, ${comparison.baseline.generatedAt})`);
+  console.log(`Current:  ${currentFile} (${comparison.current.inputFile}, ${comparison.current.generatedAt})`);
+  if (comparison.recordKeyMismatch) {
+    console.log('⚠️  The runs identify records differently (--record-key); new and resolved issues are unreliable');
+  }
+  const { duplicateRecordKeys } = comparison;
+  if (duplicateRecordKeys.baseline > 0 || duplicateRecordKeys.current > 0) {
+    console.log(`⚠️  Record keys on more than one row: ${duplicateRecordKeys.baseline} in the baseline, ${duplicateRecordKeys.current} in the current run; their issues are matched by row number`);
+  }
+  console.log('');
+  comparison.metrics.forEach(metric => {
+    const format = (value) => metric.name === 'Success Rate' ? `${value.toFixed(2)}%` : value;
+    const change = metric.name === 'Success Rate' ? metric.change.toFixed(2) : metric.change;
+    console.log(`  ${metric.name}: ${format(metric.baseline)} → ${format(metric.current)} (${metric.change > 0 ? '+' : ''}${change})`);
+  });
+
+  printCountChanges('Errors by Field', comparison.fields);
+  printCountChanges('Errors by Type', comparison.errorTypes);
+
+  console.log('');
+  console.log(`New Issues: ${comparison.newIssues.length}, Resolved Issues: ${comparison.resolvedIssues.length}`);
+  comparison.newIssues.slice(0, 10).forEach(issue => {
+    console.log(`  + ${issue.recordKey} ${issue.field}: ${issue.code}`);
+  });
+  if (comparison.newIssues.length > 10) {
+    console.log(`  ... ${comparison.newIssues.length - 10} more in the Run Comparison sheet`);
+  }
+
+  console.log('');
+  console.log(comparison.regressed ? '❌ Current run regressed against the baseline' : '✅ No regressions against the baseline');
+  console.log(`📊 Comparison saved to: ${outputFile}`);
+  if (comparison.regressed) {
+    process.exit(EXIT_CODES.DATA_FAILURE);
+  }
+}
+
+/**
+ * Check the options of a manifest entry
+ * @param {Object} entry - Entry from readManifest
+ */
+function checkEntryOptions(entry) {
+  Object.entries(entry.options).forEach(([name, value]) => {
+    if (!VALUE_OPTIONS.has(name) && !FLAG_OPTIONS.has(name)) {
+      throw new Error(`Manifest entry '${entry.name}': unknown option '${name}'`);
+    }
+    if (VALUE_OPTIONS.has(name) && value === true) {
+      throw new Error(`Manifest entry '${entry.name}': option '${name}' needs a value`);
+    }
+    if (name === 'archive') {
+      throw new Error(`Manifest entry '${entry.name}': option 'archive' applies to the whole batch; pass it on the command line`);
+    }
+  });
+}
+
+/**
+ * Validate one file of a zip archive: it is unpacked into the run's report
+ * folder for the run and removed afterwards
+ * @param {Object} run - From matchArchiveEntries
+ * @param {Object} options - Options of the run
+ * @param {string} entryPath - Report folder of the run
+ */
+async function runArchiveValidation(run, options, entryPath) {
+  const inputFile = path.join(entryPath, run.archiveEntry.name.split('/').pop());
+  try {
+    await extractZipEntry(run.archiveFile, run.archiveEntry, inputFile);
+    return await runValidation({ ...run, inputFile, options, artifactsPath: entryPath });
+  } finally {
+    fs.rmSync(inputFile, { force: true });
+  }
+}
+
+/**
+ * batch command: validate every mapping/input pair of a manifest and write a roll-up report
+ * @param {string[]} args - Positional arguments after the command name
+ * @param {Object} options - Parsed --options, applied to every entry (entry options win);
+ *   --archive <zip> validates the files of a zip archive, matched to entries by file name pattern
+ */
+async function batchCommand(args, options) {
+  if (args.length < 1) {
+    console.log('Usage: node validate.js batch <manifest.json | manifest.csv> [rollup-output] [--archive <zip>] [options]');
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  const manifestFile = args[0];
+  if (!fs.existsSync(manifestFile)) {
+    console.error(`Error: Manifest file '${manifestFile}' not found`);
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  const { archive: archiveFile, ...runOptions } = options;
+  if (archiveFile && !fs.existsSync(archiveFile)) {
+    console.error(`Error: Archive '${archiveFile}' not found`);
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  let entries;
+  try {
+    entries = await readManifest(manifestFile, { patterns: Boolean(archiveFile) });
+    entries.forEach(checkEntryOptions);
+  } catch (error) {
+    console.error('Error reading manifest:', error.message);
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+  if (archiveFile) {
+    try {
+      entries = matchArchiveEntries(entries, archiveFile);
+    } catch (error) {
+      console.error('Error reading archive:', error.message);
+      process.exit(EXIT_CODES.USAGE_ERROR);
+    }
+  }
+
+  const artifactsPath = setupArtifactsFolder(Boolean(options['clean-artifacts']));
+  const rollupFile = getArtifactsOutputPath(args[1] || 'batch_summary.xlsx');
+
+  // Each entry gets its own validator and its own folder under artifacts/
+  const results = [];
+  for (const [index, entry] of entries.entries()) {
+    const input = entry.archiveEntry ? `${entry.archiveFile}: ${entry.archiveEntry.name}` : entry.inputFile;
+    if (entry.unmatched) {
+      console.log(`\n📦 [${index + 1}/${entries.length}] ${input}: no manifest entry matches this file; skipped`);
+      results.push({ entry, exitCode: EXIT_CODES.SUCCESS, status: 'Skipped', error: 'No manifest entry matches this file' });
+      continue;
+    }
+    if (entry.missing) {
+      const message = `No file in ${entry.archiveFile} matches '${entry.inputFile}'`;
+      console.log(`\n📦 [${index + 1}/${entries.length}] ${entry.name}: ${message}`);
+      results.push({ entry, exitCode: EXIT_CODES.USAGE_ERROR, status: RUN_STATUS[EXIT_CODES.USAGE_ERROR], error: message });
+      continue;
+    }
+
+    console.log(`\n📦 [${index + 1}/${entries.length}] ${entry.name}: ${entry.mappingFile} + ${input}`);
+    const entryPath = path.join(artifactsPath, entry.name);
+    fs.mkdirSync(entryPath, { recursive: true });
+    const entryOptions = { ...runOptions, ...entry.options };
+    let result;
+    try {
+      result = entry.archiveEntry
+        ? await runArchiveValidation(entry, entryOptions, entryPath)
+        : await runValidation({ ...entry, options: entryOptions, artifactsPath: entryPath });
+    } catch (error) {
+      console.error('Error during validation:', error.message);
+      result = { exitCode: EXIT_CODES.USAGE_ERROR, status: RUN_STATUS[EXIT_CODES.USAGE_ERROR], error: error.message };
+    }
+    results.push({ entry, ...result });
+  }
+
+  try {
+    writeRollupReport(results, rollupFile);
+  } catch (error) {
+    console.error('Error writing roll-up report:', error.message);
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  console.log('');
+  console.log('Batch Summary:');
+  console.log('==================');
+  results.forEach(result => {
+    const icon = result.entry.unmatched ? '⏭️' : result.exitCode === EXIT_CODES.SUCCESS ? '✅' : '❌';
+    const detail = result.stats
+      ? `${result.stats.validRecords}/${result.stats.totalRecords} valid (${result.stats.successRate.toFixed(2)}%)`
+      : result.error || 'no records';
+    console.log(`  ${icon} ${result.entry.name}: ${result.status} - ${detail}`);
+  });
+  const failed = results.filter(result => result.exitCode !== EXIT_CODES.SUCCESS).length;
+  console.log('');
+  console.log(failed === 0 ? `✅ All ${results.length} entries passed` : `❌ ${failed} of ${results.length} entries failed`);
+  console.log(`📊 Roll-up report saved to: ${rollupFile}`);
+
+  // The batch exits with the most serious outcome of any entry
+  const exitCode = Math.max(...results.map(result => result.exitCode));
+  if (exitCode !== EXIT_CODES.SUCCESS) {
+    process.exit(exitCode);
+  }
+}
+
+/**
+ * serve command: run the local HTTP validation service until stopped
+ * @param {string[]} args - Positional arguments after the command name
+ * @param {Object} options - Parsed --options (--host, --data-dir)
+ */
+async function serveCommand(args, options) {
+  const port = args[0] !== undefined ? Number(args[0]) : 8080;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(`Error: Invalid port '${args[0]}'`);
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  const server = new ValidationServer({ dataDir: options['data-dir'] });
+  try {
+    const address = await server.listen(port, options.host || '127.0.0.1');
+    console.log(`🌐 Validation service listening on http://${address.address}:${address.port}`);
+    console.log(`📁 Mappings and run reports are kept in ${server.dataDir}`);
+  } catch (error) {
+    console.error('Error starting server:', error.message);
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  process.on('SIGINT', async () => {
+    console.log('\nStopping validation service...');
+    await server.close();
+    process.exit(EXIT_CODES.SUCCESS);
+  });
+}
+
+// Subcommands that replace the default <mapping-file> <input-file> invocation
+const COMMANDS = {
+  'import-mapping': importMappingCommand,
+  'infer-mapping': inferMappingCommand,
+  'lint-mapping': lintMappingCommand,
+  'profile': profileCommand,
+  'compare': compareCommand,
+  'batch': batchCommand,
+  'serve': serveCommand
+};
+
+/**
+ * Print command line usage
+ */
+function printUsage() {
+  console.log('CSV Validator - Salesforce Field Validation');
+  console.log('==========================================');
+  console.log('');
+  console.log('Usage: node validate.js <mapping-file> <input-file> [output-file] [delimiter] [options]');
+  console.log('       node validate.js import-mapping <describe.json | .object | object-folder> [output-mapping.csv]');
+  console.log('       node validate.js infer-mapping <input-file> [output-mapping.csv] [delimiter]');
+  console.log('       node validate.js lint-mapping <mapping-file> [more mapping files...]');
+  console.log('       node validate.js profile <input-file> [output-file] [delimiter]');
+  console.log('       node validate.js compare <baseline-snapshot.json> <current-snapshot.json> [output-file]');
+  console.log('       node validate.js batch <manifest.json | manifest.csv> [rollup-output] [--archive <zip>] [options]');
+  console.log('       node validate.js serve [port] [--host <address>] [--data-dir <folder>]');
+  console.log('');
+  console.log('Arguments:');
+  console.log('  mapping-file  - Path to the CSV mapping rules file (e.g., salesforce_mapping.csv)');
+  console.log('  input-file    - Path to the input file (CSV or pipe-delimited)');
+  console.log('  output-file   - Path for the output report (optional, defaults to validation_report.xlsx;');
+  console.log('                  a .json, .ndjson, .csv or .xml (JUnit) extension selects that format)');
+  console.log('  delimiter     - Delimiter character (optional, auto-detected if not specified)');
+  console.log('');
+  console.log('Options (--name value or --name=value; a flag can also be written --flag=false):');
+  console.log('  --stream              - Constant-memory mode for very large files: keep running totals only');
+  console.log('                          and write per-row issues to an NDJSON file');
+  console.log('  --issues-file <path>  - Issues file for --stream (defaults to artifacts/validation_issues.ndjson)');
+  console.log('  --record-rules <file> - CSV of record-level (cross-field) rules, e.g. salesforce_record_rules.csv');
+  console.log('  --lint                - Lint the mapping first and stop if it has errors');
+  console.log('  --format <list>       - Report formats, comma-separated: xlsx, json, ndjson (one issue per line),');
+  console.log('                          csv (flat issue list), junit (XML test results); e.g. --format xlsx,junit');
+  console.log('  --header-matching <mode> - exact (default), case-insensitive, or loose (also ignores whitespace/underscores)');
+  console.log('  --enforce-order       - Mapped columns must appear in mapping order');
+  console.log('  --allow-extra-columns - Report unmapped input columns but keep validating the mapped fields');
+  console.log('  --split               - Write valid records to artifacts/<input>_clean and invalid ones to');
+  console.log('                          artifacts/<input>_rejects (with row number, issue codes and messages)');
+  console.log('  --clean-file <path>   - Path for the clean records file (implies --split)');
+  console.log('  --rejects-file <path> - Path for the rejected records file (implies --split)');
+  console.log('  --fix                 - Apply the mapping\'s Transforms to write artifacts/<input>_fixed, with a');
+  console.log('                          change log of every altered cell, then validate the corrected file');
+  console.log('  --fixed-file <path>   - Path for the corrected file (implies --fix)');
+  console.log('  --change-log <path>   - Path for the change log CSV (defaults to <fixed-file>_changes.csv)');
+  console.log('  --profile             - Add a Column Profile sheet: fill rate, distinct and top values, ranges,');
+  console.log('                          lengths, decimal precision/scale and an inferred type for every column');
+  console.log('  --snapshot <path>     - Save a compact snapshot of the run for the compare command');
+  console.log('  --severity <overrides> - Run-wide severity per check where the mapping sets none, e.g.');
+  console.log('                          maxLength=warning,pattern=info (checks: required, type, minLength, maxLength,');
+  console.log('                          pattern, allowedValues, reference, unique, recordRule, structure, encoding,');
+  console.log('                          or an issue code)');
+  console.log('  --record-key <fields> - Fields identifying a record in the snapshot, comma-separated');
+  console.log('                          (defaults to the mapping\'s Primary Key, else the row number)');
+  console.log('  --sheet <name|n>      - Workbook input (.xlsx, .xlsm, .xls): sheet to validate, by name or 1-based');
+  console.log('                          index (defaults to the first sheet); issues name their cell, e.g. Data!G14');
+  console.log('  --header-row <n>      - Workbook input: row holding the headers (default 1)');
+  console.log('  --input-format <fmt>  - csv, excel, fixed-width or jsonl; by default .xlsx/.xls files are read as');
+  console.log('                          workbooks, .jsonl/.ndjson as JSON Lines and everything else as delimited');
+  console.log('                          text. Fixed-width input reads the mapping\'s Start Position and Field Length');
+  console.log('  --encoding <name>     - Text input encoding: utf8, utf16le, utf16be or windows-1252 (defaults to the');
+  console.log('                          byte order mark, else detected from the first 64 KB)');
+  console.log('                          Gzip-compressed delimited text (e.g. Account.csv.gz) is read as a stream');
+  console.log('  --archive <zip>       - batch: validate the files of a zip archive; the manifest\'s input files are');
+  console.log('                          then file name patterns (e.g. Account*.csv) matched against the archive');
+  console.log('  --clean-artifacts     - batch: empty the artifacts folder first, as a single-file run always does');
+  console.log('');
+  console.log('Quality Gates (any gate replaces the default of failing on any invalid record or duplicate key):');
+  console.log('  --min-success-rate <pct>     - Fail if fewer than <pct>% of records are valid');
+  console.log('  --max-errors <n>             - Fail if there are more than <n> errors');
+  console.log('  --max-warnings <n>           - Fail if there are more than <n> warnings');
+  console.log('  --max-invalid-records <n>    - Fail if more than <n> records are invalid');
+  console.log('  --max-duplicate-groups <n>   - Fail if more than <n> duplicate key groups are found');
+  console.log('  --fail-on-priority <level>   - Fail on any error of this priority or higher (Critical, High, Medium, Low)');
+  console.log('  --fail-on-code <codes>       - Fail on any error with these codes, comma-separated (e.g. DUPLICATE_KEY)');
+  console.log('');
+  console.log('Exit Codes:');
+  console.log('  0 - Validation passed (all quality gates met)');
+  console.log('  1 - Data failure: records failed validation or a quality gate failed');
+  console.log('  2 - Header failure: input headers do not match the mapping');
+  console.log('  3 - Usage or I/O error: bad arguments, missing files, invalid mapping, or an internal error');
+  console.log('');
+  console.log('Examples:');
+  console.log('  # Validate Salesforce data with default output');
+  console.log('  node validate.js salesforce_mapping.csv salesforce_input.csv');
+  console.log('');
+  console.log('  # Custom output file');
+  console.log('  node validate.js salesforce_mapping.csv salesforce_input.csv salesforce_validation_report.xlsx');
+  console.log('');
+  console.log('  # Machine-readable reports for downstream scripts (no workbook is built)');
+  console.log('  node validate.js salesforce_mapping.csv salesforce_input.csv --format json,csv');
+  console.log('');
+  console.log('  # CI: JUnit results, fail below 99% valid records or on any Critical issue');
+  console.log('  node validate.js salesforce_mapping.csv salesforce_input.csv --format junit --min-success-rate 99 --fail-on-priority Critical');
+  console.log('');
+  console.log('  # Separate loadable rows from rows to send back to the data owner');
+  console.log('  node validate.js salesforce_mapping.csv salesforce_input.csv --split');
+  console.log('');
+  console.log('  # Fix whitespace, booleans, decimal scale, dates and picklist case, then validate the result');
+  console.log('  node validate.js salesforce_mapping.csv salesforce_input.csv --fix');
+  console.log('');
+  console.log('  # Daily feed: keep a snapshot per run, then see what changed since yesterday (exits 1 on regressions)');
+  console.log('  node validate.js salesforce_mapping.csv feed.csv --snapshot snapshots/today.json --record-key Id');
+  console.log('  node validate.js compare snapshots/yesterday.json snapshots/today.json');
+  console.log('');
+  console.log('  # Validate the "Accounts" sheet of a workbook whose headers are on row 3');
+  console.log('  node validate.js salesforce_mapping.csv accounts.xlsx --sheet Accounts --header-row 3');
+  console.log('');
+  console.log('  # Mainframe extract laid out by the mapping\'s Start Position and Field Length columns');
+  console.log('  node validate.js extract_mapping.csv ACCOUNTS.DAT --input-format fixed-width');
+  console.log('');
+  console.log('  # CSV saved by Excel on Western-language Windows (no byte order mark)');
+  console.log('  node validate.js salesforce_mapping.csv contacts.csv --encoding windows-1252');
+  console.log('');
+  console.log('  # Force specific delimiter');
+  console.log('  node validate.js salesforce_mapping.csv salesforce_input.csv report.xlsx ","');
+  console.log('');
+  console.log('  # Validate a multi-gigabyte extract with flat memory usage');
+  console.log('  node validate.js salesforce_mapping.csv big_extract.csv --stream');
+  console.log('');
+  console.log('  # Generate a mapping from a saved describe (sf sobject describe -s Account --json > Account.json)');
+  console.log('  node validate.js import-mapping Account.json Account_mapping.csv');
+  console.log('');
+  console.log('  # ... or from source-format metadata');
+  console.log('  node validate.js import-mapping force-app/main/default/objects/Account');
+  console.log('');
+  console.log('  # Profile a file before writing its mapping (writes artifacts/<input>_profile.xlsx)');
+  console.log('  node validate.js profile salesforce_input.csv');
+  console.log('');
+  console.log('  # Draft a mapping from a sample extract: types, Null Allowed, Max Length, candidate Allowed Values');
+  console.log('  node validate.js infer-mapping sample_extract.csv Account_mapping.csv');
+  console.log('');
+  console.log('  # Validate every object of a migration load: reports in artifacts/<entry>/, roll-up in artifacts/batch_summary.xlsx');
+  console.log('  node validate.js batch migration_manifest.json --min-success-rate 99');
+  console.log('');
+  console.log('  # Validate a zip bundle of extracts, each file matched to a manifest entry by name pattern');
+  console.log('  node validate.js batch migration_manifest.json --archive extracts.zip');
+  console.log('');
+  console.log('  # Local HTTP service on port 8080: PUT mappings, POST files to /mappings/<name>/validate');
+  console.log('  node validate.js serve 8080');
+  console.log('');
+  console.log('  # Check a mapping for duplicates, unknown types, bad regexes etc. (exits 1 on errors)');
+  console.log('  node validate.js lint-mapping salesforce_mapping.csv');
+  console.log('');
+  console.log('Mapping File Format:');
+  console.log('  - Target Field Name: Field name to validate');
+  console.log('  - Null Allowed: Yes/No (Yes = field can be empty/null/blank, No = required)');
+  console.log('  - Target Data Type: Data type (string, DECIMAL(18,2), boolean, timestamp, etc.)');
+  console.log('  - Description: Field description (optional)');
+  console.log('  - Unique: Yes = value must be unique across rows, or a key name shared by the fields of a composite key (optional)');
+  console.log('  - Primary Key: Yes = field is part of the primary key (optional)');
+  console.log('  - Reference File / Reference Field: values must exist in that column of the reference file (optional)');
+  console.log('  - Format: exact date/time format, e.g. ISO_DATE, ISO_DATETIME, ISO_TIME or dd/MM/yyyy (optional)');
+  console.log('  - Aliases: other input header names for the field, semicolon-separated (optional)');
+  console.log('  - Transforms: fixes applied by --fix, semicolon-separated: trim, boolean, pad-scale, date, date(dd/MM/yyyy),');
+  console.log('                picklist-case, or auto for all that suit the field (optional)');
+  console.log('  - Severity: error, warning or info for all checks of the field, and/or per check, e.g.');
+  console.log('              maxLength=warning; pattern=info (optional; only errors make a record invalid)');
+  console.log('');
+  console.log('Record Rules File Format (--record-rules):');
+  console.log('  - Rule Name, Rule Type, Fields (semicolon-separated), Condition, Description, Severity (optional)');
+  console.log('  - compare:    Fields = left;right, Condition = <, <=, =, !=, >=, >');
+  console.log('  - requiredIf: Fields = target;trigger, Condition = optional trigger value');
+  console.log('  - sum:        Fields = total;part1;part2..., Condition = tolerance');
+  console.log('');
+  console.log('Data Type Support:');
+  console.log('  - Text types: Text(n), TextArea, LongTextArea(n), RichTextArea(n), Picklist, MultiPicklist (platform length limits apply)');
+  console.log('  - Formatted types: Email, URL, Phone, Id, Lookup(Object) (18-character Ids are checksum-verified)');
+  console.log('  - Numeric types: Integer, Number(p,s), Currency(p,s), Percent(p,s) (currency/percent default to 18,2)');
+  console.log('  - Date types: Date, Date/Time (timestamp, datetime), Time');
+  console.log('  - Boolean types: Checkbox, boolean, bool');
+  console.log('  - Case-insensitive: All data types are handled regardless of case (STRING, String, string)');
+}
+
+/**
+ * Validate one input file against its mapping and write its reports
+ * @param {Object} run - Validation run
+ * @param {string} run.mappingFile - Mapping CSV
+ * @param {string} run.inputFile - Input file
+ * @param {string} run.outputFile - Report file name (defaults to validation_report.xlsx)
+ * @param {string} run.delimiter - Delimiter character (auto-detected when empty)
+ * @param {Object} run.options - Parsed --options
+ * @param {string} run.artifactsPath - Folder for the reports and other output files
+ * @returns {Promise<Object>} { exitCode, status, stats, headerValidation, gateResult, reportFiles, error }
+ */
+async function runValidation(run) {
+  const { mappingFile, inputFile, options, artifactsPath } = run;
+  const result = { stats: null, headerValidation: null, gateResult: null, reportFiles: [] };
+  let validator = null;
+  const finish = (exitCode, error = null) => ({
+    ...result,
+    headerValidation: validator ? validator.headerValidationResult || null : null,
+    exitCode,
+    status: RUN_STATUS[exitCode],
+    error
+  });
+  const fail = (exitCode, message) => {
+    console.error(`Error: ${message}`);
+    return finish(exitCode, message);
+  };
+
+  const outputFile = getArtifactsOutputPath(run.outputFile || 'validation_report.xlsx', artifactsPath);
+  let reportOutputs;
+  let qualityGates;
+  try {
+    reportOutputs = getReportOutputs(outputFile, options.format);
+    qualityGates = getQualityGates(options);
+  } catch (error) {
+    return fail(EXIT_CODES.USAGE_ERROR, error.message);
+  }
+  const delimiter = run.delimiter || null;
+  const streaming = Boolean(options.stream);
+  const issuesFile = options['issues-file'] || getArtifactsOutputPath('validation_issues.ndjson', artifactsPath);
+  const recordRulesFile = options['record-rules'] || null;
+  const split = Boolean(options.split || options['clean-file'] || options['rejects-file']);
+  const inputName = path.parse(inputFile);
+  const cleanFile = split ? options['clean-file'] || getArtifactsOutputPath(`${inputName.name}_clean${inputName.ext}`, artifactsPath) : null;
+  const rejectsFile = split ? options['rejects-file'] || getArtifactsOutputPath(`${inputName.name}_rejects${inputName.ext}`, artifactsPath) : null;
+  const fix = Boolean(options.fix || options['fixed-file']);
+  const fixedFile = fix ? options['fixed-file'] || getArtifactsOutputPath(`${inputName.name}_fixed${inputName.ext}`, artifactsPath) : null;
+  const changeLogFile = options['change-log'] || null;
+  const profile = Boolean(options.profile);
+  const snapshotFile = options.snapshot || null;
+  const recordKey = options['record-key'] ? options['record-key'].split(',').map(field => field.trim()).filter(Boolean) : null;
+  const headerPolicy = {
+    matching: options['header-matching'] || 'exact',
+    enforceOrder: Boolean(options['enforce-order']),
+    allowExtraColumns: Boolean(options['allow-extra-columns'])
+  };
 
   // Validate file paths
   if (!require('fs').existsSync(mappingFile)) {
-    console.error(`Error: Mapping file '${mappingFile}' not found`);
-    process.exit(1);
+    return fail(EXIT_CODES.USAGE_ERROR, `Mapping file '${mappingFile}' not found`);
   }
 
   if (!require('fs').existsSync(inputFile)) {
-    console.error(`Error: Input file '${inputFile}' not found`);
-    process.exit(1);
+    return fail(EXIT_CODES.USAGE_ERROR, `Input file '${inputFile}' not found`);
+  }
+
+  if (recordRulesFile && !fs.existsSync(recordRulesFile)) {
+    return fail(EXIT_CODES.USAGE_ERROR, `Record rules file '${recordRulesFile}' not found`);
+  }
+
+  let inputFormat;
+  try {
+    inputFormat = resolveInputFormat(inputFile, options['input-format'] || null);
+  } catch (error) {
+    return fail(EXIT_CODES.USAGE_ERROR, options['input-format'] ? `--input-format: ${error.message}` : error.message);
+  }
+  if (options.encoding) {
+    try {
+      resolveEncodingName(options.encoding);
+    } catch (error) {
+      return fail(EXIT_CODES.USAGE_ERROR, `--encoding: ${error.message}`);
+    }
+  }
+  // Split and fix copy rows of delimited text
+  if (inputFormat !== 'csv' && (split || fix)) {
+    return fail(EXIT_CODES.USAGE_ERROR, `--${split ? 'split' : 'fix'} needs delimited text input, not ${inputFormat}`);
+  }
+  if ((split || fix) && isGzipFile(inputFile)) {
+    return fail(EXIT_CODES.USAGE_ERROR, `--${split ? 'split' : 'fix'} copies rows byte for byte and needs uncompressed input`);
   }
 
   console.log('\nCSV Validator - Salesforce Field Validation');
   console.log('==========================================');
   console.log(`Mapping file: ${mappingFile}`);
   console.log(`Input file: ${inputFile}`);
-  console.log(`Output file: ${outputFile}`);
-  console.log(`Delimiter: ${delimiter ? `'${delimiter}'` : 'auto-detect'}`);
+  reportOutputs.forEach(output => {
+    console.log(`Output file (${output.format}): ${output.filePath}`);
+  });
+  if (inputFormat === 'excel') {
+    console.log(`Sheet: ${options.sheet || 'first sheet'} (headers on row ${options['header-row'] || 1})`);
+  } else if (inputFormat === 'csv') {
+    console.log(`Delimiter: ${delimiter ? `'${delimiter}'` : 'auto-detect'}`);
+  } else {
+    console.log(`Input format: ${inputFormat}`);
+  }
+  if (recordRulesFile) {
+    console.log(`Record rules file: ${recordRulesFile}`);
+  }
+  if (streaming) {
+    console.log(`Streaming mode: issues written to ${issuesFile}`);
+  }
+  if (fix) {
+    console.log(`Corrected file: ${fixedFile}`);
+  }
+  if (split) {
+    console.log(`Clean records file: ${cleanFile}`);
+    console.log(`Rejected records file: ${rejectsFile}`);
+  }
   console.log('');
 
+  validator = new CSVValidator();
   try {
-    const validator = new CSVValidator();
+    validator.setSeverityOverrides(options.severity);
+  } catch (error) {
+    return fail(EXIT_CODES.USAGE_ERROR, `--severity: ${error.message}`);
+  }
+
+  try {
+    if (options.lint) {
+      console.log('Linting mapping file...');
+      const lintResult = await validator.lintMapping(mappingFile);
+      printLintResult(lintResult);
+      if (!lintResult.isValid) {
+        console.error('');
+        return fail(EXIT_CODES.USAGE_ERROR, 'Mapping has errors; fix them or run without --lint.');
+      }
+      console.log('');
+    }
 
     // Load mapping rules
     console.log('Loading validation rules...');
@@ -114,6 +898,14 @@ async function main() {
       console.log(`  ${index + 1}. ${rule.fieldName} (${rule.originalDataType}) - ${requiredText} (Null Allowed: ${nullAllowedText})`);
     });
 
+    if (recordRulesFile) {
+      console.log('\nLoading record rules...');
+      await validator.loadRecordRules(recordRulesFile);
+      validator.recordRules.forEach(rule => {
+        console.log(`  ${rule.ruleIndex}. ${rule.name} (${rule.type}) - ${rule.fields.join(', ')}`);
+      });
+    }
+
     // Display validation summary
     console.log('\nValidation Rules Summary:');
     console.log('========================');
@@ -139,18 +931,47 @@ async function main() {
     console.log('==============================');
     console.log(`Expected Headers: ${validator.validationRules.length}`);
     console.log(`Header Validation: Will be performed before data validation`);
-    console.log(`Case Sensitivity: Headers must match exactly (case-sensitive)`);
+    console.log(`Header Matching: ${describeHeaderPolicy(resolveHeaderPolicy(headerPolicy))}`);
+
+    // Apply transforms first; the corrected file is what gets validated and reported
+    let validationInput = inputFile;
+    if (fix) {
+      console.log('\nApplying transforms...');
+      const remediation = await validator.fixInputFile(inputFile, fixedFile, { delimiter, headerPolicy, changeLogFile, encoding: options.encoding });
+      Object.entries(remediation.changesByTransform)
+        .sort(([,a], [,b]) => b - a)
+        .forEach(([transform, count]) => {
+          console.log(`  ${transform}: ${count} cells`);
+        });
+      if (remediation.changedCells === 0) {
+        console.log('  No cells needed fixing (are Transforms set in the mapping?)');
+      }
+      validationInput = fixedFile;
+    }
 
     // Validate input file
-    console.log('\nValidating input file...');
-    await validator.validateInputFile(inputFile, delimiter);
+    console.log(fix ? '\nValidating corrected file...' : '\nValidating input file...');
+    await validator.validateInputFile(validationInput, delimiter, {
+      streaming, issuesFile, headerPolicy, cleanFile, rejectsFile, profile, snapshot: Boolean(snapshotFile), recordKey,
+      sheet: options.sheet, headerRow: options['header-row'], inputFormat, encoding: options.encoding,
+      headerReportFile: getArtifactsOutputPath('header_validation_report.xlsx', artifactsPath)
+    });
+    const gateResult = validator.evaluateQualityGates(qualityGates);
+    result.gateResult = gateResult;
+    if (snapshotFile) {
+      fs.mkdirSync(path.dirname(path.resolve(snapshotFile)), { recursive: true });
+      validator.saveRunSnapshot(snapshotFile);
+    }
 
-    // Generate Excel report
-    console.log('Generating Excel report...');
-    validator.generateExcelReport(outputFile);
+    // Generate reports
+    console.log('Generating reports...');
+    reportOutputs.forEach(output => validator.generateReport(output.filePath, output.format));
+    result.reportFiles = reportOutputs.map(output => output.filePath);
+    const reportList = result.reportFiles.join(', ');
 
     // Display detailed summary
     const stats = validator.getValidationStats();
+    result.stats = stats;
     if (stats) {
       console.log('');
       console.log('Validation Summary:');
@@ -160,50 +981,26 @@ async function main() {
       console.log(`Invalid Records: ${stats.invalidRecords}`);
       console.log(`Total Errors: ${stats.totalErrors}`);
       console.log(`Total Warnings: ${stats.totalWarnings}`);
+      console.log(`Total Info: ${stats.totalInfo}`);
+      console.log(`Duplicate Key Groups: ${stats.duplicateGroups}`);
       console.log(`Success Rate: ${stats.successRate.toFixed(2)}%`);
+      if (validator.remediationResult) {
+        console.log(`Corrected Cells: ${validator.remediationResult.changedCells} in ${validator.remediationResult.changedRecords} records (${validator.remediationResult.changeLogFile})`);
+      }
+      if (validator.splitResult) {
+        console.log(`Clean Records: ${validator.splitResult.cleanRows} (${validator.splitResult.cleanFile})`);
+        console.log(`Rejected Records: ${validator.splitResult.rejectedRows} (${validator.splitResult.rejectsFile})`);
+      }
       console.log('');
 
       // Show field-level error summary
-      let fieldErrors = {};
-      let uniqueErrors = new Set();
+      const fieldErrors = stats.errorsByField;
+      const uniqueErrors = Object.keys(stats.errorsByType);
+      const hasFailures = stats.invalidRecords > 0 || stats.duplicateGroups > 0;
       
-      if (stats.invalidRecords > 0) {
+      if (hasFailures) {
         console.log('Field Error Summary:');
         console.log('==================');
-        
-        validator.validationResults.forEach(result => {
-          result.errors.forEach(error => {
-            const fieldName = validator.extractFieldNameFromError(error);
-            fieldErrors[fieldName] = (fieldErrors[fieldName] || 0) + 1;
-            
-            // Extract unique error types
-            let errorType = 'Unknown Error';
-            if (error.includes('required') && (error.includes('missing') || error.includes('empty/null/blank'))) {
-              errorType = 'Required Field Missing';
-            } else if (error.includes('invalid data type')) {
-              errorType = 'Invalid Data Type';
-            } else if (error.includes('not a valid')) {
-              errorType = 'Invalid Format';
-            } else if (error.includes('precision') || error.includes('decimal places') || error.includes('exceeds maximum')) {
-              errorType = 'Decimal Precision Error';
-            } else if (error.includes('too short') || error.includes('too long')) {
-              errorType = 'Length Constraint Error';
-            } else if (error.includes('pattern')) {
-              errorType = 'Pattern Mismatch';
-            } else if (error.includes('allowed values')) {
-              errorType = 'Invalid Value';
-            } else if (error.includes('not a valid number')) {
-              errorType = 'Invalid Number Format';
-            } else if (error.includes('not a valid integer')) {
-              errorType = 'Invalid Integer Format';
-            } else if (error.includes('not a valid boolean')) {
-              errorType = 'Invalid Boolean Format';
-            } else if (error.includes('not a valid date') || error.includes('not a valid timestamp')) {
-              errorType = 'Invalid Date/Time Format';
-            }
-            uniqueErrors.add(errorType);
-          });
-        });
 
         Object.entries(fieldErrors)
           .sort(([,a], [,b]) => b - a)
@@ -214,17 +1011,40 @@ async function main() {
         console.log('');
         console.log('Unique Error Types Found:');
         console.log('========================');
-        Array.from(uniqueErrors).sort().forEach(errorType => {
+        uniqueErrors.sort().forEach(errorType => {
           console.log(`  • ${errorType}`);
         });
+
+        if (stats.duplicateGroups > 0) {
+          console.log('');
+          console.log(`Duplicate Keys (${stats.duplicateGroups} groups, ${stats.duplicateRecords} rows):`);
+          console.log('========================');
+          validator.duplicateGroups.slice(0, 10).forEach(issue => {
+            console.log(`  • ${issue.params.constraintName}: ${issue.value} - rows ${issue.params.rowNumbers.join(', ')}`);
+          });
+          if (stats.duplicateGroups > 10) {
+            console.log(`  ... ${stats.duplicateGroups - 10} more groups in the Duplicates sheet`);
+          }
+        }
+
+        const orphanFields = Object.entries(stats.referenceOrphans);
+        if (orphanFields.length > 0) {
+          console.log('');
+          console.log('Referential Integrity (orphaned values):');
+          console.log('========================');
+          orphanFields.forEach(([field, orphans]) => {
+            const distinct = `${orphans.distinctMissingKeys}${orphans.distinctMissingKeysCapped ? '+' : ''}`;
+            console.log(`  • ${field} → ${orphans.referenceFile} (${orphans.referenceField}): ${orphans.orphanRows} rows, ${distinct} distinct missing keys`);
+          });
+        }
         
         console.log('');
-        console.log('❌ Validation completed with errors. Please check the Excel report for details.');
-        console.log(`📊 Detailed report saved to: ${outputFile}`);
+        console.log('❌ Validation completed with errors. Please check the report for details.');
+        console.log(`📊 Detailed report saved to: ${reportList}`);
         console.log(`📁 Check the artifacts folder for all output files`);
       } else {
         console.log('✅ All records passed validation successfully!');
-        console.log(`📊 Report saved to: ${outputFile}`);
+        console.log(`📊 Report saved to: ${reportList}`);
         console.log(`📁 Check the artifacts folder for all output files`);
       }
 
@@ -247,8 +1067,8 @@ async function main() {
       console.log('==================');
       console.log(`Total Fields Validated: ${totalFields}`);
       console.log(`Total Field Validations: ${totalValidations}`);
-      console.log(`Fields with Errors: ${Object.keys(fieldErrors || {}).length}`);
-      console.log(`Fields without Errors: ${totalFields - (Object.keys(fieldErrors || {}).length)}`);
+      console.log(`Fields with Errors: ${Object.keys(fieldErrors).length}`);
+      console.log(`Fields without Errors: ${totalFields - (Object.keys(fieldErrors).length)}`);
       
       // Show data type breakdown
       const dataTypeBreakdown = {};
@@ -265,26 +1085,77 @@ async function main() {
         .forEach(([dataType, count]) => {
           console.log(`  • ${dataType}: ${count} fields validated`);
         });
-      
-      // Exit after showing all information
-      if (stats.invalidRecords > 0) {
-        process.exit(1);
-      }
     }
 
+    console.log('');
+    console.log('Quality Gates:');
+    console.log('==================');
+    gateResult.gates.forEach(gate => {
+      console.log(`  ${gate.passed ? '✅' : '❌'} ${gate.description} (actual: ${gate.actual})`);
+    });
+    console.log(gateResult.passed ? '✅ All quality gates passed' : '❌ Quality gates failed');
+
+    return finish(gateResult.passed ? EXIT_CODES.SUCCESS : EXIT_CODES.DATA_FAILURE);
+
   } catch (error) {
+    // Header failures have no data results, but the JSON and JUnit reports can still carry the header analysis
+    if (error.code === 'HEADER_VALIDATION_FAILED') {
+      const headerOutputs = reportOutputs.filter(output => HEADER_REPORT_FORMATS.includes(output.format));
+      headerOutputs.forEach(output => {
+        validator.generateReport(output.filePath, output.format);
+      });
+      result.reportFiles = [getArtifactsOutputPath('header_validation_report.xlsx', artifactsPath), ...headerOutputs.map(output => output.filePath)];
+      console.error('Error during validation:', error.message);
+      return finish(EXIT_CODES.HEADER_FAILURE, error.message);
+    }
     console.error('Error during validation:', error.message);
     if (error.stack) {
       console.error('Stack trace:', error.stack);
     }
-    process.exit(1);
+    return finish(EXIT_CODES.USAGE_ERROR, error.message);
+  }
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+  const { positional: args, options } = parsed;
+
+  if (COMMANDS[args[0]]) {
+    await COMMANDS[args[0]](args.slice(1), options);
+    return;
+  }
+  
+  if (args.length < 2) {
+    printUsage();
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  // Setup artifacts folder
+  const artifactsPath = setupArtifactsFolder();
+
+  const result = await runValidation({
+    mappingFile: args[0],
+    inputFile: args[1],
+    outputFile: args[2] && !args[2].startsWith('-') ? args[2] : null,
+    delimiter: args[3] || null,
+    options,
+    artifactsPath
+  });
+  if (result.exitCode !== EXIT_CODES.SUCCESS) {
+    process.exit(result.exitCode);
   }
 }
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (reason, promise) => {
   console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
+  process.exit(EXIT_CODES.USAGE_ERROR);
 });
 
 // Run the main function
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+function run(...args) {
+  return spawnSync(process.execPath, [path.join(__dirname, 'validate.js'), ...args], { encoding: 'utf8', timeout: 60000 });
+}
+
+test('a value option without a value is a usage error', () => {
+  for (const args of [['--snapshot'], ['--snapshot', '--stream']]) {
+    const result = run('map.csv', 'in.csv', ...args);
+    assert.strictEqual(result.status, 3, args.join(' '));
+    assert.match(result.stderr, /--snapshot needs a value/);
+  }
+});
+
+test('flags accept =true and =false only', () => {
+  const result = run('map.csv', 'in.csv', '--stream=yes');
+  assert.strictEqual(result.status, 3);
+  assert.match(result.stderr, /--stream is a flag/);
+
+  // Accepted flags get as far as reading the (missing) manifest; a batch stops there without touching artifacts/
+  for (const flag of ['--stream=false', '--stream=TRUE']) {
+    const accepted = run('batch', 'missing_manifest.json', flag);
+    assert.doesNotMatch(accepted.stderr, /is a flag/, flag);
+    assert.match(`${accepted.stdout}${accepted.stderr}`, /missing_manifest\.json/, flag);
+  }
+});
+
+test('an unknown option is a usage error', () => {
+  for (const arg of ['--strem', '--strem=true', '--snapshots=run.json']) {
+    const result = run('map.csv', 'in.csv', arg);
+    assert.strictEqual(result.status, 3, arg);
+    assert.match(result.stderr, /Unknown option --(strem|snapshots)/, arg);
+  }
+});
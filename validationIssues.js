@@ -0,0 +1,309 @@
+/**
+ * Catalogue of validation issue codes.
+ *
+ * Every problem the validator finds is recorded as an issue object carrying a
+ * stable code. Reports, statistics and the CLI group issues by these codes, so
+ * message wording can change without moving issues between categories.
+ */
+const ISSUE_TYPES = {
+  REQUIRED_MISSING: {
+    category: 'Required Field Missing',
+    severity: 'error',
+    priority: 'Critical',
+    message: (issue) => `Field '${issue.fieldName}' is required (Null Allowed: No) but contains empty/null/blank value`
+  },
+  INVALID_INTEGER: {
+    category: 'Invalid Integer Format',
+    severity: 'error',
+    priority: 'High',
+    detail: (issue) => `Value '${issue.value}' is not a valid integer`
+  },
+  INVALID_NUMBER: {
+    category: 'Invalid Number Format',
+    severity: 'error',
+    priority: 'High',
+    detail: (issue) => `Value '${issue.value}' is not a valid number`
+  },
+  DECIMAL_PRECISION: {
+    category: 'Decimal Precision Error',
+    severity: 'error',
+    priority: 'High',
+    detail: (issue) => issue.params.isInteger
+      ? `Integer value '${issue.value}' exceeds maximum precision of ${issue.params.precision} digits. Expected format: ${issue.params.expected}`
+      : `Value '${issue.value}' exceeds maximum precision of ${issue.params.precision} total digits. Expected format: ${issue.params.expected}`
+  },
+  DECIMAL_SCALE: {
+    category: 'Decimal Precision Error',
+    severity: 'error',
+    priority: 'High',
+    detail: (issue) => `Decimal value '${issue.value}' must have exactly ${issue.params.scale} decimal places. Expected format: ${issue.params.expected}`
+  },
+  DECIMAL_INTEGER_DIGITS: {
+    category: 'Decimal Precision Error',
+    severity: 'error',
+    priority: 'High',
+    detail: (issue) => `Integer part '${issue.params.integerPart}' exceeds maximum of ${issue.params.maxIntegerDigits} digits. Expected format: ${issue.params.expected}`
+  },
+  INVALID_DATE: {
+    category: 'Invalid Date/Time Format',
+    severity: 'error',
+    priority: 'High',
+    detail: (issue) => `Value '${issue.value}' is not an ISO 8601 date/timestamp (expected yyyy-MM-dd, or yyyy-MM-ddTHH:mm:ss with an optional Z or ±HH:mm offset); set the field's Format for other layouts`
+  },
+  DATE_FORMAT_MISMATCH: {
+    category: 'Invalid Date/Time Format',
+    severity: 'error',
+    priority: 'High',
+    detail: (issue) => `Value '${issue.value}' does not match date format '${issue.params.format}'`
+  },
+  INVALID_CALENDAR_DATE: {
+    category: 'Invalid Date/Time Format',
+    severity: 'error',
+    priority: 'High',
+    detail: (issue) => `Value '${issue.value}' is not a real calendar date/time (${issue.params.reason})`
+  },
+  INVALID_TIME: {
+    category: 'Invalid Date/Time Format',
+    severity: 'error',
+    priority: 'High',
+    detail: (issue) => `Value '${issue.value}' is not a valid time (expected HH:mm[:ss[.SSS]][Z|±HH:mm])${issue.params.reason ? `: ${issue.params.reason}` : ''}`
+  },
+  INVALID_ID: {
+    category: 'Invalid Format',
+    severity: 'error',
+    priority: 'High',
+    detail: (issue) => `Value '${issue.value}' is not a valid 15 or 18-character Salesforce Id`
+  },
+  INVALID_ID_CHECKSUM: {
+    category: 'Invalid Format',
+    severity: 'error',
+    priority: 'High',
+    detail: (issue) => `Value '${issue.value}' has case-safe suffix '${issue.params.suffix}' but its first 15 characters require '${issue.params.expectedSuffix}'`
+  },
+  INVALID_URL: {
+    category: 'Invalid Format',
+    severity: 'error',
+    priority: 'High',
+    detail: (issue) => `Value '${issue.value}' is not a valid URL`
+  },
+  INVALID_MULTIPICKLIST: {
+    category: 'Invalid Format',
+    severity: 'error',
+    priority: 'High',
+    detail: (issue) => `Value '${issue.value}' is not a valid multi-select picklist value (${issue.params.reason})`
+  },
+  INVALID_EMAIL: {
+    category: 'Invalid Format',
+    severity: 'error',
+    priority: 'High',
+    detail: (issue) => `Value '${issue.value}' is not a valid email address`
+  },
+  INVALID_PHONE: {
+    category: 'Invalid Format',
+    severity: 'error',
+    priority: 'High',
+    detail: (issue) => `Value '${issue.value}' is not a valid phone number`
+  },
+  INVALID_BOOLEAN: {
+    category: 'Invalid Boolean Format',
+    severity: 'error',
+    priority: 'High',
+    detail: (issue) => `Value '${issue.value}' is not a valid boolean (expected: true/false, yes/no, 1/0)`
+  },
+  MIN_LENGTH: {
+    category: 'Length Constraint Error',
+    severity: 'error',
+    priority: 'Medium',
+    message: (issue) => `Field '${issue.fieldName}' is too short. Minimum length: ${issue.params.minLength}, Actual: ${issue.params.actual}`
+  },
+  MAX_LENGTH: {
+    category: 'Length Constraint Error',
+    severity: 'error',
+    priority: 'Medium',
+    message: (issue) => `Field '${issue.fieldName}' is too long. Maximum length: ${issue.params.maxLength}${issue.params.limit ? ` (${issue.params.limit} limit)` : ''}, Actual: ${issue.params.actual}`
+  },
+  PATTERN_MISMATCH: {
+    category: 'Pattern Mismatch',
+    severity: 'error',
+    priority: 'Medium',
+    message: (issue) => `Field '${issue.fieldName}' does not match required pattern: ${issue.params.pattern}`
+  },
+  INVALID_PATTERN: {
+    category: 'Invalid Rule Configuration',
+    severity: 'warning',
+    priority: 'Medium',
+    message: (issue) => `Invalid regex pattern for field '${issue.fieldName}': ${issue.params.pattern}`
+  },
+  VALUE_NOT_ALLOWED: {
+    category: 'Invalid Value',
+    severity: 'error',
+    priority: 'Medium',
+    message: (issue) => `Field '${issue.fieldName}' has invalid value '${issue.value}'. Allowed values: ${issue.params.allowedValues.join(', ')}`
+  },
+  FIELD_COMPARISON_FAILED: {
+    category: 'Cross-Field Rule Violation',
+    severity: 'error',
+    priority: 'High',
+    message: (issue) => `Record rule '${issue.rule.name}' failed: Field '${issue.params.leftField}' ('${issue.params.leftValue}') must be ${issue.params.operator} Field '${issue.params.rightField}' ('${issue.params.rightValue}')`
+  },
+  CONDITIONAL_REQUIRED_MISSING: {
+    category: 'Cross-Field Rule Violation',
+    severity: 'error',
+    priority: 'Critical',
+    message: (issue) => `Record rule '${issue.rule.name}' failed: Field '${issue.params.targetField}' is required when ${issue.params.triggerFields.map(field => `'${field}'`).join(', ')} ${issue.params.triggerValue !== null ? `equals '${issue.params.triggerValue}'` : 'is populated'}`
+  },
+  SUM_MISMATCH: {
+    category: 'Cross-Field Rule Violation',
+    severity: 'error',
+    priority: 'High',
+    message: (issue) => `Record rule '${issue.rule.name}' failed: ${issue.params.partFields.join(' + ')} = ${issue.params.sum}, expected Field '${issue.params.totalField}' = ${issue.params.total} (tolerance ${issue.params.tolerance})`
+  },
+  REFERENCE_NOT_FOUND: {
+    category: 'Referential Integrity',
+    severity: 'error',
+    priority: 'High',
+    message: (issue) => `Field '${issue.fieldName}' value '${issue.value}' does not exist in ${issue.params.referenceField} of reference file ${issue.params.referenceFile}`
+  },
+  DUPLICATE_KEY: {
+    category: 'Duplicate Key',
+    severity: 'error',
+    priority: 'High',
+    message: (issue) => {
+      const rows = issue.params.rowNumbers;
+      const shownRows = rows.length > 10 ? `${rows.slice(0, 10).join(', ')}, ... (${rows.length} rows)` : rows.join(', ');
+      return `${issue.params.constraintName} violated: ${issue.fields.map(field => `'${field}'`).join(' + ')} = ${issue.value} appears in rows ${shownRows}`;
+    }
+  },
+  RECORD_LENGTH_MISMATCH: {
+    category: 'Record Structure Error',
+    severity: 'error',
+    priority: 'High',
+    message: (issue) => `Record is ${issue.params.actual} characters long, but the fixed-width layout declares ${issue.params.expected}`
+  },
+  MALFORMED_JSON: {
+    category: 'Record Structure Error',
+    severity: 'error',
+    priority: 'Critical',
+    message: (issue) => `Line is not a JSON object (${issue.params.reason}); its fields were not validated`
+  },
+  COLUMN_COUNT_MISMATCH: {
+    category: 'Record Structure Error',
+    severity: 'error',
+    priority: 'High',
+    message: (issue) => `Record has ${issue.params.actual} columns, but the header has ${issue.params.expected}`
+  },
+  UNBALANCED_QUOTES: {
+    category: 'Record Structure Error',
+    severity: 'error',
+    priority: 'Critical',
+    message: (issue) => {
+      const { reason, column, line, endLine } = issue.params;
+      const span = endLine > line ? `lines ${line}-${endLine}` : null;
+      if (reason === 'unterminated') {
+        return `Quoted value in column ${column} is never closed${span ? `, so the record takes in ${span}` : ''}`;
+      }
+      const problem = reason === 'stray' ? 'a quote inside an unquoted value (quote the value and double the quote)' : 'text after its closing quote';
+      return `Column ${column} has ${problem}${span ? `; the record spans ${span}` : ''}`;
+    }
+  },
+  BLANK_LINE: {
+    category: 'Record Structure Error',
+    severity: 'error',
+    priority: 'Medium',
+    message: () => 'Line is blank; it is read as a record with no values'
+  },
+  TRAILING_DELIMITER: {
+    category: 'Record Structure Error',
+    severity: 'warning',
+    priority: 'Low',
+    message: (issue) => `Record ends with a delimiter, which adds an empty column ${issue.params.expected + 1} the header does not have`
+  },
+  MIXED_LINE_ENDINGS: {
+    category: 'Record Structure Error',
+    severity: 'warning',
+    priority: 'Low',
+    message: (issue) => `Line ends with ${issue.params.ending}, but the header line ends with ${issue.params.expected}`
+  },
+  INVALID_ENCODING: {
+    category: 'Encoding Error',
+    severity: 'error',
+    priority: 'High',
+    message: (issue) => `Field '${issue.fieldName}' contains bytes that are not valid ${issue.params.encoding}; check the file encoding or set --encoding`
+  }
+};
+
+const PRIORITY_LABELS = {
+  Critical: '🔴 Critical',
+  High: '🟠 High',
+  Medium: '🟡 Medium',
+  Low: '🟢 Low'
+};
+
+/**
+ * Look up the catalogue entry for an issue code
+ * @param {string} code - Issue code (e.g. "DECIMAL_SCALE")
+ */
+function getIssueType(code) {
+  const issueType = ISSUE_TYPES[code];
+  if (!issueType) {
+    throw new Error(`Unknown validation issue code: ${code}`);
+  }
+  return issueType;
+}
+
+/**
+ * Build the human readable message for an issue object.
+ * Data type failures share a common prefix followed by the type-specific detail.
+ * @param {Object} issue - The issue object
+ */
+function formatIssueMessage(issue) {
+  const issueType = getIssueType(issue.code);
+
+  if (issueType.message) {
+    return issueType.message(issue);
+  }
+
+  return `Field '${issue.fieldName}' has invalid data type. Expected: ${issue.params.expected}, Got: '${issue.value}'. ${issueType.detail(issue)}`;
+}
+
+/**
+ * Create an issue object with catalogue defaults and a generated message
+ * @param {string} code - Issue code
+ * @param {Object} props - Issue properties (fieldName, fields, value, rule, rowNumber, line, column, params)
+ */
+function createIssue(code, props = {}) {
+  const issueType = getIssueType(code);
+  const issue = {
+    code,
+    category: issueType.category,
+    severity: props.severity || issueType.severity,
+    priority: props.priority || issueType.priority,
+    fieldName: props.fieldName !== undefined ? props.fieldName : null,
+    fields: props.fields || (props.fieldName ? [props.fieldName] : []),
+    value: props.value !== undefined ? props.value : null,
+    rule: props.rule || null,
+    rowNumber: props.rowNumber !== undefined ? props.rowNumber : null,
+    line: props.line !== undefined ? props.line : null,
+    column: props.column !== undefined ? props.column : null,
+    cell: props.cell !== undefined ? props.cell : null,
+    params: props.params || {}
+  };
+  issue.message = formatIssueMessage(issue);
+  return issue;
+}
+
+/**
+ * Format an issue priority for display in reports
+ * @param {string} priority - Priority name (Critical, High, Medium, Low)
+ */
+function formatPriority(priority) {
+  return PRIORITY_LABELS[priority] || priority;
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  getIssueType,
+  formatIssueMessage,
+  createIssue,
+  formatPriority
+};
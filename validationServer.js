@@ -0,0 +1,541 @@
+/**
+ * Local HTTP validation service.
+ *
+ * Lets other teams validate files with plain HTTP requests instead of the
+ * command line. Mappings are uploaded (or registered by path) under a name,
+ * and input files are POSTed against that name. Every request validates with
+ * its own CSVValidator and writes to its own run folder, so concurrent
+ * requests never share results. Nothing leaves the machine: the server binds
+ * to localhost by default and keeps mappings and reports under its data folder.
+ *
+ *   GET  /health                      Service status
+ *   GET  /mappings                    Registered mappings
+ *   PUT  /mappings/:name              Upload a mapping CSV, or register files in the mappings
+ *                                     folder with JSON { "mappingFile": "...", "recordRulesFile": "..." }
+ *   GET  /mappings/:name              Rules of a mapping
+ *   POST /mappings/:name/validate     Validate the request body; returns the JSON report
+ *   GET  /runs/:id                    JSON report of a run
+ *   GET  /runs/:id/report.xlsx        Excel report of a run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const CSVValidator = require('./csvValidator');
+const { INPUT_FORMATS } = require('./recordFormats');
+const { resolveEncodingName } = require('./textEncoding');
+const { resolveHeaderPolicy } = require('./headerMatching');
+
+const NAME_PATTERN = /^[\w.-]+$/;
+
+// Query parameters of the validate route and the header policy setting each one maps to
+const HEADER_POLICY_PARAMETERS = {
+  'header-matching': 'matching',
+  'enforce-order': 'enforceOrder',
+  'allow-extra-columns': 'allowExtraColumns'
+};
+
+/**
+ * Create an error carrying the HTTP status to answer with
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Whether a failure during validation is the server's own: the file system
+ * (no space, permissions) or a bug, not something wrong with the upload
+ * @param {Error} error - Failure
+ */
+function isServerFault(error) {
+  return Boolean(error.syscall) || error instanceof TypeError || error instanceof ReferenceError;
+}
+
+/**
+ * Check that a path lies inside a folder
+ * @param {string} filePath - Resolved path
+ * @param {string} folder - Resolved folder
+ */
+function isInsideFolder(filePath, folder) {
+  const relative = path.relative(folder, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Read a query flag: present without a value, or true/yes/1
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} name - Parameter name
+ */
+function readFlag(params, name) {
+  if (!params.has(name)) return false;
+  const value = params.get(name).trim().toLowerCase();
+  return value === '' || ['true', 'yes', '1'].includes(value);
+}
+
+class ValidationServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {string} options.dataDir - Folder for mappings and run output (default artifacts/server)
+   * @param {number} options.maxUploadBytes - Largest accepted request body (default 512 MB)
+   * @param {number} options.maxRuns - Runs kept on disk; the oldest are removed (default 50)
+   */
+  constructor(options = {}) {
+    this.dataDir = path.resolve(options.dataDir || path.join(__dirname, 'artifacts', 'server'));
+    this.mappingsDir = path.join(this.dataDir, 'mappings');
+    this.runsDir = path.join(this.dataDir, 'runs');
+    this.maxUploadBytes = options.maxUploadBytes || 512 * 1024 * 1024;
+    this.maxRegistrationBytes = 1024 * 1024;
+    this.maxRuns = options.maxRuns || 50;
+    this.mappings = new Map(); // Name -> { name, mappingFile, recordRulesFile, uploaded, fieldCount, recordRuleCount, lint, registeredAt }
+    this.runs = []; // Run ids, oldest first
+    this.activeRuns = 0;
+    this.startedAt = null;
+    this.server = null;
+  }
+
+  /**
+   * Create the data folders and pick up mappings stored by an earlier session
+   */
+  async initialize() {
+    fs.mkdirSync(this.mappingsDir, { recursive: true });
+    fs.mkdirSync(this.runsDir, { recursive: true });
+
+    for (const fileName of fs.readdirSync(this.mappingsDir).sort()) {
+      const { name, ext } = path.parse(fileName);
+      try {
+        if (ext === '.csv') {
+          await this.addMapping(name, { mappingFile: path.join(this.mappingsDir, fileName), uploaded: true });
+        } else if (ext === '.json') {
+          await this.addMapping(name, JSON.parse(fs.readFileSync(path.join(this.mappingsDir, fileName), 'utf8')));
+        }
+      } catch (error) {
+        console.log(`⚠️  Skipping stored mapping '${name}': ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Resolve a registered file, which must lie in the mappings folder, so a
+   * registration cannot have the server read other files on the machine
+   * @param {string} filePath - Path as registered, relative to the mappings folder
+   * @param {string} label - What the file is, for messages
+   */
+  resolveMappingsPath(filePath, label) {
+    const resolved = path.resolve(this.mappingsDir, String(filePath));
+    const realFolder = fs.realpathSync(this.mappingsDir);
+    if (!isInsideFolder(resolved, this.mappingsDir) || (fs.existsSync(resolved) && !isInsideFolder(fs.realpathSync(resolved), realFolder))) {
+      throw httpError(400, `${label} '${filePath}' must be in the mappings folder of the service`);
+    }
+    if (!fs.existsSync(resolved)) {
+      throw httpError(400, `${label} '${filePath}' not found`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Check a mapping and make it available under a name
+   * @param {string} name - Mapping name
+   * @param {Object} registration - { mappingFile, recordRulesFile, uploaded }; paths in the mappings folder
+   * @returns {Promise<Object>} The registered mapping, with the mapping's lint findings
+   */
+  async addMapping(name, registration) {
+    if (!registration.mappingFile) {
+      throw httpError(400, 'No mapping file given');
+    }
+    const mappingFile = this.resolveMappingsPath(registration.mappingFile, 'Mapping file');
+    const recordRulesFile = registration.recordRulesFile ? this.resolveMappingsPath(registration.recordRulesFile, 'Record rules file') : null;
+
+    const validator = new CSVValidator();
+    try {
+      await validator.loadMappingRules(mappingFile);
+      if (recordRulesFile) {
+        await validator.loadRecordRules(recordRulesFile);
+      }
+    } catch (error) {
+      throw httpError(400, `Cannot load mapping: ${error.message}`);
+    }
+    if (validator.validationRules.length === 0) {
+      throw httpError(400, 'Mapping has no field rules');
+    }
+    // Reference files are read while validating, so they are held to the same folder
+    validator.validationRules.filter(rule => rule.referenceFile).forEach(rule => {
+      this.resolveMappingsPath(rule.referenceFile, `Reference file of field '${rule.fieldName}'`);
+    });
+
+    // Lint findings are reported back; only a mapping that cannot be loaded is refused
+    const lintResult = await validator.lintMapping(mappingFile);
+
+    const mapping = {
+      name,
+      mappingFile,
+      recordRulesFile,
+      uploaded: Boolean(registration.uploaded),
+      fieldCount: validator.validationRules.length,
+      recordRuleCount: validator.recordRules.length,
+      lint: { errorCount: lintResult.errorCount, warningCount: lintResult.warningCount },
+      registeredAt: new Date().toISOString()
+    };
+    this.mappings.set(name, mapping);
+    return { ...mapping, lintFindings: lintResult.findings };
+  }
+
+  /**
+   * Look up a registered mapping
+   * @param {string} name - Mapping name
+   */
+  getMapping(name) {
+    const mapping = this.mappings.get(name);
+    if (!mapping) {
+      throw httpError(404, `No mapping named '${name}' (upload one with PUT /mappings/${name})`);
+    }
+    return mapping;
+  }
+
+  /**
+   * Stream a request body to a file
+   * @param {http.IncomingMessage} req - Request
+   * @param {string} filePath - Destination
+   * @returns {Promise<number>} Bytes written
+   */
+  receiveFile(req, filePath) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const output = fs.createWriteStream(filePath);
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > this.maxUploadBytes) {
+          req.unpipe(output);
+          req.resume(); // Drain the rest so the error response can be sent
+          output.destroy();
+          reject(httpError(413, `Upload is larger than ${this.maxUploadBytes} bytes`));
+        }
+      });
+      req.on('error', reject);
+      output.on('error', reject);
+      output.on('finish', () => resolve(size));
+      req.pipe(output);
+    });
+  }
+
+  /**
+   * Read a small request body into memory
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<string>} Body text
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size <= this.maxRegistrationBytes) {
+          chunks.push(chunk);
+        }
+      });
+      req.on('end', () => {
+        if (size > this.maxRegistrationBytes) {
+          reject(httpError(413, `Request body is larger than ${this.maxRegistrationBytes} bytes`));
+          return;
+        }
+        resolve(Buffer.concat(chunks).toString('utf8'));
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * PUT /mappings/:name - upload a mapping CSV, or register files placed in the mappings folder with JSON
+   */
+  async putMapping(req, name) {
+    if (!NAME_PATTERN.test(name)) {
+      throw httpError(400, `Mapping names may only contain letters, digits, '.', '_' and '-'`);
+    }
+
+    const storedCsv = path.join(this.mappingsDir, `${name}.csv`);
+    const storedJson = path.join(this.mappingsDir, `${name}.json`);
+    let mapping;
+
+    if ((req.headers['content-type'] || '').includes('application/json')) {
+      let registration;
+      try {
+        registration = JSON.parse(await this.readBody(req));
+      } catch (error) {
+        throw httpError(400, `Invalid JSON: ${error.message}`);
+      }
+      mapping = await this.addMapping(name, { mappingFile: registration.mappingFile, recordRulesFile: registration.recordRulesFile });
+      fs.writeFileSync(storedJson, JSON.stringify({ mappingFile: mapping.mappingFile, recordRulesFile: mapping.recordRulesFile }, null, 2));
+      fs.rmSync(storedCsv, { force: true });
+    } else {
+      // Check the upload before it replaces a stored mapping of the same name
+      const uploadFile = path.join(this.mappingsDir, `.${name}.${crypto.randomUUID()}.upload`);
+      try {
+        await this.receiveFile(req, uploadFile);
+        mapping = await this.addMapping(name, { mappingFile: uploadFile, uploaded: true });
+        fs.renameSync(uploadFile, storedCsv);
+        mapping.mappingFile = storedCsv;
+        this.mappings.get(name).mappingFile = storedCsv;
+      } finally {
+        fs.rmSync(uploadFile, { force: true });
+      }
+      fs.rmSync(storedJson, { force: true });
+    }
+
+    console.log(`📋 Mapping '${name}' registered: ${mapping.fieldCount} fields`);
+    return mapping;
+  }
+
+  /**
+   * GET /mappings/:name - the rules of a mapping
+   */
+  async describeMapping(name) {
+    const mapping = this.getMapping(name);
+    const validator = new CSVValidator();
+    await validator.loadMappingRules(mapping.mappingFile);
+    if (mapping.recordRulesFile) {
+      await validator.loadRecordRules(mapping.recordRulesFile);
+    }
+    return { ...mapping, rules: validator.getRulesReportData() };
+  }
+
+  /**
+   * Work out the folder of a run
+   * @param {string} runId - Run id
+   */
+  getRunPath(runId) {
+    if (!NAME_PATTERN.test(runId) || !this.runs.includes(runId)) {
+      throw httpError(404, `No run '${runId}'`);
+    }
+    return path.join(this.runsDir, runId);
+  }
+
+  /**
+   * Remember a finished run and remove the oldest ones beyond maxRuns. Runs are
+   * only added once they finish, so a run still writing is never removed.
+   * @param {string} runId - Run id
+   */
+  addRun(runId) {
+    this.runs.push(runId);
+    while (this.runs.length > this.maxRuns) {
+      fs.rmSync(path.join(this.runsDir, this.runs.shift()), { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * POST /mappings/:name/validate - validate the request body against a mapping
+   * Query parameters: filename, delimiter, header-matching, enforce-order, allow-extra-columns, severity,
+   * and sheet/header-row for workbook uploads (a filename ending in .xlsx, .xlsm or .xls). The
+   * input-format parameter names the format when the filename does not (fixed-width, jsonl), and
+   * encoding the text encoding when the byte order mark and detection would not find it
+   * @returns {Promise<Object>} { statusCode, runId, reportFile }
+   */
+  async validateUpload(req, name, params) {
+    const mapping = this.getMapping(name);
+    const fileName = params.has('filename') ? params.get('filename') : 'input.csv';
+    if (!NAME_PATTERN.test(fileName) || /^\.+$/.test(fileName)) {
+      throw httpError(400, `filename may only contain letters, digits, '.', '_' and '-', and must not be '.' or '..'`);
+    }
+
+    // A fresh validator per request: results, aggregates and severity overrides stay with this run
+    const validator = new CSVValidator();
+    try {
+      validator.setSeverityOverrides(params.get('severity'));
+    } catch (error) {
+      throw httpError(400, `severity: ${error.message}`);
+    }
+    const headerPolicy = { matching: 'exact' };
+    Object.entries(HEADER_POLICY_PARAMETERS).forEach(([parameter, setting]) => {
+      if (params.has(parameter)) {
+        headerPolicy[setting] = setting === 'matching' ? params.get(parameter) : readFlag(params, parameter);
+      }
+    });
+    const inputFormat = params.get('input-format') || undefined;
+    const encoding = params.get('encoding') || undefined;
+    try {
+      resolveHeaderPolicy(headerPolicy);
+      if (inputFormat && !INPUT_FORMATS.includes(inputFormat)) {
+        throw new Error(`Unknown input format '${inputFormat}' (expected one of: ${INPUT_FORMATS.join(', ')})`);
+      }
+      if (encoding) {
+        resolveEncodingName(encoding);
+      }
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+
+    const runId = crypto.randomUUID();
+    const runPath = path.join(this.runsDir, runId);
+    const inputFile = path.join(runPath, fileName);
+    const reportFile = path.join(runPath, 'report.json');
+    const excelFile = path.join(runPath, 'report.xlsx');
+    fs.mkdirSync(runPath, { recursive: true });
+
+    this.activeRuns++;
+    let statusCode = 200;
+    try {
+      await this.receiveFile(req, inputFile);
+      await validator.loadMappingRules(mapping.mappingFile);
+      if (mapping.recordRulesFile) {
+        await validator.loadRecordRules(mapping.recordRulesFile);
+      }
+
+      try {
+        // Streaming keeps memory flat however many uploads run at once
+        await validator.validateInputFile(inputFile, params.get('delimiter') || null, {
+          streaming: true,
+          issuesFile: path.join(runPath, 'issues.ndjson'),
+          headerPolicy,
+          headerReportFile: excelFile,
+          inputFormat,
+          encoding,
+          sheet: params.get('sheet') || undefined,
+          headerRow: params.get('header-row') || undefined
+        });
+        validator.evaluateQualityGates();
+        if (validator.getValidationStats()) {
+          validator.generateExcelReport(excelFile);
+        }
+      } catch (error) {
+        if (isServerFault(error)) {
+          throw error;
+        }
+        if (error.code !== 'HEADER_VALIDATION_FAILED') {
+          // What is wrong with the upload, without the server's own paths
+          throw httpError(400, `Could not validate the input: ${error.message.split(`${runPath}${path.sep}`).join('')}`);
+        }
+        statusCode = 422;
+      }
+      validator.generateJsonReport(reportFile);
+    } catch (error) {
+      fs.rmSync(runPath, { recursive: true, force: true });
+      throw error;
+    } finally {
+      this.activeRuns--;
+    }
+
+    this.addRun(runId);
+    return { statusCode, runId, reportFile, hasExcelReport: fs.existsSync(excelFile) };
+  }
+
+  /**
+   * Send a JSON response
+   */
+  sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  /**
+   * Send a file
+   */
+  sendFile(res, filePath, contentType, downloadName = null) {
+    if (!fs.existsSync(filePath)) {
+      throw httpError(404, `${path.basename(filePath)} is not available for this run`);
+    }
+    const headers = { 'Content-Type': contentType, 'Content-Length': fs.statSync(filePath).size };
+    if (downloadName) {
+      headers['Content-Disposition'] = `attachment; filename="${downloadName}"`;
+    }
+    res.writeHead(200, headers);
+    fs.createReadStream(filePath).pipe(res);
+  }
+
+  /**
+   * Route a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    const route = `${req.method} /${parts.map((part, index) => index % 2 === 1 ? ':' : part).join('/')}`;
+
+    switch (route) {
+      case 'GET /health':
+        return this.sendJson(res, 200, {
+          status: 'ok',
+          startedAt: this.startedAt,
+          mappings: this.mappings.size,
+          activeRuns: this.activeRuns
+        });
+      case 'GET /mappings':
+        return this.sendJson(res, 200, { mappings: Array.from(this.mappings.values()) });
+      case 'PUT /mappings/:':
+      case 'POST /mappings/:':
+        return this.sendJson(res, 201, await this.putMapping(req, parts[1]));
+      case 'GET /mappings/:':
+        return this.sendJson(res, 200, await this.describeMapping(parts[1]));
+      case 'POST /mappings/:/validate': {
+        const run = await this.validateUpload(req, parts[1], url.searchParams);
+        // Wrap the report file without loading it: it holds every issue of the run
+        res.writeHead(run.statusCode, { 'Content-Type': 'application/json', 'Location': `/runs/${run.runId}` });
+        res.write(`{"runId":${JSON.stringify(run.runId)},"mapping":${JSON.stringify(parts[1])},`);
+        res.write(`"excelReport":${JSON.stringify(run.hasExcelReport ? `/runs/${run.runId}/report.xlsx` : null)},"report":`);
+        const report = fs.createReadStream(run.reportFile);
+        report.on('end', () => res.end('}\n'));
+        report.pipe(res, { end: false });
+        return;
+      }
+      case 'GET /runs/:':
+        return this.sendFile(res, path.join(this.getRunPath(parts[1]), 'report.json'), 'application/json');
+      case 'GET /runs/:/report.xlsx':
+        return this.sendFile(res, path.join(this.getRunPath(parts[1]), 'report.xlsx'),
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', `validation_report_${parts[1]}.xlsx`);
+      default:
+        throw httpError(404, `No route for ${req.method} ${url.pathname}`);
+    }
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port (0 picks a free one)
+   * @param {string} host - Interface to bind (default localhost only)
+   * @returns {Promise<Object>} The bound address { address, port }
+   */
+  async listen(port = 8080, host = '127.0.0.1') {
+    await this.initialize();
+    this.startedAt = new Date().toISOString();
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res)
+        .catch(error => {
+          const statusCode = error.statusCode || 500;
+          if (statusCode === 500) {
+            console.error('Error handling request:', error.stack || error.message);
+          }
+          if (res.headersSent) {
+            res.destroy();
+            return;
+          }
+          // Internal failures are logged here; their messages can hold paths on the server
+          this.sendJson(res, statusCode, { error: statusCode === 500 ? 'Internal server error' : error.message });
+        })
+        .finally(() => {
+          console.log(`🌐 ${req.method} ${req.url} → ${res.statusCode}`);
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => resolve(this.server.address()));
+    });
+  }
+
+  /**
+   * Stop listening
+   */
+  close() {
+    return new Promise(resolve => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+    });
+  }
+}
+
+module.exports = ValidationServer;
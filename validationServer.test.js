@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ValidationServer = require('./validationServer');
+const CSVValidator = require('./csvValidator');
+
+const MAPPING = 'Target Field Name,Null Allowed,Target Data Type\nId,No,string\nName,No,string\n';
+
+// Each request logs its whole validation run
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-validator-server-'));
+const server = new ValidationServer({ dataDir: path.join(tempDir, 'data'), maxRuns: 2 });
+let baseUrl;
+
+test.before(async () => {
+  const address = await server.listen(0);
+  baseUrl = `http://127.0.0.1:${address.port}`;
+  await fetch(`${baseUrl}/mappings/account`, { method: 'PUT', body: MAPPING });
+});
+test.after(async () => {
+  await server.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function validate(query, body) {
+  return fetch(`${baseUrl}/mappings/account/validate?${query}`, { method: 'POST', body });
+}
+
+function runFolders() {
+  return fs.readdirSync(server.runsDir).sort();
+}
+
+test('a valid upload is 200 and a header mismatch 422', async () => {
+  assert.strictEqual((await validate('', 'Id,Name\n1,Ann\n')).status, 200);
+  const response = await validate('', 'Id,Other\n1,Ann\n');
+  assert.strictEqual(response.status, 422);
+  assert.strictEqual((await response.json()).report.headerValidation.isValid, false);
+});
+
+test('an unknown mapping is 404', async () => {
+  const response = await fetch(`${baseUrl}/mappings/nothing/validate`, { method: 'POST', body: 'Id\n1\n' });
+  assert.strictEqual(response.status, 404);
+});
+
+test('filenames that leave the run folder are 400', async () => {
+  const before = runFolders();
+  for (const fileName of ['..', '.', '', '../x.csv', 'a/b.csv']) {
+    const response = await validate(`filename=${encodeURIComponent(fileName)}`, 'Id,Name\n1,Ann\n');
+    assert.strictEqual(response.status, 400, `filename '${fileName}'`);
+  }
+  assert.deepStrictEqual(runFolders(), before);
+});
+
+test('bad parameters and unreadable uploads are 400 without server paths', async () => {
+  assert.strictEqual((await validate('encoding=ebcdic', 'Id,Name\n')).status, 400);
+  assert.strictEqual((await validate('input-format=xml', 'Id,Name\n')).status, 400);
+  assert.strictEqual((await validate('header-matching=fuzzy', 'Id,Name\n')).status, 400);
+  const response = await validate('filename=data.jsonl.gz', Buffer.from([0x1f, 0x8b, 0x08, 0x00]));
+  assert.strictEqual(response.status, 400);
+  assert.ok(!(await response.json()).error.includes(server.dataDir));
+});
+
+test('internal failures are 500 without the raw message', async (context) => {
+  context.mock.method(CSVValidator.prototype, 'validateInputFile', async () => {
+    const error = new Error(`EISDIR: illegal operation on a directory, read '${server.runsDir}'`);
+    error.syscall = 'read';
+    throw error;
+  });
+  const before = runFolders();
+  const response = await validate('', 'Id,Name\n1,Ann\n');
+  assert.strictEqual(response.status, 500);
+  assert.deepStrictEqual(await response.json(), { error: 'Internal server error' });
+  assert.deepStrictEqual(runFolders(), before);
+});
+
+test('only finished runs are kept, up to maxRuns', async () => {
+  const ids = [];
+  for (let count = 0; count < 3; count++) {
+    ids.push((await (await validate('', 'Id,Name\n1,Ann\n')).json()).runId);
+  }
+  assert.deepStrictEqual(runFolders(), ids.slice(1).sort());
+  assert.strictEqual((await fetch(`${baseUrl}/runs/${ids[0]}`)).status, 404);
+  assert.strictEqual((await fetch(`${baseUrl}/runs/${ids[2]}`)).status, 200);
+});
+
+test('registrations are limited to the mappings folder', async () => {
+  const outside = path.join(tempDir, 'outside.csv');
+  fs.writeFileSync(outside, MAPPING);
+  const register = (body) => fetch(`${baseUrl}/mappings/registered`, {
+    method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+  });
+
+  assert.strictEqual((await register({ mappingFile: outside })).status, 400);
+  assert.strictEqual((await register({ mappingFile: '../../outside.csv' })).status, 400);
+  fs.writeFileSync(path.join(server.mappingsDir, 'placed.csv'), MAPPING);
+  assert.strictEqual((await register({ mappingFile: 'placed.csv' })).status, 201);
+
+  const withReference = `${MAPPING}Code,Yes,string,,,,${outside}\n`.replace('Target Data Type', 'Target Data Type,Description,Unique,Primary Key,Reference File');
+  const response = await fetch(`${baseUrl}/mappings/referencing`, { method: 'PUT', body: withReference });
+  assert.strictEqual(response.status, 400);
+});